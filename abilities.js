@@ -8,16 +8,25 @@
  *
  * EXPORTS (window):
  *   AbilityManager — constructor for per-player ability tracking
+ *   registerAbilityEffect(id, handlers) — register/override an effect by ability id
+ *   getAbilityEffect(id) — lookup a registered effect (null if none)
+ *   registerPassive(id, handlers) — register/override a passive by id
+ *   getPassive(id) — lookup a registered passive (null if none)
  *
- * DEPENDENCIES: None (standalone — timing and input are passed in via update())
+ * DEPENDENCIES: Three.js (built-in dash effect builds a velocity vector).
+ *   Timing and input are passed in via update().
  *
  * ABILITY TYPES:
  *
  *   Passive abilities (defined on hero.passives[]):
  *     - Always active, no cooldown, no activation input
- *     - Checked by relevant systems (e.g. physics.js checks 'doubleJump')
- *     - Examples: doubleJump, damageResistance, quickReload
- *     - Shape: { id: 'doubleJump', type: 'passive', description: '...' }
+ *     - Looked up in the passive registry; game systems ask the manager for the
+ *       combined result of a hook rather than checking ids themselves
+ *     - Built-ins (optional tuning fields in brackets):
+ *         doubleJump       [extraJumps: 1]          — air jumps, physics.js
+ *         damageResistance [reduction: 0.25]        — incoming damage, Player.takeDamage
+ *         quickReload      [reloadMultiplier: 0.7]  — reload time, hud.js sharedStartReload
+ *     - Shape: { id: 'doubleJump', type: 'passive', extraJumps: 1, description: '...' }
  *
  *   Active abilities (defined on hero.abilities[] or weapon.abilities[]):
  *     - Triggered by keybind, have cooldown duration
@@ -32,49 +41,171 @@
  *         description: '...'
  *       }
  *
- * USAGE (future):
- *   var mgr = new AbilityManager(heroAbilities, weaponAbilities);
- *   // Each frame:
- *   mgr.update(dt, inputState, callbacks);
- *   // Check passives:
- *   mgr.hasPassive('doubleJump'); // returns true/false
+ * EFFECT REGISTRY:
+ *   Effects are looked up by ability id. Handlers are all optional:
+ *     registerAbilityEffect('dash', {
+ *       onActivate: function (player, ability, ctx) { ... },   // fired once on activation
+ *       onTick:     function (player, dt, ability) { ... },    // every frame while active
+ *       onEnd:      function (player, ability) { ... },        // duration expired or reset()
+ *       modifyIncomingDamage: function (player, amount, ability) { return amount; }
+ *     });
+ *   Effects never move the player or fire shots themselves — they set state that
+ *   the existing systems already read:
+ *     - player._dashVelocity  → applied by updateFullPhysics() (physics.js)
+ *     - weapon.shotDamageMult → applied by sharedFireWeapon() (projectiles.js)
+ *     - modifyIncomingDamage  → applied by Player.takeDamage() (player.js)
+ *
+ *   Built-in effects: dash, shield, chargedShot. Ability JSON may tune them with
+ *   extra fields (dash: speed; shield: damageReduction; chargedShot: damageMultiplier).
+ *
+ * PASSIVE REGISTRY:
+ *   Passives are looked up by id. Each hook is optional and chains across all of
+ *   the player's passives:
+ *     registerPassive('quickReload', {
+ *       extraJumps:           function (player, passive) { return 0; },
+ *       modifyIncomingDamage: function (player, amount, passive) { return amount; },
+ *       modifyReloadTime:     function (player, seconds, passive) { return seconds; }
+ *     });
+ *
+ * USAGE:
+ *   var mgr = new AbilityManager(hero.passives, hero.abilities, weapon.abilities, player);
+ *   // Each frame (inputState from getInputState(), carries one-shot abilityKeys[]):
+ *   mgr.update(dt, inputState);
+ *   mgr.update(dt, inputState, null, { direction: flatForward }); // dash along a given look
+ *   // Manual trigger (AI, network):
+ *   mgr.activate('dash');
+ *   // Passive hooks:
+ *   mgr.getExtraJumps();            // air jumps allowed (physics.js)
+ *   mgr.modifyReloadTime(2.5);      // seconds (hud.js)
+ *   mgr.modifyIncomingDamage(20);   // passives, then active effects (player.js)
  *   // Check cooldowns for HUD display:
  *   mgr.getCooldownPercent('dash'); // returns 0.0 - 1.0
  *
+ * NETWORKING (LAN):
+ *   The host is authoritative. Client ability key presses ride in the input
+ *   packet; the host updates its copy of the client's manager once per packet
+ *   (before that packet's physics, with its look direction as ctx), then emits an
+ *   'ability' event ({ playerId, id, yaw }) for every activation. A client runs
+ *   the same update on its own packets, so its dash is predicted from the same
+ *   input the host starts it on; it mirrors everyone else's activations with
+ *   syncActivation() so effects and HUD cooldowns match.
+ *
  * TODO (implement):
- *   - AbilityManager.activate(abilityId): manually trigger an ability
- *   - Effect callback registry: { 'dash': function(player, dt) { ... } }
- *   - Input-driven activation in update() (check keybinds, activate if ready)
- *   - Integration with physics.js for movement abilities
- *   - Integration with projectiles.js for weapon abilities
- *   - HUD integration in hud.js (cooldown indicators)
- *   - Networking: ability activation events for LAN mode
  *   - Ultimate abilities (charge-based, not cooldown-based) — lower priority
  */
 
 (function () {
 
+  // --- Effect Registry ---
+  // { abilityId: { onActivate, onTick, onEnd, modifyIncomingDamage } }
+  var _effects = {};
+
+  function registerAbilityEffect(id, handlers) {
+    if (!id || !handlers) return;
+    _effects[id] = handlers;
+  }
+
+  function getAbilityEffect(id) {
+    return _effects[id] || null;
+  }
+
+  // Forward direction on the XZ plane from a player's look yaw (-Z at yaw 0)
+  function forwardFromYaw(yaw) {
+    return new THREE.Vector3(-Math.sin(yaw || 0), 0, -Math.cos(yaw || 0));
+  }
+
+  // Dash: short burst of horizontal velocity in the facing direction.
+  // updateFullPhysics() applies player._dashVelocity on top of normal movement.
+  registerAbilityEffect('dash', {
+    onActivate: function (player, ability, ctx) {
+      var dir = (ctx && ctx.direction) ? ctx.direction.clone() : forwardFromYaw(player._hitboxYaw);
+      dir.y = 0;
+      if (dir.lengthSq() < 1e-6) dir = forwardFromYaw(player._hitboxYaw);
+      dir.normalize();
+      player._dashVelocity = dir.multiplyScalar(ability.speed || 20);
+    },
+    onEnd: function (player) {
+      player._dashVelocity = null;
+    }
+  });
+
+  // Shield: scales incoming damage while active (damageReduction 0.5 = half damage)
+  registerAbilityEffect('shield', {
+    modifyIncomingDamage: function (player, amount, ability) {
+      var reduction = (typeof ability.damageReduction === 'number') ? ability.damageReduction : 0.5;
+      return amount * Math.max(0, 1 - reduction);
+    }
+  });
+
+  // Charged shot: next trigger pull deals bonus damage. sharedFireWeapon()
+  // consumes weapon.shotDamageMult, so the charge persists until the player fires.
+  registerAbilityEffect('chargedShot', {
+    onActivate: function (player, ability) {
+      if (!player.weapon) return;
+      player.weapon.shotDamageMult = ability.damageMultiplier || 2;
+    }
+  });
+
+  // --- Passive Registry ---
+  // { passiveId: { extraJumps, modifyIncomingDamage, modifyReloadTime } }
+  var _passives = {};
+
+  function registerPassive(id, handlers) {
+    if (!id || !handlers) return;
+    _passives[id] = handlers;
+  }
+
+  function getPassive(id) {
+    return _passives[id] || null;
+  }
+
+  // Double jump: one extra jump while airborne (extraJumps tunes the count)
+  registerPassive('doubleJump', {
+    extraJumps: function (player, passive) {
+      return (typeof passive.extraJumps === 'number') ? passive.extraJumps : 1;
+    }
+  });
+
+  // Damage resistance: flat percentage off all incoming damage
+  registerPassive('damageResistance', {
+    modifyIncomingDamage: function (player, amount, passive) {
+      var reduction = (typeof passive.reduction === 'number') ? passive.reduction : 0.25;
+      return amount * Math.max(0, 1 - reduction);
+    }
+  });
+
+  // Quick reload: scales weapon reload time (0.7 = 30% faster)
+  registerPassive('quickReload', {
+    modifyReloadTime: function (player, seconds, passive) {
+      var mult = (typeof passive.reloadMultiplier === 'number') ? passive.reloadMultiplier : 0.7;
+      return seconds * Math.max(0, mult);
+    }
+  });
+
   /**
    * AbilityManager — tracks ability state for a single player.
    *
    * @param {Array} heroPassives   - passive ability definitions from hero config
    * @param {Array} heroAbilities  - active ability definitions from hero config
    * @param {Array} weaponAbilities - active ability definitions from weapon config
+   * @param {Object} owner         - the Player whose state effects modify (optional)
    */
-  function AbilityManager(heroPassives, heroAbilities, weaponAbilities) {
+  function AbilityManager(heroPassives, heroAbilities, weaponAbilities, owner) {
     this._passives = heroPassives || [];
     this._actives = [].concat(heroAbilities || [], weaponAbilities || []);
+    this.owner = owner || null;
 
     // Cooldown tracking: { abilityId: { remaining: seconds, total: seconds } }
     this._cooldowns = {};
 
-    // Active effect tracking: { abilityId: { remaining: seconds } }
+    // Active effect tracking: { abilityId: { remaining: seconds, ability: def } }
     this._activeEffects = {};
   }
 
   /**
    * Check if this player has a specific passive ability.
-   * Used by systems like physics.js to check for movement passives.
+   * Gameplay systems use the hook methods (getExtraJumps, modifyReloadTime,
+   * modifyIncomingDamage) instead; this is for UI and AI decisions.
    */
   AbilityManager.prototype.hasPassive = function (passiveId) {
     for (var i = 0; i < this._passives.length; i++) {
@@ -83,6 +214,58 @@
     return false;
   };
 
+  // Run `value` through every passive that implements `hook`, in hero order
+  AbilityManager.prototype._applyPassives = function (hook, value) {
+    for (var i = 0; i < this._passives.length; i++) {
+      var passive = this._passives[i];
+      var handlers = _passives[passive.id];
+      if (handlers && typeof handlers[hook] === 'function') {
+        value = handlers[hook](this.owner, value, passive);
+      }
+    }
+    return value;
+  };
+
+  /**
+   * Number of extra jumps allowed while airborne (0 without doubleJump).
+   * Called by updateFullPhysics() in physics.js.
+   */
+  AbilityManager.prototype.getExtraJumps = function () {
+    var total = 0;
+    for (var i = 0; i < this._passives.length; i++) {
+      var handlers = _passives[this._passives[i].id];
+      if (handlers && typeof handlers.extraJumps === 'function') {
+        total += handlers.extraJumps(this.owner, this._passives[i]) || 0;
+      }
+    }
+    return total;
+  };
+
+  /**
+   * Reload duration in seconds after passives (e.g. quickReload).
+   * Called by sharedStartReload() in hud.js.
+   */
+  AbilityManager.prototype.modifyReloadTime = function (seconds) {
+    return this._applyPassives('modifyReloadTime', seconds);
+  };
+
+  /**
+   * Get an active ability definition by id (null if this player doesn't have it).
+   */
+  AbilityManager.prototype.getAbility = function (abilityId) {
+    for (var i = 0; i < this._actives.length; i++) {
+      if (this._actives[i].id === abilityId) return this._actives[i];
+    }
+    return null;
+  };
+
+  /**
+   * All active ability definitions (hero abilities first, then weapon abilities).
+   */
+  AbilityManager.prototype.getAbilities = function () {
+    return this._actives;
+  };
+
   /**
    * Get cooldown progress for an ability (0 = ready, 1 = just activated).
    * Used by hud.js to render cooldown indicators.
@@ -102,14 +285,67 @@
   };
 
   /**
-   * Update cooldowns and active effects each frame.
-   * TODO: Also check input state and fire ability callbacks.
+   * Check if an ability's effect is currently running (within its duration).
+   */
+  AbilityManager.prototype.isActive = function (abilityId) {
+    return !!this._activeEffects[abilityId];
+  };
+
+  /**
+   * Trigger an ability if the player has it and it is off cooldown.
+   * Starts the cooldown, fires the effect's onActivate, and tracks the effect
+   * for its duration (duration 0 = instant, no onTick/onEnd).
+   *
+   * @param {string} abilityId
+   * @param {Object} ctx - optional effect context (e.g. { direction: Vector3 } for dash)
+   * @param {Object} callbacks - optional { abilityId: handlers } overriding the registry
+   * @returns {boolean} true if the ability fired
+   */
+  AbilityManager.prototype.activate = function (abilityId, ctx, callbacks) {
+    var ability = this.getAbility(abilityId);
+    if (!ability || !this.isReady(abilityId)) return false;
+    if (this.owner && this.owner.alive === false) return false;
+
+    var total = ability.cooldownSec || 0;
+    this._cooldowns[abilityId] = { remaining: total, total: total };
+
+    var effect = (callbacks && callbacks[abilityId]) || _effects[abilityId];
+    if (!effect) console.warn('abilities: no effect registered for "' + abilityId + '"');
+
+    if (effect && typeof effect.onActivate === 'function') {
+      try { effect.onActivate(this.owner, ability, ctx || {}); } catch (e) { console.warn('abilities: onActivate failed for ' + abilityId, e); }
+    }
+    if (ability.duration > 0) {
+      this._activeEffects[abilityId] = { remaining: ability.duration, ability: ability, effect: effect };
+    }
+    return true;
+  };
+
+  // End a running effect and fire its onEnd handler
+  AbilityManager.prototype._endEffect = function (abilityId) {
+    var active = this._activeEffects[abilityId];
+    if (!active) return;
+    delete this._activeEffects[abilityId];
+    if (active.effect && typeof active.effect.onEnd === 'function') {
+      try { active.effect.onEnd(this.owner, active.ability); } catch (e) { console.warn('abilities: onEnd failed for ' + abilityId, e); }
+    }
+  };
+
+  /**
+   * Update cooldowns and active effects each frame, then activate any abilities
+   * whose keybind was pressed this frame.
    *
    * @param {number} dt - delta time in seconds
-   * @param {Object} inputState - current input (from input.js)
-   * @param {Object} callbacks - { abilityId: function(player, dt) } effect handlers
+   * @param {Object} inputState - current input (from input.js); reads abilityKeys[].
+   *                              Pass null to tick timers without activating.
+   * @param {Object} callbacks - optional { abilityId: handlers } overriding the registry
+   * @param {Object} ctx - optional effect context for keybind activations (e.g. the
+   *                       { direction } a LAN input packet was looking in, for dash)
+   * @returns {Array} ids of abilities activated this frame (for network relay)
    */
-  AbilityManager.prototype.update = function (dt /*, inputState, callbacks */) {
+  AbilityManager.prototype.update = function (dt, inputState, callbacks, ctx) {
+    var fired = [];
+
     // Tick down cooldowns
     for (var id in this._cooldowns) {
       if (this._cooldowns[id].remaining > 0) {
@@ -117,28 +353,70 @@
       }
     }
 
-    // Tick down active effects
+    // Tick active effects, ending any whose duration ran out
     for (var eid in this._activeEffects) {
-      if (this._activeEffects[eid].remaining > 0) {
-        this._activeEffects[eid].remaining -= dt;
-        if (this._activeEffects[eid].remaining <= 0) {
-          delete this._activeEffects[eid];
-        }
+      var active = this._activeEffects[eid];
+      if (active.effect && typeof active.effect.onTick === 'function') {
+        try { active.effect.onTick(this.owner, dt, active.ability); } catch (e) { console.warn('abilities: onTick failed for ' + eid, e); }
       }
+      active.remaining -= dt;
+      if (active.remaining <= 0) this._endEffect(eid);
+    }
+
+    // Keybind-driven activation
+    var keys = inputState && inputState.abilityKeys;
+    if (!keys || keys.length === 0) return fired;
+    for (var i = 0; i < this._actives.length; i++) {
+      var ability = this._actives[i];
+      if (!ability.keybind) continue;
+      if (keys.indexOf(String(ability.keybind).toLowerCase()) === -1) continue;
+      if (this.activate(ability.id, ctx, callbacks)) fired.push(ability.id);
     }
+    return fired;
+  };
+
+  /**
+   * Apply an activation decided elsewhere (LAN host). Restarts the cooldown and
+   * runs the effect even if the local timer hasn't quite expired, so the mirror
+   * stays in step with the authority.
+   */
+  AbilityManager.prototype.syncActivation = function (abilityId, ctx) {
+    if (!this.getAbility(abilityId)) return false;
+    delete this._cooldowns[abilityId];
+    if (this._activeEffects[abilityId]) this._endEffect(abilityId);
+    return this.activate(abilityId, ctx);
+  };
 
-    // TODO: Check inputState for ability keybinds and activate if ready
-    // TODO: Call effect callbacks for active effects
+  /**
+   * Run incoming damage through passives (e.g. damageResistance), then every
+   * active effect's modifyIncomingDamage (e.g. shield).
+   * Called by Player.takeDamage().
+   */
+  AbilityManager.prototype.modifyIncomingDamage = function (amount) {
+    amount = this._applyPassives('modifyIncomingDamage', amount);
+    for (var id in this._activeEffects) {
+      var active = this._activeEffects[id];
+      if (active.effect && typeof active.effect.modifyIncomingDamage === 'function') {
+        amount = active.effect.modifyIncomingDamage(this.owner, amount, active.ability);
+      }
+    }
+    return amount;
   };
 
   /**
    * Reset all cooldowns and active effects (called between rounds).
+   * Running effects get their onEnd so they can clear player state.
    */
   AbilityManager.prototype.reset = function () {
+    for (var id in this._activeEffects) this._endEffect(id);
     this._cooldowns = {};
     this._activeEffects = {};
   };
 
   window.AbilityManager = AbilityManager;
+  window.registerAbilityEffect = registerAbilityEffect;
+  window.getAbilityEffect = getAbilityEffect;
+  window.registerPassive = registerPassive;
+  window.getPassive = getPassive;
 
 })();
@@ -0,0 +1,158 @@
+/**
+ * aiDifficulty.js — AI difficulty profiles and adaptive difficulty
+ *
+ * PURPOSE: Everything that makes one AI harder than another is a plain-JSON
+ * difficulty profile: aim error, reaction time, strafing, cover use, hero
+ * counter-picking, perception and multipliers on its weapon's stats. The
+ * built-in Easy/Medium/Hard are GAME_CONFIG.AI_DIFFICULTY_PRESETS; profiles
+ * edited in the dev workbench are saved to difficulties/ (/api/difficulties) and
+ * loaded on top of them. AdaptiveDifficulty retunes a profile between rounds
+ * from how the player is doing.
+ *
+ * EXPORTS (window):
+ *   AI_DIFFICULTIES                — loaded profiles, built-ins first
+ *   getAIDifficulty(d)             — full profile for an id or name (any case) or a
+ *                                    profile object; anything unknown gets the first
+ *   normalizeAIDifficulty(profile) — copy with every missing or bad field taken from
+ *                                    the first built-in
+ *   loadAIDifficultiesFromServer() — promise of the saved profiles, which are added
+ *                                    to AI_DIFFICULTIES (or replace one by id)
+ *   AdaptiveDifficulty             — constructor: new AdaptiveDifficulty(baseProfile)
+ *
+ * DEPENDENCIES: config.js (GAME_CONFIG.AI_DIFFICULTY_PRESETS)
+ *
+ * PROFILE FORMAT:
+ *   id, name           — id is the file name; name is shown in menus
+ *   aimErrorRad        — random aim offset per shot (radians)
+ *   reactionDelayMin/Max — seconds before the first shot at a newly seen target
+ *   strafeMult, jumpMult — scale the playstyle's strafing and jump chance
+ *   coverThresholdAdd  — added to the playstyle's health % for taking cover
+ *   abilityCheckSec    — how often abilities are considered
+ *   counterPickWeight  — how much the hero pick counters the player's last hero
+ *   greedyHeroPick     — take the best-scoring hero instead of a weighted draw
+ *   perception         — AIPerception profile (fovDeg, peripheralDeg, noticeSec,
+ *                        sightRange, hearingMult, memorySec, soundFuzz)
+ *   weapon             — damageMult, cooldownMult, reloadMult on the hero's weapon
+ *
+ * ADAPTIVE (modeAI.js with opts.adaptive):
+ *   A level from -1 (much easier) to 1 (much harder) starts at 0 and moves after
+ *   every round by up to STEP: up when the player wins, more so with health to
+ *   spare and good accuracy; down when the player loses. The enemy AIs of the
+ *   next round get the base profile tuned by that level (tune()). Weapon
+ *   multipliers and hero picking are left as the base profile has them.
+ */
+
+(function () {
+
+  var BUILTIN = (window.GAME_CONFIG && GAME_CONFIG.AI_DIFFICULTY_PRESETS) || [];
+
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  }
+
+  function pick(value, fallback) {
+    if (typeof fallback === 'boolean') return (typeof value === 'boolean') ? value : fallback;
+    return (typeof value === 'number' && isFinite(value)) ? value : fallback;
+  }
+
+  // One level of fields: every key of defaults, from profile where it's usable
+  function fill(profile, defaults) {
+    var out = {};
+    profile = (profile && typeof profile === 'object') ? profile : {};
+    Object.keys(defaults).forEach(function (key) {
+      out[key] = pick(profile[key], defaults[key]);
+    });
+    return out;
+  }
+
+  function normalizeAIDifficulty(profile) {
+    var base = BUILTIN[0];
+    profile = profile || {};
+    var out = fill(profile, base);
+    out.id = String(profile.id || profile.name || base.id);
+    out.name = String(profile.name || profile.id || base.name);
+    out.perception = fill(profile.perception, base.perception);
+    out.weapon = fill(profile.weapon, base.weapon);
+    out.reactionDelayMax = Math.max(out.reactionDelayMin, out.reactionDelayMax);
+    return out;
+  }
+
+  function getAIDifficulty(d) {
+    if (d && typeof d === 'object') return normalizeAIDifficulty(d);
+    var key = String(d || '').toLowerCase();
+    var list = window.AI_DIFFICULTIES || [];
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].id.toLowerCase() === key || list[i].name.toLowerCase() === key) return normalizeAIDifficulty(list[i]);
+    }
+    return normalizeAIDifficulty(list[0] || BUILTIN[0]);
+  }
+
+  function loadAIDifficultiesFromServer() {
+    return fetch('/api/difficulties').then(function (r) { return r.json(); }).then(function (names) {
+      if (!names || !names.length) return [];
+      return Promise.all(names.map(function (name) {
+        return fetch('/api/difficulties/' + encodeURIComponent(name)).then(function (r) { return r.json(); }).catch(function () { return null; });
+      }));
+    }).then(function (saved) {
+      var list = BUILTIN.map(normalizeAIDifficulty);
+      var valid = (saved || []).filter(function (p) { return p && p.id; }).map(normalizeAIDifficulty);
+      valid.forEach(function (profile) {
+        var at = list.findIndex(function (p) { return p.id === profile.id; });
+        if (at === -1) list.push(profile); else list[at] = profile;
+      });
+      window.AI_DIFFICULTIES = list;
+      return valid;
+    }).catch(function () {
+      // Keep the profiles already loaded
+      return [];
+    });
+  }
+
+  // --- Adaptive difficulty ---
+
+  function AdaptiveDifficulty(baseProfile) {
+    this.base = getAIDifficulty(baseProfile);
+    this.level = 0;
+    this.profile = AdaptiveDifficulty.tune(this.base, 0);
+  }
+
+  AdaptiveDifficulty.STEP = 0.25;            // most the level moves after one round
+  AdaptiveDifficulty.TARGET_ACCURACY = 0.35; // player accuracy that neither raises nor lowers it
+
+  // round: { won (true, false, or null for a draw), margin (0..1: health the
+  // round's winner had left), accuracy (0..1 of the player's pellets that hit
+  // an enemy, or null if the player didn't shoot) }. Returns the new level.
+  AdaptiveDifficulty.prototype.recordRound = function (round) {
+    var score = 0;
+    if (typeof round.won === 'boolean') score = (round.won ? 1 : -1) * (0.5 + 0.5 * clamp(round.margin || 0, 0, 1));
+    if (typeof round.accuracy === 'number') score += round.accuracy - AdaptiveDifficulty.TARGET_ACCURACY;
+    this.level = clamp(this.level + AdaptiveDifficulty.STEP * clamp(score, -1, 1), -1, 1);
+    this.profile = AdaptiveDifficulty.tune(this.base, this.level);
+    return this.level;
+  };
+
+  // The profile made harder (level > 0) or easier (level < 0); level 1 halves the
+  // aim error and takes 40% off reaction time
+  AdaptiveDifficulty.tune = function (profile, level) {
+    var p = normalizeAIDifficulty(profile);
+    var k = clamp(level, -1, 1);
+    p.aimErrorRad *= 1 - 0.5 * k;
+    p.reactionDelayMin *= 1 - 0.4 * k;
+    p.reactionDelayMax *= 1 - 0.4 * k;
+    p.abilityCheckSec *= 1 - 0.4 * k;
+    p.strafeMult *= 1 + 0.25 * k;
+    p.jumpMult *= 1 + 0.25 * k;
+    p.coverThresholdAdd -= 10 * k;
+    p.perception.noticeSec *= 1 - 0.3 * k;
+    p.perception.hearingMult *= 1 + 0.2 * k;
+    p.perception.memorySec *= 1 + 0.3 * k;
+    return p;
+  };
+
+  window.AI_DIFFICULTIES = BUILTIN.map(normalizeAIDifficulty);
+  window.getAIDifficulty = getAIDifficulty;
+  window.normalizeAIDifficulty = normalizeAIDifficulty;
+  window.loadAIDifficultiesFromServer = loadAIDifficultiesFromServer;
+  window.AdaptiveDifficulty = AdaptiveDifficulty;
+
+})();
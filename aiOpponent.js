@@ -1,76 +1,164 @@
 /**
  * aiOpponent.js — AI opponent for competitive single-player mode
  *
- * PURPOSE: Full AI opponent with 7-state state machine, A* pathfinding on a
- * 25-point waypoint graph, cover system, layered strafing, and difficulty-scaled
- * aim error and reaction time. Uses Player class via composition for mesh, health,
- * hitbox, and physics state.
+ * PURPOSE: Full AI opponent with 8-state state machine, A* pathfinding on the
+ * arena's nav grid, cover system, layered strafing, and a difficulty profile
+ * (aiDifficulty.js) for aim error, reaction time and the rest. Extends BotEntity (botEntity.js), which holds the
+ * Player (mesh, health, hitbox, physics state) and the movement, weapon and
+ * aim-error helpers shared with the other bots. Fights any number of enemies next to any number of
+ * teammates (modeAI.js free-for-all and team matches).
  *
  * EXPORTS (window):
  *   AIOpponent — constructor function
+ *   AISquad    — shared cover claims and enemy sightings for the AIs on one team
  *
- * DEPENDENCIES: player.js (Player), weapon.js (Weapon), game.js (camera global),
+ * DEPENDENCIES: botEntity.js (BotEntity), game.js (camera global),
  *   physics.js (updateFullPhysics, GROUND_Y, EYE_HEIGHT, hasBlockingBetween),
- *   projectiles.js (sharedFireWeapon)
+ *   projectiles.js (sharedFireWeapon), simCore.js (simRandom, simNow),
+ *   navGrid.js (getNavGrid), aiPerception.js (AIPerception),
+ *   aiDifficulty.js (getAIDifficulty)
  *
  * STATE MACHINE:
- *   SPAWN_RUSH → PATROL → ENGAGE → SEEK_COVER → HOLD_COVER → FLANK → STUCK_RECOVER
+ *   SPAWN_RUSH → PATROL → SEARCH → ENGAGE → SEEK_COVER → HOLD_COVER → FLANK → STUCK_RECOVER
+ *   PATROL roams the map while no enemy is known; SEARCH heads for a known
+ *   enemy's last-known position and looks around there (LOOKING_AROUND) before
+ *   giving up on that lead.
+ *
+ * PERCEPTION (AIPerception, profile from the difficulty's perception):
+ *   The AI only fights enemies it has noticed in its view cone (awareness builds
+ *   faster ahead and close, slower at the edge of vision and far away), heard
+ *   (ctx.noises: footsteps, shots, pain), been shot by, or had called out by a
+ *   teammate. Anyone else is invisible to it even in plain line of sight. Out of
+ *   sight, a target is chased to where it was last seen or heard, a memory that
+ *   fades after memorySec. Hard sees wider, notices faster, hears further and
+ *   remembers longer, but never through walls.
  *
  * PLAYSTYLES (randomly selected per round):
- *   aggressive — close range, low cover threshold, high sprint/jump
- *   defensive  — long range, high cover threshold, frequent cover use
+ *   aggressive — near end of its weapon's range, low cover threshold, high sprint/jump
+ *   defensive  — far end of its weapon's range, high cover threshold, frequent cover use
  *   balanced   — middle ground between aggressive and defensive
  *
- * DIFFICULTY (Easy/Medium/Hard):
+ * HERO CHOICE (per round, AIOpponent.chooseHero):
+ *   Each hero in window.HEROES is classed by its weapon as close (multi-pellet or
+ *   short maxRange), long (slow, hard-hitting shots) or mid. The AI weights heroes
+ *   whose class suits its playstyle (aggressive→close, balanced→mid,
+ *   defensive→long) and, by the difficulty's counterPickWeight (none on Easy),
+ *   heroes that counter the class of the player's previous pick (close→long,
+ *   long→mid, mid→close). It draws at random by weight, or takes the best score
+ *   with greedyHeroPick (Hard). The pick is applied with
+ *   applyHeroToPlayer, so health, speeds, hitbox, abilities and weapon (pellets,
+ *   scope, projectile speed/gravity) all come from the hero.
+ *
+ * HERO TACTICS (AIOpponent.heroTactics, from the weapon in hand):
+ *   Engage distance comes from the weapon's range class (ENGAGE_RANGES), with
+ *   the playstyle's rangeBias picking a spot inside it.
+ *   close — pushes into melee range whenever the swing is ready (CLOSING_IN)
+ *   long  — holds its sightline: doesn't walk toward a visible target, waits a
+ *           moment at the angle when the target ducks out (HOLDING_ANGLE) and
+ *           never flanks out of a stalemate
+ *   Scoped weapons (scope.type 'scope') zoom in for shots from SCOPE_MIN_DIST:
+ *   the AI stands still and its spread and aim error shrink (SCOPED).
+ *
+ * ABILITIES (AIOpponent.ABILITY_TACTICS):
+ *   Every abilityCheckSec (by difficulty) the AI asks the tactic for each ready
+ *   hero/weapon ability whether to use it now; abilities without a tactic are
+ *   never used. dash closes the gap to melee, runs for cover when hurt or dodges
+ *   when hit in the open; shield when hurt under fire or going in close;
+ *   chargedShot just before a shot in range. The last ability shows in
+ *   getCurrentBehavior() for a moment.
+ *
+ * PATHFINDING:
+ *   Paths come from getNavGrid(arena) (navGrid.js): a dense grid generated from
+ *   the map's colliders, ramps and step height, cached per map, so custom maps
+ *   get the same navigation as the default one. Without navGrid.js the AI falls
+ *   back to A* over arena.waypoints linked by line of sight.
+ *
+ * TEAMS (update ctx.enemies / ctx.allies, opts.squad):
+ *   Target: every 0.5s the AI scores each enemy it knows of (AIOpponent.scoreTarget):
+ *   seen beats remembered, near beats far, and it favours whoever shot it last,
+ *   wounded enemies, enemies a teammate called out, and its current target.
+ *   Friendly fire: allies' bodies stop paint (without damage), so the AI holds
+ *   fire and sidesteps while an ally is in its line of fire
+ *   (AIOpponent.allyInLineOfFire).
+ *   Squad: AIs on a team share an AISquad. Each claims the cover spot it heads
+ *   for and avoids spots claimed by teammates or standing next to them. Enemies
+ *   it sees are reported as sightings; a new sighting is a callout
+ *   (ctx.onCallout), and called-out enemies draw the rest of the team.
+ *
+ * DIFFICULTY (opts.difficulty: a profile id or name, or a profile object; see
+ * PROFILE FORMAT in aiDifficulty.js):
  *   Aim error:     Easy 0.08rad, Medium 0.035rad, Hard 0.012rad
  *   Reaction time: Easy 400-650ms, Medium 200-380ms, Hard 100-220ms
- *
- * TODO (future):
- *   - AI hero selection (use hero system instead of default Marksman)
- *   - Difficulty could also affect weapon stats (not just aim/reaction)
- *   - Use sharedStartReload() instead of inline reload logic
- *   - Counter-picking: AI adapts playstyle based on player's hero choice
- *   - Ability usage by AI (when ability system is implemented)
- *   - Extract base BotEntity class shared with trainingBot.js
+ *   The profile also scales strafing, jumping, cover use, ability checks and
+ *   hero counter-picking, sets the perception profile, and multiplies the
+ *   hero's weapon damage, fire rate and reload time (on every applyHero).
  */
 
-class AIOpponent {
-  constructor(opts) {
-    const { difficulty = 'Easy', arena, spawn, color = 0xff5555 } = opts || {};
-    this.difficulty = difficulty;
-    this.arena = arena;
-
-    // Aim error per difficulty — AI uses the same weapon as the player,
-    // but intentionally aims slightly off-target based on difficulty.
-    const aimErrors = {
-      Easy:   0.08,   // ~4.6 degrees — misses most shots at range
-      Medium: 0.035,  // ~2.0 degrees — hits roughly half
-      Hard:   0.012,  // ~0.7 degrees — very accurate, rarely misses
-    };
-    this._aimErrorRad = aimErrors[this.difficulty] || aimErrors.Easy;
-
-    // Create Player instance via composition
-    this.player = new Player({
-      position: spawn ? new THREE.Vector3(spawn.x, GROUND_Y + EYE_HEIGHT, spawn.z) : undefined,
-      feetY: GROUND_Y,
-      walkSpeed: 4.5,
-      sprintSpeed: 8.5,
-      radius: 0.5,
-      maxHealth: 100,
-      color: color,
-      cameraAttached: false,
-      weapon: new Weapon()
-    });
+class AISquad {
+  constructor() {
+    this._coverClaims = {}; // ai id -> claimed cover position
+    this._sightings = {};   // enemy id -> { pos, time, by }
+  }
 
-    // Apply Marksman hero to get proper hitbox segments, weapon, and stats
-    if (typeof applyHeroToPlayer === 'function') {
-      applyHeroToPlayer(this.player, 'marksman');
+  claimCover(aiId, pos) {
+    this._coverClaims[aiId] = pos.clone();
+  }
+
+  releaseCover(aiId) {
+    delete this._coverClaims[aiId];
+  }
+
+  // True if a member other than aiId holds a spot within COVER_SPACING of pos
+  isCoverTaken(pos, aiId) {
+    for (var id in this._coverClaims) {
+      if (id === aiId) continue;
+      var c = this._coverClaims[id];
+      if (Math.hypot(c.x - pos.x, c.z - pos.z) < AISquad.COVER_SPACING) return true;
     }
+    return false;
+  }
+
+  // Records where an enemy was seen; returns true when it is news to the squad
+  // (no sighting of that enemy within CALLOUT_REPEAT_MS), i.e. worth a callout
+  reportSighting(enemyId, pos, reporterId) {
+    var now = simNow();
+    var prev = this._sightings[enemyId];
+    this._sightings[enemyId] = { pos: pos.clone(), time: now, by: reporterId };
+    return !prev || (now - prev.time) > AISquad.CALLOUT_REPEAT_MS;
+  }
+
+  // { pos, time, by } for the enemy's last sighting, if younger than maxAgeMs
+  lastSighting(enemyId, maxAgeMs) {
+    var s = this._sightings[enemyId];
+    if (!s || (simNow() - s.time) > maxAgeMs) return null;
+    return s;
+  }
+}
+
+AISquad.COVER_SPACING = 3;        // m between cover spots held by teammates
+AISquad.CALLOUT_REPEAT_MS = 3000; // a sighting older than this makes a new callout
+
+class AIOpponent extends BotEntity {
+  // opts: { id, team, squad, difficulty, arena, spawn, color, heroId, playerHeroId } —
+  // id/team name this AI in update ctx lists; squad is its team's AISquad (optional).
+  // heroId forces a hero; otherwise one is chosen (playerHeroId is the player's last pick, if any)
+  constructor(opts) {
+    const { id = 'ai', team = null, squad = null, difficulty = 'Easy', arena, spawn, color = 0xff5555, heroId, playerHeroId } = opts || {};
+    // Player defaults before the hero is applied below
+    super({ arena: arena, spawn: spawn, color: color, walkSpeed: 4.5, sprintSpeed: 8.5, maxHealth: 100 });
+    this.id = id;
+    this.team = team;
+    this._squad = squad;
+    // Difficulty profile (see DIFFICULTY in the header). The AI uses the same
+    // weapon as the player, but intentionally aims slightly off-target.
+    this._difficulty = getAIDifficulty(difficulty);
+    this.difficulty = this._difficulty.name;
+    this._aimErrorRad = this._difficulty.aimErrorRad;
 
     // --- Playstyle System ---
     this._playstyles = {
       aggressive: {
-        engageDistMin: 4, engageDistMax: 6,
+        rangeBias: 0.1,
         coverHealthThreshold: 30,
         sprintChance: 0.7, jumpChance: 0.15,
         strafeIntensity: 0.9,
@@ -79,7 +167,7 @@ class AIOpponent {
         approachWeight: 1.0
       },
       defensive: {
-        engageDistMin: 10, engageDistMax: 14,
+        rangeBias: 0.85,
         coverHealthThreshold: 60,
         sprintChance: 0.2, jumpChance: 0.03,
         strafeIntensity: 0.5,
@@ -88,7 +176,7 @@ class AIOpponent {
         approachWeight: 0.5
       },
       balanced: {
-        engageDistMin: 7, engageDistMax: 9,
+        rangeBias: 0.4,
         coverHealthThreshold: 45,
         sprintChance: 0.45, jumpChance: 0.08,
         strafeIntensity: 0.7,
@@ -98,17 +186,28 @@ class AIOpponent {
       }
     };
     var styleNames = ['aggressive', 'defensive', 'balanced'];
-    this._currentStyleName = styleNames[Math.floor(Math.random() * styleNames.length)];
+    this._currentStyleName = styleNames[Math.floor(simRandom() * styleNames.length)];
     this._style = this._playstyles[this._currentStyleName];
 
-    // Difficulty modifiers on top of playstyle
-    // reactionDelayMin/Max: randomized delay (seconds) before AI can shoot after gaining LOS
-    this._diffMods = {
-      Easy:   { coverThresholdAdd: 10, jumpMult: 0.5, strafeMult: 0.7, reactionDelayMin: 0.40, reactionDelayMax: 0.65 },
-      Medium: { coverThresholdAdd: 0, jumpMult: 1.0, strafeMult: 1.0, reactionDelayMin: 0.20, reactionDelayMax: 0.38 },
-      Hard:   { coverThresholdAdd: -10, jumpMult: 1.3, strafeMult: 1.2, reactionDelayMin: 0.10, reactionDelayMax: 0.22 },
-    };
-    this._diffMod = this._diffMods[this.difficulty] || this._diffMods.Easy;
+    // Hero for this round: hitbox segments, weapon and stats
+    this.applyHero(heroId || AIOpponent.chooseHero({
+      style: this._currentStyleName,
+      difficulty: this._difficulty,
+      playerHeroId: playerHeroId
+    }));
+
+    // How this hero's weapon wants to fight; sets the round's engage distances
+    this._tactics = AIOpponent.heroTactics({ weapon: this.weapon }, this._style.rangeBias);
+    this._style = Object.assign({}, this._style, {
+      engageDistMin: this._tactics.engageDistMin,
+      engageDistMax: this._tactics.engageDistMax
+    });
+    this._scoped = false;
+    this._noLOSTimer = 0;
+
+    // What it knows about its enemies (see PERCEPTION in the header)
+    this._perception = new AIPerception(this._difficulty.perception);
+    this._hitNoticedTime = -Infinity; // _lastAttackerTime already passed to perception
 
     // --- State Machine ---
     this._state = 'SPAWN_RUSH';
@@ -116,7 +215,7 @@ class AIOpponent {
     this._lastBehavior = 'RUSHING';
 
     // Movement helpers
-    this._strafeSign = Math.random() < 0.5 ? 1 : -1;
+    this._strafeSign = simRandom() < 0.5 ? 1 : -1;
     this._strafeTimer = 0;
     this._microJitterTimer = 0;
     this._damageDodgeTimer = 0;
@@ -124,23 +223,24 @@ class AIOpponent {
 
     // LOS-based reaction time: tracks when AI first gains sight of player
     this._hadLOS = false;
-    this._losGainedTime = 0;       // performance.now() when LOS was gained
+    this._losGainedTime = 0;       // simNow() when LOS was gained
+    this._losTargetId = null;      // enemy id the LOS window belongs to
     this._currentReactionDelay = 0; // randomized delay for this LOS window
 
     // Spawn rush target: mid-map
     this._rushTarget = new THREE.Vector3(
-      (Math.random() - 0.5) * 10,
+      (simRandom() - 0.5) * 10,
       GROUND_Y + EYE_HEIGHT,
       0
     );
-    this._rushDuration = 2.5 + Math.random() * 1.0;
+    this._rushDuration = 2.5 + simRandom() * 1.0;
 
     // A* pathfinding data
+    this._navGrid = (arena && typeof getNavGrid === 'function') ? getNavGrid(arena) : null;
     this.waypoints = (arena && arena.waypoints) ? arena.waypoints.slice() : [];
     this._currentPath = [];
     this._pathIndex = 0;
-    this._repathTimer = 0;
-    this._waypointGraph = this._buildWaypointGraph();
+    this._waypointGraph = this._navGrid ? null : this._buildWaypointGraph();
 
     // Cover system
     this._coverSpots = [];
@@ -160,62 +260,295 @@ class AIOpponent {
     // Flank state
     this._flankTarget = null;
 
+    // Roaming (PATROL) and searching (SEARCH)
+    this._roamTarget = null;
+    this._searchGoal = null;
+    this._lookAroundTimer = 0;
+    this._lookAroundDir = new THREE.Vector3(0, 0, 1);
+
     // Engage timer (for stalemate → flank transition)
     this._engageTimer = 0;
 
     // Jump cooldown
     this._jumpCooldown = 0;
-  }
 
-  // --- Delegation getters for backward compatibility ---
-  get mesh() { return this.player._meshGroup; }
-  get position() { return this.player.position; }
-  get health() { return this.player.health; }
-  set health(v) { this.player.health = v; }
-  get maxHealth() { return this.player.maxHealth; }
-  get alive() { return this.player.alive; }
-  set alive(v) { this.player.alive = v; }
-  get feetY() { return this.player.feetY; }
-  set feetY(v) { this.player.feetY = v; }
-  get verticalVelocity() { return this.player.verticalVelocity; }
-  set verticalVelocity(v) { this.player.verticalVelocity = v; }
-  get grounded() { return this.player.grounded; }
-  set grounded(v) { this.player.grounded = v; }
-  get walkSpeed() { return this.player.walkSpeed; }
-  get sprintSpeed() { return this.player.sprintSpeed; }
-  get radius() { return this.player.radius; }
-  get weapon() { return this.player.weapon; }
-  get lastDamagedAt() { return this.player.lastDamagedAt; }
-  set lastDamagedAt(v) { this.player.lastDamagedAt = v; }
-
-  get eyePos() {
-    return this.player.getEyePos();
+    // Target selection among several enemies
+    this._targetId = null;
+    this._targetTimer = 0;
+    this._lastAttackerId = null;
+    this._lastAttackerTime = -Infinity;
+
+    // Sidestep out of a teammate's way when it blocks the line of fire
+    this._sidestepDir = new THREE.Vector3();
+    this._sidestepTimer = 0;
+
+    // Ability use (see ABILITIES in the header)
+    this._abilityTimer = 0;
+    this._lastAbilityId = null;
+    this._lastAbilityTime = -Infinity;
   }
 
   getCurrentBehavior() {
     var style = this._currentStyleName.toUpperCase().charAt(0);
-    return this._lastBehavior + ' [' + style + ']';
+    var hero = (typeof getHeroById === 'function') ? getHeroById(this.heroId) : null;
+    var text = this._lastBehavior + ' [' + style + '] ' + (hero ? hero.name : this.heroId);
+    if (this._lastAbilityId && (simNow() - this._lastAbilityTime) < 1500) text += ' +' + this._lastAbilityId;
+    return text;
+  }
+
+  // --- Hero choice ---
+
+  // 'close', 'mid' or 'long' from a hero's weapon config
+  static heroRangeClass(hero) {
+    var w = (hero && hero.weapon) || {};
+    if ((w.pellets || 1) > 1 || (w.maxRange || 200) <= 80) return 'close';
+    if ((w.damage || 0) >= 50 || (w.cooldownMs || 0) >= 500) return 'long';
+    return 'mid';
+  }
+
+  // How a hero's weapon fights (see HERO TACTICS in the header). rangeBias (0..1)
+  // is the playstyle's spot within the class's ENGAGE_RANGES band. Returns
+  // { rangeClass, engageDistMin, engageDistMax, closeToMelee, holdSightline, usesScope }.
+  static heroTactics(hero, rangeBias) {
+    var w = (hero && hero.weapon) || {};
+    var rangeClass = AIOpponent.heroRangeClass(hero);
+    var band = AIOpponent.ENGAGE_RANGES[rangeClass];
+    var bias = (typeof rangeBias === 'number') ? Math.max(0, Math.min(1, rangeBias)) : 0.4;
+    var ideal = band[0] + (band[1] - band[0]) * bias;
+    var halfWidth = Math.max(1, (band[1] - band[0]) * 0.1);
+    return {
+      rangeClass: rangeClass,
+      engageDistMin: ideal - halfWidth,
+      engageDistMax: ideal + halfWidth,
+      closeToMelee: rangeClass === 'close' && (w.meleeRange || 0) > 0,
+      holdSightline: rangeClass === 'long',
+      usesScope: !!(w.scope && w.scope.type === 'scope')
+    };
+  }
+
+  // opts: { style, difficulty (id, name or profile), playerHeroId, heroes } — heroes
+  // defaults to window.HEROES. Returns a hero id (see HERO CHOICE in the header).
+  static chooseHero(opts) {
+    opts = opts || {};
+    var heroes = opts.heroes || window.HEROES || [];
+    if (heroes.length === 0) return 'marksman';
+
+    var RANGES = ['close', 'mid', 'long'];
+    var styleRange = { aggressive: 'close', balanced: 'mid', defensive: 'long' }[opts.style] || 'mid';
+    var counterOf = { close: 'long', mid: 'close', long: 'mid' };
+    var diff = getAIDifficulty(opts.difficulty);
+
+    var playerHero = (opts.playerHeroId && typeof getHeroById === 'function') ? getHeroById(opts.playerHeroId) : null;
+    var counterRange = playerHero ? counterOf[AIOpponent.heroRangeClass(playerHero)] : null;
+
+    var scored = heroes.map(function (hero) {
+      var range = AIOpponent.heroRangeClass(hero);
+      var styleGap = Math.abs(RANGES.indexOf(range) - RANGES.indexOf(styleRange));
+      var score = 1 + (styleGap === 0 ? 2 : styleGap === 1 ? 0.5 : 0);
+      if (counterRange && range === counterRange) score += 2 * diff.counterPickWeight;
+      return { id: hero.id, score: score };
+    });
+
+    if (diff.greedyHeroPick) {
+      var best = Math.max.apply(null, scored.map(function (h) { return h.score; }));
+      scored = scored.filter(function (h) { return h.score === best; });
+      return scored[Math.floor(simRandom() * scored.length)].id;
+    }
+    var total = scored.reduce(function (sum, h) { return sum + h.score; }, 0);
+    var roll = simRandom() * total;
+    for (var i = 0; i < scored.length; i++) {
+      roll -= scored[i].score;
+      if (roll < 0) return scored[i].id;
+    }
+    return scored[scored.length - 1].id;
+  }
+
+  // The hero, then the difficulty's multipliers on the fresh weapon it brings
+  applyHero(heroId) {
+    var hero = super.applyHero(heroId);
+    if (!hero) return hero;
+    var m = this._difficulty.weapon;
+    var w = this.weapon;
+    w.damage *= m.damageMult;
+    w.meleeDamage *= m.damageMult;
+    w.cooldownMs *= m.cooldownMult;
+    w.meleeCooldownMs *= m.cooldownMult;
+    w.reloadTimeSec *= m.reloadMult;
+    return hero;
   }
 
-  takeDamage(amount) {
-    this.player.takeDamage(amount);
-    this._lastDamageTime = performance.now();
+  // attackerId (optional) is the id of whoever dealt the damage; the AI favours
+  // them as a target for a while
+  takeDamage(amount, attackerId) {
+    super.takeDamage(amount);
+    this._lastDamageTime = simNow();
+    if (attackerId) {
+      this._lastAttackerId = attackerId;
+      this._lastAttackerTime = this._lastDamageTime;
+    }
+    if (!this.alive) this._releaseCover();
     // Damage dodge: sharp direction change
     this._damageDodgeTimer = 0.2;
     this._strafeSign *= -1;
   }
 
   destroy() {
-    this.player.destroy();
+    this._releaseCover();
+    super.destroy();
+  }
+
+  // --- Targets ---
+
+  // Score of one enemy as a target; t: { dist, visible, healthFrac, attackedMe,
+  // calledOut, current }. Higher is better.
+  static scoreTarget(t) {
+    var score = -t.dist * 0.2;
+    if (t.visible) score += 10;
+    else if (t.calledOut) score += 3;
+    if (t.attackedMe) score += 6;
+    if (t.current) score += 3;
+    score += (1 - Math.max(0, Math.min(1, t.healthFrac))) * 4;
+    return score;
+  }
+
+  // The first ally whose body is near the line from origin to targetPos (short
+  // of the target), or null. allies: [{ id, entity }] with Player entities.
+  static allyInLineOfFire(origin, targetPos, allies) {
+    var dx = targetPos.x - origin.x, dz = targetPos.z - origin.z;
+    var lenSq = dx * dx + dz * dz;
+    if (lenSq < 1e-6) return null;
+    for (var i = 0; i < allies.length; i++) {
+      var p = allies[i].entity;
+      if (!p || !p.alive) continue;
+      var t = ((p.position.x - origin.x) * dx + (p.position.z - origin.z) * dz) / lenSq;
+      if (t <= 0 || t >= 1) continue;
+      var cx = origin.x + dx * t - p.position.x;
+      var cz = origin.z + dz * t - p.position.z;
+      if (cx * cx + cz * cz > Math.pow((p.radius || 0.5) + 0.35, 2)) continue;
+      // Shot height there against the body (feet to just above the eyes)
+      var y = origin.y + (targetPos.y - origin.y) * t;
+      if (y >= p.feetY && y <= p.feetY + EYE_HEIGHT + 0.3) return allies[i];
+    }
+    return null;
+  }
+
+  // Picks the enemy to fight from enemies ([{ id, entity }], alive) among those
+  // perception knows of. Keeps the current target between re-scores unless it's
+  // gone or forgotten; null while no enemy is known.
+  _selectTarget(enemies, dt) {
+    var perception = this._perception;
+    var current = null;
+    for (var i = 0; i < enemies.length; i++) {
+      if (enemies[i].id === this._targetId && perception.lastKnown(enemies[i].id)) current = enemies[i];
+    }
+    this._targetTimer -= dt;
+    if (current && this._targetTimer > 0) return current;
+    this._targetTimer = 0.5;
+
+    var now = simNow();
+    var best = null;
+    var bestScore = -Infinity;
+    for (var j = 0; j < enemies.length; j++) {
+      var e = enemies[j];
+      var known = perception.lastKnown(e.id);
+      if (!known) continue;
+      var score = AIOpponent.scoreTarget({
+        dist: this.position.distanceTo(known.pos),
+        visible: perception.sees(e.id),
+        healthFrac: e.entity.health / (e.entity.maxHealth || 100),
+        attackedMe: e.id === this._lastAttackerId && (now - this._lastAttackerTime) < 3000,
+        calledOut: !!(this._squad && this._squad.lastSighting(e.id, 4000)),
+        current: e === current
+      });
+      if (score > bestScore) {
+        bestScore = score;
+        best = e;
+      }
+    }
+    this._targetId = best ? best.id : null;
+    return best;
+  }
+
+  // One step of the senses: being shot gives away roughly where the attacker
+  // is, teammates' sightings are shared, then sight and hearing (ctx.noises).
+  // Enemies seen are reported to the squad.
+  _perceive(enemies, ctx, dt) {
+    var perception = this._perception;
+    var eye = this.eyePos;
+    for (var i = 0; i < enemies.length; i++) {
+      var e = enemies[i];
+      if (e.id === this._lastAttackerId && this._lastAttackerTime > this._hitNoticedTime) {
+        perception.locate(e.id, e.entity.getEyePos(), eye, 'hit');
+        this._hitNoticedTime = this._lastAttackerTime;
+      }
+      var called = this._squad ? this._squad.lastSighting(e.id, AISquad.CALLOUT_REPEAT_MS) : null;
+      if (called && called.by !== this.id) perception.remember(e.id, called.pos, 'callout', called.time);
+    }
+
+    perception.update(dt, {
+      eye: eye,
+      facing: this.facingDir(),
+      enemies: enemies,
+      solids: this.arena.solids,
+      noises: ctx.noises
+    });
+
+    for (var j = 0; j < enemies.length; j++) {
+      if (perception.sees(enemies[j].id)) this._reportSighting(enemies[j].id, enemies[j].entity.getEyePos(), ctx);
+    }
+  }
+
+  // Tells the squad where an enemy is; a new sighting becomes a callout
+  _reportSighting(enemyId, pos, ctx) {
+    if (!this._squad) return;
+    if (this._squad.reportSighting(enemyId, pos, this.id) && ctx.onCallout) {
+      ctx.onCallout(enemyId, pos.clone(), this.id);
+    }
+  }
+
+  _releaseCover() {
+    if (this._squad) this._squad.releaseCover(this.id);
+  }
+
+  // --- Roaming and searching ---
+
+  // Somewhere to walk to while no enemy is known: a map waypoint (or a spot in
+  // the play area) a little way off
+  _pickRoamPoint() {
+    var pick = null;
+    for (var i = 0; i < 5; i++) {
+      if (this.waypoints.length > 0) {
+        pick = this.waypoints[Math.floor(simRandom() * this.waypoints.length)].clone();
+      } else {
+        var ext = this._arenaHalfExtents();
+        pick = new THREE.Vector3((simRandom() * 2 - 1) * (ext.halfW - 2), GROUND_Y, (simRandom() * 2 - 1) * (ext.halfL - 2));
+      }
+      if (Math.hypot(pick.x - this.position.x, pick.z - this.position.z) > AIOpponent.ROAM_MIN_DIST) break;
+    }
+    return pick;
+  }
+
+  // A point to look at: baseDir swung side to side by up to amplitudeRad
+  _scanPoint(baseDir, amplitudeRad, t) {
+    var swing = Math.sin(t * 2.2) * amplitudeRad;
+    var c = Math.cos(swing), s = Math.sin(swing);
+    return this.position.clone().add(new THREE.Vector3(baseDir.x * c + baseDir.z * s, 0, baseDir.z * c - baseDir.x * s));
   }
 
   // --- Cover System ---
 
+  // Half width/length of the play area (arenaCompetitive.js arenas have no bounds)
+  _arenaHalfExtents() {
+    var b = this.arena && this.arena.bounds;
+    return b ? { halfW: b.halfW, halfL: b.halfL } : { halfW: 30, halfL: 45 };
+  }
+
   _buildCoverSpots() {
     if (!this.arena || !this.arena.colliders) return;
     var colliders = this.arena.colliders;
-    var arenaHalfW = 30;
-    var arenaHalfL = 45;
+    var extents = this._arenaHalfExtents();
+    var arenaHalfW = extents.halfW;
+    var arenaHalfL = extents.halfL;
     var spots = [];
     var offset = 1.2;
 
@@ -259,7 +592,8 @@ class AIOpponent {
     this._coverSpots = spots;
   }
 
-  _findBestCoverSpot(playerPos) {
+  // allies: [{ id, entity }] — spots a teammate holds or stands at score lower
+  _findBestCoverSpot(playerPos, allies) {
     if (this._coverSpots.length === 0) return null;
     var bestSpot = null;
     var bestScore = -Infinity;
@@ -293,7 +627,15 @@ class AIOpponent {
       var distFromPlayer = spot.position.distanceTo(playerPos);
       var playerDistScore = distFromPlayer > 8 ? 5 : 0;
 
-      var totalScore = distScore + losScore + alignScore + playerDistScore;
+      // Teammates: don't stack on the same cover
+      var crowdScore = 0;
+      if (this._squad && this._squad.isCoverTaken(spot.position, this.id)) crowdScore -= 30;
+      for (var a = 0; a < allies.length; a++) {
+        var ap = allies[a].entity.position;
+        if (Math.hypot(ap.x - spot.position.x, ap.z - spot.position.z) < AISquad.COVER_SPACING) crowdScore -= 10;
+      }
+
+      var totalScore = distScore + losScore + alignScore + playerDistScore + crowdScore;
       if (totalScore > bestScore) {
         bestScore = totalScore;
         bestSpot = spot;
@@ -393,7 +735,16 @@ class AIOpponent {
 
   // --- Helper: Generalized pathfinding ---
 
-  _computePathToPosition(target) {
+  // targetFeetY: feet height at the target (defaults to target.y) so the nav grid
+  // picks the right floor under bridges and platforms
+  _computePathToPosition(target, targetFeetY) {
+    if (this._navGrid) {
+      var from = { x: this.position.x, y: this.feetY, z: this.position.z };
+      var to = { x: target.x, y: (typeof targetFeetY === 'number') ? targetFeetY : target.y, z: target.z };
+      this._currentPath = this._navGrid.findPath(from, to);
+      this._pathIndex = 0;
+      return;
+    }
     if (!this.waypoints || this.waypoints.length === 0) {
       this._currentPath = [];
       this._pathIndex = 0;
@@ -413,7 +764,8 @@ class AIOpponent {
       var toTarget = target.clone().sub(this.position);
       toTarget.y = 0;
       var dist = toTarget.length();
-      if (dist < 1.5) {
+      // Nav grid paths turn right at corners, so only cut them short a little
+      if (dist < (this._navGrid ? 0.4 : 1.5)) {
         this._pathIndex++;
         if (this._pathIndex < this._currentPath.length) {
           target = this._currentPath[this._pathIndex];
@@ -429,124 +781,106 @@ class AIOpponent {
     return moveDir;
   }
 
-  // --- Helper: Aim error model ---
-  // Rotates a direction vector by a random angle (up to maxRad) around a random
-  // axis perpendicular to the direction. This makes the AI "miss" by aiming
-  // slightly off-target rather than relying on weapon spread.
-
-  _applyAimError(dir, maxRad) {
-    if (maxRad <= 0) return dir;
-    // Random angle uniformly distributed in [0, maxRad]
-    var angle = Math.random() * maxRad;
-    // Random rotation axis perpendicular to dir
-    var arbitrary = (Math.abs(dir.y) < 0.9)
-      ? new THREE.Vector3(0, 1, 0)
-      : new THREE.Vector3(1, 0, 0);
-    var perp = new THREE.Vector3().crossVectors(dir, arbitrary).normalize();
-    // Rotate perp around dir by a random azimuth to get a random perpendicular axis
-    var azimuth = Math.random() * Math.PI * 2;
-    perp.applyAxisAngle(dir, azimuth);
-    // Rotate dir around perp by the error angle
-    var result = dir.clone().applyAxisAngle(perp, angle);
-    return result.normalize();
-  }
-
   // --- Helper: Shooting logic ---
 
-  _tryMelee(ctx) {
-    if (!ctx.playerPos) return false;
-    var now = performance.now();
+  _meleeReady() {
     var w = this.weapon;
-    if ((now - w.lastMeleeTime) < w.meleeCooldownMs) return false;
-    if (w.reloading) return false;
+    return !w.reloading && (simNow() - w.lastMeleeTime) >= w.meleeCooldownMs;
+  }
 
-    var dist = this.position.distanceTo(ctx.playerPos);
+  // target: { id, entity } from ctx.enemies
+  _tryMelee(target, ctx) {
+    var w = this.weapon;
+    if (!this._meleeReady()) return false;
+
+    var targetPos = target.entity.getEyePos();
+    var dist = this.position.distanceTo(targetPos);
     if (dist > w.meleeRange) return false;
 
     var origin = this.eyePos;
-    var dir = ctx.playerPos.clone().sub(origin).normalize();
+    var dir = targetPos.clone().sub(origin).normalize();
 
-    var meleeTargets = [];
-    if (ctx.playerSegments && ctx.playerSegments.length > 0) {
-      meleeTargets.push({ segments: ctx.playerSegments });
-    } else {
-      meleeTargets.push({ position: ctx.playerPos, radius: ctx.playerRadius || 0.35 });
-    }
-
-    var self = this;
     sharedMeleeAttack(w, origin, dir, {
       solids: this.arena.solids,
-      targets: meleeTargets,
-      onHit: function (target, point, dist, totalDamage) {
-        if (ctx.onPlayerHit) ctx.onPlayerHit(totalDamage);
+      targets: [{ segments: target.entity.getHitSegments() }],
+      onHit: function (hit, point, dist, totalDamage) {
+        if (ctx.onHit) ctx.onHit(target.id, totalDamage);
       }
     });
+    if (ctx.onMelee) ctx.onMelee(w.meleeSwingMs);
 
     // Play TP swing animation on AI's player mesh
     if (this.player.triggerMeleeSwing) this.player.triggerMeleeSwing(w.meleeSwingMs);
     return true;
   }
 
-  _tryShoot(ctx, hasLOS) {
+  // target: { id, entity } from ctx.enemies
+  _tryShoot(target, ctx, hasLOS) {
     if (!hasLOS || this.weapon.reloading) return;
-    var now = performance.now();
-    var canShoot = (now - this.weapon.lastShotTime) >= this.weapon.cooldownMs;
+    var now = simNow();
 
     // Per-LOS-acquisition reaction delay: AI can't shoot until reaction time has passed
     // since it first gained line of sight (resets each time LOS is lost and regained)
     if ((now - this._losGainedTime) < this._currentReactionDelay * 1000) return;
 
     // Try melee first if close enough
-    if (this._tryMelee(ctx)) return;
-
-    if (canShoot && this.weapon.ammo > 0) {
-      var origin = this.eyePos;
-      var perfectDir = ctx.playerPos.clone().sub(origin).normalize();
-      // Apply aim error: AI intentionally aims slightly off-target
-      var aimDir = this._applyAimError(perfectDir, this._aimErrorRad);
-      var self = this;
-      // Build target with segments if available, else fall back to position+radius
-      var aiTargets = [];
-      var aiTargetEntities = [];
-      if (ctx.playerSegments && ctx.playerSegments.length > 0) {
-        aiTargets.push({ segments: ctx.playerSegments });
-        if (ctx.playerEntity) aiTargetEntities.push(ctx.playerEntity);
-      } else {
-        aiTargets.push({ position: ctx.playerPos, radius: ctx.playerRadius || 0.35 });
-      }
-      var result = sharedFireWeapon(this.weapon, origin, aimDir, {
-        spreadOverride: this.weapon.spreadRad,
-        solids: this.arena.solids,
-        targets: aiTargets,
-        projectileTargetEntities: aiTargetEntities,
-        tracerColor: 0xff6666,
-        onHit: function (target, point, dist, pelletIdx, damageMultiplier) {
-          if (ctx.onPlayerHit) ctx.onPlayerHit(self.weapon.damage * (damageMultiplier || 1.0));
-        }
-      });
-      if (result.magazineEmpty) {
-        this.weapon.reloading = true;
-        this.weapon.reloadEnd = now + this.weapon.reloadTimeSec * 1000;
-      }
-    } else if (canShoot && this.weapon.ammo <= 0) {
-      this.weapon.reloading = true;
-      this.weapon.reloadEnd = now + this.weapon.reloadTimeSec * 1000;
-    }
-  }
+    if (this._tryMelee(target, ctx)) return;
 
-  // --- Helper: Apply movement through physics ---
+    var origin = this.eyePos;
+    var targetPos = target.entity.getEyePos();
+
+    // A teammate in the way would just soak up the paint: step aside instead
+    var allies = ctx.allies || [];
+    var blocker = AIOpponent.allyInLineOfFire(origin, targetPos, allies);
+    if (blocker) {
+      var toAlly = blocker.entity.position.clone().sub(this.position);
+      var side = new THREE.Vector3(-(targetPos.z - origin.z), 0, targetPos.x - origin.x).normalize();
+      if (side.dot(toAlly) > 0) side.negate();
+      this._sidestepDir.copy(side);
+      this._sidestepTimer = 0.4;
+      this._lastBehavior = 'HOLDING_FIRE';
+      return;
+    }
 
-  _applyMovement(moveDir, wantSprint, wantJump, dt) {
-    moveDir.y = 0;
-    if (moveDir.lengthSq() > 1e-6) moveDir.normalize(); else moveDir.set(0, 0, 0);
+    // Still cycling the weapon (an empty one reloads through fireAlong)
+    if (this.weapon.ammo > 0 && !this.canFire()) return;
+
+    var perfectDir = targetPos.clone().sub(origin).normalize();
+    // Apply aim error: AI intentionally aims slightly off-target (less when scoped)
+    var scope = this._scoped ? this.weapon.scope : null;
+    var aimDir = this.applyAimError(perfectDir, this._aimErrorRad * (scope ? AIOpponent.SCOPED_AIM_MULT : 1));
+    // Every live body can stop a pellet; only enemies take damage
+    this.fireAlong(aimDir, {
+      targets: ctx.enemies || [],
+      blockers: allies,
+      spreadMult: scope ? (scope.spreadMultiplier || 1) : 1,
+      onHit: ctx.onHit,
+      onShot: ctx.onShot
+    });
+  }
 
-    updateFullPhysics(
-      this.player,
-      { worldMoveDir: moveDir, sprint: wantSprint, jump: wantJump },
-      { colliders: this.arena.colliders, solids: this.arena.solids },
-      dt
-    );
-    this.player._syncMeshPosition();
+  // --- Abilities ---
+
+  // Uses every ready ability whose tactic (AIOpponent.ABILITY_TACTICS) asks for
+  // it in this situation. s: { target, dist, dir, hasLOS, healthFrac, hurtRecently }
+  _useAbilities(s, dt) {
+    var mgr = this.player.abilities;
+    if (!mgr) return;
+    this._abilityTimer -= dt;
+    if (this._abilityTimer > 0) return;
+    this._abilityTimer = this._difficulty.abilityCheckSec;
+
+    var abilities = mgr.getAbilities();
+    for (var i = 0; i < abilities.length; i++) {
+      var ability = abilities[i];
+      var tactic = AIOpponent.ABILITY_TACTICS[ability.id];
+      if (typeof tactic !== 'function' || !mgr.isReady(ability.id) || mgr.isActive(ability.id)) continue;
+      var activation = tactic(this, s, ability);
+      if (activation && mgr.activate(ability.id, activation)) {
+        this._lastAbilityId = ability.id;
+        this._lastAbilityTime = simNow();
+      }
+    }
   }
 
   // --- Helper: Layered strafe direction ---
@@ -555,15 +889,15 @@ class AIOpponent {
     // Base strafe: irregular intervals (0.5–2.5s, weighted toward short)
     this._strafeTimer -= dt;
     if (this._strafeTimer <= 0) {
-      this._strafeTimer = 0.5 + Math.random() * Math.random() * 2.0; // weighted short
+      this._strafeTimer = 0.5 + simRandom() * simRandom() * 2.0; // weighted short
       this._strafeSign *= -1;
     }
 
     // Micro-jitter: 30% chance of quick reversal every 150-400ms
     this._microJitterTimer -= dt;
     if (this._microJitterTimer <= 0) {
-      this._microJitterTimer = 0.15 + Math.random() * 0.25;
-      if (Math.random() < 0.30) {
+      this._microJitterTimer = 0.15 + simRandom() * 0.25;
+      if (simRandom() < 0.30) {
         this._strafeSign *= -1;
       }
     }
@@ -574,7 +908,7 @@ class AIOpponent {
     }
 
     var right = new THREE.Vector3(-dir.z, 0, dir.x).normalize();
-    var intensity = this._style.strafeIntensity * this._diffMod.strafeMult;
+    var intensity = this._style.strafeIntensity * this._difficulty.strafeMult;
     return right.multiplyScalar(this._strafeSign * intensity);
   }
 
@@ -583,9 +917,9 @@ class AIOpponent {
   _shouldJump(dt) {
     this._jumpCooldown -= dt;
     if (this._jumpCooldown > 0) return false;
-    var chance = this._style.jumpChance * this._diffMod.jumpMult;
-    if (Math.random() < chance * dt) {
-      this._jumpCooldown = 1.0 + Math.random() * 1.5;
+    var chance = this._style.jumpChance * this._difficulty.jumpMult;
+    if (simRandom() < chance * dt) {
+      this._jumpCooldown = 1.0 + simRandom() * 1.5;
       return true;
     }
     return false;
@@ -617,16 +951,24 @@ class AIOpponent {
   _enterState(newState) {
     this._state = newState;
     this._stateTimer = 0;
+    // A new cover search or leaving cover frees the spot for teammates
+    if (newState !== 'HOLD_COVER') this._releaseCover();
 
     switch (newState) {
       case 'SPAWN_RUSH':
         this._lastBehavior = 'RUSHING';
         break;
       case 'PATROL':
-        this._lastBehavior = 'PATHING';
+        this._lastBehavior = 'ROAMING';
+        this._roamTarget = null;
+        this._currentPath = [];
+        this._pathIndex = 0;
+        break;
+      case 'SEARCH':
+        this._lastBehavior = 'SEARCHING';
+        this._searchGoal = null;
         this._currentPath = [];
         this._pathIndex = 0;
-        this._repathTimer = 0;
         break;
       case 'ENGAGE':
         this._lastBehavior = 'ENGAGING';
@@ -641,7 +983,7 @@ class AIOpponent {
       case 'HOLD_COVER':
         this._lastBehavior = 'IN_COVER';
         this._coverPeekState = 'hiding';
-        this._coverPeekTimer = 0.8 + Math.random() * 0.5;
+        this._coverPeekTimer = 0.8 + simRandom() * 0.5;
         this._coverOriginalPos = this.position.clone();
         break;
       case 'FLANK':
@@ -654,48 +996,73 @@ class AIOpponent {
         this._lastBehavior = 'UNSTICKING';
         this._stuckCount = 0;
         // Random direction + jump
-        var angle = Math.random() * Math.PI * 2;
+        var angle = simRandom() * Math.PI * 2;
         this._stuckRecoverDir.set(Math.cos(angle), 0, Math.sin(angle));
-        this._stuckRecoverTimer = 1.0 + Math.random() * 0.5;
+        this._stuckRecoverTimer = 1.0 + simRandom() * 0.5;
         break;
     }
   }
 
   // --- Main Update ---
+  // ctx: { enemies: [{ id, entity }], allies: [{ id, entity }], onHit(victimId, dmg),
+  //        onShot(origin, pelletResult, weapon), onMelee(swingMs), onCallout(enemyId, pos, byId),
+  //        noises: [{ type, sourceId, pos, sprinting }] }
+  // entity is the fighter's Player; dead ones are skipped. noises are what fighters
+  // did since the last step (see HEARING in aiPerception.js). Everything but enemies is optional.
 
   update(dt, ctx) {
     if (!this.alive) return;
 
-    var now = performance.now();
+    var now = simNow();
+    var enemies = (ctx.enemies || []).filter(function (e) { return e.entity && e.entity.alive; });
+    var allies = (ctx.allies || []).filter(function (a) { return a.entity && a.entity.alive; });
 
-    // Reload
-    if (this.weapon.reloading) {
-      if (now >= this.weapon.reloadEnd) {
-        this.weapon.reloading = false;
-        this.weapon.ammo = this.weapon.magSize;
-      }
-    }
+    this.updateReload();
+
+    // Tick ability cooldowns and running effects
+    if (this.player.abilities) this.player.abilities.update(dt, null);
 
     // Increment state timer
     this._stateTimer += dt;
 
-    // Compute common context
-    var playerPos = ctx.playerPos;
+    // Nobody left to fight: stand still (still falling if airborne)
+    if (enemies.length === 0) {
+      this.move(new THREE.Vector3(), false, false, dt);
+      return;
+    }
+
+    // Only enemies it has seen, heard or been told about are targets
+    this._perceive(enemies, ctx, dt);
+    var target = this._selectTarget(enemies, dt);
+
+    // Compute common context. hasLOS means the AI sees the target now; otherwise
+    // targetPos is where it was last seen or heard. With no target known at all,
+    // the AI roams (PATROL) and there's no direction to fight in.
     var solids = this.arena.solids;
-    var toPlayer = playerPos.clone().sub(this.position);
-    toPlayer.y = 0;
-    var dist = Math.max(0.001, toPlayer.length());
-    var dir = toPlayer.clone().normalize();
-    var hasLOS = !hasBlockingBetween(this.eyePos, playerPos, solids);
-
-    // Track LOS transitions for reaction time
-    if (hasLOS && !this._hadLOS) {
+    var hasLOS = !!target && this._perception.sees(target.id);
+    var targetPos = null;
+    var dist = Infinity;
+    var dir = new THREE.Vector3();
+    if (target) {
+      targetPos = hasLOS ? target.entity.getEyePos() : this._perception.lastKnown(target.id).pos.clone();
+      var toTarget = targetPos.clone().sub(this.position);
+      toTarget.y = 0;
+      dist = Math.max(0.001, toTarget.length());
+      dir = toTarget.normalize();
+    }
+
+    // Track LOS transitions for reaction time (a new target counts as new sight)
+    if (hasLOS && (!this._hadLOS || target.id !== this._losTargetId)) {
       // Just gained LOS — start reaction timer with randomized delay
       this._losGainedTime = now;
-      var dm = this._diffMod;
-      this._currentReactionDelay = dm.reactionDelayMin + Math.random() * (dm.reactionDelayMax - dm.reactionDelayMin);
+      var dm = this._difficulty;
+      this._currentReactionDelay = dm.reactionDelayMin + simRandom() * (dm.reactionDelayMax - dm.reactionDelayMin);
     }
     this._hadLOS = hasLOS;
+    this._losTargetId = target ? target.id : null;
+    this._noLOSTimer = hasLOS ? 0 : this._noLOSTimer + dt;
+    this._scoped = false;
+    var tactics = this._tactics;
 
     // Stuck detection (runs in all states except STUCK_RECOVER)
     if (this._state !== 'STUCK_RECOVER') {
@@ -703,12 +1070,20 @@ class AIOpponent {
     }
 
     // Effective cover health threshold (playstyle + difficulty modifier)
-    var coverThreshold = this._style.coverHealthThreshold + this._diffMod.coverThresholdAdd;
+    var coverThreshold = this._style.coverHealthThreshold + this._difficulty.coverThresholdAdd;
+
+    // Roam while nobody is known; go looking for a known target out of sight
+    if (!target && this._state !== 'SPAWN_RUSH' && this._state !== 'PATROL' && this._state !== 'STUCK_RECOVER') {
+      this._enterState('PATROL');
+    } else if (target && this._state === 'PATROL') {
+      this._enterState(hasLOS ? 'ENGAGE' : 'SEARCH');
+    }
 
     // State machine
     var moveDir = new THREE.Vector3();
     var wantSprint = false;
     var wantJump = false;
+    var lookAt = null; // where to face instead of the target (or, without one, the way it walks)
 
     switch (this._state) {
 
@@ -722,7 +1097,7 @@ class AIOpponent {
         }
         wantSprint = true;
         // Occasional jump during rush
-        if (Math.random() < 0.02) wantJump = true;
+        if (simRandom() < 0.02) wantJump = true;
 
         // Transition: if has LOS and close enough, engage
         if (hasLOS && dist < 20) {
@@ -730,27 +1105,55 @@ class AIOpponent {
         }
         // Transition: rush timer expired
         else if (this._stateTimer > this._rushDuration) {
-          if (hasLOS) {
-            this._enterState('ENGAGE');
-          } else {
-            this._enterState('PATROL');
-          }
+          this._enterState(hasLOS ? 'ENGAGE' : target ? 'SEARCH' : 'PATROL');
         }
         break;
 
       case 'PATROL':
-        this._lastBehavior = 'PATHING';
-        // A* navigate toward player
-        this._repathTimer -= dt;
-        if (this._currentPath.length === 0 || this._pathIndex >= this._currentPath.length || this._repathTimer <= 0) {
-          this._repathTimer = 1.5 + Math.random();
-          this._computePathToPosition(playerPos);
+        // Nobody known: walk the map from waypoint to waypoint, glancing around
+        this._lastBehavior = 'ROAMING';
+        if (!this._roamTarget || Math.hypot(this._roamTarget.x - this.position.x, this._roamTarget.z - this.position.z) < 2 ||
+            this._stateTimer > AIOpponent.ROAM_LEG_SEC) {
+          this._roamTarget = this._pickRoamPoint();
+          this._stateTimer = 0;
+          this._computePathToPosition(this._roamTarget);
         }
         moveDir = this._followPath(dt);
-        // Sprint when far from player
-        wantSprint = dist > 15 && Math.random() < this._style.sprintChance;
+        if (moveDir.lengthSq() < 1e-6) {
+          this._roamTarget = null; // path done or none found: pick another next step
+        } else {
+          lookAt = this._scanPoint(moveDir, AIOpponent.ROAM_SCAN_RAD, this._stateTimer);
+        }
+        break;
 
-        // Transition: gained LOS → engage
+      case 'SEARCH':
+        // Head for where the target was last seen or heard (again if news moves
+        // it), then look around there before giving up on that lead
+        if (!this._searchGoal || this._searchGoal.distanceTo(targetPos) > 2) {
+          this._searchGoal = targetPos.clone();
+          this._lookAroundTimer = 0;
+          this._computePathToPosition(targetPos, targetPos.y - EYE_HEIGHT);
+        }
+        if (dist > 1.5 && this._lookAroundTimer === 0) {
+          this._lastBehavior = 'SEARCHING';
+          moveDir = this._followPath(dt);
+          if (moveDir.lengthSq() < 1e-6) moveDir.copy(dir);
+          wantSprint = dist > 15 && simRandom() < this._style.sprintChance;
+          this._lookAroundDir.copy(dir);
+        } else {
+          this._lastBehavior = 'LOOKING_AROUND';
+          this._lookAroundTimer += dt;
+          lookAt = this._scanPoint(this._lookAroundDir, AIOpponent.SEARCH_SCAN_RAD, this._lookAroundTimer);
+          // Standing still to look around isn't being stuck
+          this._stuckCount = 0;
+          this._stuckCheckPos.copy(this.position);
+          if (this._lookAroundTimer > AIOpponent.SEARCH_LOOK_SEC) {
+            this._perception.forget(target.id);
+            this._enterState('PATROL');
+          }
+        }
+
+        // Transition: spotted → engage
         if (hasLOS) {
           this._enterState('ENGAGE');
         }
@@ -759,8 +1162,20 @@ class AIOpponent {
       case 'ENGAGE':
         this._engageTimer += dt;
         var idealDist = (this._style.engageDistMin + this._style.engageDistMax) / 2;
+        var meleeRange = this.weapon.meleeRange || 0;
+
+        // Long-range weapons wait at the angle for a target that just ducked out
+        if (!hasLOS && tactics.holdSightline && this._noLOSTimer < AIOpponent.SIGHTLINE_HOLD_SEC) {
+          this._lastBehavior = 'HOLDING_ANGLE';
+          break;
+        }
 
-        if (dist > idealDist + 1.5) {
+        if (tactics.closeToMelee && hasLOS && dist > meleeRange && dist < meleeRange + 6 && this._meleeReady()) {
+          // Close-range weapons go in for the swing
+          moveDir.add(dir);
+          this._lastBehavior = 'CLOSING_IN';
+          wantSprint = true;
+        } else if (dist > idealDist + 1.5 && !(tactics.holdSightline && hasLOS)) {
           // Approach
           moveDir.add(dir.clone().multiplyScalar(this._style.approachWeight));
           this._lastBehavior = 'APPROACHING';
@@ -769,34 +1184,47 @@ class AIOpponent {
           // Retreat
           moveDir.add(dir.clone().multiplyScalar(-0.85));
           this._lastBehavior = 'RETREATING';
+        } else if (tactics.usesScope && hasLOS && dist >= AIOpponent.SCOPE_MIN_DIST && !this.weapon.reloading) {
+          // Scoped in: stand still for the steadier shot
+          this._scoped = true;
+          this._lastBehavior = 'SCOPED';
         } else {
           this._lastBehavior = 'STRAFING';
         }
 
-        // Add strafe
-        moveDir.add(this._computeStrafeDir(dir, dt));
+        if (!this._scoped) {
+          // Add strafe
+          moveDir.add(this._computeStrafeDir(dir, dt));
 
-        // Jump during engagement
-        wantJump = this._shouldJump(dt);
+          // Jump during engagement
+          wantJump = this._shouldJump(dt);
+        }
 
         // Shoot
-        this._tryShoot(ctx, hasLOS);
+        this._tryShoot(target, ctx, hasLOS);
+
+        // Step out of a teammate's line of fire
+        if (this._sidestepTimer > 0) {
+          this._sidestepTimer -= dt;
+          moveDir.add(this._sidestepDir);
+        }
 
         if (this.weapon.reloading) {
           this._lastBehavior = 'RELOADING';
         }
 
         // Transitions
-        // Lost LOS → patrol
+        // Lost sight → search where it was last seen
         if (!hasLOS) {
-          this._enterState('PATROL');
+          this._enterState('SEARCH');
         }
         // Low health or reloading → seek cover (if cover spots exist)
         else if ((this.health < coverThreshold || (this.weapon.reloading && this.health < 70)) && this._coverSpots.length > 0) {
           this._enterState('SEEK_COVER');
         }
-        // Stalemate → flank (if balanced or aggressive and engaged too long)
-        else if (this._engageTimer > this._style.flankAfterStalemateSec && this._currentStyleName !== 'defensive') {
+        // Stalemate → flank (if balanced or aggressive and engaged too long;
+        // long-range weapons keep their sightline instead)
+        else if (this._engageTimer > this._style.flankAfterStalemateSec && this._currentStyleName !== 'defensive' && !tactics.holdSightline) {
           this._enterState('FLANK');
         }
         break;
@@ -807,8 +1235,9 @@ class AIOpponent {
 
         // Find cover spot if we don't have one
         if (!this._currentCoverSpot) {
-          this._currentCoverSpot = this._findBestCoverSpot(playerPos);
+          this._currentCoverSpot = this._findBestCoverSpot(targetPos, allies);
           if (this._currentCoverSpot) {
+            if (this._squad) this._squad.claimCover(this.id, this._currentCoverSpot.position);
             this._computePathToPosition(this._currentCoverSpot.position);
           }
         }
@@ -841,7 +1270,7 @@ class AIOpponent {
         }
 
         // Still shoot while seeking cover
-        this._tryShoot(ctx, hasLOS);
+        this._tryShoot(target, ctx, hasLOS);
         break;
 
       case 'HOLD_COVER':
@@ -855,10 +1284,10 @@ class AIOpponent {
             moveDir.set(0, 0, 0); // Stay still
             if (this._coverPeekTimer <= 0) {
               this._coverPeekState = 'peeking_out';
-              this._coverPeekTimer = 0.4 + Math.random() * 0.3;
-              // Peek direction: perpendicular to player direction
+              this._coverPeekTimer = 0.4 + simRandom() * 0.3;
+              // Peek direction: perpendicular to target direction
               var peekRight = new THREE.Vector3(-dir.z, 0, dir.x);
-              this._peekDir = peekRight.multiplyScalar(Math.random() < 0.5 ? 1.5 : -1.5);
+              this._peekDir = peekRight.multiplyScalar(simRandom() < 0.5 ? 1.5 : -1.5);
             }
             break;
           case 'peeking_out':
@@ -866,16 +1295,17 @@ class AIOpponent {
             moveDir.copy(this._peekDir || dir);
             if (this._coverPeekTimer <= 0) {
               this._coverPeekState = 'shooting';
-              this._coverPeekTimer = 0.6 + Math.random() * 0.4;
+              this._coverPeekTimer = 0.6 + simRandom() * 0.4;
             }
             break;
           case 'shooting':
-            this._lastBehavior = 'PEEKING';
+            this._scoped = tactics.usesScope && hasLOS && dist >= AIOpponent.SCOPE_MIN_DIST;
+            this._lastBehavior = this._scoped ? 'SCOPED' : 'PEEKING';
             moveDir.set(0, 0, 0);
-            this._tryShoot(ctx, hasLOS);
+            this._tryShoot(target, ctx, hasLOS);
             if (this._coverPeekTimer <= 0) {
               this._coverPeekState = 'peeking_back';
-              this._coverPeekTimer = 0.3 + Math.random() * 0.2;
+              this._coverPeekTimer = 0.3 + simRandom() * 0.2;
             }
             break;
           case 'peeking_back':
@@ -889,7 +1319,7 @@ class AIOpponent {
             }
             if (this._coverPeekTimer <= 0) {
               this._coverPeekState = 'hiding';
-              this._coverPeekTimer = 0.8 + Math.random() * this._style.coverHoldTime;
+              this._coverPeekTimer = 0.8 + simRandom() * this._style.coverHoldTime;
             }
             break;
         }
@@ -908,15 +1338,16 @@ class AIOpponent {
         this._lastBehavior = 'FLANKING';
         wantSprint = true;
 
-        // Compute flank target: perpendicular to player direction
+        // Compute flank target: perpendicular to target direction
         if (!this._flankTarget) {
-          var perpSign = Math.random() < 0.5 ? 1 : -1;
+          var perpSign = simRandom() < 0.5 ? 1 : -1;
           var perp = new THREE.Vector3(-dir.z, 0, dir.x).multiplyScalar(perpSign * 12);
           this._flankTarget = this.position.clone().add(perp);
           this._flankTarget.y = GROUND_Y;
           // Clamp to arena bounds
-          this._flankTarget.x = Math.max(-28, Math.min(28, this._flankTarget.x));
-          this._flankTarget.z = Math.max(-43, Math.min(43, this._flankTarget.z));
+          var ext = this._arenaHalfExtents();
+          this._flankTarget.x = Math.max(-ext.halfW + 2, Math.min(ext.halfW - 2, this._flankTarget.x));
+          this._flankTarget.z = Math.max(-ext.halfL + 2, Math.min(ext.halfL - 2, this._flankTarget.z));
           this._computePathToPosition(this._flankTarget);
         }
 
@@ -937,7 +1368,7 @@ class AIOpponent {
         }
 
         // Shoot if has LOS while flanking
-        this._tryShoot(ctx, hasLOS);
+        this._tryShoot(target, ctx, hasLOS);
         break;
 
       case 'STUCK_RECOVER':
@@ -951,24 +1382,93 @@ class AIOpponent {
           // Done recovering, go back to patrol
           this._stuckCheckPos.copy(this.position);
           this._stuckCount = 0;
-          if (hasLOS) {
-            this._enterState('ENGAGE');
-          } else {
-            this._enterState('PATROL');
-          }
+          this._enterState(hasLOS ? 'ENGAGE' : target ? 'SEARCH' : 'PATROL');
         }
         break;
     }
 
-    // Apply movement through physics
-    this._applyMovement(moveDir, wantSprint, wantJump, dt);
+    // Standing still to scope in or hold an angle isn't being stuck
+    if (this._scoped || this._lastBehavior === 'HOLDING_ANGLE') {
+      this._stuckCount = 0;
+      this._stuckCheckPos.copy(this.position);
+    }
+
+    // Hero/weapon abilities (a dash moves the AI through physics below)
+    if (target) {
+      this._useAbilities({
+        target: target,
+        dist: dist,
+        dir: dir,
+        hasLOS: hasLOS,
+        healthFrac: this.health / (this.maxHealth || 100),
+        hurtRecently: (now - this._lastDamageTime) < 1000
+      }, dt);
+    }
 
-    // Face player
-    this.player.faceToward(playerPos);
+    // Face the target, wherever it's looking around, or the way it's walking
+    // (before moving: move() normalizes moveDir in place)
+    if (!lookAt && !targetPos && moveDir.lengthSq() > 1e-6) lookAt = this.position.clone().add(moveDir);
+    if (lookAt || targetPos) this.player.faceToward(lookAt || targetPos);
+
+    // Apply movement through physics
+    this.move(moveDir, wantSprint, wantJump, dt);
 
     // Update 3D Health Bar (with LOS check)
     this.player.update3DHealthBar(camera.position, solids, { checkLOS: true });
   }
 }
 
+// Engage distance bands (m) per weapon range class; the playstyle's rangeBias picks within them
+AIOpponent.ENGAGE_RANGES = {
+  close: [2.5, 7],
+  mid:   [4, 14],
+  long:  [12, 24]
+};
+AIOpponent.SCOPE_MIN_DIST = 10;      // m; closer than this scoped weapons fire from the hip
+AIOpponent.SCOPED_AIM_MULT = 0.6;    // aim error multiplier while scoped
+AIOpponent.SIGHTLINE_HOLD_SEC = 2;   // long-range weapons wait this long at the angle after losing sight
+AIOpponent.SEARCH_LOOK_SEC = 3;      // looking around at a last-known position before giving up on it
+AIOpponent.SEARCH_SCAN_RAD = 1.6;    // how far it turns either way while looking around
+AIOpponent.ROAM_SCAN_RAD = 0.5;      // glances either side of the way it's roaming
+AIOpponent.ROAM_MIN_DIST = 8;        // m; roam points closer than this are skipped (if others exist)
+AIOpponent.ROAM_LEG_SEC = 12;        // a roam point not reached by then is swapped for another
+
+// When the AI uses each ability: (ai, situation, ability) -> activation ctx for
+// AbilityManager.activate(), or null for "not now". Situation is the object
+// _useAbilities() gets. Add an entry alongside registerAbilityEffect() for new effects.
+AIOpponent.ABILITY_TACTICS = {
+  dash: function (ai, s, ability) {
+    var flat = function (v) { v.y = 0; return v.lengthSq() > 1e-6 ? v.normalize() : null; };
+    // Hurt and heading for cover: get there
+    if (ai._state === 'SEEK_COVER' && ai._currentCoverSpot && s.healthFrac < 0.5) {
+      var toCover = flat(ai._currentCoverSpot.position.clone().sub(ai.position));
+      return toCover ? { direction: toCover } : null;
+    }
+    // Close the gap to melee range (a dash covers speed × duration)
+    var reach = (ability.speed || 20) * (ability.duration || 0.3);
+    var meleeRange = ai.weapon.meleeRange || 0;
+    if (ai._tactics.closeToMelee && s.hasLOS && s.dist > meleeRange + 1 && s.dist < meleeRange + reach && ai._meleeReady()) {
+      return { direction: s.dir.clone() };
+    }
+    // Taking hits out in the open: dodge sideways
+    if (ai._state === 'ENGAGE' && s.hasLOS && s.hurtRecently) {
+      return { direction: new THREE.Vector3(-s.dir.z, 0, s.dir.x).multiplyScalar(ai._strafeSign) };
+    }
+    return null;
+  },
+  shield: function (ai, s) {
+    if (!s.hasLOS) return null;
+    if (s.hurtRecently && s.healthFrac < 0.7) return {};
+    if (ai._tactics.closeToMelee && s.dist < 10) return {};
+    return null;
+  },
+  chargedShot: function (ai, s) {
+    var w = ai.weapon;
+    if (!s.hasLOS || w.reloading || w.ammo <= 0 || w.shotDamageMult > 1) return null;
+    var inRange = ai._tactics.rangeClass === 'long' || s.dist <= ai._style.engageDistMax + 3;
+    return inRange ? {} : null;
+  }
+};
+
 window.AIOpponent = AIOpponent;
+window.AISquad = AISquad;
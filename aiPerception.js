@@ -0,0 +1,178 @@
+/**
+ * aiPerception.js — What an AI bot knows about its enemies
+ *
+ * PURPOSE: Replaces "anyone in line of sight is seen" with senses an AI can be
+ * fooled by. Each AIOpponent owns an AIPerception that notices enemies inside
+ * its view cone over time, hears the noises fighters make and remembers where
+ * it last saw or heard each enemy until that memory fades.
+ *
+ * EXPORTS (window):
+ *   AIPerception — constructor: new AIPerception(profile)
+ *
+ * DEPENDENCIES: physics.js (hasBlockingBetween), simCore.js (simNow, simRandom)
+ *
+ * PROFILE (all optional; each AI difficulty profile has one, see aiDifficulty.js):
+ *   fovDeg        — full-rate view cone (degrees, whole angle)
+ *   peripheralDeg — outer edge of vision; the notice rate falls off to
+ *                   PERIPHERAL_RATE between the two cones
+ *   noticeSec     — seconds to notice an enemy dead ahead at point-blank range
+ *   sightRange    — m; nothing further away is seen
+ *   hearingMult   — scales every NOISE_RADIUS
+ *   memorySec     — how long a last-known position is kept
+ *   soundFuzz     — a heard position is off by up to this share of the distance
+ *
+ * SIGHT:
+ *   Every step each enemy in the cone and in line of sight adds to an awareness
+ *   level (0..1) at a rate set by its angle off the facing direction and its
+ *   distance; at 1 the enemy is seen. A seen enemy stays seen while it's in the
+ *   cone and in sight; otherwise the level drains at DECAY_PER_SEC, so a target
+ *   that just ducked out is picked up again quickly. Enemies within CLOSE_RANGE
+ *   are noticed at once from any angle. Enemies the bot already remembers are
+ *   noticed twice as fast (it knows where to look).
+ *
+ * HEARING (update's noises: [{ type, sourceId, pos, sprinting }]):
+ *   The event names audio.js plays: 'footstep', 'weapon_fire', 'damage_taken'.
+ *   An enemy's noise within NOISE_RADIUS[type] (× hearingMult, × WALL_MUFFLE
+ *   through walls; sprinting footsteps × SPRINT_FOOTSTEP_MULT) becomes a memory
+ *   of roughly where it came from.
+ *
+ * MEMORY:
+ *   Per enemy { pos, time, source } (pos at eye height) with source 'sight',
+ *   'sound', 'hit' or 'callout'. Newer news replaces older; entries older than
+ *   memorySec and enemies that left the list (dead) are forgotten. Owners add
+ *   what they learn elsewhere through remember() (exact) or locate() (fuzzed).
+ */
+
+(function () {
+
+  function AIPerception(profile) {
+    profile = profile || {};
+    this.fovDeg = profile.fovDeg || 120;
+    this.peripheralDeg = Math.max(this.fovDeg, profile.peripheralDeg || 180);
+    this.noticeSec = profile.noticeSec || 0.5;
+    this.sightRange = profile.sightRange || 60;
+    this.hearingMult = (typeof profile.hearingMult === 'number') ? profile.hearingMult : 1;
+    this.memorySec = profile.memorySec || 6;
+    this.soundFuzz = (typeof profile.soundFuzz === 'number') ? profile.soundFuzz : 0.15;
+
+    this._awareness = {}; // enemy id -> { level, seen }
+    this._memory = {};    // enemy id -> { pos, time, source }
+  }
+
+  AIPerception.PERIPHERAL_RATE = 0.2;  // notice rate at the very edge of vision
+  AIPerception.DIST_FALLOFF_M = 20;    // the notice rate halves at this distance
+  AIPerception.DECAY_PER_SEC = 0.5;    // awareness lost per second out of sight
+  AIPerception.CLOSE_RANGE = 2.5;      // m; noticed at once from any angle
+  AIPerception.NOISE_RADIUS = { footstep: 10, weapon_fire: 40, damage_taken: 8 };
+  AIPerception.SPRINT_FOOTSTEP_MULT = 1.6;
+  AIPerception.WALL_MUFFLE = 0.6;
+
+  // One step of the senses. s: { eye, facing (flat unit vector), enemies
+  // ([{ id, entity }], alive), solids, noises (optional) }
+  AIPerception.prototype.update = function (dt, s) {
+    var known = {};
+    for (var i = 0; i < s.enemies.length; i++) {
+      var e = s.enemies[i];
+      known[e.id] = true;
+      this._look(e, s, dt);
+    }
+    var noises = s.noises || [];
+    for (var n = 0; n < noises.length; n++) {
+      if (known[noises[n].sourceId] && !this.sees(noises[n].sourceId)) this._hear(noises[n], s);
+    }
+
+    var now = simNow();
+    for (var id in this._memory) {
+      if (!known[id] || (now - this._memory[id].time) > this.memorySec * 1000) delete this._memory[id];
+    }
+    for (var aid in this._awareness) {
+      if (!known[aid]) delete this._awareness[aid];
+    }
+  };
+
+  AIPerception.prototype._look = function (enemy, s, dt) {
+    var a = this._awareness[enemy.id] || (this._awareness[enemy.id] = { level: 0, seen: false });
+    var pos = enemy.entity.getEyePos();
+    var dx = pos.x - s.eye.x, dz = pos.z - s.eye.z;
+    var dist = s.eye.distanceTo(pos);
+    var flat = Math.hypot(dx, dz);
+    var angleDeg = flat > 1e-6
+      ? Math.acos(Math.max(-1, Math.min(1, (dx * s.facing.x + dz * s.facing.z) / flat))) * 180 / Math.PI
+      : 0;
+    var close = dist <= AIPerception.CLOSE_RANGE;
+    var inView = close || (dist <= this.sightRange && angleDeg <= this.peripheralDeg / 2);
+
+    if (!inView || hasBlockingBetween(s.eye, pos, s.solids)) {
+      a.seen = false;
+      a.level = Math.max(0, a.level - AIPerception.DECAY_PER_SEC * dt);
+      return;
+    }
+
+    if (!a.seen) {
+      var rate = 1 / this.noticeSec;
+      var half = this.fovDeg / 2;
+      if (angleDeg > half) {
+        var edge = (angleDeg - half) / Math.max(1e-6, this.peripheralDeg / 2 - half);
+        rate *= 1 - (1 - AIPerception.PERIPHERAL_RATE) * Math.min(1, edge);
+      }
+      rate /= 1 + dist / AIPerception.DIST_FALLOFF_M;
+      if (this._memory[enemy.id]) rate *= 2;
+      a.level = close ? 1 : Math.min(1, a.level + rate * dt);
+      a.seen = a.level >= 1;
+    }
+    if (a.seen) this.remember(enemy.id, pos, 'sight');
+  };
+
+  AIPerception.prototype._hear = function (noise, s) {
+    var radius = (AIPerception.NOISE_RADIUS[noise.type] || 0) * this.hearingMult;
+    if (noise.type === 'footstep' && noise.sprinting) radius *= AIPerception.SPRINT_FOOTSTEP_MULT;
+    var dist = s.eye.distanceTo(noise.pos);
+    if (dist > radius) return;
+    if (dist > radius * AIPerception.WALL_MUFFLE && hasBlockingBetween(s.eye, noise.pos, s.solids)) return;
+    this.locate(noise.sourceId, noise.pos, s.eye, 'sound');
+  };
+
+  // Remembers roughly where an enemy is when it's heard (or felt) from fromPos
+  // rather than seen: a direction and a rough distance, not a spot
+  AIPerception.prototype.locate = function (enemyId, pos, fromPos, source) {
+    var off = fromPos.distanceTo(pos) * this.soundFuzz * Math.sqrt(simRandom());
+    var angle = simRandom() * Math.PI * 2;
+    var guess = pos.clone();
+    guess.x += Math.cos(angle) * off;
+    guess.z += Math.sin(angle) * off;
+    this.remember(enemyId, guess, source);
+  };
+
+  // Records news of where an enemy is; time (simNow ms) defaults to now and
+  // older news than what's remembered is ignored
+  AIPerception.prototype.remember = function (enemyId, pos, source, time) {
+    var t = (typeof time === 'number') ? time : simNow();
+    var prev = this._memory[enemyId];
+    if (prev && prev.time > t) return;
+    this._memory[enemyId] = { pos: pos.clone(), time: t, source: source };
+  };
+
+  AIPerception.prototype.forget = function (enemyId) {
+    delete this._memory[enemyId];
+  };
+
+  // True while the enemy is seen (noticed and still in view)
+  AIPerception.prototype.sees = function (enemyId) {
+    var a = this._awareness[enemyId];
+    return !!(a && a.seen);
+  };
+
+  // 0..1 progress toward noticing the enemy
+  AIPerception.prototype.awarenessOf = function (enemyId) {
+    var a = this._awareness[enemyId];
+    return a ? a.level : 0;
+  };
+
+  // { pos, time, source } where the enemy was last seen or heard, or null
+  AIPerception.prototype.lastKnown = function (enemyId) {
+    return this._memory[enemyId] || null;
+  };
+
+  window.AIPerception = AIPerception;
+
+})();
@@ -4,10 +4,20 @@
  * Builds the training range arena: 3 shooting lanes with static targets at
  * 15/25/35m distances, an open field with scattered cover and patrol bot
  * routes, and perimeter scenery trees. Used by the Training Range mode for
- * free-practice target shooting and bot tracking.
+ * free-practice target shooting and bot tracking, and by its drills
+ * (trainingDrills.js) through drillLayout.
  *
  * EXPORTS (window):
- *   buildTrainingRangeArena() → { group, colliders, solids, spawns, targetPositions, botPatrolPaths }
+ *   buildTrainingRangeArena() → { group, colliders, solids, spawns, targetPositions,
+ *                                 trainingBots, drillLayout }
+ *
+ * trainingBots are TrainingBot options (patrolPath and the like), in the same
+ * shape as a map's (mapFormat.js trainingBotsFromMap).
+ *
+ * DRILL LAYOUT (areas are { minX, maxX, minZ, maxZ } on the ground):
+ *   lanes  — where the flick, tracking and reaction drills put targets
+ *   sniper — { from: firing spot (eye height), area: far end of the right lane }
+ *   course — [start, checkpoints...] (eye height) through the open field
  *
  * DEPENDENCIES: Three.js, game.js (scene global), physics.js (GROUND_Y, EYE_HEIGHT),
  *   arenaBuilder.js (arenaAddSolidBox, arenaAddFloor, arenaAddPerimeterWalls, arenaAddTrees)
@@ -86,28 +96,48 @@
     addCover(-20, 42, 3.5, 2.5, 2.0);
     addCover(5, 40, 2.5, 3.0, 1.5);
 
-    // Bot patrol paths (arrays of Vector3 waypoints)
-    var botPatrolPaths = [
+    // Patrol bots (TrainingBot options; arrays of Vector3 waypoints)
+    var trainingBots = [
       // Path 1: horizontal sweep across the field
-      [
+      { patrolPath: [
         new THREE.Vector3(-30, GROUND_Y + EYE_HEIGHT, 15),
         new THREE.Vector3(30, GROUND_Y + EYE_HEIGHT, 15),
-      ],
+      ] },
       // Path 2: diagonal route
-      [
+      { patrolPath: [
         new THREE.Vector3(-25, GROUND_Y + EYE_HEIGHT, 10),
         new THREE.Vector3(25, GROUND_Y + EYE_HEIGHT, 35),
-      ],
+      ] },
       // Path 3: vertical patrol
-      [
+      { patrolPath: [
         new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, 10),
         new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, 45),
-      ],
+      ] },
     ];
 
     // Player spawn
     var playerSpawn = new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, -5);
 
+    // Drill areas: the lanes in front of the spawn; a sniper spot at the back of
+    // the field with a clear view down the right lane (65-90m); a checkpoint
+    // course weaving between the field's cover
+    var drillLayout = {
+      lanes: { minX: -38, maxX: 38, minZ: -47, maxZ: -12 },
+      sniper: {
+        from: new THREE.Vector3(30, GROUND_Y + EYE_HEIGHT, 45),
+        area: { minX: 16, maxX: 38, minZ: -47, maxZ: -20 }
+      },
+      course: [
+        new THREE.Vector3(-32, GROUND_Y + EYE_HEIGHT, 8),
+        new THREE.Vector3(-5, GROUND_Y + EYE_HEIGHT, 6),
+        new THREE.Vector3(32, GROUND_Y + EYE_HEIGHT, 10),
+        new THREE.Vector3(32, GROUND_Y + EYE_HEIGHT, 30),
+        new THREE.Vector3(10, GROUND_Y + EYE_HEIGHT, 34),
+        new THREE.Vector3(-18, GROUND_Y + EYE_HEIGHT, 30),
+        new THREE.Vector3(-33, GROUND_Y + EYE_HEIGHT, 45),
+      ],
+    };
+
     // Scenery trees outside
     var trees = [
       [46, -30, 1.2], [48, 10, 1.0], [45, 40, 1.1],
@@ -125,7 +155,8 @@
       solids: solids,
       spawns: { A: playerSpawn },
       targetPositions: targetPositions,
-      botPatrolPaths: botPatrolPaths
+      trainingBots: trainingBots,
+      drillLayout: drillLayout
     };
   }
 
@@ -0,0 +1,309 @@
+/**
+ * behaviorTree.js — Data-driven behavior trees for bots
+ *
+ * PURPOSE: Lets a bot's decision making be written as plain JSON instead of a
+ * hand-rolled state machine. A definition is a tree of nodes; BehaviorTree
+ * checks it once up front and ticks it every simulation step against a
+ * BehaviorBot (botEntity.js).
+ *
+ * EXPORTS (window):
+ *   BehaviorTree          — constructor: new BehaviorTree(definition)
+ *   registerBotCondition(name, fn) — fn(bot, bb, node, ctx) -> boolean
+ *   registerBotAction(name, fn)    — fn(bot, bb, node, ctx, dt) -> 'success' | 'failure' | 'running'
+ *   BOT_BEHAVIORS         — built-in definitions by name
+ *
+ * DEPENDENCIES: botEntity.js (the bot methods actions call), simCore.js (simNow, simRandom)
+ *
+ * NODES (definition format):
+ *   { "type": "selector", "children": [...] } — first child that doesn't fail wins
+ *   { "type": "sequence", "children": [...] } — children in order until one doesn't succeed
+ *   { "type": "invert", "child": {...} }      — success <-> failure
+ *   { "type": "condition", "check": "enemyVisible", "maxDist": 25 }
+ *   { "type": "action", "do": "shoot", "aimError": 0.05 }
+ *   Any other field on a condition/action node is a parameter for it.
+ *
+ * BUILT-IN CONDITIONS:
+ *   enemyVisible [maxDist] — nearest visible enemy within range; sets bb.target
+ *   targetWithin  dist     — bb.target is at most dist away
+ *   healthBelow   fraction — health under that share of max health
+ *   reloading              — the weapon is reloading
+ *
+ * BUILT-IN ACTIONS:
+ *   patrol       [sprint, route]                 — walk bot.patrolPath; route (default
+ *                                                   bot.patrolRoute): 'pingpong' back and
+ *                                                   forth, 'loop' round to the start, or
+ *                                                   'random' waypoint to waypoint
+ *   returnToPost [radius: 1]                     — walk back to the spawn; success once there
+ *   faceTarget                                   — look at bb.target
+ *   faceCamera                                   — look at ctx.cameraPos (the local player)
+ *   strafe       [range: 4, minSec: 0.4, maxSec: 1.2, sprint]
+ *                                                — side to side across the line to
+ *                                                   ctx.cameraPos (else along X), turning at
+ *                                                   random and at range m from the spawn
+ *   shoot        [aimError, spreadMult, reactionSec] — fire at bb.target (running while
+ *                                                   the weapon or the reaction isn't ready)
+ *   stand                                        — do nothing this step
+ *
+ * DESIGN NOTES:
+ *   - Trees are re-evaluated from the root every step (no remembered running
+ *     child), so a bot reacts as soon as a higher-priority branch applies.
+ *   - bb is the bot's blackboard: per-bot memory shared by all nodes, which is
+ *     also where actions steer (moveDir, sprint, jump, lookAt; see BehaviorBot).
+ *   - Unknown node types, conditions and actions throw when the tree is built,
+ *     naming the node's path, so a bad definition fails at load rather than
+ *     mid-match.
+ */
+
+(function () {
+
+  var SUCCESS = 'success';
+  var FAILURE = 'failure';
+  var RUNNING = 'running';
+
+  var _conditions = {};
+  var _actions = {};
+
+  function registerBotCondition(name, fn) {
+    if (!name || typeof fn !== 'function') return;
+    _conditions[name] = fn;
+  }
+
+  function registerBotAction(name, fn) {
+    if (!name || typeof fn !== 'function') return;
+    _actions[name] = fn;
+  }
+
+  // Checks a definition node and its children; returns the node unchanged
+  function validate(node, path) {
+    if (!node || typeof node !== 'object') throw new Error('behaviorTree: ' + path + ' is not a node');
+    switch (node.type) {
+      case 'selector':
+      case 'sequence':
+        if (!Array.isArray(node.children) || node.children.length === 0) {
+          throw new Error('behaviorTree: ' + path + ' (' + node.type + ') needs children');
+        }
+        node.children.forEach(function (child, i) { validate(child, path + '.children[' + i + ']'); });
+        break;
+      case 'invert':
+        validate(node.child, path + '.child');
+        break;
+      case 'condition':
+        if (!_conditions[node.check]) throw new Error('behaviorTree: unknown condition "' + node.check + '" at ' + path);
+        break;
+      case 'action':
+        if (!_actions[node.do]) throw new Error('behaviorTree: unknown action "' + node.do + '" at ' + path);
+        break;
+      default:
+        throw new Error('behaviorTree: unknown node type "' + node.type + '" at ' + path);
+    }
+    return node;
+  }
+
+  function tickNode(node, bot, bb, dt, ctx) {
+    var status, i;
+    switch (node.type) {
+      case 'selector':
+        for (i = 0; i < node.children.length; i++) {
+          status = tickNode(node.children[i], bot, bb, dt, ctx);
+          if (status !== FAILURE) return status;
+        }
+        return FAILURE;
+      case 'sequence':
+        for (i = 0; i < node.children.length; i++) {
+          status = tickNode(node.children[i], bot, bb, dt, ctx);
+          if (status !== SUCCESS) return status;
+        }
+        return SUCCESS;
+      case 'invert':
+        status = tickNode(node.child, bot, bb, dt, ctx);
+        return status === SUCCESS ? FAILURE : status === FAILURE ? SUCCESS : status;
+      case 'condition':
+        return _conditions[node.check](bot, bb, node, ctx) ? SUCCESS : FAILURE;
+      case 'action':
+        return _actions[node.do](bot, bb, node, ctx, dt) || SUCCESS;
+    }
+    return FAILURE;
+  }
+
+  /**
+   * A checked behavior tree. The definition is shared, not copied: one tree can
+   * drive any number of bots, each with its own blackboard.
+   */
+  function BehaviorTree(definition) {
+    this.root = validate(definition, 'root');
+  }
+
+  // Runs one step for bot; returns the root's status
+  BehaviorTree.prototype.tick = function (bot, bb, dt, ctx) {
+    return tickNode(this.root, bot, bb, dt, ctx || {});
+  };
+
+  BehaviorTree.SUCCESS = SUCCESS;
+  BehaviorTree.FAILURE = FAILURE;
+  BehaviorTree.RUNNING = RUNNING;
+
+  // --- Built-in conditions ---
+
+  registerBotCondition('enemyVisible', function (bot, bb, node, ctx) {
+    var seen = bot.nearestVisible(ctx.enemies, node.maxDist);
+    var id = seen ? seen.fighter.id : null;
+    // The reaction clock restarts when the bot picks up a new target
+    if (!bb.target || bb.target.fighter.id !== id) bb.targetSince = simNow();
+    bb.target = seen;
+    return !!seen;
+  });
+
+  registerBotCondition('targetWithin', function (bot, bb, node) {
+    return !!bb.target && bb.target.dist <= node.dist;
+  });
+
+  registerBotCondition('healthBelow', function (bot, bb, node) {
+    return bot.health < bot.maxHealth * node.fraction;
+  });
+
+  registerBotCondition('reloading', function (bot) {
+    return !!bot.weapon.reloading;
+  });
+
+  // --- Built-in actions ---
+
+  // Picks the waypoint after index on a route of length n; dir is bb.pathDir
+  // (ping-pong only), flipped at either end
+  function nextWaypoint(route, index, n, bb) {
+    if (route === 'loop') return (index + 1) % n;
+    if (route === 'random') {
+      var pick = Math.floor(simRandom() * (n - 1));
+      return pick >= index ? pick + 1 : pick; // any other waypoint
+    }
+    var next = index + bb.pathDir;
+    if (next < 0 || next >= n) {
+      bb.pathDir = -bb.pathDir;
+      next = index + bb.pathDir;
+    }
+    return next;
+  }
+
+  // Walks bot.patrolPath from its first waypoint along the route
+  registerBotAction('patrol', function (bot, bb, node) {
+    var path = bot.patrolPath || [];
+    if (path.length < 2) return FAILURE;
+    if (typeof bb.pathIndex !== 'number') {
+      bb.pathIndex = 0;
+      bb.pathDir = 1;
+    }
+    var target = path[bb.pathIndex];
+    if (Math.hypot(target.x - bot.position.x, target.z - bot.position.z) < 1.0) {
+      bb.pathIndex = nextWaypoint(node.route || bot.patrolRoute, bb.pathIndex, path.length, bb);
+    }
+    bb.moveDir.copy(bot.directionTo(path[bb.pathIndex]));
+    bb.sprint = !!node.sprint;
+    return RUNNING;
+  });
+
+  registerBotAction('returnToPost', function (bot, bb, node) {
+    var post = bot._spawn;
+    var radius = (typeof node.radius === 'number') ? node.radius : 1;
+    if (Math.hypot(post.x - bot.position.x, post.z - bot.position.z) <= radius) return SUCCESS;
+    bb.moveDir.copy(bot.directionTo(post));
+    return RUNNING;
+  });
+
+  registerBotAction('faceTarget', function (bot, bb) {
+    if (!bb.target) return FAILURE;
+    bb.lookAt = bb.target.fighter.entity.getEyePos();
+    return SUCCESS;
+  });
+
+  // Never fails, so a sequence can go on without a camera (headless)
+  registerBotAction('faceCamera', function (bot, bb, node, ctx) {
+    if (ctx.cameraPos) bb.lookAt = ctx.cameraPos.clone();
+    return SUCCESS;
+  });
+
+  registerBotAction('strafe', function (bot, bb, node, ctx) {
+    var range = (typeof node.range === 'number') ? node.range : 4;
+    var minSec = (typeof node.minSec === 'number') ? node.minSec : 0.4;
+    var maxSec = Math.max(minSec, (typeof node.maxSec === 'number') ? node.maxSec : 1.2);
+    var now = simNow();
+    if (!bb.strafeDir || now >= bb.strafeUntil) {
+      bb.strafeDir = simRandom() < 0.5 ? -1 : 1;
+      bb.strafeUntil = now + (minSec + simRandom() * (maxSec - minSec)) * 1000;
+    }
+
+    var side = new THREE.Vector3(1, 0, 0);
+    if (ctx.cameraPos) {
+      var toCamera = bot.directionTo(ctx.cameraPos);
+      if (toCamera.lengthSq() > 0) side.set(-toCamera.z, 0, toCamera.x);
+    }
+    // Turn back at the edge of the range rather than wander off
+    var post = bot._spawn;
+    var offset = (bot.position.x - post.x) * side.x + (bot.position.z - post.z) * side.z;
+    if (Math.abs(offset) >= range && (offset > 0) === (bb.strafeDir > 0)) bb.strafeDir = -bb.strafeDir;
+
+    bb.moveDir.copy(side.multiplyScalar(bb.strafeDir));
+    bb.sprint = !!node.sprint;
+    return RUNNING;
+  });
+
+  registerBotAction('shoot', function (bot, bb, node, ctx) {
+    if (!bb.target) return FAILURE;
+    if ((simNow() - (bb.targetSince || 0)) < (node.reactionSec || 0) * 1000) return RUNNING;
+    if (!bot.canFire()) {
+      if (!bot.weapon.reloading && bot.weapon.ammo <= 0) bot.startReload();
+      return RUNNING;
+    }
+    var targetPos = bb.target.fighter.entity.getEyePos();
+    var aimDir = bot.applyAimError(targetPos.clone().sub(bot.eyePos).normalize(), node.aimError || 0);
+    bot.fireAlong(aimDir, {
+      targets: ctx.enemies,
+      blockers: ctx.allies,
+      spreadMult: node.spreadMult,
+      onHit: ctx.onHit,
+      onShot: ctx.onShot
+    });
+    return SUCCESS;
+  });
+
+  registerBotAction('stand', function () {
+    return SUCCESS;
+  });
+
+  // --- Built-in behaviors ---
+
+  var BOT_BEHAVIORS = {
+    // Training range target: walks its path and never fights back
+    patrol: { type: 'action', do: 'patrol' },
+
+    // Training drill targets: stand facing the player, or dodge side to side
+    dummy: { type: 'action', do: 'faceCamera' },
+    strafer: {
+      type: 'sequence',
+      children: [
+        { type: 'action', do: 'faceCamera' },
+        { type: 'action', do: 'strafe', range: 4, sprint: true }
+      ]
+    },
+
+    // Holds its spawn: shoots anyone it sees nearby, otherwise walks back to its post
+    defender: {
+      type: 'selector',
+      children: [
+        {
+          type: 'sequence',
+          children: [
+            { type: 'condition', check: 'enemyVisible', maxDist: 25 },
+            { type: 'action', do: 'faceTarget' },
+            { type: 'action', do: 'shoot', aimError: 0.05, reactionSec: 0.4 }
+          ]
+        },
+        { type: 'action', do: 'returnToPost' }
+      ]
+    }
+  };
+
+  window.BehaviorTree = BehaviorTree;
+  window.registerBotCondition = registerBotCondition;
+  window.registerBotAction = registerBotAction;
+  window.BOT_BEHAVIORS = BOT_BEHAVIORS;
+
+})();
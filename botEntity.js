@@ -0,0 +1,346 @@
+/**
+ * botEntity.js — Shared base for computer-controlled fighters
+ *
+ * PURPOSE: Everything a bot needs besides its decision making: a Player (via
+ * composition) with a hero applied, line-of-sight perception, movement through
+ * the shared physics, weapon handling (aim error, firing, reloads) and timed
+ * respawns. AIOpponent (aiOpponent.js) extends it with its hand-written state
+ * machine; BehaviorBot runs a data-driven behavior tree (behaviorTree.js), which
+ * is how TrainingBot (trainingBot.js) and new bot types are written.
+ *
+ * EXPORTS (window):
+ *   BotEntity   — base constructor (prototype methods below)
+ *   BehaviorBot — BotEntity driven by a behavior tree definition
+ *
+ * DEPENDENCIES: player.js (Player), weapon.js (Weapon), heroes.js (applyHeroToPlayer),
+ *   physics.js (updateFullPhysics, GROUND_Y, EYE_HEIGHT, hasBlockingBetween),
+ *   projectiles.js (sharedFireWeapon), simCore.js (simRandom, simNow),
+ *   behaviorTree.js (BehaviorTree — BehaviorBot only)
+ *
+ * OPTIONS (new BotEntity(opts)):
+ *   arena        — { colliders, solids } the bot moves and looks through
+ *   spawn        — Vector3; x/z of the spawn (feet on the ground)
+ *   heroId       — hero applied at creation and on every respawn (optional)
+ *   color, maxHealth, walkSpeed, sprintSpeed — Player defaults before the hero
+ *   respawnDelay — seconds from death to respawn at the spawn; 0 = stays dead
+ *
+ * DESIGN NOTES:
+ *   - Fighter lists use the shape modeAI.js builds for AIOpponent.update():
+ *     [{ id, entity }] with entity a Player. Bots never damage anyone
+ *     themselves; they report hits through onHit(id, damage) and the mode
+ *     applies them, as with the player's own shots.
+ *   - Reloads stay inline rather than going through sharedStartReload(): that
+ *     one plays the local player's reload sounds.
+ *   - BehaviorBot keeps its tree's working memory on this.blackboard. Actions
+ *     steer through blackboard.moveDir / sprint / jump / lookAt, applied once
+ *     after the tick, so a tree may decide several things in one step.
+ */
+
+(function () {
+
+  function BotEntity(opts) {
+    opts = opts || {};
+    this.arena = opts.arena || null;
+    this.heroId = null;
+    this._spawn = opts.spawn ? opts.spawn.clone() : new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, 0);
+    this._respawnDelay = opts.respawnDelay || 0;
+    this._respawnTimer = 0;
+
+    this.player = new Player({
+      position: new THREE.Vector3(this._spawn.x, GROUND_Y + EYE_HEIGHT, this._spawn.z),
+      feetY: GROUND_Y,
+      walkSpeed: opts.walkSpeed || 4.5,
+      sprintSpeed: opts.sprintSpeed || 8.5,
+      radius: 0.5,
+      maxHealth: opts.maxHealth || 100,
+      color: (typeof opts.color === 'number') ? opts.color : 0xff5555,
+      cameraAttached: false,
+      weapon: new Weapon()
+    });
+    if (opts.heroId) this.applyHero(opts.heroId);
+  }
+
+  // --- Player delegation ---
+
+  [
+    ['mesh', '_meshGroup', false], ['position', 'position', false], ['health', 'health', true],
+    ['maxHealth', 'maxHealth', false], ['alive', 'alive', true], ['feetY', 'feetY', true],
+    ['verticalVelocity', 'verticalVelocity', true], ['grounded', 'grounded', true],
+    ['walkSpeed', 'walkSpeed', false], ['sprintSpeed', 'sprintSpeed', false], ['radius', 'radius', false],
+    ['weapon', 'weapon', false], ['lastDamagedAt', 'lastDamagedAt', true]
+  ].forEach(function (p) {
+    var desc = { get: function () { return this.player[p[1]]; }, configurable: true };
+    if (p[2]) desc.set = function (v) { this.player[p[1]] = v; };
+    Object.defineProperty(BotEntity.prototype, p[0], desc);
+  });
+
+  Object.defineProperty(BotEntity.prototype, 'eyePos', {
+    get: function () { return this.player.getEyePos(); },
+    configurable: true
+  });
+
+  // Applies a hero (stats, hitbox, weapon, abilities); unknown ids fall back to
+  // the first hero. Returns the hero config, or null without heroes.js.
+  BotEntity.prototype.applyHero = function (heroId) {
+    this.heroId = heroId;
+    if (typeof applyHeroToPlayer !== 'function') return null;
+    var hero = applyHeroToPlayer(this.player, heroId);
+    if (hero) this.heroId = hero.id;
+    return hero;
+  };
+
+  // --- Perception ---
+
+  BotEntity.prototype.canSee = function (pos) {
+    return !hasBlockingBetween(this.eyePos, pos, this.arena ? this.arena.solids : []);
+  };
+
+  // Flat unit vector the bot is facing (see faceToward)
+  BotEntity.prototype.facingDir = function () {
+    var yaw = this.player._hitboxYaw || 0;
+    return new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+  };
+
+  // The nearest live fighter in list ([{ id, entity }]) the bot can see within
+  // maxDist (default unlimited): { fighter, dist }, or null
+  BotEntity.prototype.nearestVisible = function (list, maxDist) {
+    var best = null;
+    var limit = (typeof maxDist === 'number') ? maxDist : Infinity;
+    for (var i = 0; i < (list || []).length; i++) {
+      var f = list[i];
+      if (!f.entity || !f.entity.alive) continue;
+      var pos = f.entity.getEyePos();
+      var dist = this.position.distanceTo(pos);
+      if (dist > limit || (best && dist >= best.dist)) continue;
+      if (this.canSee(pos)) best = { fighter: f, dist: dist };
+    }
+    return best;
+  };
+
+  // --- Movement ---
+
+  // One physics step along moveDir (flattened and normalized; zero stands still)
+  BotEntity.prototype.move = function (moveDir, wantSprint, wantJump, dt) {
+    moveDir.y = 0;
+    if (moveDir.lengthSq() > 1e-6) moveDir.normalize(); else moveDir.set(0, 0, 0);
+    if (this.arena) {
+      updateFullPhysics(
+        this.player,
+        { worldMoveDir: moveDir, sprint: wantSprint, jump: wantJump },
+        { colliders: this.arena.colliders, solids: this.arena.solids },
+        dt
+      );
+    }
+    this.player._syncMeshPosition();
+  };
+
+  // Flat direction from the bot to point (zero vector when on top of it)
+  BotEntity.prototype.directionTo = function (point) {
+    var dir = new THREE.Vector3(point.x - this.position.x, 0, point.z - this.position.z);
+    if (dir.lengthSq() > 1e-6) dir.normalize(); else dir.set(0, 0, 0);
+    return dir;
+  };
+
+  BotEntity.prototype.faceToward = function (pos) {
+    this.player.faceToward(pos);
+  };
+
+  // --- Weapon ---
+
+  // Finishes a reload whose time is up
+  BotEntity.prototype.updateReload = function () {
+    var w = this.weapon;
+    if (w.reloading && simNow() >= w.reloadEnd) {
+      w.reloading = false;
+      w.ammo = w.magSize;
+    }
+  };
+
+  BotEntity.prototype.startReload = function () {
+    var w = this.weapon;
+    if (w.reloading) return;
+    w.reloading = true;
+    w.reloadEnd = simNow() + this.reloadTimeSec() * 1000;
+  };
+
+  // Reload duration after hero passives (quickReload)
+  BotEntity.prototype.reloadTimeSec = function () {
+    var sec = this.weapon.reloadTimeSec;
+    return this.player.abilities ? this.player.abilities.modifyReloadTime(sec) : sec;
+  };
+
+  BotEntity.prototype.canFire = function () {
+    var w = this.weapon;
+    return !w.reloading && w.ammo > 0 && (simNow() - w.lastShotTime) >= w.cooldownMs;
+  };
+
+  // Rotates a direction by a random angle (up to maxRad) around a random axis
+  // perpendicular to it, so the bot "misses" by aiming slightly off-target
+  // rather than relying on weapon spread.
+  BotEntity.prototype.applyAimError = function (dir, maxRad) {
+    if (maxRad <= 0) return dir;
+    // Random angle uniformly distributed in [0, maxRad]
+    var angle = simRandom() * maxRad;
+    // Random rotation axis perpendicular to dir
+    var arbitrary = (Math.abs(dir.y) < 0.9)
+      ? new THREE.Vector3(0, 1, 0)
+      : new THREE.Vector3(1, 0, 0);
+    var perp = new THREE.Vector3().crossVectors(dir, arbitrary).normalize();
+    // Rotate perp around dir by a random azimuth to get a random perpendicular axis
+    var azimuth = simRandom() * Math.PI * 2;
+    perp.applyAxisAngle(dir, azimuth);
+    // Rotate dir around perp by the error angle
+    var result = dir.clone().applyAxisAngle(perp, angle);
+    return result.normalize();
+  };
+
+  // Pulls the trigger along aimDir if the weapon is ready; starts a reload when
+  // the magazine is (or runs) empty. opts:
+  //   targets  — [{ id, entity }] that take damage (reported via onHit)
+  //   blockers — [{ id, entity }] whose bodies stop paint without damage
+  //   onHit(id, damage), onShot(origin, pelletResult, weapon), spreadMult, tracerColor
+  // Returns sharedFireWeapon's result, or null if it didn't fire.
+  BotEntity.prototype.fireAlong = function (aimDir, opts) {
+    opts = opts || {};
+    var w = this.weapon;
+    if (w.reloading || (simNow() - w.lastShotTime) < w.cooldownMs) return null;
+    if (w.ammo <= 0) {
+      this.startReload();
+      return null;
+    }
+
+    var origin = this.eyePos;
+    var targets = opts.targets || [];
+    var bodies = targets.concat(opts.blockers || []);
+    var hitTargets = [];
+    var entities = [];
+    for (var i = 0; i < bodies.length; i++) {
+      if (!bodies[i].entity || !bodies[i].entity.alive) continue;
+      hitTargets.push({ segments: bodies[i].entity.getHitSegments(), entity: bodies[i].entity });
+      entities.push(bodies[i].entity);
+    }
+    var result = sharedFireWeapon(w, origin, aimDir, {
+      spreadOverride: w.spreadRad * (opts.spreadMult || 1),
+      solids: this.arena ? this.arena.solids : [],
+      targets: hitTargets,
+      projectileTargetEntities: entities,
+      tracerColor: (typeof opts.tracerColor === 'number') ? opts.tracerColor : 0xff6666,
+      onHit: function (hit, point, dist, pelletIdx, damageMultiplier) {
+        // Hitscan passes the target entry, projectiles the Player itself
+        var entity = hit.entity || hit;
+        for (var t = 0; t < targets.length; t++) {
+          if (targets[t].entity === entity) {
+            if (opts.onHit) opts.onHit(targets[t].id, w.damage * (damageMultiplier || 1.0));
+            return;
+          }
+        }
+      },
+      onPelletFired: function (pelletResult) {
+        if (opts.onShot) opts.onShot(origin, pelletResult, w);
+      }
+    });
+    if (result.magazineEmpty) this.startReload();
+    return result;
+  };
+
+  // --- Health and respawn ---
+
+  BotEntity.prototype.takeDamage = function (amount) {
+    if (!this.alive) return;
+    this.player.takeDamage(amount);
+    if (!this.alive && this._respawnDelay > 0) this._respawnTimer = this._respawnDelay;
+  };
+
+  // Counts down to the respawn while dead. Returns true while the bot is dead
+  // (callers skip the rest of their update).
+  BotEntity.prototype.updateRespawn = function (dt) {
+    if (this.alive) return false;
+    if (this._respawnDelay > 0) {
+      this._respawnTimer -= dt;
+      if (this._respawnTimer <= 0) this.respawn();
+    }
+    return !this.alive;
+  };
+
+  // Back to full health at spawnPos (default: the bot's spawn) with its hero re-applied
+  BotEntity.prototype.respawn = function (spawnPos) {
+    this.player.resetForRound(spawnPos || this._spawn);
+    if (this.heroId) this.applyHero(this.heroId);
+    this.player.setVisible(true);
+    this.onRespawn();
+  };
+
+  // Subclasses reset their own state here
+  BotEntity.prototype.onRespawn = function () {};
+
+  BotEntity.prototype.updateHealthBar = function (cameraPos, checkLOS) {
+    if (!cameraPos) return;
+    this.player.update3DHealthBar(cameraPos, this.arena ? this.arena.solids : [], checkLOS ? { checkLOS: true } : undefined);
+  };
+
+  BotEntity.prototype.getHitTarget = function () {
+    if (!this.alive) return null;
+    return this.player.getHitTarget();
+  };
+
+  BotEntity.prototype.getHitSegments = function () {
+    if (!this.player || !this.alive) return [];
+    return this.player.getHitSegments();
+  };
+
+  BotEntity.prototype.destroy = function () {
+    if (this.player) this.player.destroy();
+  };
+
+  // --- Behavior tree bots ---
+
+  // opts: BotEntity options plus
+  //   behavior   — behavior tree definition (see behaviorTree.js) or a BOT_BEHAVIORS name
+  //   patrolPath — [Vector3] for the patrol action (defaults to the spawn alone)
+  //   patrolRoute — how patrol walks it: 'pingpong' (default), 'loop' or 'random'
+  function BehaviorBot(opts) {
+    opts = opts || {};
+    var path = opts.patrolPath || [];
+    if (!opts.spawn && path.length > 0) opts = Object.assign({}, opts, { spawn: path[0] });
+    BotEntity.call(this, opts);
+    var def = (typeof opts.behavior === 'string') ? (window.BOT_BEHAVIORS || {})[opts.behavior] : opts.behavior;
+    if (!def) throw new Error('BehaviorBot: unknown behavior "' + opts.behavior + '"');
+    this.behavior = new BehaviorTree(def);
+    this.patrolPath = path;
+    this.patrolRoute = opts.patrolRoute || 'pingpong';
+    this.blackboard = {};
+  }
+
+  BehaviorBot.prototype = Object.create(BotEntity.prototype);
+  BehaviorBot.prototype.constructor = BehaviorBot;
+
+  // ctx: { enemies: [{ id, entity }], allies, onHit(id, damage), onShot, cameraPos }.
+  // Everything is optional; a patrol-only bot needs none of it.
+  BehaviorBot.prototype.update = function (dt, ctx) {
+    if (this.updateRespawn(dt)) return;
+    ctx = ctx || {};
+    this.updateReload();
+    if (this.player.abilities) this.player.abilities.update(dt, null);
+
+    var bb = this.blackboard;
+    bb.moveDir = new THREE.Vector3();
+    bb.sprint = false;
+    bb.jump = false;
+    bb.lookAt = null;
+    this.behavior.tick(this, bb, dt, ctx);
+
+    var moveDir = bb.moveDir.clone();
+    this.move(moveDir, bb.sprint, bb.jump, dt);
+    if (bb.lookAt) this.faceToward(bb.lookAt);
+    else if (moveDir.lengthSq() > 1e-6) this.faceToward(this.position.clone().add(moveDir));
+    this.updateHealthBar(ctx.cameraPos, false);
+  };
+
+  BehaviorBot.prototype.onRespawn = function () {
+    this.blackboard = {};
+  };
+
+  window.BotEntity = BotEntity;
+  window.BehaviorBot = BehaviorBot;
+
+})();
@@ -14,10 +14,10 @@
  * CONSUMED BY:
  *   roundFlow.js — ROUND_BANNER_MS, COUNTDOWN_SECONDS
  *   heroSelectUI.js — HERO_SELECT_SECONDS
+ *   aiDifficulty.js — AI_DIFFICULTY_PRESETS
  *
  * TODO (future):
  *   - Could be loaded from a JSON file for external editor support
- *   - May add difficulty presets here (Easy/Medium/Hard reaction times, aim error)
  */
 
 (function () {
@@ -30,10 +30,49 @@
 
     // --- Hero Selection ---
     HERO_SELECT_SECONDS: 15,             // seconds for pre-round hero selection
+
+    // --- AI Difficulty ---
+    // Built-in AI difficulty profiles (format in aiDifficulty.js). Profiles saved
+    // from the dev workbench are added to these, or replace one with the same id.
+    AI_DIFFICULTY_PRESETS: [
+      {
+        id: 'easy', name: 'Easy',
+        aimErrorRad: 0.08,                 // ~4.6 degrees — misses most shots at range
+        reactionDelayMin: 0.40, reactionDelayMax: 0.65,
+        strafeMult: 0.7, jumpMult: 0.5, coverThresholdAdd: 10, abilityCheckSec: 1.2,
+        counterPickWeight: 0, greedyHeroPick: false,
+        perception: { fovDeg: 90, peripheralDeg: 150, noticeSec: 0.8, sightRange: 60, hearingMult: 0.7, memorySec: 4, soundFuzz: 0.25 },
+        weapon: { damageMult: 1, cooldownMult: 1, reloadMult: 1 }
+      },
+      {
+        id: 'medium', name: 'Medium',
+        aimErrorRad: 0.035,                // ~2.0 degrees — hits roughly half
+        reactionDelayMin: 0.20, reactionDelayMax: 0.38,
+        strafeMult: 1.0, jumpMult: 1.0, coverThresholdAdd: 0, abilityCheckSec: 0.6,
+        counterPickWeight: 1, greedyHeroPick: false,
+        perception: { fovDeg: 110, peripheralDeg: 170, noticeSec: 0.5, sightRange: 60, hearingMult: 1.0, memorySec: 7, soundFuzz: 0.18 },
+        weapon: { damageMult: 1, cooldownMult: 1, reloadMult: 1 }
+      },
+      {
+        id: 'hard', name: 'Hard',
+        aimErrorRad: 0.012,                // ~0.7 degrees — very accurate, rarely misses
+        reactionDelayMin: 0.10, reactionDelayMax: 0.22,
+        strafeMult: 1.2, jumpMult: 1.3, coverThresholdAdd: -10, abilityCheckSec: 0.25,
+        counterPickWeight: 2, greedyHeroPick: true,
+        perception: { fovDeg: 120, peripheralDeg: 190, noticeSec: 0.3, sightRange: 60, hearingMult: 1.25, memorySec: 10, soundFuzz: 0.1 },
+        weapon: { damageMult: 1, cooldownMult: 1, reloadMult: 1 }
+      }
+    ]
   };
 
-  // Freeze to prevent accidental mutation
-  Object.freeze(GAME_CONFIG);
+  // Freeze (nested presets included) to prevent accidental mutation
+  function deepFreeze(obj) {
+    Object.keys(obj).forEach(function (key) {
+      if (obj[key] && typeof obj[key] === 'object') deepFreeze(obj[key]);
+    });
+    return Object.freeze(obj);
+  }
+  deepFreeze(GAME_CONFIG);
 
   window.GAME_CONFIG = GAME_CONFIG;
 
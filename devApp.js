@@ -14,7 +14,8 @@
  *   getAllHeroes() — returns window.HEROES (loaded from filesystem)
  *
  * DEPENDENCIES: Three.js, environment.js, crosshair.js, input.js,
- *   menuNavigation.js, weaponModels.js, devSplitScreen.js, devHeroEditor.js
+ *   menuNavigation.js, weaponModels.js, devSplitScreen.js, devHeroEditor.js,
+ *   devReplayViewer.js
  */
 
 // Global scene/camera/renderer (shared across scripts)
@@ -201,6 +202,11 @@ function init() {
   // Load all heroes and weapon models from filesystem
   loadAllHeroes();
   loadCustomWeaponModels();
+  if (typeof loadAIDifficultiesFromServer === 'function') {
+    loadAIDifficultiesFromServer().then(function () {
+      if (typeof populateDifficultyDropdown === 'function') populateDifficultyDropdown('qtDifficulty');
+    });
+  }
 
   // Init hero editor and weapon model builder previews
   if (typeof window._initHeroEditorPreview === 'function') {
@@ -295,7 +301,9 @@ function getPanelElementId(panelId) {
     menuBuilder: 'panelMenuBuilder',
     audioManager: 'panelAudioManager',
     mapEditor: 'panelMapEditor',
-    quickTest: 'panelQuickTest'
+    quickTest: 'panelQuickTest',
+    replays: 'panelReplays',
+    aiDifficulty: 'panelAiDifficulty'
   };
   return map[panelId] || '';
 }
@@ -408,6 +416,11 @@ function getPanelElementId(panelId) {
       collapseEditorLayout();
     }
 
+    // Leaving the replay viewer frees its arena and players
+    if (_activePanel === 'replays' && panelId !== 'replays') {
+      if (typeof window._stopReplayViewer === 'function') window._stopReplayViewer();
+    }
+
     _activePanel = panelId;
 
     var buttons = document.querySelectorAll('.dev-nav-btn');
@@ -489,6 +502,14 @@ function getPanelElementId(panelId) {
       if (typeof window._initAudioManager === 'function') window._initAudioManager();
     }
 
+    if (panelId === 'replays') {
+      if (typeof window._initReplayViewer === 'function') window._initReplayViewer();
+    }
+
+    if (panelId === 'aiDifficulty') {
+      if (typeof window._initDifficultyEditor === 'function') window._initDifficultyEditor();
+    }
+
     if (panelId === 'splitScreen' || panelId === 'quickTest' || panelId === 'heroEditor') {
       populateAllDropdowns();
       // Auto-load the first hero when opening the hero editor
@@ -563,6 +584,7 @@ function populateAllDropdowns() {
   populateMapDropdownDev('ssMapSelect');
   populateMapDropdownDev('qtMapSelect');
   populateModelTypeDropdown('heModelType');
+  if (typeof populateDifficultyDropdown === 'function') populateDifficultyDropdown('qtDifficulty');
 }
 
 // ------- Hero & Weapon Model Loading -------
@@ -793,7 +815,7 @@ window.registerCustomWeaponModel = registerCustomWeaponModel;
       stopQuickTest();
       return;
     }
-    forwardToQuickTest({ type: 'svKeyDown', code: e.code, key: e.key });
+    forwardToQuickTest({ type: 'svKeyDown', code: e.code, key: e.key, repeat: e.repeat });
   }
 
   function onQtKeyUp(e) {
@@ -2,18 +2,22 @@
  * devConsole.js — Developer tools and cheat console
  *
  * PURPOSE: Password-protected developer console with debug tools: god mode,
- * unlimited ammo, spectator camera, kill enemy, heal player, hitbox visualization,
- * AI state display, and map editor access. Toggled with the 'C' key.
+ * unlimited ammo, spectator camera, kill enemy, heal player, hitbox visualization
+ * (including the LAN host's lag-compensated rewinds), AI state display, LAN
+ * bandwidth readout, JSON snapshot debug mode, and map editor access. Toggled
+ * with the 'C' key.
  *
  * EXPORTS (window):
- *   devAuthenticated, devGodMode, devShowHitboxes, devConsoleOpen, devSpectatorMode
+ *   devAuthenticated, devGodMode, devShowHitboxes, devConsoleOpen, devSpectatorMode,
+ *   devNetJson (LAN host sends JSON snapshots/shots instead of binary)
  *
  * DEPENDENCIES: Three.js, modeAI.js (getPaintballState, AI state),
  *   player.js (Player), mapEditor.js (editor functions),
+ *   lagCompensation.js (getRewindDebugSegments), netCodec.js (netStats),
  *   game.js (scene, camera, renderer globals)
  *
  * TODO (future):
- *   - Network debug overlay (ping, packet loss, snapshot rate)
+ *   - Ping and packet loss in the net stats overlay
  *   - Ability cooldown reset
  *   - Spawn bot commands
  *   - Teleport to coordinates
@@ -32,6 +36,7 @@
   }
   window.devGodMode = false;
   window.devShowHitboxes = false;
+  window.devNetJson = false;
   window.updateHitboxVisuals = updateHitboxVisuals;
 
   // Helper: get the active game state (works for both AI and LAN modes)
@@ -49,10 +54,11 @@
     if (!state) return null;
     // AI mode: state.player is the local Player
     if (state.player) return state.player;
-    // LAN mode: state.players.host or .client depending on which is local (cameraAttached)
+    // LAN mode: state.players is keyed by socket id; the local one is cameraAttached
     if (state.players) {
-      if (state.players.host && state.players.host.cameraAttached) return state.players.host;
-      if (state.players.client && state.players.client.cameraAttached) return state.players.client;
+      for (var id in state.players) {
+        if (state.players[id] && state.players[id].cameraAttached) return state.players[id];
+      }
     }
     return null;
   }
@@ -74,7 +80,9 @@
     unlimitedAmmo: false,
     spectator: false,
     showHitboxes: false,
-    showAIState: false
+    showAIState: false,
+    showNetStats: false,
+    netJson: false
   };
 
   var spectatorSavedY = null;
@@ -82,9 +90,14 @@
 
   // Hitbox visualization state
   var hitboxVisuals = [];
+  var hitboxLayoutKey = '';
+
+  // AI state label elements, one per AI id
+  var aiStateLabels = {};
 
-  // AI state label element
-  var aiStateLabel = null;
+  // Net stats label element and its last refresh time
+  var netStatsLabel = null;
+  var netStatsLastDraw = 0;
 
   // Toggle console visibility
   function isConsoleOpen() {
@@ -231,11 +244,23 @@
       if (!cheats.showAIState) {
         hideAIStateLabel();
       }
+    } else if (cmd === 'showNetStats') {
+      cheats.showNetStats = !cheats.showNetStats;
+      btn.textContent = 'Net Stats: ' + (cheats.showNetStats ? 'ON' : 'OFF');
+      btn.classList.toggle('active', cheats.showNetStats);
+      if (!cheats.showNetStats && netStatsLabel) netStatsLabel.style.display = 'none';
+    } else if (cmd === 'netJson') {
+      cheats.netJson = !cheats.netJson;
+      window.devNetJson = cheats.netJson;
+      btn.textContent = 'JSON Snapshots: ' + (cheats.netJson ? 'ON' : 'OFF');
+      btn.classList.toggle('active', cheats.netJson);
     } else if (cmd === 'killEnemy') {
-      if (state && state.ai && state.ai.alive) {
-        state.ai.takeDamage(9999);
-        if (!state.ai.alive && window.endPaintballRound) {
-          window.endPaintballRound('player');
+      // AI mode ends the round itself once one side is left standing
+      if (state && window.paintballActive && state.bots) {
+        for (var ki = 0; ki < state.bots.length; ki++) {
+          var bot = state.bots[ki];
+          var hostile = !state.playerTeam || bot.team !== state.playerTeam;
+          if (bot.alive && hostile) bot.takeDamage(9999, 'player');
         }
       }
     } else if (cmd === 'heal') {
@@ -267,23 +292,18 @@
     // Collect all Player objects that should show hitboxes
     var players = [];
     if (state) {
-      // AI mode
-      if (state.ai && state.ai.alive && state.ai.player) {
-        players.push(state.ai.player);
-      }
       if (state.player && state.player.alive) {
         players.push(state.player);
       }
       // LAN mode
       if (state.players) {
-        if (state.players.host && state.players.host.alive) {
-          players.push(state.players.host);
-        }
-        if (state.players.client && state.players.client.alive) {
-          players.push(state.players.client);
+        for (var pid in state.players) {
+          if (state.players[pid] && state.players[pid].alive) {
+            players.push(state.players[pid]);
+          }
         }
       }
-      // Training Range bots
+      // AI mode opponents/teammates and Training Range bots
       if (state.bots) {
         for (var bi = 0; bi < state.bots.length; bi++) {
           if (state.bots[bi].alive && state.bots[bi].player) {
@@ -303,28 +323,39 @@
     // Collect collider boxes from arena
     var arenaColliders = (state && state.arena && state.arena.colliders) ? state.arena.colliders : [];
 
-    // Count total expected visuals: segments per player + arena colliders
-    var totalSegments = 0;
+    // Live segments per player, plus any recent rewound copies from the LAN host
+    var segmentSets = [];
     for (var pi = 0; pi < players.length; pi++) {
       var segs = (typeof players[pi].getHitSegments === 'function') ? players[pi].getHitSegments() : [];
-      totalSegments += segs.length;
+      segmentSets.push({ segments: segs, rewound: false });
+      var rewound = (typeof getRewindDebugSegments === 'function') ? getRewindDebugSegments(players[pi]) : null;
+      if (rewound) segmentSets.push({ segments: rewound, rewound: true });
+    }
+
+    // Count total expected visuals: segments per set + arena colliders
+    var totalSegments = 0;
+    var layoutKey = '';
+    for (var si = 0; si < segmentSets.length; si++) {
+      totalSegments += segmentSets[si].segments.length;
+      layoutKey += segmentSets[si].rewound ? 'r' : 'l';
     }
     var expectedCount = totalSegments + arenaColliders.length;
 
-    // Rebuild visuals if count changed
-    if (hitboxVisuals.length !== expectedCount) {
+    // Rebuild visuals if count changed or a rewound set moved to another player
+    if (hitboxVisuals.length !== expectedCount || hitboxLayoutKey !== layoutKey) {
       clearHitboxVisuals();
+      hitboxLayoutKey = layoutKey;
 
       var segColorMap = { head: 0xff4444, torso: 0x44ff44, legs: 0x4488ff };
       var defaultSegColor = 0xffff44;
+      var rewoundSegColor = 0xff44ff;
 
-      // Create wireframe shapes for each player's hitbox segments
-      for (var i = 0; i < players.length; i++) {
-        var p = players[i];
-        var segments = (typeof p.getHitSegments === 'function') ? p.getHitSegments() : [];
+      // Create wireframe shapes for each set of hitbox segments
+      for (var i = 0; i < segmentSets.length; i++) {
+        var segments = segmentSets[i].segments;
         for (var s = 0; s < segments.length; s++) {
           var seg = segments[s];
-          var segColor = segColorMap[seg.name] || defaultSegColor;
+          var segColor = segmentSets[i].rewound ? rewoundSegColor : (segColorMap[seg.name] || defaultSegColor);
           var shape = seg.shape || 'box';
           var geom;
 
@@ -344,7 +375,7 @@
           var boxMesh = new THREE.Mesh(geom, boxMat);
           boxMesh.renderOrder = 998;
           boxMesh._isHitboxSegment = true;
-          boxMesh._playerIdx = i;
+          boxMesh._setIdx = i;
           boxMesh._segIdx = s;
           boxMesh._segShape = shape;
           boxMesh._segRadius = seg.radius || 0;
@@ -373,10 +404,10 @@
     for (var vi = 0; vi < hitboxVisuals.length; vi++) {
       var vis = hitboxVisuals[vi];
       if (vis._isHitboxSegment) {
-        var playerIdx = vis._playerIdx;
+        var setIdx = vis._setIdx;
         var segIdx = vis._segIdx;
-        if (playerIdx < players.length) {
-          var segments = (typeof players[playerIdx].getHitSegments === 'function') ? players[playerIdx].getHitSegments() : [];
+        if (setIdx < segmentSets.length) {
+          var segments = segmentSets[setIdx].segments;
           if (segIdx < segments.length) {
             var seg = segments[segIdx];
             var shape = seg.shape || 'box';
@@ -418,41 +449,40 @@
 
   // --- AI State Display ---
 
-  function ensureAIStateLabel() {
-    if (aiStateLabel) return aiStateLabel;
-    aiStateLabel = document.createElement('div');
-    aiStateLabel.id = 'aiStateLabel';
-    document.body.appendChild(aiStateLabel);
-    return aiStateLabel;
+  function ensureAIStateLabel(id) {
+    if (aiStateLabels[id]) return aiStateLabels[id];
+    var label = document.createElement('div');
+    label.className = 'ai-state-label';
+    document.body.appendChild(label);
+    aiStateLabels[id] = label;
+    return label;
   }
 
   function hideAIStateLabel() {
-    if (aiStateLabel) {
-      aiStateLabel.style.display = 'none';
-    }
+    for (var id in aiStateLabels) aiStateLabels[id].style.display = 'none';
   }
 
   function updateAIStateDisplay() {
     if (!cheats.showAIState) return;
-    if (!window.paintballActive) {
-      hideAIStateLabel();
-      return;
-    }
+    hideAIStateLabel();
+    if (!window.paintballActive) return;
 
     var state = window.getPaintballState ? window.getPaintballState() : null;
-    if (!state || !state.ai || !state.ai.alive) {
-      hideAIStateLabel();
-      return;
+    if (!state || !state.bots) return;
+    for (var i = 0; i < state.bots.length; i++) {
+      if (state.bots[i].alive) updateAIStateLabel(state.bots[i]);
     }
+  }
 
-    var label = ensureAIStateLabel();
-    var behavior = state.ai.getCurrentBehavior ? state.ai.getCurrentBehavior() : '?';
-    label.textContent = behavior;
+  function updateAIStateLabel(ai) {
+    var label = ensureAIStateLabel(ai.id);
+    var behavior = ai.getCurrentBehavior ? ai.getCurrentBehavior() : '?';
+    label.textContent = (ai.team ? ai.team + ' ' : '') + behavior;
     label.style.display = 'block';
 
     // Project AI head position to screen coordinates
     if (typeof camera !== 'undefined' && camera && typeof renderer !== 'undefined' && renderer) {
-      var headWorldPos = state.ai.player.getEyePos();
+      var headWorldPos = ai.player.getEyePos();
       headWorldPos.y += 1.0; // above head
       var projected = headWorldPos.clone().project(camera);
 
@@ -472,6 +502,36 @@
     }
   }
 
+  // --- Net Stats Display ---
+
+  function formatRate(bytesPerSec) {
+    return bytesPerSec >= 1024 ? (bytesPerSec / 1024).toFixed(1) + ' KB/s' : Math.round(bytesPerSec) + ' B/s';
+  }
+
+  function updateNetStatsDisplay() {
+    if (!window.netStats) return;
+    var now = performance.now();
+    if (now - netStatsLastDraw < 250) return;
+    netStatsLastDraw = now;
+
+    if (!netStatsLabel) {
+      netStatsLabel = document.createElement('div');
+      netStatsLabel.id = 'netStatsLabel';
+      document.body.appendChild(netStatsLabel);
+    }
+    var rates = window.netStats.getRates();
+    var lines = [
+      'LAN ' + (window.devNetJson ? 'JSON' : 'binary'),
+      'in  ' + formatRate(rates.inTotal),
+      'out ' + formatRate(rates.outTotal)
+    ];
+    ['in', 'out'].forEach(function (dir) {
+      for (var ch in rates[dir]) lines.push('  ' + dir + ' ' + ch + ': ' + formatRate(rates[dir][ch]));
+    });
+    netStatsLabel.textContent = lines.join('\n');
+    netStatsLabel.style.display = 'block';
+  }
+
   // Spectator camera key tracking
   document.addEventListener('keydown', function (e) {
     if (!cheats.spectator) return;
@@ -534,6 +594,11 @@
       updateAIStateDisplay();
     }
 
+    // Update bandwidth readout
+    if (cheats.showNetStats) {
+      updateNetStatsDisplay();
+    }
+
     requestAnimationFrame(cheatLoop);
   }
   requestAnimationFrame(cheatLoop);
@@ -0,0 +1,205 @@
+/**
+ * devDifficultyEditor.js — AI difficulty workbench panel
+ *
+ * PURPOSE: Edits AI difficulty profiles (aiDifficulty.js): aim error, reaction
+ * time, movement and tactics, perception and weapon multipliers. Profiles are
+ * saved to difficulties/ through /api/difficulties and are then offered by the
+ * game's Paintball menu and by Quick Test.
+ *
+ * EXPORTS (window):
+ *   _initDifficultyEditor() — reload the profiles (devApp.js calls it on panel switch)
+ *
+ * DEPENDENCIES: aiDifficulty.js (AI_DIFFICULTIES, getAIDifficulty,
+ *   loadAIDifficultiesFromServer), menuNavigation.js (populateDifficultyDropdown),
+ *   electron-fetch-shim.js (serves /api/difficulties in Electron)
+ *
+ * DESIGN NOTES:
+ *   - The built-ins (easy, medium, hard) can be edited too: saving one writes a
+ *     file with its id that replaces it, and deleting that file restores it.
+ *   - Fields map one-to-one onto profile keys (FIELDS); a blank or invalid number
+ *     falls back to the first built-in's value when the profile is normalized.
+ */
+
+(function () {
+  var ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/; // same as the server's name sanitizing
+
+  // input id -> [section or null, profile key]
+  var FIELDS = {
+    adAimErrorRad: [null, 'aimErrorRad'],
+    adReactionDelayMin: [null, 'reactionDelayMin'],
+    adReactionDelayMax: [null, 'reactionDelayMax'],
+    adStrafeMult: [null, 'strafeMult'],
+    adJumpMult: [null, 'jumpMult'],
+    adCoverThresholdAdd: [null, 'coverThresholdAdd'],
+    adAbilityCheckSec: [null, 'abilityCheckSec'],
+    adCounterPickWeight: [null, 'counterPickWeight'],
+    adFovDeg: ['perception', 'fovDeg'],
+    adPeripheralDeg: ['perception', 'peripheralDeg'],
+    adNoticeSec: ['perception', 'noticeSec'],
+    adSightRange: ['perception', 'sightRange'],
+    adHearingMult: ['perception', 'hearingMult'],
+    adMemorySec: ['perception', 'memorySec'],
+    adSoundFuzz: ['perception', 'soundFuzz'],
+    adDamageMult: ['weapon', 'damageMult'],
+    adCooldownMult: ['weapon', 'cooldownMult'],
+    adReloadMult: ['weapon', 'reloadMult']
+  };
+
+  var _savedIds = [];
+  var _el = {};
+
+  function $(id) { return document.getElementById(id); }
+
+  function setStatus(text) {
+    if (_el.status) _el.status.textContent = text;
+  }
+
+  function isBuiltin(id) {
+    var presets = (window.GAME_CONFIG && GAME_CONFIG.AI_DIFFICULTY_PRESETS) || [];
+    return presets.some(function (p) { return p.id === id; });
+  }
+
+  function fillForm(profile) {
+    _el.id.value = profile.id;
+    _el.name.value = profile.name;
+    Object.keys(FIELDS).forEach(function (inputId) {
+      var f = FIELDS[inputId];
+      $(inputId).value = f[0] ? profile[f[0]][f[1]] : profile[f[1]];
+    });
+    _el.greedy.checked = !!profile.greedyHeroPick;
+  }
+
+  function readForm() {
+    var profile = {
+      id: _el.id.value.trim(),
+      name: _el.name.value.trim(),
+      greedyHeroPick: _el.greedy.checked,
+      perception: {},
+      weapon: {}
+    };
+    Object.keys(FIELDS).forEach(function (inputId) {
+      var f = FIELDS[inputId];
+      var value = parseFloat($(inputId).value);
+      if (Number.isNaN(value)) return;
+      if (f[0]) profile[f[0]][f[1]] = value;
+      else profile[f[1]] = value;
+    });
+    return normalizeAIDifficulty(profile);
+  }
+
+  function refreshList(selectId) {
+    var list = window.AI_DIFFICULTIES || [];
+    _el.select.innerHTML = '';
+    list.forEach(function (profile) {
+      var opt = document.createElement('option');
+      opt.value = profile.id;
+      var tag = _savedIds.indexOf(profile.id) === -1 ? '' : (isBuiltin(profile.id) ? ' (edited)' : ' (saved)');
+      opt.textContent = profile.name + tag;
+      _el.select.appendChild(opt);
+    });
+    if (selectId) _el.select.value = selectId;
+    if (list.length) fillForm(getAIDifficulty(_el.select.value));
+    // Keep the other difficulty lists in step
+    if (typeof populateDifficultyDropdown === 'function') {
+      populateDifficultyDropdown('qtDifficulty');
+      populateDifficultyDropdown('paintballDifficulty');
+    }
+  }
+
+  function reload(selectId) {
+    return loadAIDifficultiesFromServer().then(function (saved) {
+      _savedIds = saved.map(function (p) { return p.id; });
+      refreshList(selectId || _el.select.value);
+    });
+  }
+
+  function save() {
+    var profile = readForm();
+    if (!ID_PATTERN.test(_el.id.value.trim())) {
+      setStatus('The ID may only use letters, digits, - and _ (up to 50).');
+      return;
+    }
+    fetch('/api/difficulties/' + encodeURIComponent(profile.id), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(profile)
+    }).then(function (r) { return r.json(); }).then(function (data) {
+      if (!data.ok) throw new Error(data.error || 'not saved');
+      return reload(profile.id).then(function () { setStatus('Saved ' + profile.name + '.'); });
+    }).catch(function (err) {
+      setStatus('Failed to save: ' + err.message);
+    });
+  }
+
+  function remove() {
+    var id = _el.select.value;
+    if (_savedIds.indexOf(id) === -1) {
+      setStatus('Nothing saved for ' + id + ': built-in profiles can be edited but not deleted.');
+      return;
+    }
+    var restores = isBuiltin(id);
+    if (!confirm((restores ? 'Restore the built-in "' : 'Delete difficulty "') + id + '"?')) return;
+    fetch('/api/difficulties/' + encodeURIComponent(id), { method: 'DELETE' })
+      .then(function (r) { return r.json(); })
+      .then(function () {
+        return reload(restores ? id : null).then(function () {
+          setStatus(restores ? 'Restored the built-in ' + id + '.' : 'Deleted ' + id + '.');
+        });
+      })
+      .catch(function () { setStatus('Failed to delete ' + id + '.'); });
+  }
+
+  // A copy of the current form under a new id; saved once Save is pressed
+  function startNew() {
+    var profile = readForm();
+    var n = 1;
+    var ids = (window.AI_DIFFICULTIES || []).map(function (p) { return p.id; });
+    while (ids.indexOf('custom' + n) !== -1) n++;
+    profile.id = 'custom' + n;
+    profile.name = 'Custom ' + n;
+    fillForm(profile);
+    setStatus('New profile from ' + _el.select.value + ' — edit it, then Save.');
+  }
+
+  // ── Wiring ──
+
+  function init() {
+    _el.select = $('adProfileSelect');
+    _el.id = $('adId');
+    _el.name = $('adName');
+    _el.greedy = $('adGreedyHeroPick');
+    _el.status = $('adStatus');
+    if (!_el.select) return;
+
+    _el.select.addEventListener('change', function () {
+      fillForm(getAIDifficulty(_el.select.value));
+      setStatus('');
+    });
+    $('adSave').addEventListener('click', save);
+    $('adNew').addEventListener('click', startNew);
+    $('adDelete').addEventListener('click', remove);
+
+    document.querySelectorAll('#adForm .dev-section-header').forEach(function (header) {
+      var content = header.nextElementSibling;
+      if (!content || !content.classList.contains('dev-section-content')) return;
+      header.addEventListener('click', function () {
+        header.classList.toggle('collapsed');
+        content.classList.toggle('collapsed');
+      });
+    });
+  }
+
+  // --- Public ---
+
+  window._initDifficultyEditor = function () {
+    if (!_el.select) return;
+    reload().catch(function (e) { console.warn('devDifficultyEditor: failed to load difficulties', e); });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,554 @@
+/**
+ * devReplayViewer.js — Replay viewer workbench panel
+ *
+ * PURPOSE: Plays back match recordings saved by modeAI.js / modeLAN.js (replay.js
+ * format, /api/replays) in the main dev viewport: the arena is rebuilt from the
+ * map embedded in the replay and every recorded player gets a proxy Player mesh.
+ * Play/pause, a scrub bar, slow motion (down to 0.1x) and a free-fly camera.
+ *
+ * EXPORTS (window):
+ *   _initReplayViewer() — refresh the replay list (devApp.js calls it on panel switch)
+ *   _stopReplayViewer() — unload the current replay and free the scene
+ *
+ * DEPENDENCIES: replay.js (fetchReplayList, fetchReplayData, sampleReplayFrame),
+ *   player.js (Player), heroes.js (applyHeroToPlayer), mapFormat.js (buildArenaFromMap,
+ *   computeSpawnCenter), physics.js (EYE_HEIGHT), input.js (resetCameraToDefaults),
+ *   devApp.js (scene, camera; electron-fetch-shim.js serves /api/replays in Electron)
+ *
+ * DESIGN NOTES:
+ *   - The view is a pure function of the replay time: positions come from
+ *     sampleReplayFrame(), hitscan tracers are the shots fired in the last TRACER_MS
+ *     and projectiles are placed on their ballistic path. Pausing, scrubbing and
+ *     slow motion therefore all show the same picture for the same time.
+ *   - Projectile flight ends at the first solid along the path; it is worked out
+ *     once per shot, the first time the shot is on screen.
+ *   - Melee swings only animate while playing forwards (the Player animation runs
+ *     on wall-clock time).
+ *   - Loading is refused while a game mode or split screen owns the scene.
+ */
+
+(function () {
+  var TRACER_MS = 120;          // replay ms a hitscan tracer stays visible
+  var PROJECTILE_STEP = 1 / 60; // s per raycast step when finding where a projectile lands
+  var MAX_PROJECTILE_RANGE = 200;
+  var FLY_SPEED = 10;           // free camera m/s (x3 with Shift)
+  var LOOK_SENSITIVITY = 0.004; // rad per pixel of right-drag
+  var STEP_MS = 1000;           // arrow-key seek step
+  var PANEL_REFRESH_MS = 100;
+
+  var _replay = null;
+  var _arena = null;
+  var _players = {};            // replay player id -> Player
+  var _shots = [];              // shot events, in time order
+  var _heroEvents = [];
+  var _roundEvents = [];
+  var _meleeEvents = [];
+  var _t = 0;
+  var _playing = false;
+  var _speed = 1;
+  var _loopHandle = 0;
+  var _lastTs = 0;
+  var _panelAt = 0;
+
+  var _tracerGroup = null;
+  var _tracerPool = [];
+  var _projectilePool = [];
+  var _projectileGeom = null;
+
+  // Free camera
+  var _keys = {};
+  var _looking = false;
+  var _yaw = 0;
+  var _pitch = 0;
+
+  var _el = {};
+
+  function $(id) { return document.getElementById(id); }
+
+  function formatTime(ms) {
+    var s = Math.max(0, ms) / 1000;
+    var m = Math.floor(s / 60);
+    var rest = (s - m * 60).toFixed(1);
+    return m + ':' + (rest.length < 4 ? '0' : '') + rest;
+  }
+
+  function setStatus(text) {
+    if (_el.status) _el.status.textContent = text;
+  }
+
+  function viewerActive() {
+    var panel = $('panelReplays');
+    return !!(_replay && panel && panel.classList.contains('active'));
+  }
+
+  // Index of the first event at or after t
+  function lowerBound(events, t) {
+    var lo = 0, hi = events.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (events[mid][0] < t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  // ── Replay list ──
+
+  function refreshList() {
+    if (typeof fetchReplayList !== 'function' || !_el.select) return;
+    fetchReplayList().then(function (names) {
+      var prev = _el.select.value;
+      names.sort().reverse(); // newest first (names end in a timestamp)
+      _el.select.innerHTML = '';
+      names.forEach(function (name) {
+        var opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        _el.select.appendChild(opt);
+      });
+      if (prev && names.indexOf(prev) !== -1) _el.select.value = prev;
+      _el.load.disabled = names.length === 0;
+      if (!_replay) setStatus(names.length ? names.length + ' replay(s).' : 'No replays yet. Finish an AI or LAN match to record one.');
+    }).catch(function (e) {
+      console.warn('replayViewer: list failed:', e);
+      setStatus('Could not list replays (is the server running?)');
+    });
+  }
+
+  // ── Load / unload ──
+
+  function loadSelected() {
+    var name = _el.select && _el.select.value;
+    if (!name) return;
+    if (window.paintballActive || window.multiplayerActive || window._splitScreenActive) {
+      setStatus('Stop the running game first.');
+      return;
+    }
+    setStatus('Loading ' + name + '...');
+    fetchReplayData(name).then(function (replay) {
+      if (!replay || !Array.isArray(replay.frames) || !Array.isArray(replay.events)) throw new Error('Not a replay file');
+      unload();
+      startReplay(replay);
+      setStatus(name + ' — ' + (replay.mode || '?') + ' on ' + ((replay.map && replay.map.name) || 'unknown map') +
+        ', ' + formatTime(replay.duration));
+    }).catch(function (e) {
+      console.warn('replayViewer: load failed:', e);
+      setStatus('Failed to load ' + name + ': ' + e.message);
+    });
+  }
+
+  function startReplay(replay) {
+    _replay = replay;
+    var mapData = (replay.map && replay.map.data) || (typeof getDefaultMapData === 'function' ? getDefaultMapData() : null);
+    _arena = buildArenaFromMap(mapData);
+
+    _players = {};
+    (replay.players || []).forEach(function (info) {
+      var p = new Player({ color: info.color || 0xff5555 });
+      p._replayInfo = info;
+      _players[info.id] = p;
+    });
+
+    _shots = [];
+    _heroEvents = [];
+    _roundEvents = [];
+    _meleeEvents = [];
+    replay.events.forEach(function (ev) {
+      if (ev[1] === 'shot') _shots.push(ev);
+      else if (ev[1] === 'hero') _heroEvents.push(ev);
+      else if (ev[1] === 'round') _roundEvents.push(ev);
+      else if (ev[1] === 'melee') _meleeEvents.push(ev);
+    });
+
+    _tracerGroup = new THREE.Group();
+    scene.add(_tracerGroup);
+    _projectileGeom = new THREE.SphereGeometry(0.06, 8, 8);
+
+    // Free camera starts above the middle of the arena, looking down at it
+    var center = (typeof computeSpawnCenter === 'function') ? computeSpawnCenter(_arena) : new THREE.Vector3();
+    camera.position.set(center.x, center.y + 8, center.z + 12);
+    camera.rotation.order = 'YXZ';
+    camera.lookAt(new THREE.Vector3(center.x, center.y, center.z));
+    _yaw = camera.rotation.y;
+    _pitch = camera.rotation.x;
+
+    _t = 0;
+    _playing = false;
+    _el.scrub.max = String(replay.duration || 0);
+    _el.scrub.value = '0';
+    _el.scrub.disabled = false;
+    _el.play.disabled = false;
+    _el.unload.disabled = false;
+    updatePlayButton();
+    renderAt(_t);
+
+    _lastTs = 0;
+    _loopHandle = requestAnimationFrame(loop);
+  }
+
+  function unload() {
+    if (_loopHandle) cancelAnimationFrame(_loopHandle);
+    _loopHandle = 0;
+    for (var id in _players) {
+      try { _players[id].destroy(); } catch (e) { console.warn('replayViewer: player.destroy failed:', e); }
+    }
+    _players = {};
+    if (_arena && _arena.group && _arena.group.parent) _arena.group.parent.remove(_arena.group);
+    _arena = null;
+    if (_tracerGroup) {
+      scene.remove(_tracerGroup);
+      _tracerPool.concat(_projectilePool).forEach(function (m) {
+        if (m.geometry && m.geometry !== _projectileGeom) m.geometry.dispose();
+        if (m.material) m.material.dispose();
+      });
+    }
+    if (_projectileGeom) _projectileGeom.dispose();
+    _tracerGroup = null;
+    _tracerPool = [];
+    _projectilePool = [];
+    _projectileGeom = null;
+    _replay = null;
+    _playing = false;
+    _looking = false;
+    _keys = {};
+    if (_el.scrub) {
+      _el.scrub.value = '0';
+      _el.scrub.disabled = true;
+      _el.play.disabled = true;
+      _el.unload.disabled = true;
+      updatePlayButton();
+      _el.time.textContent = formatTime(0) + ' / ' + formatTime(0);
+      _el.players.textContent = 'No replay loaded.';
+    }
+    if (typeof resetCameraToDefaults === 'function') resetCameraToDefaults();
+  }
+
+  // ── Playback ──
+
+  function updatePlayButton() {
+    if (_el.play) _el.play.textContent = _playing ? 'Pause' : 'Play';
+  }
+
+  function togglePlay() {
+    if (!_replay) return;
+    if (!_playing && _t >= _replay.duration) _t = 0; // replay from the start
+    _playing = !_playing;
+    updatePlayButton();
+  }
+
+  function seek(t) {
+    if (!_replay) return;
+    _t = Math.max(0, Math.min(_replay.duration, t));
+    renderAt(_t);
+  }
+
+  function loop(ts) {
+    if (!_replay) return;
+    var dt = _lastTs ? Math.min(0.1, (ts - _lastTs) / 1000) : 0;
+    _lastTs = ts;
+
+    if (_playing) {
+      var prevT = _t;
+      _t = Math.min(_replay.duration, _t + dt * 1000 * _speed);
+      playMeleeBetween(prevT, _t);
+      if (_t >= _replay.duration) {
+        _playing = false;
+        updatePlayButton();
+      }
+      renderAt(_t);
+    }
+    updateFreeCamera(dt);
+
+    _loopHandle = requestAnimationFrame(loop);
+  }
+
+  function playMeleeBetween(t0, t1) {
+    for (var i = lowerBound(_meleeEvents, t0); i < _meleeEvents.length && _meleeEvents[i][0] < t1; i++) {
+      var ev = _meleeEvents[i];
+      var p = _players[ev[2].p];
+      if (p && p.triggerMeleeSwing) p.triggerMeleeSwing(Math.max(50, ev[2].ms / _speed));
+    }
+  }
+
+  // Last hero event per player at or before t
+  function heroesAt(t) {
+    var out = {};
+    for (var i = 0; i < _heroEvents.length && _heroEvents[i][0] <= t; i++) {
+      out[_heroEvents[i][2].p] = _heroEvents[i][2].hero;
+    }
+    return out;
+  }
+
+  function renderAt(t) {
+    var frame = sampleReplayFrame(_replay, t);
+    var heroes = heroesAt(t);
+    for (var id in _players) {
+      var p = _players[id];
+      var heroId = heroes[id];
+      if (heroId && p._heroId !== heroId && typeof applyHeroToPlayer === 'function') {
+        try { applyHeroToPlayer(p, heroId); } catch (e) { console.warn('replayViewer: applyHeroToPlayer failed:', e); }
+      }
+      var s = frame[id];
+      if (!s) {
+        p.setVisible(false);
+        if (p._healthBarGroup) p._healthBarGroup.visible = false;
+        continue;
+      }
+      p.position.set(s.x, s.feetY + EYE_HEIGHT, s.z);
+      p.feetY = s.feetY;
+      p._hitboxYaw = s.yaw;
+      p._meshGroup.rotation.set(0, s.yaw, 0);
+      p._syncMeshPosition();
+      p.health = s.health;
+      p.alive = s.alive;
+      p.setVisible(s.alive);
+      // Keep the 3D health bar up whenever the player is hurt
+      p.lastDamagedAt = s.health < p.maxHealth ? performance.now() : -Infinity;
+      p.update3DHealthBar(camera.position, null, {});
+    }
+    renderShots(t);
+
+    _el.scrub.value = String(Math.round(t));
+    _el.time.textContent = formatTime(t) + ' / ' + formatTime(_replay.duration);
+    var now = performance.now();
+    if (now - _panelAt >= PANEL_REFRESH_MS || !_playing) {
+      _panelAt = now;
+      updatePlayersPanel(frame, heroes, t);
+    }
+  }
+
+  function updatePlayersPanel(frame, heroes, t) {
+    var lines = [];
+    var roundIdx = lowerBound(_roundEvents, t + 1) - 1;
+    var lastRound = roundIdx >= 0 ? _roundEvents[roundIdx][2] : null;
+    lines.push('Round ' + (roundIdx + 2) +
+      (lastRound ? ' — last: ' + (lastRound.winner || 'draw') + ' (' + formatScores(lastRound.scores) + ')' : ''));
+    (_replay.players || []).forEach(function (info) {
+      var s = frame[info.id];
+      lines.push(info.name + (info.team ? ' [' + info.team + ']' : '') + ': ' +
+        (heroes[info.id] || '-') + ', ' + (s ? (s.alive ? s.health + ' hp' : 'dead') : 'left'));
+    });
+    _el.players.textContent = lines.join('\n');
+  }
+
+  function formatScores(scores) {
+    var parts = [];
+    for (var key in (scores || {})) {
+      var player = _players[key] && _players[key]._replayInfo;
+      parts.push((player ? player.name : key) + ' ' + scores[key]);
+    }
+    return parts.join(', ');
+  }
+
+  // ── Shots ──
+
+  function tracerMesh(i) {
+    if (!_tracerPool[i]) {
+      var geom = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+      var line = new THREE.Line(geom, new THREE.LineBasicMaterial({ color: 0xffffff }));
+      line.frustumCulled = false;
+      _tracerGroup.add(line);
+      _tracerPool[i] = line;
+    }
+    return _tracerPool[i];
+  }
+
+  function projectileMesh(i) {
+    if (!_projectilePool[i]) {
+      var mesh = new THREE.Mesh(_projectileGeom, new THREE.MeshBasicMaterial({ color: 0xffee66 }));
+      mesh.frustumCulled = false;
+      _tracerGroup.add(mesh);
+      _projectilePool[i] = mesh;
+    }
+    return _projectilePool[i];
+  }
+
+  function projectilePos(shot, ageSec, out) {
+    var sp = shot.s;
+    return out.set(
+      shot.o[0] + shot.d[0] * sp * ageSec,
+      shot.o[1] + shot.d[1] * sp * ageSec - 0.5 * (shot.g || 0) * ageSec * ageSec,
+      shot.o[2] + shot.d[2] * sp * ageSec
+    );
+  }
+
+  // Seconds until the projectile meets a solid or runs out of range (cached on the shot)
+  function projectileLife(shot) {
+    if (typeof shot._life === 'number') return shot._life;
+    var maxLife = MAX_PROJECTILE_RANGE / Math.max(1, shot.s);
+    var raycaster = new THREE.Raycaster();
+    var a = new THREE.Vector3();
+    var b = new THREE.Vector3();
+    var dir = new THREE.Vector3();
+    var life = maxLife;
+    var solids = (_arena && _arena.solids) || [];
+    projectilePos(shot, 0, a);
+    for (var age = PROJECTILE_STEP; age <= maxLife; age += PROJECTILE_STEP) {
+      projectilePos(shot, age, b);
+      dir.subVectors(b, a);
+      var len = dir.length();
+      if (len > 1e-4 && solids.length > 0) {
+        raycaster.set(a, dir.divideScalar(len));
+        raycaster.far = len;
+        var hits = raycaster.intersectObjects(solids, true);
+        if (hits.length > 0) {
+          life = age - PROJECTILE_STEP + PROJECTILE_STEP * (hits[0].distance / len);
+          break;
+        }
+      }
+      a.copy(b);
+    }
+    shot._life = life;
+    return life;
+  }
+
+  function renderShots(t) {
+    var tracers = 0;
+    var projectiles = 0;
+    // Projectiles can be in flight for a while: look back far enough for the slowest
+    var start = lowerBound(_shots, t - Math.max(TRACER_MS, 20000));
+    for (var i = start; i < _shots.length && _shots[i][0] <= t; i++) {
+      var shotT = _shots[i][0];
+      var shot = _shots[i][2];
+      var age = t - shotT;
+      if (shot.e) {
+        if (age > TRACER_MS) continue;
+        var line = tracerMesh(tracers++);
+        var pos = line.geometry.attributes.position;
+        pos.setXYZ(0, shot.o[0], shot.o[1], shot.o[2]);
+        pos.setXYZ(1, shot.e[0], shot.e[1], shot.e[2]);
+        pos.needsUpdate = true;
+        line.material.color.setHex(shot.c || 0xffffff);
+        line.visible = true;
+      } else if (shot.d && shot.s > 0) {
+        var ageSec = age / 1000;
+        if (ageSec > projectileLife(shot)) continue;
+        var mesh = projectileMesh(projectiles++);
+        projectilePos(shot, ageSec, mesh.position);
+        mesh.material.color.setHex(shot.c || 0xffee66);
+        mesh.visible = true;
+      }
+    }
+    for (var j = tracers; j < _tracerPool.length; j++) _tracerPool[j].visible = false;
+    for (var k = projectiles; k < _projectilePool.length; k++) _projectilePool[k].visible = false;
+  }
+
+  // ── Free camera ──
+
+  function typingInField() {
+    var el = document.activeElement;
+    return !!(el && (el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') && el.type !== 'range');
+  }
+
+  function updateFreeCamera(dt) {
+    if (!viewerActive() || dt <= 0) return;
+    var fwd = (_keys.KeyW ? 1 : 0) - (_keys.KeyS ? 1 : 0);
+    var side = (_keys.KeyD ? 1 : 0) - (_keys.KeyA ? 1 : 0);
+    var up = (_keys.KeyE ? 1 : 0) - (_keys.KeyQ ? 1 : 0);
+    if (!fwd && !side && !up) return;
+    var speed = FLY_SPEED * ((_keys.ShiftLeft || _keys.ShiftRight) ? 3 : 1) * dt;
+    var dir = new THREE.Vector3();
+    camera.getWorldDirection(dir);
+    var right = new THREE.Vector3().crossVectors(dir, camera.up).normalize();
+    camera.position.addScaledVector(dir, fwd * speed);
+    camera.position.addScaledVector(right, side * speed);
+    camera.position.y += up * speed;
+  }
+
+  function onKeyDown(e) {
+    if (!viewerActive() || typingInField()) return;
+    if (e.code === 'Space') {
+      togglePlay();
+      e.preventDefault();
+      return;
+    }
+    if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+      seek(_t + (e.code === 'ArrowRight' ? STEP_MS : -STEP_MS));
+      e.preventDefault();
+      return;
+    }
+    _keys[e.code] = true;
+  }
+
+  function onKeyUp(e) {
+    delete _keys[e.code];
+  }
+
+  function onMouseDown(e) {
+    if (!viewerActive() || e.button !== 2) return;
+    _looking = true;
+    _yaw = camera.rotation.y;
+    _pitch = camera.rotation.x;
+    e.preventDefault();
+  }
+
+  function onMouseMove(e) {
+    if (!_looking) return;
+    _yaw -= e.movementX * LOOK_SENSITIVITY;
+    _pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, _pitch - e.movementY * LOOK_SENSITIVITY));
+    camera.rotation.set(_pitch, _yaw, 0, 'YXZ');
+  }
+
+  function onMouseUp(e) {
+    if (e.button === 2) _looking = false;
+  }
+
+  // ── Wiring ──
+
+  function init() {
+    _el.select = $('rvReplaySelect');
+    _el.load = $('rvLoad');
+    _el.refresh = $('rvRefresh');
+    _el.play = $('rvPlay');
+    _el.unload = $('rvUnload');
+    _el.scrub = $('rvScrub');
+    _el.time = $('rvTime');
+    _el.speed = $('rvSpeed');
+    _el.players = $('rvPlayers');
+    _el.status = $('rvStatus');
+    if (!_el.select) return;
+    _el.players.style.whiteSpace = 'pre-line';
+
+    _el.load.addEventListener('click', loadSelected);
+    _el.refresh.addEventListener('click', refreshList);
+    _el.play.addEventListener('click', togglePlay);
+    _el.unload.addEventListener('click', function () {
+      unload();
+      setStatus('Unloaded.');
+    });
+    _el.scrub.addEventListener('input', function () {
+      seek(parseFloat(_el.scrub.value) || 0);
+    });
+    _el.speed.addEventListener('change', function () {
+      _speed = parseFloat(_el.speed.value) || 1;
+    });
+
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+    var viewport = $('devViewport');
+    if (viewport) {
+      viewport.addEventListener('mousedown', onMouseDown);
+      viewport.addEventListener('contextmenu', function (e) {
+        if (viewerActive()) e.preventDefault();
+      });
+    }
+  }
+
+  // --- Public ---
+
+  window._initReplayViewer = function () {
+    refreshList();
+  };
+
+  window._stopReplayViewer = function () {
+    if (_replay) unload();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
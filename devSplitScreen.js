@@ -294,7 +294,7 @@
     }
 
     // Forward game keys to active iframe
-    forwardToActive({ type: 'svKeyDown', code: e.code, key: e.key });
+    forwardToActive({ type: 'svKeyDown', code: e.code, key: e.key, repeat: e.repeat });
   }
 
   function onOverlayKeyUp(e) {
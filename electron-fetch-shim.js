@@ -8,7 +8,9 @@
     heroes:          { list: 'listHeroes',        read: 'readHero',         write: 'writeHero',         del: 'deleteHero' },
     'weapon-models': { list: 'listWeaponModels',  read: 'readWeaponModel',  write: 'writeWeaponModel',  del: 'deleteWeaponModel' },
     menus:           { list: 'listMenus',         read: 'readMenu',          write: 'writeMenu',          del: 'deleteMenu' },
-    sounds:          { list: 'listSounds',        read: 'readSound',         write: 'writeSound',         del: 'deleteSound' }
+    sounds:          { list: 'listSounds',        read: 'readSound',         write: 'writeSound',         del: 'deleteSound' },
+    replays:         { list: 'listReplays',       read: 'readReplay',        write: 'writeReplay',        del: 'deleteReplay' },
+    difficulties:    { list: 'listDifficulties',  read: 'readDifficulty',    write: 'writeDifficulty',    del: 'deleteDifficulty' }
   };
 
   function makeResponse(body, status) {
@@ -167,6 +167,16 @@ contextBridge.exposeInMainWorld('devAPI', {
   writeSound:        function (name, data) { return writeJSON('sounds', name, data); },
   deleteSound:       function (name)       { return deleteJSON('sounds', name); },
 
+  listReplays:       function ()           { return listJSON('replays'); },
+  readReplay:        function (name)       { return readJSON('replays', name); },
+  writeReplay:       function (name, data) { return writeJSON('replays', name, data); },
+  deleteReplay:      function (name)       { return deleteJSON('replays', name); },
+
+  listDifficulties:  function ()           { return listJSON('difficulties'); },
+  readDifficulty:    function (name)       { return readJSON('difficulties', name); },
+  writeDifficulty:   function (name, data) { return writeJSON('difficulties', name, data); },
+  deleteDifficulty:  function (name)       { return deleteJSON('difficulties', name); },
+
   serverStart:       function ()           { return _serverStart(); },
   serverStop:        function ()           { return _serverStop(); },
   serverStatus:      function ()           { return { status: _serverStatus, error: _serverError }; },
@@ -194,6 +194,11 @@ function init() {
     loadHeroesFromServer();
   }
 
+  // Load AI difficulty profiles saved from the dev workbench (added to the built-in ones)
+  if (typeof loadAIDifficultiesFromServer === 'function') {
+    loadAIDifficultiesFromServer();
+  }
+
   // Load custom menu configs (overrides hardcoded HTML with saved configs)
   // loadCustomMenus() calls bindUI() after rendering, so we don't call it separately
   if (typeof loadCustomMenus === 'function') {
@@ -11,7 +11,8 @@
  *   getHeroById(id)     — lookup a hero by string id
  *   applyHeroToPlayer(player, heroId) — apply hero stats + weapon + visuals to a Player
  *
- * DEPENDENCIES: weapon.js (Weapon class), player.js (Player.swapWeaponModel)
+ * DEPENDENCIES: weapon.js (Weapon class), player.js (Player.swapWeaponModel),
+ *   abilities.js (AbilityManager — attached as player.abilities)
  *
  * HERO DATA MODEL:
  *   {
@@ -50,7 +51,6 @@
  *   - Per-hero voice lines / sound effects
  *   - Hero unlock/progression system
  *   - External hero editor tool (read/write hero configs without touching code)
- *   - AI hero selection (random or counter-pick based on difficulty)
  */
 
 (function () {
@@ -123,7 +123,9 @@
       passives: [],
 
       // Active abilities with cooldowns (managed by abilities.js)
-      abilities: []
+      abilities: [
+        { id: 'dash', type: 'active', cooldownSec: 6, duration: 0.2, speed: 20, keybind: 'q', description: "Burst forward about 4m in the direction you're facing" }
+      ]
     },
 
     {
@@ -185,7 +187,9 @@
       ],
 
       passives: [],
-      abilities: []
+      abilities: [
+        { id: 'shield', type: 'active', cooldownSec: 12, duration: 3, damageReduction: 0.5, keybind: 'q', description: 'Take half damage for 3 seconds' }
+      ]
     }
   ];
 
@@ -316,6 +320,12 @@
       player.setHitboxConfig(hero.hitbox);
     }
 
+    // Ability runtime: hero passives/abilities plus the weapon's abilities
+    if (typeof AbilityManager === 'function') {
+      if (player.abilities) player.abilities.reset();
+      player.abilities = new AbilityManager(hero.passives, hero.abilities, hero.weapon.abilities, player);
+    }
+
     // Store hero id on player for reference
     player._heroId = heroId;
 
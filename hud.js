@@ -11,8 +11,10 @@
  *   sharedSetReloadingUI(isReloading, reloadIndicatorEl)
  *   sharedSetSprintUI(sprinting, sprintIndicatorEl)
  *   sharedHandleReload(weapon, now)
- *   sharedStartReload(weapon, now)
+ *   sharedStartReload(weapon, now, abilities?)
  *   sharedCanShoot(weapon, now, cooldownMs)
+ *   sharedUpdateMeleeCooldown(containerEl, weapon, now)
+ *   sharedUpdateAbilityHUD(containerEl, abilities)
  *
  * DEPENDENCIES: crosshair.js (setCrosshairDimmed)
  *
@@ -21,11 +23,13 @@
  *     because modes may need different subsets of HUD elements.
  *   - Weapon state machine functions (reload, canShoot) live here because they're
  *     tightly coupled with HUD updates (reload indicator, ammo display).
+ *   - Ability cooldown widgets are built on demand inside the #abilityHud container
+ *     (one circular timer per active ability, labeled with its keybind) and
+ *     rebuilt when the ability set changes, e.g. after a hero swap.
  *   - The actual crosshair rendering is in crosshair.js; this file only toggles
  *     the crosshair dimmed state during reload.
  *
  * TODO (future):
- *   - Ability cooldown HUD indicators (read from AbilityManager)
  *   - Damage direction indicator (red flash from hit direction)
  *   - Kill feed display
  *   - Weapon name display in all modes (currently only training range)
@@ -52,12 +56,16 @@
 
   /**
    * Start a reload if not already reloading and magazine isn't full.
+   * abilities (optional): the owner's AbilityManager — passives like quickReload
+   * scale the reload time.
    * Returns true if reload was initiated.
    */
-  window.sharedStartReload = function (weapon, now) {
+  window.sharedStartReload = function (weapon, now, abilities) {
     if (weapon.reloading || weapon.ammo >= weapon.magSize) return false;
+    var reloadSec = weapon.reloadTimeSec || 2.5;
+    if (abilities) reloadSec = abilities.modifyReloadTime(reloadSec);
     weapon.reloading = true;
-    weapon.reloadEnd = now + (weapon.reloadTimeSec || 2.5) * 1000;
+    weapon.reloadEnd = now + reloadSec * 1000;
     if (typeof playGameSound === 'function') playGameSound('reload_start');
     return true;
   };
@@ -133,4 +141,67 @@
     containerEl.classList.toggle('on-cooldown', progress < 1);
   };
 
+  /**
+   * Update ability cooldown timers from an AbilityManager.
+   * One circular widget per active ability (same look as the melee timer);
+   * the arc drains as the cooldown runs out. Hidden when there are no abilities.
+   */
+  var ABILITY_CD_CIRCUMFERENCE = 2 * Math.PI * 11; // r=11 matches SVG
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function buildAbilityWidget(ability) {
+    var el = document.createElement('div');
+    el.className = 'ability-cd';
+    el.setAttribute('data-ability', ability.id);
+    el.title = ability.description || ability.id;
+
+    var svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', '26');
+    svg.setAttribute('height', '26');
+    svg.setAttribute('viewBox', '0 0 26 26');
+    ['ability-cd-bg', 'ability-cd-fill'].forEach(function (cls) {
+      var c = document.createElementNS(SVG_NS, 'circle');
+      c.setAttribute('class', cls);
+      c.setAttribute('cx', '13');
+      c.setAttribute('cy', '13');
+      c.setAttribute('r', '11');
+      svg.appendChild(c);
+    });
+    el.appendChild(svg);
+
+    var label = document.createElement('span');
+    label.className = 'ability-cd-label';
+    label.textContent = ability.keybind ? String(ability.keybind).toUpperCase() : '?';
+    el.appendChild(label);
+    return el;
+  }
+
+  window.sharedUpdateAbilityHUD = function (containerEl, abilities) {
+    if (!containerEl) return;
+    var list = (abilities && typeof abilities.getAbilities === 'function') ? abilities.getAbilities() : [];
+    if (list.length === 0) {
+      containerEl.classList.add('hidden');
+      return;
+    }
+    containerEl.classList.remove('hidden');
+
+    // Rebuild widgets when the ability set changes (hero swap)
+    var setKey = list.map(function (a) { return a.id; }).join('|');
+    if (containerEl._abilitySetKey !== setKey) {
+      containerEl.innerHTML = '';
+      for (var i = 0; i < list.length; i++) containerEl.appendChild(buildAbilityWidget(list[i]));
+      containerEl._abilitySetKey = setKey;
+    }
+
+    var widgets = containerEl.children;
+    for (var j = 0; j < widgets.length && j < list.length; j++) {
+      var id = list[j].id;
+      var pct = abilities.getCooldownPercent(id);
+      var fill = widgets[j].querySelector('.ability-cd-fill');
+      if (fill) fill.style.strokeDashoffset = ABILITY_CD_CIRCUMFERENCE * pct;
+      widgets[j].classList.toggle('on-cooldown', pct > 0);
+      widgets[j].classList.toggle('active', abilities.isActive(id));
+    }
+  };
+
 })();
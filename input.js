@@ -7,7 +7,9 @@
  * EXPORTS (bare global): bindPlayerControls, DEFAULT_CAMERA_POS
  * DEPENDENCIES: THREE (r128), camera/renderer globals (game.js),
  *               mouseSensitivity (menuNavigation.js), showOnlyMenu/setHUDVisible (menuNavigation.js)
- * TODO (future): Ability keybind support, ADS (right-click) input
+ * DESIGN NOTES: Ability keybinds — any letter/digit key press is queued in abilityKeys[]
+ *   (one-shot, lowercase e.g. 'q', '1'); AbilityManager matches them to keybinds.
+ * TODO (future): ADS (right-click) input, rebindable ability keys
  */
 
 // Camera defaults and reset live with player controls
@@ -25,12 +27,19 @@ function resetCameraToDefaults() {
 }
 
 /* Paintball input state (inputs live here; physics elsewhere) */
-const INPUT_STATE = { fireDown: false, sprint: false, reloadPressed: false, jump: false, meleePressed: false, moveX: 0, moveZ: 0 };
+const INPUT_STATE = { fireDown: false, sprint: false, reloadPressed: false, jump: false, meleePressed: false, moveX: 0, moveZ: 0, abilityKeys: [] };
 let _w = false, _a = false, _s = false, _d = false;
 function recomputeMoveAxes() {
   INPUT_STATE.moveZ = (_w ? 1 : 0) + (_s ? -1 : 0);
   INPUT_STATE.moveX = (_d ? 1 : 0) + (_a ? -1 : 0);
 }
+// Queue an ability key press ('KeyQ' -> 'q', 'Digit1' -> '1'); consumed by getInputState
+function queueAbilityKey(code) {
+  var key = null;
+  if (code.indexOf('Key') === 0) key = code.slice(3).toLowerCase();
+  else if (code.indexOf('Digit') === 0) key = code.slice(5);
+  if (key && INPUT_STATE.abilityKeys.indexOf(key) === -1) INPUT_STATE.abilityKeys.push(key);
+}
 // Mouse button state for paintball
 function onMouseDownGeneric() { INPUT_STATE.fireDown = true; }
 function onMouseUpGeneric() { INPUT_STATE.fireDown = false; }
@@ -49,6 +58,8 @@ function getInputState() {
     out.meleePressed = true;
     INPUT_STATE.meleePressed = false;
   }
+  out.abilityKeys = INPUT_STATE.abilityKeys;
+  INPUT_STATE.abilityKeys = [];
   return out;
 }
 // Expose to paintball mode
@@ -175,9 +186,10 @@ function onGlobalKeyDown(e) {
     case 'KeyD': _d = true; recomputeMoveAxes(); break;
     case 'ShiftLeft': INPUT_STATE.sprint = true; break;
     case 'KeyR': INPUT_STATE.reloadPressed = true; break;
-    case 'Space': INPUT_STATE.jump = true; break;
+    case 'Space': if (!e.repeat) INPUT_STATE.jump = true; break; // auto-repeat would spend the air jump
     case 'KeyV': INPUT_STATE.meleePressed = true; break;
   }
+  if (!e.repeat) queueAbilityKey(e.code);
 }
 
 function onGlobalKeyUp(e) {
@@ -224,9 +236,10 @@ window.addEventListener('message', function (evt) {
         case 'KeyD': _d = true; recomputeMoveAxes(); break;
         case 'ShiftLeft': INPUT_STATE.sprint = true; break;
         case 'KeyR': INPUT_STATE.reloadPressed = true; break;
-        case 'Space': INPUT_STATE.jump = true; break;
+        case 'Space': if (!d.repeat) INPUT_STATE.jump = true; break;
         case 'KeyV': INPUT_STATE.meleePressed = true; break;
       }
+      if (!d.repeat) queueAbilityKey(d.code);
       break;
     case 'svKeyUp':
       switch (d.code) {
@@ -241,6 +254,7 @@ window.addEventListener('message', function (evt) {
       _w = _a = _s = _d = false;
       INPUT_STATE.sprint = false;
       INPUT_STATE.fireDown = false;
+      INPUT_STATE.abilityKeys = [];
       recomputeMoveAxes();
       break;
   }
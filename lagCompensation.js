@@ -0,0 +1,124 @@
+/**
+ * lagCompensation.js — Hitbox history and shot rewind for LAN hosts
+ *
+ * PURPOSE: A LAN client sees remote players where the last snapshots put them,
+ * which is already in the host's past by the time its shot arrives. The host
+ * records each player's hitbox segments every tick and, when a client fires,
+ * tests the shot against the segments as they were at the client's view time
+ * instead of where the targets are now. Used by modeLAN.js (browser host) and
+ * serverSim.js (dedicated rooms).
+ *
+ * EXPORTS (window):
+ *   LAG_COMP_DEFAULT_REWIND_MS            — default max rewind window (ms)
+ *   recordHitboxHistory(p, t, maxRewindMs) — store p's current segments at host time t
+ *   clearHitboxHistory(p)                  — drop p's history (spawn teleports, leaves)
+ *   resolveRewindTime(viewT, now, maxRewindMs) — clamp a client's view time into the window
+ *   rewoundHitSegments(p, t)               — p's segments at host time t (interpolated)
+ *   getRewindDebugSegments(p)              — segments from p's most recent rewind, for showHitboxes
+ *
+ * DEPENDENCIES: Three.js (THREE.Vector3), player.js (Player.getHitSegments)
+ *
+ * DESIGN NOTES:
+ *   - History lives on the Player (p._hitboxHistory) as [{t, centers[], yaws[]}],
+ *     oldest first. Only centers and yaw change between ticks; shape and size
+ *     come from the live segments, so hero swaps never mix stale dimensions.
+ *   - View time is in the host's clock: clients derive it from the `t` stamps
+ *     of the snapshots they are interpolating between, so no clock sync is needed.
+ *   - A maxRewindMs of 0 disables rewinding; shots then hit current positions.
+ *   - Only shots are rewound. Melee range is short enough that it resolves on
+ *     current positions, like the AI and training modes.
+ *
+ * TODO (future):
+ *   - Rewind melee too if its range grows
+ *   - Cap rewind per-client by measured RTT instead of trusting view time
+ */
+
+(function () {
+  var LAG_COMP_DEFAULT_REWIND_MS = 200;
+  var HISTORY_MARGIN_MS = 100;   // keep a little past the window so the oldest sample still brackets it
+  var DEBUG_VISIBLE_MS = 1000;   // how long a rewound hitbox stays drawn in showHitboxes
+
+  function recordHitboxHistory(p, t, maxRewindMs) {
+    if (!p || typeof p.getHitSegments !== 'function') return;
+    var segments = p.getHitSegments();
+    var centers = [];
+    var yaws = [];
+    for (var i = 0; i < segments.length; i++) {
+      centers.push(segments[i].center.clone());
+      yaws.push(segments[i].yaw || 0);
+    }
+    if (!p._hitboxHistory) p._hitboxHistory = [];
+    var history = p._hitboxHistory;
+    history.push({ t: t, centers: centers, yaws: yaws });
+
+    var keepMs = (typeof maxRewindMs === 'number' ? maxRewindMs : LAG_COMP_DEFAULT_REWIND_MS) + HISTORY_MARGIN_MS;
+    while (history.length > 2 && history[1].t < t - keepMs) history.shift();
+  }
+
+  function clearHitboxHistory(p) {
+    if (!p) return;
+    p._hitboxHistory = [];
+    p._rewindDebug = null;
+  }
+
+  // Returns the host time to test a shot at: viewT clamped to [now - maxRewindMs, now].
+  // Falls back to now when the client sent no usable view time.
+  function resolveRewindTime(viewT, now, maxRewindMs) {
+    if (typeof viewT !== 'number' || !isFinite(viewT)) return now;
+    var windowMs = (typeof maxRewindMs === 'number') ? maxRewindMs : LAG_COMP_DEFAULT_REWIND_MS;
+    if (windowMs <= 0) return now;
+    return Math.max(now - windowMs, Math.min(now, viewT));
+  }
+
+  function copySegment(seg, center, yaw) {
+    var out = {};
+    for (var k in seg) {
+      if (seg.hasOwnProperty(k)) out[k] = seg[k];
+    }
+    out.center = center;
+    if (out.shape === 'box' || !out.shape) out.yaw = yaw;
+    return out;
+  }
+
+  function rewoundHitSegments(p, t) {
+    var live = (p && typeof p.getHitSegments === 'function') ? p.getHitSegments() : [];
+    var history = p && p._hitboxHistory;
+    if (!history || history.length === 0 || t >= history[history.length - 1].t) return live;
+
+    // Find the pair of samples bracketing t (clamp to the oldest one)
+    var a = history[0];
+    var b = history[0];
+    for (var i = 1; i < history.length; i++) {
+      if (history[i].t >= t) {
+        a = history[i - 1];
+        b = history[i];
+        break;
+      }
+    }
+    var span = b.t - a.t;
+    var alpha = (span > 0) ? Math.max(0, Math.min(1, (t - a.t) / span)) : 0;
+
+    var out = [];
+    for (var s = 0; s < live.length; s++) {
+      if (!a.centers[s] || !b.centers[s]) return live; // hitbox layout changed since recording
+      var center = new THREE.Vector3().lerpVectors(a.centers[s], b.centers[s], alpha);
+      out.push(copySegment(live[s], center, alpha < 0.5 ? a.yaws[s] : b.yaws[s]));
+    }
+
+    if (window.devShowHitboxes) p._rewindDebug = { segments: out, at: performance.now() };
+    return out;
+  }
+
+  function getRewindDebugSegments(p) {
+    var dbg = p && p._rewindDebug;
+    if (!dbg || (performance.now() - dbg.at) > DEBUG_VISIBLE_MS) return null;
+    return dbg.segments;
+  }
+
+  window.LAG_COMP_DEFAULT_REWIND_MS = LAG_COMP_DEFAULT_REWIND_MS;
+  window.recordHitboxHistory = recordHitboxHistory;
+  window.clearHitboxHistory = clearHitboxHistory;
+  window.resolveRewindTime = resolveRewindTime;
+  window.rewoundHitSegments = rewoundHitSegments;
+  window.getRewindDebugSegments = getRewindDebugSegments;
+})();
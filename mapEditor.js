@@ -4,15 +4,20 @@
  * EXPORTS (window):
  *   editorActive — boolean flag
  *
- * DEPENDENCIES: Three.js, mapFormat.js
+ * DEPENDENCIES: Three.js, mapFormat.js, navGrid.js (nav overlay)
  *
  * FEATURES:
  *   - 7 shape types: box, cylinder, halfCylinder, ramp, wedge, lshape, arch
  *   - Mirror modes: off, z, x, quad (4-way)
  *   - Flexible spawn points (array-based, team assignment)
+ *   - Training bots (Bot Path tool): waypoint chains saved as mapData.trainingBots,
+ *     each with its route, hero, speed, health, aggression and accuracy
+ *     (see mapFormat.js); clicks add waypoints after the selected one
  *   - Copy/paste (Ctrl+C/V), multi-select (Shift+click, Ctrl+A)
  *   - Independent color on mirror/quad clones
  *   - Arena boundary visualization
+ *   - Nav grid overlay (N): where the AI can stand and walk; red dots can't be
+ *     reached from any spawn, orange lines are one-way drops
  */
 
 (function () {
@@ -31,6 +36,15 @@
   var selectedSpawnEntry = null;
   var _nextSpawnId = 1;
 
+  // Training bots: one marker per waypoint, one line per path
+  var botEntries = []; // { mesh, bot (ref into mapData.trainingBots[i]), index }
+  var botLines = [];
+  var selectedBotEntry = null;
+  var _nextBotId = 1;
+  var BOT_PATH_COLOR = 0xff5555;
+  var BOT_PATH_SELECTED_COLOR = 0xffd700;
+  var BOT_ROUTES = ['pingpong', 'loop', 'random'];
+
   // Clipboard
   var clipboard = null; // array of cloned object data
 
@@ -57,6 +71,13 @@
   var boundaryOutline = null;
   var boundaryPosts = [];
 
+  // Nav grid overlay (rebuilt when the map changes while it's shown)
+  var navOverlayOn = false;
+  var navOverlay = null;
+  var navOverlayKey = null;
+  var navOverlayStats = '';
+  var navOverlayCheckFrames = 0;
+
   // Resize handles
   var resizeHandles = [];
   var isResizing = false;
@@ -238,6 +259,16 @@
     _nextSpawnId = max + 1;
   }
 
+  function recalcNextBotId() {
+    var max = 0;
+    var bots = mapData.trainingBots || [];
+    for (var i = 0; i < bots.length; i++) {
+      var num = parseInt((bots[i].id || '').replace('bot_', ''), 10);
+      if (num > max) max = num;
+    }
+    _nextBotId = max + 1;
+  }
+
   // ── Start / Stop ──
 
   window.startMapEditor = function () {
@@ -257,6 +288,7 @@
     recalcNextMirrorPairId();
     recalcNextQuadGroupId();
     recalcNextSpawnId();
+    recalcNextBotId();
 
     showOnlyMenu(null);
     setHUDVisible(false);
@@ -339,14 +371,18 @@
     selectedObj = null;
     selectedObjects = [];
     selectedSpawnEntry = null;
+    selectedBotEntry = null;
     removeAllBoxHelpers();
     removeResizeHandles();
     spawnEntries = [];
+    botEntries = [];
+    botLines = [];
     arena = null;
 
     clearSceneArena();
     removeMirrorLines();
     removeBoundaryOutline();
+    removeNavOverlay();
   }
 
   function rebuildEditorScene() {
@@ -373,6 +409,7 @@
     rebuildMirrorLines();
     rebuildBoundaryOutline();
     rebuildSpawnMeshes();
+    rebuildBotMeshes();
     updateStatusBar();
   }
 
@@ -402,6 +439,68 @@
     }
   }
 
+  // ── Training bot paths ──
+
+  function rebuildBotMeshes() {
+    var old = botEntries.map(function (e) { return e.mesh; }).concat(botLines);
+    for (var i = 0; i < old.length; i++) {
+      if (old[i].parent) old[i].parent.remove(old[i]);
+    }
+    botEntries = [];
+    botLines = [];
+
+    var bots = mapData.trainingBots || [];
+    for (var bi = 0; bi < bots.length; bi++) {
+      var bot = bots[bi];
+      var points = [];
+      for (var wi = 0; wi < bot.path.length; wi++) {
+        var wp = bot.path[wi];
+        var baseY = -1 + (wp[1] || 0);
+        // The first waypoint is where the bot starts: a cone, the rest spheres
+        var geom = wi === 0 ? new THREE.ConeGeometry(0.6, 1.2, 12) : new THREE.SphereGeometry(0.35, 12, 8);
+        var marker = new THREE.Mesh(geom, new THREE.MeshBasicMaterial({ color: BOT_PATH_COLOR }));
+        marker.position.set(wp[0], baseY + (wi === 0 ? 0.6 : 0.35), wp[2]);
+        marker.name = 'EditorGroup';
+        editorScene.add(marker);
+        botEntries.push({ mesh: marker, bot: bot, index: wi });
+        points.push(new THREE.Vector3(wp[0], baseY + 0.1, wp[2]));
+      }
+      if (points.length > 1) {
+        var lineGeom = new THREE.BufferGeometry().setFromPoints(points);
+        var lineMat = new THREE.LineBasicMaterial({ color: BOT_PATH_COLOR });
+        var line = bot.route === 'loop' ? new THREE.LineLoop(lineGeom, lineMat) : new THREE.Line(lineGeom, lineMat);
+        line.userData.bot = bot;
+        line.name = 'EditorGroup';
+        editorScene.add(line);
+        botLines.push(line);
+      }
+    }
+    tintBotPaths();
+  }
+
+  // The selected bot's whole path in gold
+  function tintBotPaths() {
+    var bot = selectedBotEntry ? selectedBotEntry.bot : null;
+    for (var i = 0; i < botEntries.length; i++) {
+      botEntries[i].mesh.material.color.setHex(botEntries[i].bot === bot ? BOT_PATH_SELECTED_COLOR : BOT_PATH_COLOR);
+    }
+    for (var j = 0; j < botLines.length; j++) {
+      botLines[j].material.color.setHex(botLines[j].userData.bot === bot ? BOT_PATH_SELECTED_COLOR : BOT_PATH_COLOR);
+    }
+  }
+
+  // After a rebuild: select waypoint index of bot again (clamped), or nothing
+  function reselectBotWaypoint(bot, index) {
+    for (var i = 0; i < botEntries.length; i++) {
+      var e = botEntries[i];
+      if (e.bot === bot && e.index === Math.min(index, bot.path.length - 1)) {
+        selectBotEntry(e);
+        return;
+      }
+    }
+    deselectAll();
+  }
+
   // ── Mirror axis lines ──
 
   function removeMirrorLines() {
@@ -508,6 +607,83 @@
     }
   }
 
+  // ── Nav grid overlay ──
+
+  function removeNavOverlay() {
+    if (navOverlay) {
+      if (navOverlay.parent) navOverlay.parent.remove(navOverlay);
+      navOverlay.children.forEach(function (c) {
+        c.geometry.dispose();
+        c.material.dispose();
+      });
+    }
+    navOverlay = null;
+    navOverlayKey = null;
+  }
+
+  function rebuildNavOverlay() {
+    removeNavOverlay();
+    if (!arena || typeof getNavGrid !== 'function') return;
+    var grid = getNavGrid(arena);
+    navOverlayKey = navGridKey(mapData);
+
+    var starts = (mapData.spawns || []).map(function (sp) {
+      return grid.nearestNode(sp.position[0], sp.position[2], GROUND_Y);
+    });
+    var reachable = grid.reachableFrom(starts);
+    var lift = 0.08; // above the floor and spawn rings
+
+    var dotPos = new Float32Array(grid.nodeCount * 3);
+    var dotCol = new Float32Array(grid.nodeCount * 3);
+    var unreachable = 0;
+    for (var n = 0; n < grid.nodeCount; n++) {
+      dotPos[n * 3] = grid.nodeX[n];
+      dotPos[n * 3 + 1] = grid.nodeY[n] + lift;
+      dotPos[n * 3 + 2] = grid.nodeZ[n];
+      var c = reachable[n] ? [0.3, 0.9, 0.4] : [1.0, 0.25, 0.25];
+      if (!reachable[n]) unreachable++;
+      dotCol.set(c, n * 3);
+    }
+    var dotGeom = new THREE.BufferGeometry();
+    dotGeom.setAttribute('position', new THREE.BufferAttribute(dotPos, 3));
+    dotGeom.setAttribute('color', new THREE.BufferAttribute(dotCol, 3));
+    var dots = new THREE.Points(dotGeom, new THREE.PointsMaterial({ size: 0.22, vertexColors: true }));
+
+    // Two-way links once, drops (one-way) in orange
+    var linePos = [], lineCol = [];
+    grid.forEachEdge(function (a, b, isDrop) {
+      if (!isDrop && b < a) return;
+      linePos.push(grid.nodeX[a], grid.nodeY[a] + lift, grid.nodeZ[a], grid.nodeX[b], grid.nodeY[b] + lift, grid.nodeZ[b]);
+      var lc = isDrop ? [1.0, 0.65, 0.2] : [0.3, 0.7, 0.45];
+      lineCol.push(lc[0], lc[1], lc[2], lc[0], lc[1], lc[2]);
+    });
+    var lineGeom = new THREE.BufferGeometry();
+    lineGeom.setAttribute('position', new THREE.Float32BufferAttribute(linePos, 3));
+    lineGeom.setAttribute('color', new THREE.Float32BufferAttribute(lineCol, 3));
+    var lines = new THREE.LineSegments(lineGeom, new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.45 }));
+
+    navOverlay = new THREE.Group();
+    navOverlay.name = 'EditorGroup';
+    navOverlay.add(lines);
+    navOverlay.add(dots);
+    editorScene.add(navOverlay);
+
+    navOverlayStats = grid.nodeCount + ' spots' + (unreachable ? ', ' + unreachable + ' unreachable' : '');
+    updateStatusBar();
+  }
+
+  function toggleNavOverlay() {
+    navOverlayOn = !navOverlayOn;
+    if (navOverlayOn) rebuildNavOverlay(); else removeNavOverlay();
+    var btn = document.getElementById('editorNavToggle');
+    if (btn) {
+      btn.textContent = navOverlayOn ? 'Nav: On' : 'Nav: Off';
+      if (navOverlayOn) btn.classList.add('nav-active');
+      else btn.classList.remove('nav-active');
+    }
+    updateStatusBar();
+  }
+
   // ── Mirror pair helpers ──
 
   function findMirrorPartner(objData) {
@@ -958,6 +1134,13 @@
       editorScene.add(spawnHelper);
       boxHelpers.push(spawnHelper);
     }
+    // Bot waypoint outline
+    if (selectedBotEntry && selectedBotEntry.mesh) {
+      var botHelper = new THREE.BoxHelper(selectedBotEntry.mesh, 0xffffff);
+      editorScene.add(botHelper);
+      boxHelpers.push(botHelper);
+    }
+    tintBotPaths();
     // Only show resize handles for single object selection
     if (selectedObjects.length === 1) {
       createResizeHandles(selectedObjects[0]);
@@ -1023,6 +1206,7 @@
       selectedObjects.push(entry);
     }
     selectedSpawnEntry = null;
+    selectedBotEntry = null;
     selectedObj = selectedObjects.length > 0 ? selectedObjects[0] : null;
     refreshSelectionVisuals();
     if (selectedObjects.length === 1) showPropsPanel(selectedObjects[0].data);
@@ -1034,6 +1218,7 @@
     selectedObjects = editorObjects.slice();
     selectedObj = selectedObjects.length > 0 ? selectedObjects[0] : null;
     selectedSpawnEntry = null;
+    selectedBotEntry = null;
     refreshSelectionVisuals();
     if (selectedObjects.length === 1) showPropsPanel(selectedObjects[0].data);
     else if (selectedObjects.length > 1) showMultiPropsPanel();
@@ -1049,12 +1234,21 @@
     showSpawnPropsPanel(entry.data);
   }
 
+  function selectBotEntry(entry) {
+    deselectAll();
+    selectedBotEntry = entry;
+    refreshSelectionVisuals();
+    showBotPropsPanel(entry);
+  }
+
   function deselectAll() {
     selectedObj = null;
     selectedObjects = [];
     selectedSpawnEntry = null;
+    selectedBotEntry = null;
     removeAllBoxHelpers();
     removeResizeHandles();
+    tintBotPaths();
     propsPanel.classList.add('hidden');
   }
 
@@ -1074,6 +1268,7 @@
     document.getElementById('epropColor').value = data.color || '#6B5B4F';
     document.getElementById('epropSpawnTeamRow').style.display = 'none';
     document.getElementById('epropMirror').style.display = '';
+    setBotRowsVisible(false);
 
     var isCyl = (data.type === 'cylinder' || data.type === 'halfCylinder');
     document.getElementById('epropSizeRow').style.display = isCyl ? 'none' : '';
@@ -1110,6 +1305,7 @@
     document.getElementById('epropRotRow').style.display = 'none';
     document.getElementById('epropSpawnTeamRow').style.display = 'none';
     document.getElementById('epropMirror').style.display = 'none';
+    setBotRowsVisible(false);
   }
 
   function showSpawnPropsPanel(data) {
@@ -1131,9 +1327,99 @@
     document.getElementById('epropSpawnTeamRow').style.display = '';
     document.getElementById('epropSpawnTeam').value = data.team || '';
     document.getElementById('epropMirror').style.display = 'none';
+    setBotRowsVisible(false);
+  }
+
+  var BOT_ROW_IDS = ['epropBotRouteRow', 'epropBotHeroRow', 'epropBotSpeedRow', 'epropBotHealthRow',
+    'epropBotAggressionRow', 'epropBotAccuracyRow', 'epropBotRemove'];
+
+  // Bot settings in, color out (a bot looks like its hero)
+  function setBotRowsVisible(show) {
+    BOT_ROW_IDS.forEach(function (id) { document.getElementById(id).style.display = show ? '' : 'none'; });
+    document.getElementById('epropColorRow').style.display = show ? 'none' : '';
+    document.getElementById('epropDelete').textContent = show ? 'Delete Waypoint' : 'Delete';
+  }
+
+  function showBotPropsPanel(entry) {
+    var bot = entry.bot;
+    var wp = bot.path[entry.index];
+    propsPanel.classList.remove('hidden');
+    document.getElementById('epropTypeRow').style.display = '';
+    document.getElementById('epropMultiRow').style.display = 'none';
+    document.getElementById('epropType').textContent = 'Bot ' + bot.id.replace('bot_', '') + ' \u00b7 ' + (entry.index + 1) + '/' + bot.path.length;
+    document.getElementById('epropXRow').style.display = '';
+    document.getElementById('epropZRow').style.display = '';
+    document.getElementById('epropYRow').style.display = '';
+    document.getElementById('epropX').value = wp[0];
+    document.getElementById('epropZ').value = wp[2];
+    document.getElementById('epropY').value = wp[1] || 0;
+    document.getElementById('epropSizeRow').style.display = 'none';
+    document.getElementById('epropSYRow').style.display = 'none';
+    document.getElementById('epropSZRow').style.display = 'none';
+    document.getElementById('epropRadiusRow').style.display = 'none';
+    document.getElementById('epropThicknessRow').style.display = 'none';
+    document.getElementById('epropRotRow').style.display = 'none';
+    document.getElementById('epropSpawnTeamRow').style.display = 'none';
+    document.getElementById('epropMirror').style.display = 'none';
+    setBotRowsVisible(true);
+
+    // Heroes loaded now, plus the bot's own if it's not among them
+    var heroSel = document.getElementById('epropBotHero');
+    heroSel.innerHTML = '';
+    var heroIds = (window.HEROES || []).map(function (h) { return h.id; });
+    if (bot.hero && heroIds.indexOf(bot.hero) === -1) heroIds.push(bot.hero);
+    heroIds.forEach(function (id) {
+      var opt = document.createElement('option');
+      var hero = window.getHeroById ? getHeroById(id) : null;
+      opt.value = id;
+      opt.textContent = hero && hero.id === id ? hero.name : id;
+      heroSel.appendChild(opt);
+    });
+    heroSel.value = bot.hero || 'marksman';
+    document.getElementById('epropBotRoute').value = bot.route || 'pingpong';
+    document.getElementById('epropBotSpeed').value = (typeof bot.speed === 'number') ? bot.speed : '';
+    document.getElementById('epropBotHealth').value = (typeof bot.health === 'number') ? bot.health : '';
+    document.getElementById('epropBotAggression').value = bot.aggression || 0;
+    document.getElementById('epropBotAccuracy').value = (typeof bot.accuracy === 'number') ? bot.accuracy : 0.3;
+  }
+
+  // Blank (or not above zero) leaves the setting to the hero
+  function readPositive(id) {
+    var value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? value : null;
+  }
+
+  function readFraction(id, fallback) {
+    var value = parseFloat(document.getElementById(id).value);
+    return Number.isNaN(value) ? fallback : Math.max(0, Math.min(1, value));
+  }
+
+  function applyPropsToBot() {
+    pushUndo();
+    var bot = selectedBotEntry.bot;
+    var index = selectedBotEntry.index;
+    var wp = bot.path[index];
+    wp[0] = parseFloat(document.getElementById('epropX').value) || 0;
+    wp[1] = parseFloat(document.getElementById('epropY').value) || 0;
+    wp[2] = parseFloat(document.getElementById('epropZ').value) || 0;
+    var route = document.getElementById('epropBotRoute').value;
+    bot.route = BOT_ROUTES.indexOf(route) !== -1 ? route : 'pingpong';
+    bot.hero = document.getElementById('epropBotHero').value || 'marksman';
+    var speed = readPositive('epropBotSpeed');
+    var health = readPositive('epropBotHealth');
+    if (speed) bot.speed = speed; else delete bot.speed;
+    if (health) bot.health = health; else delete bot.health;
+    bot.aggression = readFraction('epropBotAggression', 0);
+    bot.accuracy = readFraction('epropBotAccuracy', 0.3);
+    rebuildBotMeshes();
+    reselectBotWaypoint(bot, index);
   }
 
   function applyPropsToSelected() {
+    if (selectedBotEntry) {
+      applyPropsToBot();
+      return;
+    }
     if (selectedSpawnEntry) {
       pushUndo();
       var sp = selectedSpawnEntry.data;
@@ -1352,7 +1638,58 @@
     updateStatusBar();
   }
 
+  // Bot Path tool: a waypoint after the selected one, or a new bot starting here
+  function placeBotWaypointAt(worldX, worldZ) {
+    pushUndo();
+    if (!mapData.trainingBots) mapData.trainingBots = [];
+    var wp = [snapToGrid(worldX), 0, snapToGrid(worldZ)];
+    var bot, index;
+    if (selectedBotEntry) {
+      bot = selectedBotEntry.bot;
+      index = selectedBotEntry.index + 1;
+      bot.path.splice(index, 0, wp);
+    } else {
+      bot = {
+        id: 'bot_' + (_nextBotId++),
+        path: [wp],
+        route: 'pingpong',
+        hero: 'marksman',
+        aggression: 0,
+        accuracy: 0.3
+      };
+      index = 0;
+      mapData.trainingBots.push(bot);
+    }
+    rebuildBotMeshes();
+    reselectBotWaypoint(bot, index);
+    updateStatusBar();
+  }
+
+  function removeSelectedBot() {
+    if (!selectedBotEntry) return;
+    pushUndo();
+    var at = mapData.trainingBots.indexOf(selectedBotEntry.bot);
+    if (at >= 0) mapData.trainingBots.splice(at, 1);
+    deselectAll();
+    rebuildBotMeshes();
+    updateStatusBar();
+  }
+
   function deleteSelected() {
+    if (selectedBotEntry) {
+      // One waypoint; the bot goes with its last one
+      pushUndo();
+      var bot = selectedBotEntry.bot;
+      var index = selectedBotEntry.index;
+      bot.path.splice(index, 1);
+      if (bot.path.length === 0) mapData.trainingBots.splice(mapData.trainingBots.indexOf(bot), 1);
+      deselectAll();
+      rebuildBotMeshes();
+      if (bot.path.length > 0) reselectBotWaypoint(bot, Math.max(0, index - 1));
+      updateStatusBar();
+      return;
+    }
+
     if (selectedSpawnEntry) {
       pushUndo();
       var spIdx = mapData.spawns.indexOf(selectedSpawnEntry.data);
@@ -1623,6 +1960,7 @@
     recalcNextMirrorPairId();
     recalcNextQuadGroupId();
     recalcNextSpawnId();
+    recalcNextBotId();
     rebuildEditorScene();
   }
 
@@ -1635,6 +1973,7 @@
     recalcNextMirrorPairId();
     recalcNextQuadGroupId();
     recalcNextSpawnId();
+    recalcNextBotId();
     rebuildEditorScene();
   }
 
@@ -1668,6 +2007,15 @@
       }
     }
 
+    // Then bot waypoints
+    var botMeshArr = botEntries.map(function (e) { return e.mesh; });
+    var botHits = raycaster.intersectObjects(botMeshArr, false);
+    if (botHits.length > 0) {
+      for (var bi = 0; bi < botEntries.length; bi++) {
+        if (botEntries[bi].mesh === botHits[0].object) return { botEntry: botEntries[bi] };
+      }
+    }
+
     // Check editor objects
     var meshes = [];
     for (var i = 0; i < editorObjects.length; i++) meshes.push(editorObjects[i].mesh);
@@ -1747,6 +2095,7 @@
     }
 
     addUI('editorMirrorToggle', 'click', cycleMirrorMode);
+    addUI('editorNavToggle', 'click', toggleNavOverlay);
     addUI('editorSnapToggle', 'click', function () {
       // Cycle: Grid+Edge → Grid → Edge → Off → Grid+Edge
       if (gridSnap && edgeSnap) { edgeSnap = false; }
@@ -1767,13 +2116,15 @@
     addUI('editorSettings', 'click', onSettingsOpen);
     addUI('editorExit', 'click', stopEditor);
     addUI('epropDelete', 'click', deleteSelected);
+    addUI('epropBotRemove', 'click', removeSelectedBot);
     addUI('epropMirror', 'click', mirrorSelected);
 
     addUI('epropClose', 'click', function () { deselectAll(); });
     addUI('esCloseX', 'click', function () { settingsPanel.classList.add('hidden'); });
     addUI('editorLoadCloseX', 'click', function () { loadPanel.classList.add('hidden'); });
 
-    ['epropX', 'epropZ', 'epropY', 'epropSX', 'epropSY', 'epropSZ', 'epropRadius', 'epropThickness', 'epropRot', 'epropColor', 'epropSpawnTeam'].forEach(function (id) {
+    ['epropX', 'epropZ', 'epropY', 'epropSX', 'epropSY', 'epropSZ', 'epropRadius', 'epropThickness', 'epropRot', 'epropColor', 'epropSpawnTeam',
+      'epropBotRoute', 'epropBotHero', 'epropBotSpeed', 'epropBotHealth', 'epropBotAggression', 'epropBotAccuracy'].forEach(function (id) {
       addUI(id, 'change', applyPropsToSelected);
     });
 
@@ -1894,6 +2245,14 @@
         var gp = getGroundPoint(e);
         if (gp) dragGroundStart.copy(gp);
         dragStart.set(e.clientX, e.clientY);
+      } else if (hit && hit.botEntry) {
+        pushUndo();
+        selectBotEntry(hit.botEntry);
+        isDragging = true;
+        dragObjStart.set(hit.botEntry.mesh.position.x, 0, hit.botEntry.mesh.position.z);
+        var gpb = getGroundPoint(e);
+        if (gpb) dragGroundStart.copy(gpb);
+        dragStart.set(e.clientX, e.clientY);
       } else if (hit && hit.obj) {
         if (e.shiftKey) {
           // Shift+click: toggle multi-select
@@ -1922,6 +2281,15 @@
     } else if (currentTool === 'spawn') {
       var gp3 = getGroundPoint(e);
       if (gp3) placeSpawnAt(gp3.x, gp3.z);
+    } else if (currentTool === 'bot') {
+      // Clicking a waypoint picks where the next ones go
+      var botHit = getHitObject(e);
+      if (botHit && botHit.botEntry) {
+        selectBotEntry(botHit.botEntry);
+      } else {
+        var gp5 = getGroundPoint(e);
+        if (gp5) placeBotWaypointAt(gp5.x, gp5.z);
+      }
     } else {
       var gp4 = getGroundPoint(e);
       if (gp4) placeObjectAt(currentTool, gp4.x, gp4.z);
@@ -1956,14 +2324,20 @@
       return;
     }
 
-    if (isDragging && (selectedObjects.length > 0 || selectedSpawnEntry)) {
+    if (isDragging && (selectedObjects.length > 0 || selectedSpawnEntry || selectedBotEntry)) {
       var gp = getGroundPoint(e);
       if (!gp) return;
 
       var dx = gp.x - dragGroundStart.x;
       var dz = gp.z - dragGroundStart.z;
 
-      if (selectedSpawnEntry) {
+      if (selectedBotEntry) {
+        var dragged = selectedBotEntry;
+        dragged.bot.path[dragged.index][0] = snapToGrid(dragObjStart.x + dx);
+        dragged.bot.path[dragged.index][2] = snapToGrid(dragObjStart.z + dz);
+        rebuildBotMeshes();
+        reselectBotWaypoint(dragged.bot, dragged.index);
+      } else if (selectedSpawnEntry) {
         var newX = snapToGrid(dragObjStart.x + dx);
         var newZ = snapToGrid(dragObjStart.z + dz);
         selectedSpawnEntry.mesh.position.x = newX;
@@ -2067,6 +2441,7 @@
     if (k === 'm') { mirrorSelected(); e.preventDefault(); return; }
     if (k === 'g' && !e.ctrlKey && !e.metaKey) { toggleGridSnap(); e.preventDefault(); return; }
     if (k === 'e' && !e.ctrlKey && !e.metaKey) { toggleEdgeSnap(); e.preventDefault(); return; }
+    if (k === 'n' && !e.ctrlKey && !e.metaKey) { toggleNavOverlay(); e.preventDefault(); return; }
 
     // Ctrl+C: Copy
     if ((e.ctrlKey || e.metaKey) && k === 'c') { copySelected(); e.preventDefault(); return; }
@@ -2164,6 +2539,7 @@
       recalcNextMirrorPairId();
       recalcNextQuadGroupId();
       recalcNextSpawnId();
+    recalcNextBotId();
       document.getElementById('esMapName').value = name;
       rebuildEditorScene();
       loadPanel.classList.add('hidden');
@@ -2194,12 +2570,14 @@
         { id: 'spawn_1', position: [0, 0, -37], team: 'A' },
         { id: 'spawn_2', position: [0, 0, 37], team: 'B' }
       ],
-      objects: []
+      objects: [],
+      trainingBots: []
     };
     _nextId = 1;
     _nextMirrorPairId = 1;
     _nextQuadGroupId = 1;
     _nextSpawnId = 3;
+    _nextBotId = 1;
     document.getElementById('esMapName').value = 'new-map';
     rebuildEditorScene();
     syncSettingsUI();
@@ -2240,8 +2618,11 @@
     }
     var snapLabel = gridSnap && edgeSnap ? 'Grid+Edge' : gridSnap ? 'Grid' : edgeSnap ? 'Edge' : 'Off';
     toolText += '  |  Snap: ' + snapLabel;
+    if (navOverlayOn && navOverlayStats) toolText += '  |  Nav: ' + navOverlayStats;
+    if (currentTool === 'bot') toolText += '  |  Click: waypoint after the selected one, Esc: start a new bot';
     if (toolLabel) toolLabel.textContent = toolText;
-    if (objCount) objCount.textContent = 'Objects: ' + (mapData ? mapData.objects.length : 0);
+    var botCount = (mapData && mapData.trainingBots) ? mapData.trainingBots.length : 0;
+    if (objCount) objCount.textContent = 'Objects: ' + (mapData ? mapData.objects.length : 0) + (botCount ? '  |  Bots: ' + botCount : '');
   }
 
   function showEditorToast(msg) {
@@ -2284,6 +2665,12 @@
       if (flyKeys.shift) editorCamera.position.y -= flySpeed;
     }
 
+    // Refresh the nav overlay after edits (not mid-drag: a rebuild takes a moment)
+    if (navOverlayOn && !isDragging && !isResizing && ++navOverlayCheckFrames >= 30) {
+      navOverlayCheckFrames = 0;
+      if (navGridKey(mapData) !== navOverlayKey) rebuildNavOverlay();
+    }
+
     // Update BoxHelper instances (spawn outlines)
     for (var i = 0; i < boxHelpers.length; i++) {
       if (typeof boxHelpers[i].update === 'function') boxHelpers[i].update();
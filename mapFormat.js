@@ -7,6 +7,8 @@
  *
  * EXPORTS (window):
  *   buildArenaFromMap(mapData) — construct a playable arena from map JSON
+ *     → { group, colliders, solids, waypoints, spawns: { A, B }, spawnsList,
+ *         bounds: { halfW, halfL }, trainingBots, mapData }
  *   getDefaultMapData()        — returns the built-in default map
  *   saveMapToServer(name, mapData) — POST map to server
  *   deleteMapFromServer(name)      — DELETE map from server
@@ -14,9 +16,18 @@
  *   fetchMapData(name)             — GET map from server
  *   recalcNextMirrorPairId(mapData) — recompute mirror pair IDs
  *   normalizeSpawns(spawns)          — convert old/new spawn formats to array
+ *   computeSpawnCenter(arena)        — average of all spawn points (arena middle)
+ *   assignSpawnPositions(arena, roster, teamMode) — spawn Vector3 per roster id
  *   computeColliderForMesh(mesh)    — compute Box3 collider(s) for a mesh
+ *   trainingBotsFromMap(mapData)    — TrainingBot options for the map's training bots
  *
- * DEPENDENCIES: Three.js, game.js (scene global), physics.js (GROUND_Y)
+ * TRAINING BOTS (optional mapData.trainingBots, authored in mapEditor.js):
+ *   [{ id, path: [[x, y, z], ...], route: 'pingpong' | 'loop' | 'random',
+ *      hero, speed, health, aggression, accuracy }]
+ *   A bot starts at the first waypoint of its path; y lifts a waypoint off the
+ *   floor (a bridge). Settings left out take TrainingBot's defaults.
+ *
+ * DEPENDENCIES: Three.js, game.js (scene global), physics.js (GROUND_Y, EYE_HEIGHT)
  *
  * TODO (future):
  *   - Map validation (ensure spawns exist, arena is enclosed, etc.)
@@ -180,6 +191,95 @@
     return arr;
   };
 
+  // ── Multi-player spawn assignment ──
+  // Used by LAN (browser host and clients) and the headless server simulation,
+  // so every side derives the same spawn per player from the roster alone.
+
+  var SPAWN_SPREAD = 1.5;          // lateral spacing between players sharing a spawn point
+  var SPAWN_TEAMS = ['A', 'B', 'C', 'D'];
+
+  function spawnPointVec(sp) {
+    return new THREE.Vector3(sp.position[0], sp.position[1] || 0, sp.position[2]);
+  }
+
+  window.computeSpawnCenter = function (arena) {
+    var list = (arena && arena.spawnsList) || [];
+    var c = new THREE.Vector3();
+    if (list.length === 0) return c.copy(arena.spawns.A).add(arena.spawns.B).multiplyScalar(0.5);
+    for (var i = 0; i < list.length; i++) c.add(spawnPointVec(list[i]));
+    return c.multiplyScalar(1 / list.length);
+  };
+
+  // roster: [{id, slot, team}]. Team mode uses the team's own spawns (falling
+  // back to A/B by team parity); otherwise players cycle through all spawns by
+  // slot. Players stacked on one point are spread sideways relative to the center.
+  window.assignSpawnPositions = function (arena, roster, teamMode) {
+    var list = (arena && arena.spawnsList) || [];
+    var fallback = [arena.spawns.A, arena.spawns.B];
+    var center = window.computeSpawnCenter(arena);
+    var sorted = roster.slice().sort(function (a, b) { return a.slot - b.slot; });
+    var groupUse = {};
+    var pointUse = {};
+    var out = {};
+
+    for (var i = 0; i < sorted.length; i++) {
+      var entry = sorted[i];
+      var candidates, groupKey;
+      if (teamMode && entry.team) {
+        groupKey = entry.team;
+        candidates = list.filter(function (sp) { return sp.team === entry.team; }).map(spawnPointVec);
+        if (candidates.length === 0) candidates = [fallback[Math.max(0, SPAWN_TEAMS.indexOf(entry.team)) % 2]];
+      } else {
+        groupKey = '*';
+        candidates = list.length ? list.map(spawnPointVec) : fallback;
+      }
+      var used = groupUse[groupKey] || 0;
+      groupUse[groupKey] = used + 1;
+      var ci = used % candidates.length;
+      var base = candidates[ci];
+
+      var pointKey = groupKey + ':' + ci;
+      var stack = pointUse[pointKey] || 0;
+      pointUse[pointKey] = stack + 1;
+      var pos = base.clone();
+      if (stack > 0) {
+        var toCenter = new THREE.Vector3(center.x - base.x, 0, center.z - base.z);
+        if (toCenter.lengthSq() < 1e-6) toCenter.set(0, 0, 1);
+        toCenter.normalize();
+        var side = (stack % 2 === 1) ? Math.ceil(stack / 2) : -stack / 2;
+        pos.x += -toCenter.z * SPAWN_SPREAD * side;
+        pos.z += toCenter.x * SPAWN_SPREAD * side;
+      }
+      out[entry.id] = pos;
+    }
+    return out;
+  };
+
+  // ── Training bots ──
+  // Map entries to TrainingBot options (trainingBot.js): paths at eye height,
+  // like the Training Range's own; bots without a waypoint are skipped
+
+  window.trainingBotsFromMap = function (mapData) {
+    var list = (mapData && mapData.trainingBots) || [];
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+      var bot = list[i];
+      if (!bot || !Array.isArray(bot.path) || bot.path.length === 0) continue;
+      out.push({
+        patrolPath: bot.path.map(function (p) {
+          return new THREE.Vector3(p[0], GROUND_Y + (p[1] || 0) + EYE_HEIGHT, p[2]);
+        }),
+        patrolRoute: bot.route,
+        heroId: bot.hero,
+        speed: bot.speed,
+        maxHealth: bot.health,
+        aggression: bot.aggression,
+        accuracy: bot.accuracy
+      });
+    }
+    return out;
+  };
+
   // ── Compute colliders for a mesh ──
   // Returns an ARRAY of Box3 colliders.
   // Ramps get staircase colliders (approximating the triangular cross-section)
@@ -587,7 +687,10 @@
       solids: solids,
       waypoints: waypoints,
       spawns: { A: spawnA, B: spawnB },
-      spawnsList: spawnsList
+      spawnsList: spawnsList,
+      bounds: { halfW: halfW, halfL: halfL },
+      trainingBots: window.trainingBotsFromMap(mapData),
+      mapData: mapData // navGrid.js caches its grid by this map's content
     };
   };
 
@@ -9,15 +9,26 @@
  *   bindUI()               — initialize menu event listeners (called by game.js)
  *   showOnlyMenu(id)       — show one menu, hide all others
  *   setHUDVisible(visible) — toggle all HUD elements
+ *   refreshRoomBrowser()   — reload the LAN room list (this server + discovered servers)
+ *   populateDifficultyDropdown(selectId) — fill a select with the AI difficulty profiles
+ *   showTrainingDrillResult(result, rank) — show a finished drill in the Training menu
  *
- * DEPENDENCIES: modeAI.js, modeLAN.js, modeTraining.js (start/stop functions)
+ * DEPENDENCIES: modeAI.js, modeLAN.js, modeTraining.js (start/stop functions),
+ *   aiDifficulty.js (AI_DIFFICULTIES, getAIDifficulty),
+ *   trainingDrills.js (getTrainingDrill, getDrillLeaderboard)
+ *
+ * DESIGN NOTES:
+ *   - The room browser lists GET /api/rooms from the server that served the page,
+ *     then the rooms of every server in GET /api/servers (LAN_DISCOVERY=1 on the
+ *     server). Joining a room on another server navigates there with ?join=<roomId>
+ *     (plus &spectate=1 to watch), which bindUI() picks up once on load.
  *
  * TODO (future):
  *   - Hero stats preview in lobby
  *   - Map selection UI with thumbnails
  *   - Audio settings (volume, mute)
  *   - Key rebinding menu
- *   - Server browser for LAN (auto-discover rooms)
+ *   - Auto-refresh the room browser while it is open
  */
 
 
@@ -92,6 +103,7 @@ function bindUI() {
 
   if (gotoPaintball) gotoPaintball.addEventListener('click', () => {
     showOnlyMenu('paintballMenu');
+    populateDifficultyDropdown('paintballDifficulty');
     populateMapDropdown('paintballMapSelect');
   });
   if (backFromPaintball) backFromPaintball.addEventListener('click', () => showOnlyMenu('mainMenu'));
@@ -101,12 +113,30 @@ function bindUI() {
   const backFromTraining = document.getElementById('backFromTraining');
   const startTraining = document.getElementById('startTraining');
 
-  if (gotoTraining) gotoTraining.addEventListener('click', () => showOnlyMenu('trainingMenu'));
+  const trainingDrill = document.getElementById('trainingDrill');
+  const trainingMapSelect = document.getElementById('trainingMapSelect');
+
+  if (gotoTraining) gotoTraining.addEventListener('click', () => {
+    showOnlyMenu('trainingMenu');
+    populateMapDropdown('trainingMapSelect', 'Training Range');
+    renderTrainingDrillInfo();
+  });
   if (backFromTraining) backFromTraining.addEventListener('click', () => showOnlyMenu('mainMenu'));
+  if (trainingDrill) trainingDrill.addEventListener('change', () => renderTrainingDrillInfo());
+  if (trainingMapSelect) trainingMapSelect.addEventListener('change', () => renderTrainingDrillInfo());
   if (startTraining) {
     startTraining.addEventListener('click', () => {
-      if (typeof window.startTrainingRange === 'function') {
-        window.startTrainingRange();
+      if (typeof window.startTrainingRange !== 'function') return;
+      const mapName = (trainingMapSelect && trainingMapSelect.value) || '__default__';
+      if (mapName !== '__default__' && typeof fetchMapData === 'function') {
+        fetchMapData(mapName).then(function (mapData) {
+          window.startTrainingRange({ _mapData: mapData });
+        }).catch(function (e) {
+          console.warn('menuNavigation: failed to load map ' + mapName + ', using the Training Range', e);
+          window.startTrainingRange({});
+        });
+      } else {
+        window.startTrainingRange({ drill: (trainingDrill && trainingDrill.value) || null });
       }
     });
   }
@@ -120,24 +150,40 @@ function bindUI() {
   });
   if (backFromLAN) backFromLAN.addEventListener('click', () => showOnlyMenu('mainMenu'));
 
+  // LAN room browser
+  const gotoRoomBrowser = document.getElementById('gotoRoomBrowser');
+  const refreshRooms = document.getElementById('refreshRooms');
+  const backFromRoomBrowser = document.getElementById('backFromRoomBrowser');
+  if (gotoRoomBrowser) gotoRoomBrowser.addEventListener('click', () => {
+    showOnlyMenu('roomBrowserMenu');
+    refreshRoomBrowser();
+  });
+  if (refreshRooms) refreshRooms.addEventListener('click', () => refreshRoomBrowser());
+  if (backFromRoomBrowser) backFromRoomBrowser.addEventListener('click', () => showOnlyMenu('lanMenu'));
+
   // Paintball (AI) start
   const startPaintball = document.getElementById('startPaintball');
   if (startPaintball) {
     startPaintball.addEventListener('click', () => {
       const sel = document.getElementById('paintballDifficulty');
       const difficulty = sel ? sel.value : 'Easy';
+      const adaptive = (document.getElementById('paintballAdaptive') || {}).value === 'on';
+      const mode = (document.getElementById('paintballMode') || {}).value === 'teams' ? 'teams' : 'ffa';
+      const opponents = parseInt((document.getElementById('paintballOpponents') || {}).value, 10) || 1;
+      const teammates = parseInt((document.getElementById('paintballTeammates') || {}).value, 10) || 0;
+      const matchOpts = { difficulty, adaptive, mode, opponents, teammates };
       const mapSel = document.getElementById('paintballMapSelect');
       const mapName = (mapSel && mapSel.value) ? mapSel.value : '__default__';
       if (typeof startPaintballGame !== 'function') return;
 
       if (mapName && mapName !== '__default__' && typeof fetchMapData === 'function') {
         fetchMapData(mapName).then(function (mapData) {
-          startPaintballGame({ difficulty, _mapData: mapData });
+          startPaintballGame(Object.assign({ _mapData: mapData }, matchOpts));
         }).catch(function () {
-          startPaintballGame({ difficulty });
+          startPaintballGame(matchOpts);
         });
       } else {
-        startPaintballGame({ difficulty });
+        startPaintballGame(matchOpts);
       }
     });
   }
@@ -150,7 +196,13 @@ function bindUI() {
       const roomIdEl = document.getElementById('roomId');
       const roomId = roomIdEl ? String(roomIdEl.value || '').trim() : '';
       const roundsToWin = parseInt((document.getElementById('roundsToWin') || {}).value, 10) || 2;
-      const settings = { roundsToWin };
+      const maxPlayers = parseInt((document.getElementById('lanMaxPlayers') || {}).value, 10) || 2;
+      const mode = (document.getElementById('lanMode') || {}).value === 'teams' ? 'teams' : 'ffa';
+      const teamCount = parseInt((document.getElementById('lanTeamCount') || {}).value, 10) || 2;
+      const maxRewindRaw = parseInt((document.getElementById('lanMaxRewind') || {}).value, 10);
+      const maxRewindMs = Number.isNaN(maxRewindRaw) ? 200 : maxRewindRaw;
+      const dedicated = (document.getElementById('lanDedicated') || {}).value === 'dedicated';
+      const settings = { roundsToWin, maxPlayers, mode, teamCount, maxRewindMs, dedicated };
       const mapSel = document.getElementById('lanMapSelect');
       const mapName = (mapSel && mapSel.value) ? mapSel.value : '__default__';
       if (typeof hostLanGame === 'function') {
@@ -160,6 +212,18 @@ function bindUI() {
       }
     });
   }
+  const spectateLanBtn = document.getElementById('spectateLanBtn');
+  if (spectateLanBtn) {
+    spectateLanBtn.addEventListener('click', () => {
+      const roomIdEl = document.getElementById('roomId');
+      const roomId = roomIdEl ? String(roomIdEl.value || '').trim() : '';
+      if (typeof joinLanGame === 'function') {
+        joinLanGame(roomId, { spectate: true });
+      } else {
+        alert('Multiplayer module not loaded.');
+      }
+    });
+  }
   if (joinLanBtn) {
     joinLanBtn.addEventListener('click', () => {
       const roomIdEl = document.getElementById('roomId');
@@ -172,6 +236,21 @@ function bindUI() {
     });
   }
 
+  // Arrived from another server's room browser: join the requested room once
+  if (!_joinParamHandled) {
+    _joinParamHandled = true;
+    let joinRoomId = null;
+    let spectate = false;
+    try {
+      const params = new URLSearchParams(window.location.search);
+      joinRoomId = params.get('join');
+      spectate = params.get('spectate') === '1';
+      // Drop the parameters so a reload doesn't rejoin
+      if (joinRoomId) history.replaceState(null, '', window.location.pathname);
+    } catch (e) { console.warn('menuNavigation: failed to read join parameter', e); }
+    if (joinRoomId && typeof joinLanGame === 'function') joinLanGame(joinRoomId, { spectate: spectate });
+  }
+
   // Results screen
   const backToMenu = document.getElementById('backToMenu');
   if (backToMenu) {
@@ -193,11 +272,16 @@ function setHUDVisible(visible) {
   if (crosshair) crosshair.classList.toggle('hidden', !visible);
 }
 
-function populateMapDropdown(selectId) {
+// defaultLabel names the mode's own arena (default 'Default Arena')
+function populateMapDropdown(selectId, defaultLabel) {
   var sel = document.getElementById(selectId);
   if (!sel) return;
   // Keep only the default option
-  sel.innerHTML = '<option value="__default__">Default Arena</option>';
+  sel.innerHTML = '';
+  var builtIn = document.createElement('option');
+  builtIn.value = '__default__';
+  builtIn.textContent = defaultLabel || 'Default Arena';
+  sel.appendChild(builtIn);
   if (typeof fetchMapList !== 'function') return;
   fetchMapList().then(function (names) {
     names.forEach(function (name) {
@@ -209,6 +293,224 @@ function populateMapDropdown(selectId) {
   }).catch(function (e) { console.warn('menuNavigation: failed to fetch map list', e); });
 }
 
+// The loaded AI difficulty profiles (aiDifficulty.js: built-ins plus any saved
+// from the dev workbench), keeping the current choice if it's still there
+function populateDifficultyDropdown(selectId) {
+  var sel = document.getElementById(selectId);
+  if (!sel || !Array.isArray(window.AI_DIFFICULTIES)) return;
+  var current = sel.value;
+  sel.innerHTML = '';
+  window.AI_DIFFICULTIES.forEach(function (profile) {
+    var opt = document.createElement('option');
+    opt.value = profile.id;
+    opt.textContent = profile.name;
+    sel.appendChild(opt);
+  });
+  if (current && typeof getAIDifficulty === 'function') sel.value = getAIDifficulty(current).id;
+}
+
+// --- Training drills ---
+
+// The drill's headline numbers, e.g. "62% accuracy · 14 kills · 840ms to kill · 30% headshots"
+function describeDrillResult(result) {
+  var parts = [
+    Math.round(result.accuracy * 100) + '% accuracy',
+    result.kills + ' kills'
+  ];
+  if (result.avgTtkMs !== null) parts.push(result.avgTtkMs + 'ms to kill');
+  parts.push(Math.round(result.headshotRate * 100) + '% headshots');
+  if (result.avgReactionMs !== null) parts.push(result.avgReactionMs + 'ms reaction');
+  if (result.falseStarts) parts.push(result.falseStarts + ' early');
+  if (result.drillId === 'course') {
+    parts.push(result.completedSec !== null ? 'course in ' + result.completedSec.toFixed(1) + 's' : result.checkpoints + ' checkpoints');
+  }
+  return parts.join(' \u00b7 ');
+}
+
+var _lastDrillResult = null; // { result, rank } of the last drill finished
+
+// Under the Drill select: what the drill is, the last result and the current
+// hero's leaderboard for it
+function renderTrainingDrillInfo() {
+  var info = document.getElementById('trainingDrillInfo');
+  var sel = document.getElementById('trainingDrill');
+  var mapSel = document.getElementById('trainingMapSelect');
+  if (!info) return;
+  // Drills need the range's lanes and course: a saved map is free practice only
+  var mapName = (mapSel && mapSel.value && mapSel.value !== '__default__') ? mapSel.value : null;
+  if (sel) sel.disabled = !!mapName;
+  if (mapName) {
+    info.textContent = 'Free practice on ' + mapName + ' with the training bots set up for it in the map editor. Drills are on the Training Range only. Press H to switch hero.';
+    return;
+  }
+  var drill = (sel && sel.value && typeof getTrainingDrill === 'function') ? getTrainingDrill(sel.value) : null;
+  if (!drill) {
+    info.textContent = 'Static targets at 15, 25 and 35m and patrolling bots, no timer or score. Press H to switch hero.';
+    return;
+  }
+  info.innerHTML = '';
+  var heroId = window.getCurrentHeroId ? window.getCurrentHeroId() : 'marksman';
+  var hero = window.getHeroById ? window.getHeroById(heroId) : null;
+
+  var about = document.createElement('span');
+  about.textContent = drill.name + ' (' + drill.durationSec + 's): ' + drill.description;
+  info.appendChild(about);
+
+  var last = _lastDrillResult;
+  if (last && last.result.drillId === drill.id) {
+    var box = document.createElement('span');
+    box.className = 'drill-result';
+    var score = document.createElement('strong');
+    score.textContent = 'Score ' + last.result.score + ' \u2014 ' +
+      (last.rank === 1 ? 'new best!' : last.rank ? '#' + last.rank + ' on the leaderboard' : 'not in the top 10');
+    var details = document.createElement('small');
+    details.textContent = describeDrillResult(last.result);
+    box.appendChild(score);
+    box.appendChild(document.createElement('br'));
+    box.appendChild(details);
+    info.appendChild(box);
+  }
+
+  var board = document.createElement('span');
+  board.className = 'drill-board';
+  var list = typeof getDrillLeaderboard === 'function' ? getDrillLeaderboard(drill.id, heroId) : [];
+  var heroName = hero ? hero.name : heroId;
+  board.appendChild(document.createTextNode(list.length ? 'Best with ' + heroName + ':' : 'No results with ' + heroName + ' yet.'));
+  list.slice(0, 5).forEach(function (entry, i) {
+    board.appendChild(document.createElement('br'));
+    board.appendChild(document.createTextNode((i + 1) + '. ' + entry.score + ' \u00b7 ' + describeDrillResult(entry)));
+  });
+  info.appendChild(board);
+}
+
+function showTrainingDrillResult(result, rank) {
+  _lastDrillResult = { result: result, rank: rank };
+  var sel = document.getElementById('trainingDrill');
+  if (sel) sel.value = result.drillId;
+  renderTrainingDrillInfo();
+}
+
+// ?join=<roomId> is handled on the first bindUI() only
+var _joinParamHandled = false;
+
+// Room browser: bumped on every refresh so slow responses from an older refresh are dropped
+var _roomBrowserRequest = 0;
+
+function fetchRoomsFrom(baseUrl) {
+  return fetch(baseUrl + '/api/rooms').then(function (r) {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  });
+}
+
+function refreshRoomBrowser() {
+  var list = document.getElementById('roomList');
+  if (!list) return;
+  var request = ++_roomBrowserRequest;
+  list.textContent = 'Searching...';
+
+  var local = fetchRoomsFrom('').then(function (rooms) {
+    return [{ name: 'This server', baseUrl: null, rooms: rooms }];
+  }).catch(function (e) {
+    console.warn('menuNavigation: failed to fetch room list', e);
+    return [];
+  });
+
+  var remote = fetch('/api/servers').then(function (r) {
+    return r.ok ? r.json() : [];
+  }).then(function (servers) {
+    return Promise.all((servers || []).map(function (srv) {
+      var baseUrl = 'http://' + srv.address + ':' + srv.port;
+      return fetchRoomsFrom(baseUrl).then(function (rooms) {
+        return { name: (srv.name || srv.address) + ' (' + srv.address + ':' + srv.port + ')', baseUrl: baseUrl, rooms: rooms };
+      }).catch(function (e) {
+        console.warn('menuNavigation: failed to fetch rooms from ' + baseUrl, e);
+        return null;
+      });
+    }));
+  }).catch(function (e) {
+    console.warn('menuNavigation: failed to fetch discovered servers', e);
+    return [];
+  });
+
+  Promise.all([local, remote]).then(function (results) {
+    if (request !== _roomBrowserRequest) return;
+    var groups = results[0].concat(results[1].filter(Boolean));
+    renderRoomBrowser(list, groups);
+  });
+}
+
+function describeRoom(room) {
+  var s = room.settings || {};
+  var parts = [
+    room.mapName || 'Default Arena',
+    room.players + '/' + room.maxPlayers + ' players',
+    s.mode === 'teams' ? (s.teamCount || 2) + ' teams' : 'Free-for-all',
+    'first to ' + (s.roundsToWin || 2)
+  ];
+  if (room.spectators) parts.push(room.spectators + ' watching');
+  if (room.dedicated) parts.push('dedicated');
+  parts.push(room.inProgress ? 'in progress' : 'waiting');
+  return parts.join(' \u00b7 ');
+}
+
+function renderRoomBrowser(list, groups) {
+  list.innerHTML = '';
+  groups.forEach(function (group) {
+    var heading = document.createElement('span');
+    heading.className = 'room-server';
+    heading.textContent = group.name;
+    list.appendChild(heading);
+
+    if (!group.rooms.length) {
+      var empty = document.createElement('span');
+      empty.className = 'room-empty';
+      empty.textContent = 'No open rooms';
+      list.appendChild(empty);
+      return;
+    }
+
+    group.rooms.forEach(function (room) {
+      var row = document.createElement('span');
+      row.className = 'room-row';
+
+      var info = document.createElement('span');
+      info.className = 'room-info';
+      var name = document.createElement('strong');
+      name.textContent = room.id;
+      var details = document.createElement('small');
+      details.textContent = describeRoom(room);
+      info.appendChild(name);
+      info.appendChild(details);
+
+      function enterRoom(spectate) {
+        if (group.baseUrl) {
+          window.location.href = group.baseUrl + '/?join=' + encodeURIComponent(room.id) + (spectate ? '&spectate=1' : '');
+        } else if (typeof joinLanGame === 'function') {
+          joinLanGame(room.id, { spectate: spectate });
+        }
+      }
+
+      var joinBtn = document.createElement('button');
+      var full = room.players >= room.maxPlayers;
+      joinBtn.textContent = full ? 'Full' : 'Join';
+      joinBtn.disabled = full;
+      joinBtn.addEventListener('click', function () { enterRoom(false); });
+
+      var watchBtn = document.createElement('button');
+      watchBtn.className = 'secondary';
+      watchBtn.textContent = 'Watch';
+      watchBtn.addEventListener('click', function () { enterRoom(true); });
+
+      row.appendChild(info);
+      row.appendChild(joinBtn);
+      row.appendChild(watchBtn);
+      list.appendChild(row);
+    });
+  });
+  if (!groups.length) list.textContent = 'Could not reach the server.';
+}
+
 function showOnlyMenu(idOrNull) {
   const menus = document.querySelectorAll('.menu');
   menus.forEach(m => m.classList.add('hidden'));
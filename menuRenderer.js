@@ -6,7 +6,7 @@
  * loading custom menu configs from the server to override defaults.
  *
  * EXPORTS (window):
- *   MENU_DEFAULTS            — all 5 menus as JSON config objects
+ *   MENU_DEFAULTS            — all 6 menus as JSON config objects
  *   renderMenuFromConfig(config) — returns a document fragment of rendered elements
  *   renderAllMenus(configMap)    — replaces existing menu DOM with rendered configs
  *   getDefaultMenuConfigs()      — returns a copy of MENU_DEFAULTS
@@ -83,7 +83,7 @@
       id: 'paintballMenu',
       name: 'Paintball (AI)',
       width: 420,
-      height: 270,
+      height: 430,
       style: {},
       elements: [
         {
@@ -102,34 +102,68 @@
           x: 24, y: 72, width: 372, height: 30,
           style: {}
         },
+        {
+          uid: 'pb_10', type: 'select', label: 'Adaptive Difficulty',
+          elementId: 'paintballAdaptive', defaultValue: 'off',
+          options: [
+            { value: 'off', text: 'Off' },
+            { value: 'on', text: 'On' }
+          ],
+          x: 24, y: 112, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'pb_7', type: 'select', label: 'Mode',
+          elementId: 'paintballMode', defaultValue: 'ffa',
+          options: [
+            { value: 'ffa', text: 'Free-for-all' },
+            { value: 'teams', text: 'Teams' }
+          ],
+          x: 24, y: 152, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'pb_8', type: 'numberInput', label: 'AI Opponents',
+          elementId: 'paintballOpponents',
+          min: 1, max: 5, step: 1, defaultValue: 1,
+          x: 24, y: 192, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'pb_9', type: 'numberInput', label: 'AI Teammates (Teams)',
+          elementId: 'paintballTeammates',
+          min: 0, max: 3, step: 1, defaultValue: 0,
+          x: 24, y: 232, width: 372, height: 30,
+          style: {}
+        },
         {
           uid: 'pb_3', type: 'select', label: 'Map',
           elementId: 'paintballMapSelect', defaultValue: '__default__',
           options: [
             { value: '__default__', text: 'Default Arena' }
           ],
-          x: 24, y: 116, width: 372, height: 30,
+          x: 24, y: 272, width: 372, height: 30,
           style: {}
         },
         {
           uid: 'pb_4', type: 'numberInput', label: 'Rounds to Win',
           elementId: 'roundsToWinPaintball',
           min: 1, max: 10, step: 1, defaultValue: 2,
-          x: 24, y: 160, width: 372, height: 30,
+          x: 24, y: 312, width: 372, height: 30,
           style: {}
         },
         {
           uid: 'pb_5', type: 'button', text: 'Start',
           elementId: 'startPaintball', variant: 'primary',
           action: 'startPaintball',
-          x: 90, y: 212, width: 120, height: 40,
+          x: 90, y: 368, width: 120, height: 40,
           style: {}
         },
         {
           uid: 'pb_6', type: 'button', text: 'Back',
           elementId: 'backFromPaintball', variant: 'secondary',
           action: 'showMenu:mainMenu',
-          x: 220, y: 212, width: 120, height: 40,
+          x: 220, y: 368, width: 120, height: 40,
           style: {}
         }
       ]
@@ -140,7 +174,7 @@
       id: 'trainingMenu',
       name: 'Training Range',
       width: 420,
-      height: 150,
+      height: 400,
       style: {},
       elements: [
         {
@@ -148,18 +182,47 @@
           x: 0, y: 20, width: 420, height: 36,
           style: {}
         },
+        {
+          uid: 'tr_6', type: 'select', label: 'Map',
+          elementId: 'trainingMapSelect', defaultValue: '__default__',
+          options: [
+            { value: '__default__', text: 'Training Range' }
+          ],
+          x: 24, y: 72, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'tr_4', type: 'select', label: 'Drill',
+          elementId: 'trainingDrill', defaultValue: '',
+          options: [
+            { value: '', text: 'Free Practice' },
+            { value: 'flick', text: 'Flick' },
+            { value: 'tracking', text: 'Tracking' },
+            { value: 'reaction', text: 'Reaction Time' },
+            { value: 'sniper', text: 'Sniper Lane' },
+            { value: 'course', text: 'Run and Gun' }
+          ],
+          x: 24, y: 112, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'tr_5', type: 'text', text: '',
+          elementId: 'trainingDrillInfo',
+          x: 24, y: 156, width: 372, height: 168,
+          style: {}
+        },
         {
           uid: 'tr_2', type: 'button', text: 'Start Training',
           elementId: 'startTraining', variant: 'primary',
           action: 'startTraining',
-          x: 62, y: 84, width: 140, height: 40,
+          x: 62, y: 336, width: 140, height: 40,
           style: {}
         },
         {
           uid: 'tr_3', type: 'button', text: 'Back',
           elementId: 'backFromTraining', variant: 'secondary',
           action: 'showMenu:mainMenu',
-          x: 218, y: 84, width: 140, height: 40,
+          x: 218, y: 336, width: 140, height: 40,
           style: {}
         }
       ]
@@ -170,7 +233,7 @@
       id: 'lanMenu',
       name: 'LAN Multiplayer',
       width: 420,
-      height: 280,
+      height: 512,
       style: {},
       elements: [
         {
@@ -190,35 +253,130 @@
           options: [
             { value: '__default__', text: 'Default Arena' }
           ],
-          x: 24, y: 116, width: 372, height: 30,
+          x: 24, y: 112, width: 372, height: 30,
           style: {}
         },
         {
           uid: 'ln_4', type: 'numberInput', label: 'Rounds to Win',
           elementId: 'roundsToWin',
           min: 1, max: 10, step: 1, defaultValue: 2,
-          x: 24, y: 160, width: 372, height: 30,
+          x: 24, y: 152, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'ln_8', type: 'numberInput', label: 'Max Players',
+          elementId: 'lanMaxPlayers',
+          min: 2, max: 8, step: 1, defaultValue: 2,
+          x: 24, y: 192, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'ln_9', type: 'select', label: 'Mode',
+          elementId: 'lanMode', defaultValue: 'ffa',
+          options: [
+            { value: 'ffa', text: 'Free-for-all' },
+            { value: 'teams', text: 'Teams' }
+          ],
+          x: 24, y: 232, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'ln_10', type: 'select', label: 'Teams',
+          elementId: 'lanTeamCount', defaultValue: '2',
+          options: [
+            { value: '2', text: '2' },
+            { value: '3', text: '3' },
+            { value: '4', text: '4' }
+          ],
+          x: 24, y: 272, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'ln_11', type: 'numberInput', label: 'Max Lag Rewind (ms)',
+          elementId: 'lanMaxRewind',
+          min: 0, max: 500, step: 10, defaultValue: 200,
+          x: 24, y: 312, width: 372, height: 30,
+          style: {}
+        },
+        {
+          uid: 'ln_12', type: 'select', label: 'Host On',
+          elementId: 'lanDedicated', defaultValue: 'browser',
+          options: [
+            { value: 'browser', text: 'This browser' },
+            { value: 'dedicated', text: 'Dedicated server' }
+          ],
+          x: 24, y: 352, width: 372, height: 30,
           style: {}
         },
         {
           uid: 'ln_5', type: 'button', text: 'Host LAN Game',
           elementId: 'hostLanBtn', variant: 'primary',
           action: 'hostLAN',
-          x: 16, y: 216, width: 128, height: 40,
+          x: 16, y: 404, width: 128, height: 40,
           style: {}
         },
         {
           uid: 'ln_6', type: 'button', text: 'Join LAN Game',
           elementId: 'joinLanBtn', variant: 'secondary',
           action: 'joinLAN',
-          x: 154, y: 216, width: 120, height: 40,
+          x: 154, y: 404, width: 120, height: 40,
           style: {}
         },
         {
           uid: 'ln_7', type: 'button', text: 'Back',
           elementId: 'backFromLAN', variant: 'secondary',
           action: 'showMenu:mainMenu',
-          x: 284, y: 216, width: 120, height: 40,
+          x: 284, y: 404, width: 120, height: 40,
+          style: {}
+        },
+        {
+          uid: 'ln_14', type: 'button', text: 'Spectate',
+          elementId: 'spectateLanBtn', variant: 'secondary',
+          action: 'spectateLAN',
+          x: 16, y: 454, width: 189, height: 40,
+          style: {}
+        },
+        {
+          uid: 'ln_13', type: 'button', text: 'Browse Rooms',
+          elementId: 'gotoRoomBrowser', variant: 'secondary',
+          action: 'showMenu:roomBrowserMenu',
+          x: 215, y: 454, width: 189, height: 40,
+          style: {}
+        }
+      ]
+    },
+
+    // ── LAN Room Browser ──
+    roomBrowserMenu: {
+      id: 'roomBrowserMenu',
+      name: 'Room Browser',
+      width: 520,
+      height: 380,
+      style: {},
+      elements: [
+        {
+          uid: 'rb_1', type: 'heading', tag: 'h2', text: 'LAN Rooms',
+          x: 0, y: 20, width: 520, height: 36,
+          style: {}
+        },
+        {
+          uid: 'rb_2', type: 'text', text: 'Searching...',
+          elementId: 'roomList',
+          x: 24, y: 68, width: 472, height: 228,
+          style: {}
+        },
+        {
+          uid: 'rb_3', type: 'button', text: 'Refresh',
+          elementId: 'refreshRooms', variant: 'primary',
+          action: 'refreshRooms',
+          x: 24, y: 316, width: 140, height: 40,
+          style: {}
+        },
+        {
+          uid: 'rb_4', type: 'button', text: 'Back',
+          elementId: 'backFromRoomBrowser', variant: 'secondary',
+          action: 'showMenu:lanMenu',
+          x: 356, y: 316, width: 140, height: 40,
           style: {}
         }
       ]
@@ -288,6 +446,7 @@
       case 'text': {
         root = document.createElement('p');
         root.innerHTML = cfg.text || '';
+        if (cfg.elementId) root.id = cfg.elementId;
         break;
       }
 
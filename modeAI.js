@@ -3,16 +3,43 @@
  *
  * PURPOSE: Runs the single-player vs AI game loop, round flow, shooting, and
  *          hero selection phase. Manages the local player entity and delegates
- *          AI behavior to aiOpponent.js.
+ *          AI behavior to aiOpponent.js. A match is 1v1 by default, or a
+ *          free-for-all against several AIs, or teams with AI teammates.
  * EXPORTS (window): paintballActive, devSpectatorMode, getPaintballState,
  *                   endPaintballRound, startPaintballGame, stopPaintballInternal
  * DEPENDENCIES: THREE (r128), scene/camera/renderer globals (game.js),
  *               hud.js, roundFlow.js, crosshair.js, physics.js, projectiles.js,
  *               weapon.js, heroes.js, heroSelectUI.js, aiOpponent.js,
+ *               aiDifficulty.js (getAIDifficulty, AdaptiveDifficulty),
  *               input.js, arenaCompetitive.js, player.js (Player),
- *               mapFormat.js (buildArenaFromMap, getDefaultMapData),
- *               menuNavigation.js (showOnlyMenu, setHUDVisible)
+ *               mapFormat.js (buildArenaFromMap, getDefaultMapData,
+ *               assignSpawnPositions, computeSpawnCenter),
+ *               menuNavigation.js (showOnlyMenu, setHUDVisible),
+ *               simCore.js (FixedStepLoop, simNow, seedSimRandom),
+ *               replay.js (ReplayRecorder, saveReplay — optional)
  * NOTE: Mode flag is still window.paintballActive (for backward compat, rename later)
+ * MATCHES: startPaintballGame({ mode, opponents, teammates }):
+ *          'ffa' — the player against `opponents` AIs, everyone for themselves;
+ *                  the last one standing scores.
+ *          'teams' — the player and `teammates` AIs (team A) against `opponents`
+ *                  AIs (team B); the last team standing scores. Paint from a
+ *                  teammate splats without damage. AI teammates share an AISquad
+ *                  and their callouts show up as markers (showCalloutPing).
+ *          Fighters spawn through assignSpawnPositions, so team matches use the
+ *          map's team spawns. A dead player watches until the round is decided.
+ *          Scores are keyed by fighter id (ffa) or team letter (teams).
+ * DIFFICULTY: opts.difficulty names a profile (aiDifficulty.js) for every AI.
+ *          With opts.adaptive the enemy AIs' profile is retuned after each
+ *          round (AdaptiveDifficulty) from who won, by how much health, and the
+ *          share of the player's pellets that hit an enemy that round.
+ * NOISES: footsteps, shots and pain cries of every fighter are collected per
+ *          step (makeNoise) and handed to the AIs on the next one as
+ *          ctx.noises, so they can hear what they don't see (aiPerception.js).
+ * REPLAYS: each match is recorded (player id 'player', AIs 'ai1'…/'ally1'…) and
+ *          saved to /api/replays when the match ends or is quit.
+ * TIMESTEP: simStep() runs at SIM_TICK_HZ through state.simLoop; tick() (one per
+ *          animation frame) only interpolates the camera/AI mesh and updates the HUD.
+ *          startPaintballGame({ seed }) fixes the spread/AI random stream.
  */
 
 (function () {
@@ -29,20 +56,55 @@
   var PLAYER_HEALTH = 100;
   var ROUNDS_TO_WIN = 3;
   var BASE_CROSSHAIR_SPREAD_PX = 0;
+  var MIN_REPLAY_MS = 5000; // quitting straight away doesn't leave a replay file
+  var MAX_OPPONENTS = 5;
+  var MAX_TEAMMATES = 3;
+  var PING_MS = 2500;       // how long a teammate's callout marker stays up
+  var FOOTSTEP_WALK_MS = 400;   // footstep noise cadence, as audio.js plays them
+  var FOOTSTEP_SPRINT_MS = 280;
+  // AI colors: enemies in FFA get one each; in team matches allies are blue, enemies red
+  var FFA_COLORS = [0xff5555, 0xffaa33, 0xcc66ff, 0xffee55, 0xff66aa];
+  var ALLY_COLOR = 0x5599ff;
+  var ENEMY_COLOR = 0xff5555;
 
   var state = null;
 
-  function newState(difficulty) {
+  function clampInt(v, min, max, fallback) {
+    var n = parseInt(v, 10);
+    return Number.isNaN(n) ? fallback : Math.max(min, Math.min(max, n));
+  }
+
+  function newState(opts) {
     var roundsInput = document.getElementById('roundsToWinPaintball');
     var toWin = roundsInput ? Math.max(1, Math.min(10, parseInt(roundsInput.value, 10) || 2)) : 2;
+    var mode = opts.mode === 'teams' ? 'teams' : 'ffa';
 
     return {
-      difficulty: difficulty || 'Easy',
+      difficulty: opts.difficulty || 'Easy',
+      adaptive: opts.adaptive ? new AdaptiveDifficulty(opts.difficulty || 'Easy') : null,
+      roundShots: 0,  // the player's pellets fired this round
+      roundHits: 0,   // ...and the ones that hit an enemy (adaptive difficulty's accuracy)
       _heroId: null,
+      lastPlayerHeroId: null, // enemy AIs counter-pick this (see AIOpponent.chooseHero)
       arena: null,
-      ai: null,
+      roster: [],   // [{id, slot, team, name, color}] — the player first, then the AIs
+      bots: [],     // AIOpponent per AI in the roster (ai.id, ai.team), rebuilt each round
       player: null, // Player instance created after state
-      match: { playerWins: 0, aiWins: 0, toWin: toWin, roundActive: true },
+      playerTeam: mode === 'teams' ? 'A' : null,
+      focusBot: null, // enemy shown in the enemy health bar: the one the player hit last
+      playerOut: false,
+      pings: [],      // callout markers: [{group, material, until}]
+      noises: [],     // noises made this step: [{type, sourceId, pos, sprinting}]
+      heardNoises: [], // last step's noises, what the AIs hear this step
+      footstepAt: {}, // fighter id -> simNow() of its last footstep noise
+      match: {
+        mode: mode,
+        opponents: clampInt(opts.opponents, 1, MAX_OPPONENTS, 1),
+        teammates: mode === 'teams' ? clampInt(opts.teammates, 0, MAX_TEAMMATES, 0) : 0,
+        scores: {},
+        toWin: toWin,
+        roundActive: true
+      },
       spawns: { A: new THREE.Vector3(), B: new THREE.Vector3() },
       hud: {
         healthContainer: document.getElementById('healthContainer'),
@@ -55,13 +117,15 @@
         enemyHealthContainer: document.getElementById('enemyHealthContainer'),
         enemyHealthFill: document.getElementById('enemyHealthFill'),
         meleeCooldown: document.getElementById('meleeCooldown'),
+        abilityHud: document.getElementById('abilityHud'),
       },
       inputArmed: false,
       inputEnabled: false,
       countdownTimerRef: { id: 0 },
       bannerTimerRef: { id: 0 },
       lastTs: 0,
-      loopHandle: 0
+      loopHandle: 0,
+      replay: null // ReplayRecorder for this match (replay.js)
     };
   }
 
@@ -77,10 +141,12 @@
     var p = state.player;
     sharedUpdateHealthBar(state.hud.healthFill, p.health, PLAYER_HEALTH);
     sharedUpdateAmmoDisplay(state.hud.ammoDisplay, p.weapon.ammo, p.weapon.magSize);
-    if (state.ai) {
-      sharedUpdateHealthBar(state.hud.enemyHealthFill, state.ai.health, state.ai.maxHealth || 100);
+    var enemy = focusEnemy();
+    if (enemy) {
+      sharedUpdateHealthBar(state.hud.enemyHealthFill, enemy.health, enemy.maxHealth || 100);
     }
     sharedUpdateMeleeCooldown(state.hud.meleeCooldown, p.weapon, performance.now());
+    sharedUpdateAbilityHUD(state.hud.abilityHud, p.abilities);
   }
 
   // Round/match flow — using shared countdown and banner
@@ -111,25 +177,120 @@
     });
   }
 
+  // Fighters and teams
+
+  function isTeamMode() {
+    return !!state && state.match.mode === 'teams';
+  }
+
+  // Player first, then AI teammates (team A), then enemy AIs (team B in team matches).
+  // A lone FFA opponent is just "AI", as in a plain 1v1.
+  function buildRoster() {
+    var teams = isTeamMode();
+    var roster = [{ id: 'player', slot: 0, team: state.playerTeam, name: 'Player', color: 0x66ffcc }];
+    for (var t = 1; t <= state.match.teammates; t++) {
+      roster.push({ id: 'ally' + t, slot: roster.length, team: 'A', name: 'Ally ' + t, color: ALLY_COLOR });
+    }
+    var solo = !teams && state.match.opponents === 1;
+    for (var o = 1; o <= state.match.opponents; o++) {
+      roster.push({
+        id: 'ai' + o,
+        slot: roster.length,
+        team: teams ? 'B' : null,
+        name: solo ? 'AI' : 'AI ' + o,
+        color: teams ? ENEMY_COLOR : FFA_COLORS[(o - 1) % FFA_COLORS.length]
+      });
+    }
+    return roster;
+  }
+
+  function rosterEntry(id) {
+    for (var i = 0; i < state.roster.length; i++) {
+      if (state.roster[i].id === id) return state.roster[i];
+    }
+    return null;
+  }
+
+  // Round wins are counted under the team letter (teams) or the fighter id (ffa)
+  function scoreKey(entry) {
+    return isTeamMode() ? entry.team : entry.id;
+  }
+
+  function isHostile(a, b) {
+    return a.id !== b.id && !(isTeamMode() && a.team === b.team);
+  }
+
+  // Everyone in the round as { id, team, entity } (entity: Player), the shape
+  // AIOpponent.update takes for ctx.enemies / ctx.allies
+  function fighters() {
+    var list = [{ id: 'player', team: state.playerTeam, entity: state.player }];
+    for (var i = 0; i < state.bots.length; i++) {
+      list.push({ id: state.bots[i].id, team: state.bots[i].team, entity: state.bots[i].player });
+    }
+    return list;
+  }
+
+  function botById(id) {
+    for (var i = 0; i < state.bots.length; i++) {
+      if (state.bots[i].id === id) return state.bots[i];
+    }
+    return null;
+  }
+
+  // The enemy the HUD's enemy health bar follows
+  function focusEnemy() {
+    var me = { id: 'player', team: state.playerTeam };
+    if (state.focusBot && state.focusBot.alive) return state.focusBot;
+    for (var i = 0; i < state.bots.length; i++) {
+      if (state.bots[i].alive && isHostile(me, state.bots[i])) return state.bots[i];
+    }
+    return state.focusBot;
+  }
+
   function resetEntitiesForRound() {
-    var spawns = state.spawns;
+    var spawnsById = assignSpawnPositions(state.arena, state.roster, isTeamMode());
 
     // Reset local player
-    state.player.resetForRound(spawns.A);
+    state.player.resetForRound(spawnsById.player);
     state.player.syncCameraFromPlayer();
     camera.rotation.x = 0;
     camera.rotation.z = 0;
-    camera.lookAt(spawns.B);
+    camera.lookAt(computeSpawnCenter(state.arena));
     if (typeof resolveCollisions2D === 'function') {
       try { resolveCollisions2D(camera.position, PLAYER_RADIUS, state.arena.colliders); } catch (e) { console.warn('resolveCollisions2D failed:', e); }
     }
-
-    if (state.ai) state.ai.destroy();
-    state.ai = new AIOpponent({
-      difficulty: state.difficulty,
-      arena: state.arena,
-      spawn: spawns.B
-    });
+    state.playerOut = false;
+    state.focusBot = null;
+    state.noises = [];
+    state.heardNoises = [];
+    state.footstepAt = {};
+    state.roundShots = 0;
+    state.roundHits = 0;
+    clearCalloutPings();
+
+    for (var i = 0; i < state.bots.length; i++) state.bots[i].destroy();
+    state.bots = [];
+    // A fresh squad per team each round: cover claims and sightings don't carry over
+    var squads = {};
+    var me = state.roster[0];
+    for (var r = 1; r < state.roster.length; r++) {
+      var entry = state.roster[r];
+      if (entry.team && !squads[entry.team]) squads[entry.team] = new AISquad();
+      // AIs pick their hero now, before the player's pick for this round, so
+      // enemies can only counter what the player played last round
+      var ai = new AIOpponent({
+        id: entry.id,
+        team: entry.team,
+        squad: entry.team ? squads[entry.team] : null,
+        difficulty: (state.adaptive && isHostile(me, entry)) ? state.adaptive.profile : state.difficulty,
+        arena: state.arena,
+        spawn: spawnsById[entry.id],
+        color: entry.color,
+        playerHeroId: isHostile(me, entry) ? state.lastPlayerHeroId : null
+      });
+      state.bots.push(ai);
+      if (state.replay) state.replay.hero(entry.id, ai.heroId);
+    }
   }
 
   function startHeroSelectPhase() {
@@ -157,19 +318,64 @@
       var hero = window.getHeroById(heroId) || HEROES[0];
       state.player.weapon = new Weapon(hero.weapon);
     }
+    state.lastPlayerHeroId = heroId;
+    if (state.replay) state.replay.hero('player', heroId);
     updateHUD();
   }
 
+  // Round and match results
+
+  function roundBannerText(winner) {
+    if (!winner) return 'Draw!';
+    if (isTeamMode()) return winner === state.playerTeam ? 'Your team wins the round!' : 'Enemy team wins the round!';
+    return rosterEntry(winner).name + ' wins the round!';
+  }
+
+  function finalScoreText() {
+    var scores = state.match.scores;
+    if (isTeamMode()) return 'Your team ' + scores.A + ' - ' + scores.B + ' Enemy team';
+    if (state.roster.length === 2) return 'Player ' + scores.player + ' - ' + scores[state.roster[1].id] + ' AI';
+    return state.roster.map(function (entry) { return entry.name + ' ' + scores[entry.id]; }).join(' · ');
+  }
+
+  function matchDecided() {
+    for (var key in state.match.scores) {
+      if (state.match.scores[key] >= state.match.toWin) return true;
+    }
+    return false;
+  }
+
+  // Ends the round once a single fighter (ffa) or team is left standing. A dead
+  // player keeps watching while the others fight it out.
+  function checkRoundOver() {
+    if (!state || !state.match.roundActive) return;
+    var standing = [];
+    var list = fighters();
+    for (var i = 0; i < list.length; i++) {
+      var key = scoreKey(list[i]);
+      if (list[i].entity.alive && standing.indexOf(key) === -1) standing.push(key);
+    }
+    if (standing.length > 1) {
+      if (!state.player.alive && !state.playerOut) {
+        state.playerOut = true;
+        showRoundBanner('Eliminated', 1200);
+      }
+      return;
+    }
+    endRound(standing.length === 1 ? standing[0] : null);
+  }
+
+  // winner: a score key, or null for a draw (the last fighters went down together)
   function endRound(winner) {
     state.match.roundActive = false;
     if (typeof clearAllProjectiles === 'function') clearAllProjectiles();
-    if (winner === 'player') state.match.playerWins++;
-    else if (winner === 'ai') state.match.aiWins++;
+    if (winner && state.match.scores.hasOwnProperty(winner)) state.match.scores[winner]++;
+    if (state.replay) state.replay.round(winner, state.match.scores);
 
-    if (state.match.playerWins >= state.match.toWin || state.match.aiWins >= state.match.toWin) {
+    if (matchDecided()) {
       var finalScoreEl = document.getElementById('finalScore');
       if (finalScoreEl) {
-        finalScoreEl.textContent = 'Player ' + state.match.playerWins + ' - ' + state.match.aiWins + ' AI';
+        finalScoreEl.textContent = finalScoreText();
       }
       stopPaintballInternal(false);
       setHUDVisible(false);
@@ -178,8 +384,9 @@
       return;
     }
 
+    if (state.adaptive) adaptDifficulty(winner);
     window._roundTransition = true;
-    showRoundBanner(winner === 'player' ? 'Player wins the round!' : 'AI wins the round!', 1200);
+    showRoundBanner(roundBannerText(winner), 1200);
     setTimeout(function () {
       if (!state) { window._roundTransition = false; return; }
       resetEntitiesForRound();
@@ -193,7 +400,90 @@
     }, 1200);
   }
 
+  // Adaptive difficulty: how the player's side did this round tunes the enemy
+  // AIs of the next one (they are rebuilt in resetEntitiesForRound)
+  function adaptDifficulty(winner) {
+    var margin = 0;
+    fighters().forEach(function (f) {
+      if (scoreKey(f) === winner && f.entity.alive) margin = Math.max(margin, f.entity.health / f.entity.maxHealth);
+    });
+    state.adaptive.recordRound({
+      won: winner ? winner === scoreKey(state.roster[0]) : null,
+      margin: margin,
+      accuracy: state.roundShots > 0 ? Math.min(1, state.roundHits / state.roundShots) : null
+    });
+  }
+
+  // Noises the AIs can hear (see NOISES in the header); one per fighter and type a step
+
+  function makeNoise(type, sourceId, entity, sprinting) {
+    for (var i = 0; i < state.noises.length; i++) {
+      if (state.noises[i].type === type && state.noises[i].sourceId === sourceId) return;
+    }
+    state.noises.push({ type: type, sourceId: sourceId, pos: entity.getEyePos(), sprinting: !!sprinting });
+  }
+
+  function footstepNoise(id, entity, sprinting, now) {
+    var last = state.footstepAt[id];
+    if (typeof last === 'number' && (now - last) < (sprinting ? FOOTSTEP_SPRINT_MS : FOOTSTEP_WALK_MS)) return;
+    state.footstepAt[id] = now;
+    makeNoise('footstep', id, entity, sprinting);
+  }
+
   // Combat
+
+  // Every hit in the match lands here. Damage to a fighter that is already out,
+  // or after the round is decided, is dropped.
+  function applyDamage(attackerId, victimId, dmg) {
+    if (!state || !state.match.roundActive) return;
+    if (victimId === 'player') {
+      if (!state.player.alive || window.devGodMode) return;
+      state.player.takeDamage(dmg);
+      makeNoise('damage_taken', 'player', state.player);
+      if (state.replay) state.replay.hit(attackerId, 'player', dmg, state.player.health);
+      if (typeof playGameSound === 'function') playGameSound('damage_taken');
+    } else {
+      var bot = botById(victimId);
+      if (!bot || !bot.alive) return;
+      bot.takeDamage(dmg, attackerId);
+      makeNoise('damage_taken', victimId, bot.player);
+      if (state.replay) state.replay.hit(attackerId, victimId, dmg, bot.health);
+      if (attackerId === 'player') {
+        state.focusBot = bot;
+        if (typeof playGameSound === 'function') playGameSound(bot.alive ? 'hit_marker' : 'elimination');
+      }
+    }
+    updateHUD();
+  }
+
+  // Hit targets for the player's shots and swings: every live AI. Teammates
+  // stop paint too but take no damage (see playerHit).
+  function playerTargets() {
+    var targets = [];
+    var entities = [];
+    for (var i = 0; i < state.bots.length; i++) {
+      var bot = state.bots[i];
+      if (!bot.alive) continue;
+      targets.push({ segments: bot.player.getHitSegments(), entity: bot.player });
+      entities.push(bot.player);
+    }
+    return { targets: targets, entities: entities };
+  }
+
+  // target is a playerTargets() entry (hitscan, melee) or the Player itself (projectiles)
+  function playerHit(target, dmg) {
+    var entity = target.entity || target;
+    for (var i = 0; i < state.bots.length; i++) {
+      var bot = state.bots[i];
+      if (bot.player !== entity) continue;
+      if (isHostile({ id: 'player', team: state.playerTeam }, bot)) {
+        state.roundHits++;
+        applyDamage('player', bot.id, dmg);
+      }
+      return;
+    }
+  }
+
   function playerCanShoot(now) {
     var w = state.player.weapon;
     return sharedCanShoot(w, now, w.cooldownMs);
@@ -203,7 +493,7 @@
     var w = state.player.weapon;
 
     if (input.reloadPressed) {
-      if (sharedStartReload(w, now)) {
+      if (sharedStartReload(w, now, state.player.abilities)) {
         sharedSetReloadingUI(true, state.hud.reloadIndicator);
       }
       return;
@@ -213,37 +503,28 @@
     if (input.fireDown && playerCanShoot(now)) {
       var dir = new THREE.Vector3();
       camera.getWorldDirection(dir);
+      var origin = camera.position.clone();
 
-      // Build segmented hitbox target for AI
-      var aiTargets = [];
-      var aiEntities = [];
-      if (state.ai && state.ai.player && state.ai.player.alive) {
-        aiTargets.push({ segments: state.ai.player.getHitSegments(), entity: state.ai });
-        aiEntities.push(state.ai.player);
-      }
-
-      var result = sharedFireWeapon(w, camera.position.clone(), dir, {
+      var aim = playerTargets();
+      var result = sharedFireWeapon(w, origin, dir, {
         sprinting: !!input.sprint,
         solids: state.arena.solids,
-        targets: aiTargets,
-        projectileTargetEntities: aiEntities,
+        targets: aim.targets,
+        projectileTargetEntities: aim.entities,
         tracerColor: 0x66ffcc,
         onHit: function (target, point, dist, pelletIdx, damageMultiplier) {
-          var dmg = w.damage * (damageMultiplier || 1.0);
-          state.ai.takeDamage(dmg);
-          if (typeof playGameSound === 'function') playGameSound('hit_marker');
-          updateHUD();
-          if (!state.ai.alive && state.match.roundActive) {
-            if (typeof playGameSound === 'function') playGameSound('elimination');
-            endRound('player');
-            return false;
-          }
+          playerHit(target, w.damage * (damageMultiplier || 1.0));
+        },
+        onPelletFired: function (pelletResult) {
+          if (state) state.roundShots++;
+          if (state && state.replay) state.replay.shot('player', origin, pelletResult, w, 0x66ffcc);
         }
       });
+      makeNoise('weapon_fire', 'player', state.player);
       updateHUD();
 
       if (result.magazineEmpty) {
-        if (sharedStartReload(w, now)) {
+        if (sharedStartReload(w, now, state.player.abilities)) {
           sharedSetReloadingUI(true, state.hud.reloadIndicator);
         }
       }
@@ -272,28 +553,18 @@
     var dir = new THREE.Vector3();
     camera.getWorldDirection(dir);
 
-    var aiTargets = [];
-    if (state.ai && state.ai.player && state.ai.player.alive) {
-      aiTargets.push({ segments: state.ai.player.getHitSegments(), entity: state.ai });
-    }
-
     sharedMeleeAttack(w, camera.position.clone(), dir, {
       solids: state.arena.solids,
-      targets: aiTargets,
+      targets: playerTargets().targets,
       onHit: function (target, point, dist, totalDamage) {
-        state.ai.takeDamage(totalDamage);
-        if (typeof playGameSound === 'function') playGameSound('hit_marker');
-        updateHUD();
-        if (!state.ai.alive && state.match.roundActive) {
-          if (typeof playGameSound === 'function') playGameSound('elimination');
-          endRound('player');
-        }
+        playerHit(target, totalDamage);
       }
     });
 
     // Start swing animation + block firing
     _meleeSwinging = true;
     _meleeSwingEnd = now + w.meleeSwingMs;
+    if (state && state.replay) state.replay.melee('player', w.meleeSwingMs);
     if (typeof playGameSound === 'function') playGameSound('melee_swing');
     if (typeof window.triggerFPMeleeSwing === 'function') window.triggerFPMeleeSwing(w.meleeSwingMs);
     if (state.player.triggerMeleeSwing) state.player.triggerMeleeSwing(w.meleeSwingMs);
@@ -307,13 +578,36 @@
     }
   }
 
-  // Main loop
+  // Main loop: the simulation advances in fixed SIM_DT steps (simCore.js), the
+  // frame only draws between the last two steps
   function tick(ts) {
     if (!window.paintballActive || !state) return;
 
-    var dt = state.lastTs ? Math.min(0.05, (ts - state.lastTs) / 1000) : 0;
+    var frameSec = state.lastTs ? (ts - state.lastTs) / 1000 : 0;
     state.lastTs = ts;
 
+    var alpha = state.simLoop.advance(frameSec);
+    // endRound() may have stopped the match during a step
+    if (!state) return;
+
+    if (!window.devSpectatorMode) state.player.applyRenderInterpolation(alpha);
+    for (var i = 0; i < state.bots.length; i++) {
+      if (state.bots[i].alive) state.bots[i].player.applyRenderInterpolation(alpha);
+    }
+    updateCalloutPings(performance.now());
+
+    sharedSetCrosshairBySprint(!!state.sprinting, state.player.weapon.spreadRad, state.player.weapon.sprintSpreadRad);
+    sharedSetSprintUI(!!state.sprinting, state.hud.sprintIndicator);
+
+    // Update hitbox visualization after all positions are current
+    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+
+    updateHUD();
+    state.loopHandle = requestAnimationFrame(tick);
+  }
+
+  // One simulation tick; returns false once the match has stopped
+  function simStep(dt) {
     var input = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, fireDown: false, reloadPressed: false };
 
     // Ignore initial stuck fire
@@ -321,11 +615,22 @@
       if (input.fireDown) { input.fireDown = false; }
       else { state.inputArmed = true; }
     }
+    state.sprinting = !!input.sprint;
+    state.heardNoises = state.noises;
+    state.noises = [];
+
+    state.player.beginSimStep();
+    for (var b = 0; b < state.bots.length; b++) state.bots[b].player.beginSimStep();
+    // The frame left the camera at an interpolated position; aim from the simulated one
+    if (!window.devSpectatorMode) state.player.syncCameraFromPlayer();
+
+    // Abilities: tick cooldowns/effects, activate on keybind (before physics so dash applies this step)
+    if (state.player.abilities) {
+      var abilityInputOn = state.inputEnabled && !window.devSpectatorMode && state.player.alive;
+      state.player.abilities.update(dt, abilityInputOn ? input : null);
+    }
 
-    sharedSetCrosshairBySprint(!!input.sprint, state.player.weapon.spreadRad, state.player.weapon.sprintSpreadRad);
-    sharedSetSprintUI(!!input.sprint, state.hud.sprintIndicator);
-
-    if (state.inputEnabled && !window.devSpectatorMode) {
+    if (state.inputEnabled && !window.devSpectatorMode && state.player.alive) {
       var prevGrounded = state.player.grounded;
       updateFullPhysics(
         state.player,
@@ -338,55 +643,138 @@
       state.player._syncMeshPosition();
       state.player.syncCameraFromPlayer();
 
+      var moving = (input.moveX !== 0 || input.moveZ !== 0);
+      if (moving && state.player.grounded) footstepNoise('player', state.player, !!input.sprint, simNow());
+
       // Movement sounds
       if (typeof playGameSound === 'function') {
         if (prevGrounded && !state.player.grounded) playGameSound('jump');
         if (!prevGrounded && state.player.grounded) playGameSound('land');
-        var moving = (input.moveX !== 0 || input.moveZ !== 0);
         if (moving && state.player.grounded && typeof playFootstepIfDue === 'function') {
-          playFootstepIfDue(!!input.sprint, state._heroId, performance.now());
+          playFootstepIfDue(!!input.sprint, state._heroId, simNow());
         }
       }
     }
 
-    // Update AI BEFORE shooting/projectiles so AI hitboxes are fresh for hit detection
-    if (state.ai && state.match.roundActive) {
-      // In spectator mode, AI targets the stationary player position, not the free camera
-      var aiTargetPos = window.devSpectatorMode
-        ? state.player.getEyePos()
-        : camera.position.clone();
-      state.ai.update(dt, {
-        playerPos: aiTargetPos,
-        playerSegments: state.player.getHitSegments(),
-        playerEntity: state.player,
-        onPlayerHit: function (dmg) {
-          if (!state.player.alive) return;
-          if (window.devGodMode) return;
-          state.player.takeDamage(dmg);
-          if (typeof playGameSound === 'function') playGameSound('damage_taken');
-          updateHUD();
-          if (state.player.health <= 0) {
-            if (state.match.roundActive) endRound('ai');
-          }
-        }
+    // Update AI BEFORE shooting/projectiles so AI hitboxes are fresh for hit detection.
+    // The AIs aim at the player's body, so in spectator mode they ignore the free camera.
+    if (state.match.roundActive) {
+      var everyone = fighters();
+      state.bots.forEach(function (ai) {
+        if (!state || !state.match.roundActive || !ai.alive) return;
+        updateBot(ai, everyone, dt);
+        checkRoundOver();
       });
     }
+    if (!state) return false;
 
-    var now = performance.now();
-    if (state.inputEnabled) {
+    var now = simNow();
+    if (state.inputEnabled && state.player.alive) {
       handleMelee(input, now);
       if (!_meleeSwinging) handlePlayerShooting(input, now);
+      checkRoundOver();
     }
+    if (!state) return false;
     updateReload(now);
 
     // Update live projectiles (all entity hitboxes are now fresh)
     if (typeof updateProjectiles === 'function') updateProjectiles(dt);
+    checkRoundOver();
 
-    // Update hitbox visualization after all positions are current
-    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+    // endRound() may have stopped the match during this step
+    if (!state) return false;
+    if (state.replay) state.replay.sample(replayEntities());
+  }
 
-    updateHUD();
-    state.loopHandle = requestAnimationFrame(tick);
+  // One AI's step: its enemies and allies come from everyone in the round
+  function updateBot(ai, everyone, dt) {
+    var from = ai.player._renderPrev;
+    var enemies = [];
+    var allies = [];
+    for (var i = 0; i < everyone.length; i++) {
+      if (everyone[i].id === ai.id) continue;
+      if (isHostile(ai, everyone[i])) enemies.push(everyone[i]);
+      else allies.push(everyone[i]);
+    }
+    var color = rosterEntry(ai.id).color;
+    ai.update(dt, {
+      enemies: enemies,
+      allies: allies,
+      onHit: function (victimId, dmg) {
+        applyDamage(ai.id, victimId, dmg);
+      },
+      onShot: function (origin, pelletResult, weapon) {
+        if (!state) return;
+        makeNoise('weapon_fire', ai.id, ai.player);
+        if (state.replay) state.replay.shot(ai.id, origin, pelletResult, weapon, color);
+      },
+      onMelee: function (swingMs) {
+        if (state && state.replay) state.replay.melee(ai.id, swingMs);
+      },
+      onCallout: function (enemyId, pos) {
+        if (state && isTeamMode() && ai.team === state.playerTeam) showCalloutPing(pos);
+      },
+      noises: state.heardNoises
+    });
+
+    // Footsteps from how far the step moved it (from: set by beginSimStep)
+    if (!state || !ai.alive || !ai.grounded || !from) return;
+    var speed = Math.hypot(ai.position.x - from.x, ai.position.z - from.z) / dt;
+    if (speed > 0.5) footstepNoise(ai.id, ai.player, speed > ai.walkSpeed + 0.5, simNow());
+  }
+
+  // Callout markers: a beam and ring where an AI teammate spotted an enemy,
+  // drawn through walls and faded out over PING_MS
+  function showCalloutPing(pos) {
+    var material = new THREE.MeshBasicMaterial({ color: 0xffcc33, transparent: true, opacity: 0.8, depthTest: false, side: THREE.DoubleSide });
+    var group = new THREE.Group();
+    var beam = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 3, 6), material);
+    beam.position.y = 1.5;
+    var ring = new THREE.Mesh(new THREE.RingGeometry(0.5, 0.7, 24), material);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.05;
+    group.add(beam);
+    group.add(ring);
+    group.renderOrder = 999;
+    group.position.set(pos.x, pos.y - EYE_HEIGHT, pos.z);
+    scene.add(group);
+    state.pings.push({ group: group, material: material, until: performance.now() + PING_MS });
+  }
+
+  function removeCalloutPing(ping) {
+    if (ping.group.parent) ping.group.parent.remove(ping.group);
+    ping.group.children.forEach(function (m) { m.geometry.dispose(); });
+    ping.material.dispose();
+  }
+
+  function updateCalloutPings(now) {
+    state.pings = state.pings.filter(function (ping) {
+      var left = ping.until - now;
+      if (left <= 0) { removeCalloutPing(ping); return false; }
+      ping.material.opacity = 0.8 * Math.min(1, left / 1000);
+      return true;
+    });
+  }
+
+  function clearCalloutPings() {
+    if (!state) return;
+    state.pings.forEach(removeCalloutPing);
+    state.pings = [];
+  }
+
+  // Replay recording
+  function replayEntities() {
+    var entities = { player: state.player };
+    for (var i = 0; i < state.bots.length; i++) entities[state.bots[i].id] = state.bots[i].player;
+    return entities;
+  }
+
+  function saveMatchReplay() {
+    if (!state || !state.replay) return;
+    var replay = state.replay.finish(replayEntities());
+    state.replay = null;
+    if (replay.duration < MIN_REPLAY_MS || typeof saveReplay !== 'function') return;
+    saveReplay(replay).catch(function (e) { console.warn('saveReplay failed:', e); });
   }
 
   // Public start/stop
@@ -395,14 +783,28 @@
       try { if (typeof stopPaintballInternal === 'function') stopPaintballInternal(); } catch (e) { console.warn('stopPaintballInternal failed:', e); }
     }
     window.devSpectatorMode = false;
-    var difficulty = (opts && opts.difficulty) || 'Easy';
-    state = newState(difficulty);
+    opts = opts || {};
+    var difficulty = getAIDifficulty(opts.difficulty).name + (opts.adaptive ? ', adaptive' : '');
+    state = newState(opts);
+    // opts.seed replays the same spread and AI decisions (given the same inputs)
+    var seed = seedSimRandom(opts.seed);
 
-    var mapData = (opts && opts._mapData) ? opts._mapData : null;
+    var mapData = opts._mapData || null;
     state.arena = (mapData && typeof buildArenaFromMap === 'function')
       ? buildArenaFromMap(mapData)
       : (typeof buildArenaFromMap === 'function' ? buildArenaFromMap(getDefaultMapData()) : buildPaintballArenaSymmetric());
     state.spawns = state.arena.spawns;
+    state.roster = buildRoster();
+    state.roster.forEach(function (entry) { state.match.scores[scoreKey(entry)] = 0; });
+
+    if (typeof ReplayRecorder === 'function') {
+      var replayMap = mapData || (typeof getDefaultMapData === 'function' ? getDefaultMapData() : null);
+      state.replay = new ReplayRecorder({ mode: 'ai', mapName: replayMap && replayMap.name, mapData: replayMap, seed: seed });
+      state.roster.forEach(function (entry) {
+        var name = entry.id === 'player' ? entry.name : entry.name + ' (' + difficulty + ')';
+        state.replay.addPlayer(entry.id, { name: name, color: entry.color, team: entry.team });
+      });
+    }
 
     // Create local Player instance (camera-attached, mesh hidden)
     var defaultHero = window.getHeroById('marksman') || HEROES[0];
@@ -426,7 +828,7 @@
     updateHUD();
 
     // If a hero was pre-selected (e.g. dev workbench quick test), skip hero selection
-    if (opts && opts._heroId) {
+    if (opts._heroId) {
       state._heroId = opts._heroId;
       applyHeroWeapon(opts._heroId);
       startRoundCountdown(3);
@@ -440,21 +842,26 @@
     window.paintballActive = true;
     state.inputArmed = false;
     state.lastTs = 0;
+    state.simLoop = new FixedStepLoop({ onStep: function (dt) { return simStep(dt); } });
     state.loopHandle = requestAnimationFrame(tick);
   };
 
   window.stopPaintballInternal = function (showMenu) {
     if (showMenu === undefined) showMenu = true;
     window._roundTransition = false;
+    try { saveMatchReplay(); } catch (e) { console.warn('saveMatchReplay failed:', e); }
     // Close hero select overlay if open
     try { if (typeof window.closePreRoundHeroSelect === 'function') window.closePreRoundHeroSelect(); } catch (e) {}
     if (state && state.loopHandle) {
       try { cancelAnimationFrame(state.loopHandle); } catch (e) { console.warn('cancelAnimationFrame failed:', e); }
       state.loopHandle = 0;
     }
-    if (state && state.ai) {
-      try { state.ai.destroy(); } catch (e) { console.warn('ai.destroy failed:', e); }
-      state.ai = null;
+    if (state) {
+      state.bots.forEach(function (ai) {
+        try { ai.destroy(); } catch (e) { console.warn('ai.destroy failed:', e); }
+      });
+      state.bots = [];
+      clearCalloutPings();
     }
     if (state && state.player) {
       try { state.player.destroy(); } catch (e) { console.warn('player.destroy failed:', e); }
@@ -1,19 +1,72 @@
 /**
  * modeLAN.js — LAN multiplayer mode
  *
- * PURPOSE: Host-authoritative 2-player LAN multiplayer. The host runs physics
- *          for both players and broadcasts snapshots at ~30Hz. The client sends
- *          raw input each frame, runs client-side prediction, and reconciles
- *          with authoritative snapshots via lerp. Includes hero selection phase
- *          coordination between host and client.
+ * PURPOSE: Host-authoritative LAN multiplayer for 2–8 players, free-for-all or
+ *          teams. The host runs physics for every player and broadcasts
+ *          snapshots at ~30Hz. Clients send numbered input each frame, predict
+ *          their own player, and reconcile by replaying unacknowledged inputs on
+ *          top of each authoritative snapshot. Includes hero selection phase
+ *          coordination between the host and all clients.
  * EXPORTS (window): multiplayerActive, getMultiplayerState, hostLanGame,
  *                   joinLanGame, stopMultiplayerInternal
  * DEPENDENCIES: THREE (r128), Socket.IO, scene/camera/renderer globals (game.js),
  *               hud.js, roundFlow.js, crosshair.js, physics.js, projectiles.js,
  *               weapon.js, heroes.js, heroSelectUI.js, input.js,
- *               arenaCompetitive.js, player.js (Player),
- *               mapFormat.js (buildArenaFromMap, getDefaultMapData),
- *               menuNavigation.js (showOnlyMenu, setHUDVisible)
+ *               arenaCompetitive.js, player.js (Player), lagCompensation.js,
+ *               netCodec.js (binary snapshots/shots, netStats),
+ *               mapFormat.js (buildArenaFromMap, getDefaultMapData, assignSpawnPositions),
+ *               simCore.js (FixedStepLoop, simNow),
+ *               menuNavigation.js (showOnlyMenu, setHUDVisible),
+ *               replay.js (ReplayRecorder, saveReplay — optional)
+ * DESIGN NOTES:
+ *   - Players are keyed by player id (state.players[id]): the socket id they first
+ *     joined with, kept by the server across reconnects. state.roster is the
+ *     host-owned list of {id, slot, team}; slot is the server-assigned player
+ *     number (host = 1). The host broadcasts it as 'roster' on every join/leave.
+ *   - Match modes: 'ffa' (last player standing scores) and 'teams' (last team
+ *     standing scores; teams A–D, balanced on join, no friendly fire).
+ *     match.scores is keyed by team letter or by player id accordingly.
+ *   - Spawns come from mapFormat.js assignSpawnPositions(): team spawns in teams
+ *     mode, one spawn per slot in FFA. Host and clients derive them from the roster.
+ *   - A player who joins mid-round stays dead until the next round starts.
+ *   - Host migration: if the host leaves, the server makes the lowest-slot client
+ *     host ('hostMigrated'). It takes the roster, scores, heroes and phase the
+ *     server cached plus its newest snapshot positions, and keeps the match going;
+ *     other clients just restart their snapshot timeline for the new host's clock.
+ *   - Spectators (joinLanGame(roomId, { spectate: true })) own no player and send
+ *     no input; they interpolate everyone like a client and drive a free or
+ *     follow camera (first/third person), with a per-player health/ammo panel.
+ *   - Reconnects: joining hands out a reconnectToken. When Socket.IO reconnects, the
+ *     client sends 'rejoinRoom' with it and gets its old player back. Meanwhile the
+ *     host freezes that player ('clientDropped': no input, no snapshot acks). On
+ *     'clientRejoined' it sends the client a 'resync' with roster, scores, heroes
+ *     and the phase with its time left. The host itself is never held; it migrates.
+ *   - Dedicated rooms: server.js runs the match (serverSim.js) with this same
+ *     protocol, so the browser that created the room joins as a plain client.
+ *   - Timestep: every role steps through state.simLoop (simCore.js FixedStepLoop)
+ *     at SIM_TICK_HZ: the host simulates everyone, a client reads input, predicts
+ *     and sends one input packet per tick, a spectator ticks its mirrors. tick()
+ *     (one per animation frame) only draws between the last two steps.
+ *   - Prediction: every input packet carries seq and its tick's dt (SIM_DT). The
+ *     host queues them per client and runs updateFullPhysics once per packet, then
+ *     reports the last applied seq as `ack` in that player's snapshot entry. The
+ *     client resets to the snapshot state and replays its inputs newer than ack,
+ *     so agreement is exact barring collisions with other moving things; any
+ *     residual error is eased out of the camera instead of snapping.
+ *   - Remote players are drawn INTERP_DELAY_MS behind the host's estimated clock,
+ *     interpolating between buffered snapshots (p._netBuffer), so late or bunched
+ *     packets don't make them stutter.
+ *   - Wire format: snapshots and shots go out binary (netCodec.js), with snapshots
+ *     delta-compressed against the newest one every client acked (snapAck in
+ *     input packets). window.devNetJson (dev console) switches the host back to
+ *     plain JSON; clients decode either form. netStats counts bytes both ways.
+ *   - Lag compensation: clients stamp each input with viewT, the host time they are
+ *     rendering remote players at. The host records hitbox history every tick and
+ *     tests that client's shots against targets rewound to viewT, capped by
+ *     settings.maxRewindMs (0 = off).
+ *   - Replays: the host records the match (replay.js) from the authoritative side, so
+ *     every hit is in it, and saves it to /api/replays when it leaves or the match
+ *     ends. A client promoted by host migration records from the takeover onwards.
  * NOTE: Mode flag is still window.multiplayerActive (for backward compat, rename later)
  */
 
@@ -29,21 +82,44 @@
   var DEFAULT_DAMAGE = 20;      // damage per hit
   var ROUNDS_TO_WIN = 2;        // rounds needed to win
   var MAX_DT = 0.05;            // max delta-time clamp (seconds)
-  var SNAP_THRESHOLD_SQ = 25;   // squared distance to snap instead of lerp
+  var SNAP_THRESHOLD_SQ = 25;   // squared prediction error that snaps instead of easing out
+  var CORRECTION_DECAY = 12;    // 1/s rate at which prediction error leaves the camera
+  var INTERP_DELAY_MS = 100;    // remote players are rendered this far behind the host clock
+  var MAX_PENDING_INPUTS = 120; // client: unacknowledged inputs kept for replay
+  var MAX_QUEUED_INPUTS = 30;   // host: per-client input backlog before old packets are dropped
   var ROUND_BANNER_MS = 1200;   // duration for round banners
   var COUNTDOWN_SECONDS = 3;    // pre-round countdown
   var SHOT_DELAY_AFTER_COUNTDOWN = 300; // ms to delay firing after countdown starts
   var TRACER_LIFETIME = 70;     // ms tracer visual lasts
+  var MIN_REPLAY_MS = 5000;     // shorter sessions don't leave a replay file
+  var SPECTATOR_FLY_SPEED = 12;         // free camera speed (m/s), doubled while sprinting
+  var SPECTATOR_FOLLOW_DISTANCE = 4;    // third-person camera distance behind the target
+  var SPECTATOR_HUD_INTERVAL_MS = 100;  // spectator player panel refresh
+  var SPECTATOR_CAMERA_MODES = ['free', 'first', 'third'];
+  var TEAM_LETTERS = ['A', 'B', 'C', 'D'];
+  // Matches the spawn ring colors in mapFormat.js
+  var TEAM_COLORS = { A: 0xff4444, B: 0x4488ff, C: 0x44ff44, D: 0xff8844 };
 
   var socket = null;
   var isHost = false;
+  var isSpectator = false;      // joined with { spectate: true }: no player, no input
   var currentRoomId = null;
   var hostId = null;
+  var localPlayerId = null;     // our player id in the room (the socket id changes on reconnect)
+  var _reconnectToken = null;   // from create/joinRoom; 'rejoinRoom' with it after a dropped connection
   var state = null;
+  var _pendingRoster = null;    // roster received before the session finished loading
+  var _pendingWaiting = false;  // 'waitingForPlayers' received before the session finished loading
+  var _pendingMigration = null; // 'hostMigrated' naming us host before the session finished loading
+  var _pendingHeroes = null;    // spectator: heroes already picked when we joined
 
   function defaultSettings() {
     return {
       roundsToWin: ROUNDS_TO_WIN,
+      maxPlayers: 2,
+      mode: 'ffa',
+      teamCount: 2,
+      maxRewindMs: LAG_COMP_DEFAULT_REWIND_MS,
     };
   }
 
@@ -57,12 +133,15 @@
       bannerEl: document.getElementById('roundBanner'),
       countdownEl: document.getElementById('roundCountdown'),
       meleeCooldown: document.getElementById('meleeCooldown'),
+      abilityHud: document.getElementById('abilityHud'),
+      scoreboard: document.getElementById('lanScoreboard'),
+      spectatorHud: document.getElementById('lanSpectatorHud'),
     };
   }
 
   // HUD helpers — delegate to shared
   function updateHUDForPlayer(p) {
-    if (!state) return;
+    if (!state || !p) return;
     sharedUpdateHealthBar(state.hud.healthFill, p.health, DEFAULT_HEALTH);
     sharedUpdateAmmoDisplay(state.hud.ammoDisplay, p.weapon.ammo, p.weapon.magSize);
     sharedUpdateMeleeCooldown(state.hud.meleeCooldown, p.weapon, performance.now());
@@ -70,7 +149,182 @@
 
   function showMultiplayerHUD(show) {
     if (!state || !state.hud) return;
-    if (state.hud.healthContainer) state.hud.healthContainer.classList.toggle('hidden', !show);
+    if (state.hud.healthContainer) state.hud.healthContainer.classList.toggle('hidden', !show || isSpectator);
+    if (state.hud.scoreboard) state.hud.scoreboard.classList.toggle('hidden', !show);
+    if (state.hud.spectatorHud) state.hud.spectatorHud.classList.toggle('hidden', !show || !isSpectator);
+  }
+
+  // ── Players / roster helpers ──
+
+  function getLocalPlayer() {
+    return (state && state.localId) ? state.players[state.localId] || null : null;
+  }
+
+  function isLocalPlayer(p) {
+    return !!p && p === getLocalPlayer();
+  }
+
+  // Safe if fn ends the match (state becomes null mid-iteration)
+  function forEachPlayer(fn) {
+    if (!state) return;
+    var players = state.players;
+    for (var id in players) {
+      if (!state) return;
+      if (players[id]) fn(players[id], id);
+    }
+  }
+
+  function rosterEntry(id) {
+    if (!state) return null;
+    for (var i = 0; i < state.roster.length; i++) {
+      if (state.roster[i].id === id) return state.roster[i];
+    }
+    return null;
+  }
+
+  function isTeamMode() {
+    return !!state && state.match.mode === 'teams';
+  }
+
+  function areEnemies(a, b) {
+    if (!a || !b || a === b) return false;
+    if (isTeamMode() && a.team && a.team === b.team) return false;
+    return true;
+  }
+
+  // Key a player's round wins are counted under: team letter or player id
+  function scoreKeyFor(entry) {
+    return isTeamMode() ? entry.team : entry.id;
+  }
+
+  function scoreLabel(key) {
+    if (isTeamMode()) return 'Team ' + key;
+    var entry = rosterEntry(key);
+    return entry ? 'Player ' + entry.slot : 'Player ?';
+  }
+
+  // Score keys in display order (team letter or slot order)
+  function scoreKeys() {
+    if (isTeamMode()) return TEAM_LETTERS.slice(0, state.match.teamCount);
+    return state.roster.map(function (e) { return e.id; });
+  }
+
+  function formatFinalScore() {
+    var keys = scoreKeys();
+    var scores = state.match.scores;
+    if (keys.length === 2) {
+      return scoreLabel(keys[0]) + ' ' + (scores[keys[0]] || 0) + ' - ' + (scores[keys[1]] || 0) + ' ' + scoreLabel(keys[1]);
+    }
+    var sorted = keys.slice().sort(function (a, b) { return (scores[b] || 0) - (scores[a] || 0); });
+    return sorted.map(function (k) { return scoreLabel(k) + ': ' + (scores[k] || 0); }).join(', ');
+  }
+
+  function updateScoreboard() {
+    var el = state && state.hud.scoreboard;
+    if (!el) return;
+    el.innerHTML = '';
+    var local = rosterEntry(state.localId);
+    var localKey = local ? scoreKeyFor(local) : null;
+    var keys = scoreKeys();
+    for (var i = 0; i < keys.length; i++) {
+      var item = document.createElement('span');
+      item.className = 'lan-score';
+      if (keys[i] === localKey) item.classList.add('local');
+      if (isTeamMode()) item.style.borderColor = '#' + ('000000' + (TEAM_COLORS[keys[i]] || 0xffffff).toString(16)).slice(-6);
+      item.textContent = scoreLabel(keys[i]) + ' ' + (state.match.scores[keys[i]] || 0);
+      el.appendChild(item);
+    }
+  }
+
+  // Colored floor ring under a player's feet showing their team (teams mode only).
+  // Re-applied after hero changes because Player.rebuildMesh() clears the mesh group.
+  function applyTeamMarker(p) {
+    if (!p || !p._meshGroup) return;
+    var old = p._meshGroup.getObjectByName('lanTeamMarker');
+    if (old) {
+      p._meshGroup.remove(old);
+      old.geometry.dispose();
+      old.material.dispose();
+    }
+    if (!isTeamMode() || !p.team) return;
+    var ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.55, 0.7, 24),
+      new THREE.MeshBasicMaterial({ color: TEAM_COLORS[p.team] || 0xffffff, side: THREE.DoubleSide, transparent: true, opacity: 0.85 })
+    );
+    ring.name = 'lanTeamMarker';
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.03 - (p._meshFeetOffset || 0);
+    p._meshGroup.add(ring);
+  }
+
+  // Host: pick the team with the fewest members (ties go to the earliest letter)
+  function pickTeamForJoiner() {
+    var teams = TEAM_LETTERS.slice(0, state.match.teamCount);
+    var counts = {};
+    for (var i = 0; i < teams.length; i++) counts[teams[i]] = 0;
+    for (var j = 0; j < state.roster.length; j++) {
+      if (counts.hasOwnProperty(state.roster[j].team)) counts[state.roster[j].team]++;
+    }
+    var best = teams[0];
+    for (var k = 1; k < teams.length; k++) {
+      if (counts[teams[k]] < counts[best]) best = teams[k];
+    }
+    return best;
+  }
+
+  // Host: per-client input state; dropped marks a client whose connection is down
+  function newRemoteInput() {
+    return { latest: {}, queue: [], ackSeq: 0, snapAck: null, reloadPending: false, meleePending: false, dropped: false };
+  }
+
+  // Create/destroy Player instances so they match state.roster
+  function syncPlayersToRoster() {
+    var keep = {};
+    for (var i = 0; i < state.roster.length; i++) {
+      var entry = state.roster[i];
+      keep[entry.id] = true;
+      var p = state.players[entry.id];
+      if (!p) {
+        p = createPlayerInstance({ color: 0x55aaff, cameraAttached: false });
+        state.players[entry.id] = p;
+      }
+      p.lanSlot = entry.slot;
+      if (p.team !== entry.team) {
+        p.team = entry.team;
+        applyTeamMarker(p);
+      }
+      if (state.replay) addReplayPlayer(entry);
+    }
+    for (var id in state.players) {
+      if (keep[id] || id === state.localId) continue;
+      try { state.players[id].destroy(); } catch (e) { console.warn('multiplayer: player.destroy failed:', e); }
+      delete state.players[id];
+    }
+    updateScoreboard();
+  }
+
+  function broadcastRoster() {
+    if (!socket || !isHost) return;
+    socket.emit('roster', {
+      players: state.roster,
+      mode: state.match.mode,
+      teamCount: state.match.teamCount,
+      scores: state.match.scores
+    });
+  }
+
+  function applyRosterOnClient(payload) {
+    if (!payload || !Array.isArray(payload.players)) return;
+    if (!state) { _pendingRoster = payload; return; }
+    state.roster = payload.players.filter(function (e) {
+      return e && typeof e.id === 'string';
+    }).map(function (e) {
+      return { id: e.id, slot: Number(e.slot) || 0, team: (typeof e.team === 'string') ? e.team : null };
+    });
+    state.match.mode = payload.mode === 'teams' ? 'teams' : 'ffa';
+    state.match.teamCount = Number(payload.teamCount) || 2;
+    if (payload.scores && typeof payload.scores === 'object') state.match.scores = payload.scores;
+    syncPlayersToRoster();
   }
 
   // Round flow — using shared functions
@@ -87,16 +341,14 @@
       timerRef: state.countdownTimerRef,
       onStart: function () {
         if (!state) return;
+        state.phaseEndsAt = performance.now() + (seconds || 3) * 1000;
         state.inputEnabled = false;
         if (state.match) state.match.roundActive = false;
         state.inputArmed = false;
         var now = performance.now();
-        if (state.players && state.players.host && state.players.host.weapon) {
-          state.players.host.weapon.lastShotTime = now + SHOT_DELAY_AFTER_COUNTDOWN;
-        }
-        if (state.players && state.players.client && state.players.client.weapon) {
-          state.players.client.weapon.lastShotTime = now + SHOT_DELAY_AFTER_COUNTDOWN;
-        }
+        forEachPlayer(function (p) {
+          if (p.weapon) p.weapon.lastShotTime = now + SHOT_DELAY_AFTER_COUNTDOWN;
+        });
       },
       onReady: function () {
         if (!state) return;
@@ -106,46 +358,81 @@
     });
   }
 
-  function resetEntitiesForRound() {
-    if (!state) return;
-    var A = state.spawns.A;
-    var B = state.spawns.B;
-
-    state.players.host.resetForRound(A);
-    state.players.client.resetForRound(B);
+  function placePlayersAtSpawns() {
+    var spawnsById = assignSpawnPositions(state.arena, state.roster, isTeamMode());
+    forEachPlayer(function (p, id) {
+      p.resetForRound(spawnsById[id] || state.spawns.A);
+      clearHitboxHistory(p);
+      p._lanMelee = { swinging: false, swingEnd: 0 };
+      p._netBuffer = [];
+    });
 
-    // Set camera for local player
-    var localPlayer = isHost ? state.players.host : state.players.client;
+    // Local camera faces the middle of the arena
+    var localPlayer = getLocalPlayer();
+    if (!localPlayer) return;
     localPlayer.syncCameraFromPlayer();
+    var center = computeSpawnCenter(state.arena);
     camera.rotation.set(0, 0, 0, 'YXZ');
-    camera.lookAt(isHost ? B : A);
+    camera.lookAt(new THREE.Vector3(center.x, localPlayer.position.y, center.z));
+  }
 
-    // Attach input objects back
-    state.players.host.input = state.players.host.input || { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false, forward: new THREE.Vector3(0, 0, -1) };
-    state.players.client.input = state.players.client.input || { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false, forward: new THREE.Vector3(0, 0, -1) };
+  function resetEntitiesForRound() {
+    if (!state) return;
+    placePlayersAtSpawns();
+    var localPlayer = getLocalPlayer();
+    if (!localPlayer) return;
+
+    // Client prediction restarts from the local spawn
+    if (!isHost) {
+      _predictedPos = localPlayer.position.clone();
+      _predictedFeetY = localPlayer.feetY;
+      _predictedVVel = 0;
+      _predictedFrom = null;
+      _predictedGrounded = true;
+      _pendingInputs = [];
+      _correction.set(0, 0, 0);
+    }
 
     updateHUDForPlayer(localPlayer);
   }
 
-  function endRound(who) {
+  // Host: end the round once at most one player (FFA) or one team is left
+  function checkRoundEnd() {
+    if (!isHost || !state || !state.match.roundActive) return false;
+    var aliveKeys = [];
+    for (var i = 0; i < state.roster.length; i++) {
+      var entry = state.roster[i];
+      var p = state.players[entry.id];
+      if (!p || !p.alive) continue;
+      var key = scoreKeyFor(entry);
+      if (aliveKeys.indexOf(key) === -1) aliveKeys.push(key);
+    }
+    if (aliveKeys.length > 1) return false;
+    endRound(aliveKeys.length === 1 ? aliveKeys[0] : null);
+    return true;
+  }
+
+  function roundResultText(winnerKey) {
+    return winnerKey ? scoreLabel(winnerKey) + ' wins the round!' : 'Round draw!';
+  }
+
+  function endRound(winnerKey) {
     if (!state || !state.match) return;
     state.match.roundActive = false;
     if (typeof clearAllProjectiles === 'function') clearAllProjectiles();
     if (typeof playGameSound === 'function') playGameSound('elimination');
 
-    if (who === 'p1') state.match.player1Wins++;
-    else if (who === 'p2') state.match.player2Wins++;
+    if (winnerKey) state.match.scores[winnerKey] = (state.match.scores[winnerKey] || 0) + 1;
+    if (state.replay) state.replay.round(winnerKey, state.match.scores);
 
-    var wText = who === 'p1' ? 'Player 1 wins the round!' : 'Player 2 wins the round!';
-    showRoundBanner(wText, ROUND_BANNER_MS);
-    if (socket) socket.emit('roundResult', { winner: who, score: { p1: state.match.player1Wins, p2: state.match.player2Wins } });
+    showRoundBanner(roundResultText(winnerKey), ROUND_BANNER_MS);
+    updateScoreboard();
+    if (socket) socket.emit('roundResult', { winner: winnerKey, scores: state.match.scores });
 
-    if (state.match.player1Wins >= state.match.toWin || state.match.player2Wins >= state.match.toWin) {
-      if (socket) socket.emit('matchOver', { p1: state.match.player1Wins, p2: state.match.player2Wins });
+    if (winnerKey && state.match.scores[winnerKey] >= state.match.toWin) {
+      if (socket) socket.emit('matchOver', { scores: state.match.scores });
       var finalScoreEl = document.getElementById('finalScore');
-      if (finalScoreEl) {
-        finalScoreEl.textContent = 'Player 1 ' + state.match.player1Wins + ' - ' + state.match.player2Wins + ' Player 2';
-      }
+      if (finalScoreEl) finalScoreEl.textContent = formatFinalScore();
       window.stopMultiplayerInternal();
       showOnlyMenu('resultMenu');
       setHUDVisible(false);
@@ -153,37 +440,60 @@
     }
 
     setTimeout(function () {
-      if (!state) return;
+      if (!state || state.waitingForPlayers) return;
       resetEntitiesForRound();
-      updateHUDForPlayer(isHost ? state.players.host : state.players.client);
       if (isHost) {
         startHeroSelectPhase();
       }
-      // Client will receive startHeroSelect event from host
+      // Clients will receive startHeroSelect event from host
     }, ROUND_BANNER_MS);
   }
 
+  // Fewer than two players left — park the match until someone joins.
+  // Clients get here via the 'waitingForPlayers' event from a dedicated server.
+  function enterWaitingForPlayers() {
+    state.waitingForPlayers = true;
+    state.inputEnabled = false;
+    state.match.roundActive = false;
+    if (state.countdownTimerRef.id) {
+      clearInterval(state.countdownTimerRef.id);
+      state.countdownTimerRef.id = 0;
+    }
+    if (state.hud.countdownEl) state.hud.countdownEl.classList.add('hidden');
+    if (state.heroSelectTimerRef.id) {
+      clearTimeout(state.heroSelectTimerRef.id);
+      state.heroSelectTimerRef.id = 0;
+    }
+    state.heroSelectIds = null;
+    if (typeof window.closePreRoundHeroSelect === 'function') window.closePreRoundHeroSelect();
+    if (typeof clearAllProjectiles === 'function') clearAllProjectiles();
+    showRoundBanner('Waiting for players...', 999999);
+  }
+
   // ── Hero Selection Phase (LAN) ──
 
   function startHeroSelectPhase() {
     if (!state) return;
-    state.heroSelections = { host: null, client: null };
+    state.heroSelections = {};
+    // Players who join during selection sit out until the next round
+    state.heroSelectIds = state.roster.map(function (e) { return e.id; });
+    state.phaseEndsAt = performance.now() + 15000;
 
-    // Tell client to show hero select
+    // Tell clients to show hero select
     if (socket) socket.emit('startHeroSelect', { seconds: 15 });
 
     // Show overlay for host
     window.showPreRoundHeroSelect({
       seconds: 15,
       onConfirmed: function (heroId) {
-        state.heroSelections.host = heroId;
-        if (socket) socket.emit('heroSelect', { heroId: heroId });
-        checkBothHeroesPicked();
+        if (!state) return;
+        state.heroSelections[state.localId] = heroId;
+        checkAllHeroesPicked();
       },
       onTimeout: function (heroId) {
-        state.heroSelections.host = heroId;
-        if (socket) socket.emit('heroSelect', { heroId: heroId });
-        checkBothHeroesPicked();
+        if (!state) return;
+        state.heroSelections[state.localId] = heroId;
+        checkAllHeroesPicked();
       }
     });
 
@@ -195,37 +505,38 @@
     }, 16000);
   }
 
-  function checkBothHeroesPicked() {
-    if (!state) return;
-    if (state.heroSelections.host && state.heroSelections.client) {
-      finishHeroSelect();
+  function checkAllHeroesPicked() {
+    if (!state || !state.heroSelectIds) return;
+    for (var i = 0; i < state.heroSelectIds.length; i++) {
+      if (!state.heroSelections[state.heroSelectIds[i]]) return;
     }
+    finishHeroSelect();
   }
 
   function finishHeroSelect() {
-    if (!state) return;
+    if (!state || !state.heroSelectIds) return;
     // Clear fallback timer
     if (state.heroSelectTimerRef.id) {
       clearTimeout(state.heroSelectTimerRef.id);
       state.heroSelectTimerRef.id = 0;
     }
 
-    // Fill defaults for any null selections
-    if (!state.heroSelections.host) state.heroSelections.host = 'marksman';
-    if (!state.heroSelections.client) state.heroSelections.client = 'marksman';
+    // Fill defaults for missing selections, apply weapons from hero choices
+    var heroes = {};
+    for (var i = 0; i < state.heroSelectIds.length; i++) {
+      var id = state.heroSelectIds[i];
+      if (!state.players[id]) continue;
+      heroes[id] = state.heroSelections[id] || 'marksman';
+      applyHeroWeapon(state.players[id], heroes[id]);
+      if (state.replay) state.replay.hero(id, heroes[id]);
+    }
+    state.heroSelectIds = null;
 
-    // Apply weapons from hero choices
-    applyHeroWeapon(state.players.host, state.heroSelections.host);
-    applyHeroWeapon(state.players.client, state.heroSelections.client);
-
-    // Emit confirmed heroes to client
-    if (socket) socket.emit('heroesConfirmed', {
-      host: state.heroSelections.host,
-      client: state.heroSelections.client
-    });
+    // Emit confirmed heroes to clients
+    if (socket) socket.emit('heroesConfirmed', { heroes: heroes });
 
     window.closePreRoundHeroSelect();
-    updateHUDForPlayer(isHost ? state.players.host : state.players.client);
+    updateHUDForPlayer(getLocalPlayer());
     startRoundCountdown(COUNTDOWN_SECONDS);
     if (socket) socket.emit('startRound', { seconds: COUNTDOWN_SECONDS });
   }
@@ -239,11 +550,18 @@
       player.weapon = new Weapon(hero.weapon);
     }
     player.weapon.reset();
+    applyTeamMarker(player);
   }
 
   // Client-side hero select handlers (called from socket events)
   function clientStartHeroSelect(payload) {
     if (!state) return;
+    if (state.waitingForPlayers) {
+      state.waitingForPlayers = false;
+      showRoundBanner('Match starting', ROUND_BANNER_MS);
+    }
+    resetEntitiesForRound();
+    if (isSpectator) return; // nothing to pick; heroesConfirmed shows what everyone chose
     var seconds = (payload && payload.seconds) || 15;
     window.showPreRoundHeroSelect({
       seconds: seconds,
@@ -260,15 +578,14 @@
 
   function clientHeroesConfirmed(payload) {
     if (!state) return;
-    // Apply own weapon from hero choice
-    var myHeroId = (payload && payload.client) || 'marksman';
-    applyHeroWeapon(state.players.client, myHeroId);
-    // Also apply host's hero for correct damage in snapshots
-    var hostHeroId = (payload && payload.host) || 'marksman';
-    applyHeroWeapon(state.players.host, hostHeroId);
+    // Apply every player's hero (own weapon for HUD, others for correct visuals)
+    var heroes = (payload && payload.heroes) || {};
+    for (var id in heroes) {
+      if (state.players[id] && typeof heroes[id] === 'string') applyHeroWeapon(state.players[id], heroes[id]);
+    }
 
     window.closePreRoundHeroSelect();
-    updateHUDForPlayer(state.players.client);
+    updateHUDForPlayer(getLocalPlayer());
     // startRound event will also arrive to trigger countdown
   }
 
@@ -292,6 +609,11 @@
     // Store yaw/pitch for network sync
     p.yaw = (opts && typeof opts.yaw === 'number') ? opts.yaw : 0;
     p.pitch = (opts && typeof opts.pitch === 'number') ? opts.pitch : 0;
+    // LAN bookkeeping: slot/team from the roster, melee swing, remote interpolation buffer
+    p.lanSlot = 0;
+    p.team = null;
+    p._lanMelee = { swinging: false, swingEnd: 0 };
+    p._netBuffer = [];
     return p;
   }
 
@@ -301,61 +623,88 @@
       settings: merged,
       arena: null,
       spawns: { A: new THREE.Vector3(), B: new THREE.Vector3() },
-      players: { host: null, client: null },
+      players: {},                 // player id -> Player
+      roster: [],                  // [{id, slot, team}], host-owned
+      localId: null,
       hud: mkHudRefs(),
       lastTs: 0,
       loopHandle: 0,
       inputArmed: false,
       inputEnabled: false,
-      remoteInputLatest: null,
+      remoteInputs: {},            // host: player id -> latest input + pending one-shot flags
+      snapshotEncoder: new SnapshotEncoder(), // host: binary delta snapshots
+      snapshotDecoder: new SnapshotDecoder(), // client: baselines for incoming deltas
       playerNumber: 0,
+      waitingForPlayers: true,
       bannerTimerRef: { id: 0 },
       countdownTimerRef: { id: 0 },
-      heroSelections: { host: null, client: null },
+      heroSelections: {},          // player id -> heroId
+      heroSelectIds: null,         // ids taking part in the current hero selection
       heroSelectTimerRef: { id: 0 },
+      phaseEndsAt: 0,              // host: when hero select or the countdown runs out (for resyncs)
+      mapData: null,               // map the arena was built from (embedded in replays)
+      replay: null,                // host: ReplayRecorder for this match (replay.js)
       match: {
-        player1Wins: 0,
-        player2Wins: 0,
+        scores: {},
         toWin: merged.roundsToWin || ROUNDS_TO_WIN,
+        mode: merged.mode === 'teams' ? 'teams' : 'ffa',
+        teamCount: Math.max(2, Math.min(4, merged.teamCount || 2)),
         roundActive: false
       }
     };
   }
 
-  function placePlayersAtSpawns() {
-    var A = state.spawns.A;
-    var B = state.spawns.B;
+  function handleReload(p, now) {
+    if (sharedHandleReload(p.weapon, now)) {
+      if (isLocalPlayer(p)) sharedSetReloadingUI(false, state.hud.reloadIndicator);
+    }
+  }
 
-    if (isHost) {
-      state.players.host.resetForRound(A);
-      state.players.client.resetForRound(B);
-      state.players.host.syncCameraFromPlayer();
-      camera.rotation.set(0, 0, 0, 'YXZ');
-      camera.lookAt(new THREE.Vector3(B.x, GROUND_Y + EYE_HEIGHT, B.z));
-    } else {
-      state.players.host.resetForRound(A);
-      state.players.client.resetForRound(B);
-      state.players.client.syncCameraFromPlayer();
-      camera.rotation.set(0, Math.PI, 0, 'YXZ');
+  // Aim direction: host's own camera, otherwise the forward vector from the player's input
+  function aimDirection(p) {
+    var inp = p.input;
+    if (isLocalPlayer(p) && isHost) {
+      var dir = new THREE.Vector3();
+      camera.getWorldDirection(dir);
+      return dir;
+    }
+    if (inp.forward && inp.forward.isVector3) return inp.forward.clone().normalize();
+    if (inp.forward && Array.isArray(inp.forward) && inp.forward.length === 3) {
+      return new THREE.Vector3(inp.forward[0], inp.forward[1], inp.forward[2]).normalize();
     }
+    return new THREE.Vector3(0, 0, -1);
   }
 
-  function isLocalPlayer(p) {
-    return (isHost && p === state.players.host) || (!isHost && p === state.players.client);
+  function aliveEnemiesOf(p) {
+    var out = [];
+    forEachPlayer(function (other) {
+      if (other.alive && areEnemies(p, other)) out.push(other);
+    });
+    return out;
   }
 
-  function handleReload(p, now) {
-    if (sharedHandleReload(p.weapon, now)) {
-      if (isLocalPlayer(p)) sharedSetReloadingUI(false, state.hud.reloadIndicator);
-    }
+  // Apply damage from attacker to victim; returns true if the hit ended the round
+  function applyHit(attacker, victim, amount) {
+    if (!victim || !victim.alive) return false;
+    if (window.devGodMode && isLocalPlayer(victim)) return false; // God mode: skip damage for local player
+    victim.takeDamage(amount);
+    if (state.replay) state.replay.hit(playerIdOf(attacker), playerIdOf(victim), amount, victim.health);
+    if (isLocalPlayer(attacker) && typeof playGameSound === 'function') playGameSound('hit_marker');
+    if (isLocalPlayer(victim) && typeof playGameSound === 'function') playGameSound('damage_taken');
+    if (isLocalPlayer(victim)) updateHUDForPlayer(victim);
+    if (!victim.alive) return checkRoundEnd();
+    return false;
   }
 
-  // Per-player melee swing state
-  var _meleeSwingState = { host: { swinging: false, swingEnd: 0 }, client: { swinging: false, swingEnd: 0 } };
+  function playerIdOf(p) {
+    for (var id in state.players) {
+      if (state.players[id] === p) return id;
+    }
+    return null;
+  }
 
-  function handleMelee(p, now) {
-    var key = (p === state.players.host) ? 'host' : 'client';
-    var ms = _meleeSwingState[key];
+  function handleMelee(p, id, now) {
+    var ms = p._lanMelee;
     var w = p.weapon;
     var inp = p.input;
 
@@ -369,45 +718,20 @@
     if (w.reloading) return true;
     if ((now - w.lastMeleeTime) < w.meleeCooldownMs) return true;
 
-    // Compute direction
-    var dir;
-    if (isLocalPlayer(p) && isHost) {
-      dir = new THREE.Vector3();
-      camera.getWorldDirection(dir);
-    } else {
-      if (inp.forward && inp.forward.isVector3) {
-        dir = inp.forward.clone().normalize();
-      } else if (inp.forward && Array.isArray(inp.forward) && inp.forward.length === 3) {
-        dir = new THREE.Vector3(inp.forward[0], inp.forward[1], inp.forward[2]).normalize();
-      } else {
-        dir = new THREE.Vector3(0, 0, -1);
-      }
-    }
-
+    var dir = aimDirection(p);
     var origin = isLocalPlayer(p)
       ? camera.position.clone()
       : p.position.clone();
 
-    var other = (p === state.players.host) ? state.players.client : state.players.host;
-    var meleeTargets = [];
-    if (other && other.alive) {
-      meleeTargets.push({ segments: other.getHitSegments(), entity: other });
-    }
+    var meleeTargets = aliveEnemiesOf(p).map(function (e) {
+      return { segments: e.getHitSegments(), entity: e };
+    });
 
     sharedMeleeAttack(w, origin, dir, {
       solids: state.arena.solids,
       targets: meleeTargets,
       onHit: function (target, point, dist, totalDamage) {
-        if (other && other.alive) {
-          if (window.devGodMode && isLocalPlayer(other)) return;
-          other.takeDamage(totalDamage);
-          if (isLocalPlayer(p) && typeof playGameSound === 'function') playGameSound('hit_marker');
-          if (isLocalPlayer(other) && typeof playGameSound === 'function') playGameSound('damage_taken');
-          if (isLocalPlayer(other)) updateHUDForPlayer(other);
-          if (isHost && state.match && state.match.roundActive && !other.alive) {
-            endRound((p === state.players.host) ? 'p1' : 'p2');
-          }
-        }
+        applyHit(p, target && target.entity, totalDamage);
       }
     });
 
@@ -421,9 +745,10 @@
     // Third-person animation on the attacker mesh (visible to remote)
     if (p.triggerMeleeSwing) p.triggerMeleeSwing(w.meleeSwingMs);
 
+    if (state.replay) state.replay.melee(id, w.meleeSwingMs);
     // Emit melee event for remote visual
     if (isHost && socket) {
-      socket.emit('melee', { playerId: key, swingMs: w.meleeSwingMs });
+      socket.emit('melee', { playerId: id, swingMs: w.meleeSwingMs });
     }
 
     if (isLocalPlayer(p)) updateHUDForPlayer(p);
@@ -431,11 +756,19 @@
     return false; // block shooting this tick
   }
 
-  function handleShooting(p, now) {
+  // Host time to test this player's shots at: the client's view time, inside the rewind window
+  function shotRewindTime(id, now) {
+    if (id === state.localId) return now;
+    var ri = state.remoteInputs[id];
+    var viewT = ri && ri.latest ? ri.latest.viewT : null;
+    return resolveRewindTime(viewT, now, state.settings.maxRewindMs);
+  }
+
+  function handleShooting(p, id, now) {
     var w = p.weapon;
     var inp = p.input;
     if (inp.reloadPressed) {
-      if (sharedStartReload(w, now)) {
+      if (sharedStartReload(w, now, p.abilities)) {
         if (isLocalPlayer(p)) sharedSetReloadingUI(true, state.hud.reloadIndicator);
       }
       inp.reloadPressed = false;
@@ -445,38 +778,25 @@
     if (!inp.fireDown) return;
     if ((now - w.lastShotTime) < w.cooldownMs) return;
     if (w.ammo <= 0) {
-      if (sharedStartReload(w, now)) {
+      if (sharedStartReload(w, now, p.abilities)) {
         if (isLocalPlayer(p)) sharedSetReloadingUI(true, state.hud.reloadIndicator);
       }
       return;
     }
 
-    var dir;
-    if (isLocalPlayer(p) && isHost) {
-      dir = new THREE.Vector3();
-      camera.getWorldDirection(dir);
-    } else {
-      if (inp.forward && inp.forward.isVector3) {
-        dir = inp.forward.clone().normalize();
-      } else if (inp.forward && Array.isArray(inp.forward) && inp.forward.length === 3) {
-        dir = new THREE.Vector3(inp.forward[0], inp.forward[1], inp.forward[2]).normalize();
-      } else {
-        dir = new THREE.Vector3(0, 0, -1);
-      }
-    }
-
+    var dir = aimDirection(p);
     var origin = isLocalPlayer(p)
       ? camera.position.clone().add(dir.clone().multiplyScalar(0.2)).add(new THREE.Vector3(0, -0.05, 0))
       : p.position.clone().add(dir.clone().multiplyScalar(0.2)).add(new THREE.Vector3(0, -0.05, 0));
-    var other = (p === state.players.host) ? state.players.client : state.players.host;
 
-    // Build segmented hitbox targets
-    var hitTargets = [];
-    var hitEntities = [];
-    if (other && other.alive) {
-      hitTargets.push({ segments: other.getHitSegments(), entity: other });
-      hitEntities.push(other);
-    }
+    // Build segmented hitbox targets (enemies only — no friendly fire),
+    // rewound to where the shooter saw them
+    var rewindT = shotRewindTime(id, now);
+    var rewindMs = now - rewindT;
+    var hitEntities = aliveEnemiesOf(p);
+    var hitTargets = hitEntities.map(function (e) {
+      return { segments: rewoundHitSegments(e, rewindT), entity: e };
+    });
     var tracerColor = isLocalPlayer(p) ? 0x66ffcc : 0x66aaff;
 
     var result = sharedFireWeapon(w, origin, dir, {
@@ -484,43 +804,42 @@
       solids: state.arena.solids,
       targets: hitTargets,
       projectileTargetEntities: hitEntities,
+      // Projectiles keep the same view delay for their whole flight
+      projectileSegmentsFor: rewindMs > 0 ? function (e) {
+        return rewoundHitSegments(e, simNow() - rewindMs);
+      } : null,
       tracerColor: tracerColor,
       onHit: function (target, point, dist, pelletIdx, damageMultiplier) {
-        if (other && other.alive) {
-          if (window.devGodMode && isLocalPlayer(other)) {
-            return; // God mode: skip damage for local player
-          }
-          other.takeDamage(w.damage * (damageMultiplier || 1.0));
-          if (isLocalPlayer(p) && typeof playGameSound === 'function') playGameSound('hit_marker');
-          if (isLocalPlayer(other) && typeof playGameSound === 'function') playGameSound('damage_taken');
-          if (isLocalPlayer(other)) updateHUDForPlayer(other);
-          if (isHost && state.match && state.match.roundActive && !other.alive) {
-            endRound((p === state.players.host) ? 'p1' : 'p2');
-            return false; // stop pellet loop
-          }
+        // Hitscan passes the target record, projectiles pass the entity itself
+        var victim = (target && target.entity) || target;
+        if (applyHit(p, victim, w.damage * (damageMultiplier || 1.0))) {
+          return false; // round over — stop pellet loop
         }
       },
       onPelletFired: function (pelletResult) {
+        if (state && state.replay) state.replay.shot(id, origin, pelletResult, w, tracerColor);
         if (isHost && socket) {
           try {
             // For projectile weapons, send direction + speed for client-side visual
+            var shot = null;
             if (w.projectileSpeed && w.projectileSpeed > 0) {
-              socket.emit('shot', {
+              shot = {
                 o: [origin.x, origin.y, origin.z],
                 d: pelletResult.dir ? [pelletResult.dir.x, pelletResult.dir.y, pelletResult.dir.z] : [0, 0, -1],
                 c: tracerColor,
                 s: w.projectileSpeed,
                 g: w.projectileGravity || 0,
                 w: w.modelType
-              });
+              };
             } else if (pelletResult && pelletResult.point) {
-              socket.emit('shot', {
+              shot = {
                 o: [origin.x, origin.y, origin.z],
                 e: [pelletResult.point.x, pelletResult.point.y, pelletResult.point.z],
                 c: tracerColor,
                 w: w.modelType
-              });
+              };
             }
+            if (shot) emitCounted('shot', window.devNetJson ? shot : encodeShot(shot));
           } catch (e) { console.warn('multiplayer: shot emit failed:', e); }
         }
       }
@@ -528,144 +847,217 @@
 
     if (isLocalPlayer(p)) updateHUDForPlayer(p);
     if (result.magazineEmpty) {
-      if (sharedStartReload(w, now)) {
+      if (sharedStartReload(w, now, p.abilities)) {
         if (isLocalPlayer(p)) sharedSetReloadingUI(true, state.hud.reloadIndicator);
       }
     }
   }
 
+  // Host: move one remote player by every input packet received since the last tick
+  function simulateRemotePlayer(id, p, dt, activeRound) {
+    var ri = state.remoteInputs[id] || { latest: {}, queue: [] };
+    var latest = ri.latest || {};
+    var inp = p.input;
+    inp.sprint = activeRound && !!latest.sprint;
+    inp.fireDown = activeRound && !!latest.fireDown;
+    if (activeRound && (latest.meleeDown || ri.meleePending)) inp.meleeDown = true;
+    if (activeRound && (latest.reloadPressed || ri.reloadPending)) inp.reloadPressed = true;
+    if (latest.forward && Array.isArray(latest.forward) && latest.forward.length === 3) {
+      inp.forward = new THREE.Vector3(latest.forward[0], latest.forward[1], latest.forward[2]);
+    }
+
+    // One ability update and one physics step per packet with the client's own dt,
+    // exactly as it predicted (a dash starts on the packet that carried the key).
+    // The ack tells the client which of its inputs this snapshot already includes.
+    var queue = ri.queue || [];
+    ri.queue = [];
+    for (var i = 0; i < queue.length; i++) {
+      var cmd = queue[i];
+      var cmdDt = Math.max(0, Math.min(MAX_DT, Number(cmd.dt) || 0));
+      var cmdFwd = (Array.isArray(cmd.forward) && cmd.forward.length === 3)
+        ? new THREE.Vector3(cmd.forward[0], cmd.forward[1], cmd.forward[2])
+        : inp.forward;
+      if (p.abilities) {
+        var keys = activeRound ? packetAbilityKeys(cmd) : null;
+        var lookDir = moveDirFromForward(cmdFwd, 1, 0);
+        var fired = p.abilities.update(cmdDt, keys ? { abilityKeys: keys } : null, null, { direction: lookDir });
+        emitAbilityEvents(id, p, fired, Math.atan2(-lookDir.x, -lookDir.z));
+      }
+      if (p.alive) {
+        var dir = activeRound ? moveDirFromForward(cmdFwd, cmd.moveZ || 0, cmd.moveX || 0) : new THREE.Vector3();
+        updateFullPhysics(
+          p,
+          { worldMoveDir: dir, sprint: activeRound && !!cmd.sprint, jump: activeRound && !!cmd.jump },
+          { colliders: state.arena.colliders, solids: state.arena.solids },
+          cmdDt
+        );
+      }
+      ri.ackSeq = cmd.seq;
+    }
+
+    // Sync mesh/hitbox BEFORE shooting/projectiles so hitboxes are fresh.
+    // Hitbox yaw comes from the client's own forward vector (where THEY are looking)
+    var riFwd = latest.forward;
+    if (riFwd && Array.isArray(riFwd) && riFwd.length === 3) {
+      p._hitboxYaw = Math.atan2(riFwd[0], riFwd[2]);
+    }
+    p._meshGroup.rotation.set(0, p._hitboxYaw, 0);
+    p._syncMeshPosition();
+  }
+
+  // Lowercased ability keys of one input packet, or null when it carries none
+  function packetAbilityKeys(cmd) {
+    if (!Array.isArray(cmd.abilityKeys) || cmd.abilityKeys.length === 0) return null;
+    var keys = [];
+    for (var i = 0; i < cmd.abilityKeys.length && i < 8; i++) {
+      var keyName = String(cmd.abilityKeys[i]).toLowerCase();
+      if (keys.indexOf(keyName) === -1) keys.push(keyName);
+    }
+    return keys;
+  }
+
+  // Host: one simulation tick for every player (state.simLoop)
   function simulateHostTick(dt) {
-    if (!state.players.client) return;
+    var hostP = getLocalPlayer();
+    if (!hostP) return;
+    forEachPlayer(function (p) { p.beginSimStep(); });
     var localInput = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false };
     var enabledLocal = !!state.inputEnabled;
-    state.players.host.input.moveX = enabledLocal ? (localInput.moveX || 0) : 0;
-    state.players.host.input.moveZ = enabledLocal ? (localInput.moveZ || 0) : 0;
-    state.players.host.input.sprint = enabledLocal && !!localInput.sprint;
-    state.players.host.input.jump = enabledLocal && !!localInput.jump;
-    state.players.host.input.fireDown = enabledLocal && !!localInput.fireDown;
-    state.players.host.input.meleeDown = enabledLocal && !!localInput.meleePressed;
-    if (enabledLocal && localInput.reloadPressed) state.players.host.input.reloadPressed = true;
-
-    sharedSetCrosshairBySprint(!!localInput.sprint, state.players.host.weapon.spreadRad, state.players.host.weapon.sprintSpreadRad);
+    hostP.input.moveX = enabledLocal ? (localInput.moveX || 0) : 0;
+    hostP.input.moveZ = enabledLocal ? (localInput.moveZ || 0) : 0;
+    hostP.input.sprint = enabledLocal && !!localInput.sprint;
+    hostP.input.jump = enabledLocal && !!localInput.jump;
+    hostP.input.fireDown = enabledLocal && !!localInput.fireDown;
+    hostP.input.meleeDown = enabledLocal && !!localInput.meleePressed;
+    if (enabledLocal && localInput.reloadPressed) hostP.input.reloadPressed = true;
+
+    sharedSetCrosshairBySprint(!!localInput.sprint, hostP.weapon.spreadRad, hostP.weapon.sprintSpreadRad);
     sharedSetSprintUI(!!localInput.sprint, state.hud.sprintIndicator);
 
+    // Host abilities: tick cooldowns/effects, activate on keybind (before physics so dash applies this frame)
+    if (hostP.abilities) {
+      var hostFired = hostP.abilities.update(dt, (enabledLocal && hostP.alive) ? localInput : null);
+      emitAbilityEvents(state.localId, hostP, hostFired);
+    }
+
     // Host player physics via updateFullPhysics
-    var hostPrevGrounded = state.players.host.grounded;
+    var hostPrevGrounded = hostP.grounded;
     updateFullPhysics(
-      state.players.host,
-      { moveX: state.players.host.input.moveX, moveZ: state.players.host.input.moveZ, sprint: state.players.host.input.sprint, jump: state.players.host.input.jump },
+      hostP,
+      { moveX: hostP.input.moveX, moveZ: hostP.input.moveZ, sprint: hostP.input.sprint, jump: hostP.input.jump },
       { colliders: state.arena.colliders, solids: state.arena.solids },
       dt
     );
-    state.players.host._hitboxYaw = camera.rotation.y;
-    state.players.host._syncMeshPosition();
-    state.players.host.syncCameraFromPlayer();
+    hostP._hitboxYaw = camera.rotation.y;
+    hostP._syncMeshPosition();
+    hostP.syncCameraFromPlayer();
 
     // Host movement sounds
     if (typeof playGameSound === 'function') {
-      if (hostPrevGrounded && !state.players.host.grounded) playGameSound('jump');
-      if (!hostPrevGrounded && state.players.host.grounded) playGameSound('land');
-      var hostMoving = (state.players.host.input.moveX !== 0 || state.players.host.input.moveZ !== 0);
-      if (hostMoving && state.players.host.grounded && typeof playFootstepIfDue === 'function') {
-        playFootstepIfDue(!!state.players.host.input.sprint, null, performance.now());
+      if (hostPrevGrounded && !hostP.grounded) playGameSound('jump');
+      if (!hostPrevGrounded && hostP.grounded) playGameSound('land');
+      var hostMoving = (hostP.input.moveX !== 0 || hostP.input.moveZ !== 0);
+      if (hostMoving && hostP.grounded && typeof playFootstepIfDue === 'function') {
+        playFootstepIfDue(!!hostP.input.sprint, null, simNow());
       }
     }
 
-    // Remote input
-    var ri = state.remoteInputLatest || {};
+    // Remote players
     var activeRound = !!(state.match && state.match.roundActive);
-    state.players.client.input.moveX = activeRound ? (ri.moveX || 0) : 0;
-    state.players.client.input.moveZ = activeRound ? (ri.moveZ || 0) : 0;
-    state.players.client.input.sprint = activeRound && !!ri.sprint;
-    // Use pending accumulators (set in socket handler) so one-shot flags
-    // survive rapid socket overwrites between ticks
-    if (activeRound && (ri.jump || state._remoteJumpPending)) state.players.client.input.jump = true;
-    state.players.client.input.fireDown = activeRound && !!ri.fireDown;
-    if (activeRound && (ri.meleeDown || state._remoteMeleePending)) state.players.client.input.meleeDown = true;
-    if (activeRound && (ri.reloadPressed || state._remoteReloadPending)) state.players.client.input.reloadPressed = true;
-
-    if (!state.players.client || !state.players.client.input) return;
-    if (ri.forward && Array.isArray(ri.forward) && ri.forward.length === 3) {
-      state.players.client.input.forward = new THREE.Vector3(ri.forward[0], ri.forward[1], ri.forward[2]);
-    }
-
-    // Move client using their forward vector via updateFullPhysics with worldMoveDir
-    (function () {
-      var inp = state.players.client.input;
-      var fwd = (inp.forward && inp.forward.isVector3) ? inp.forward.clone() :
-                (Array.isArray(inp.forward) && inp.forward.length === 3 ? new THREE.Vector3(inp.forward[0], inp.forward[1], inp.forward[2]) :
-                 new THREE.Vector3(0, 0, -1));
-      fwd.y = 0;
-      if (fwd.lengthSq() < 1e-6) fwd.set(0, 0, -1);
-      fwd.normalize();
-      var right = new THREE.Vector3().crossVectors(fwd, new THREE.Vector3(0, 1, 0)).normalize();
-      var dir = new THREE.Vector3();
-      dir.addScaledVector(fwd, inp.moveZ || 0);
-      dir.addScaledVector(right, inp.moveX || 0);
-      if (dir.lengthSq() > 1e-6) dir.normalize(); else dir.set(0, 0, 0);
-
-      updateFullPhysics(
-        state.players.client,
-        { worldMoveDir: dir, sprint: inp.sprint, jump: inp.jump },
-        { colliders: state.arena.colliders, solids: state.arena.solids },
-        dt
-      );
-      // Consume accumulated one-shot jump flag after physics uses it
-      inp.jump = false;
-      state._remoteJumpPending = false;
-    })();
-
-    // Sync client mesh/hitbox BEFORE shooting/projectiles so hitboxes are fresh
-    var remotePlayer = state.players.client;
-    // Set hitbox yaw from client's own forward vector (where THEY are looking)
-    var riFwd = state.remoteInputLatest && state.remoteInputLatest.forward;
-    if (riFwd && Array.isArray(riFwd) && riFwd.length === 3) {
-      remotePlayer._hitboxYaw = Math.atan2(riFwd[0], riFwd[2]);
-    }
-    remotePlayer._meshGroup.rotation.set(0, remotePlayer._hitboxYaw, 0);
-    remotePlayer._syncMeshPosition();
+    forEachPlayer(function (p, id) {
+      if (id !== state.localId) simulateRemotePlayer(id, p, dt, activeRound);
+    });
 
-    var now = performance.now();
-    var hostCanShoot = handleMelee(state.players.host, now);
-    var clientCanShoot = handleMelee(state.players.client, now);
-    if (hostCanShoot && !_meleeSwingState.host.swinging) handleShooting(state.players.host, now);
-    if (clientCanShoot && !_meleeSwingState.client.swinging) handleShooting(state.players.client, now);
-    handleReload(state.players.host, now);
-    handleReload(state.players.client, now);
-    state._remoteReloadPending = false;
-    state._remoteMeleePending = false;
+    var now = simNow();
+    forEachPlayer(function (p) {
+      if (p.alive) recordHitboxHistory(p, now, state.settings.maxRewindMs);
+    });
+    forEachPlayer(function (p, id) {
+      if (!p.alive) return;
+      var canShoot = handleMelee(p, id, now);
+      if (!state) return; // melee kill may have ended the match
+      if (canShoot && !p._lanMelee.swinging) handleShooting(p, id, now);
+    });
+    if (!state) return;
+    forEachPlayer(function (p, id) {
+      handleReload(p, now);
+      var ri = state.remoteInputs[id];
+      if (ri) {
+        ri.reloadPending = false;
+        ri.meleePending = false;
+      }
+    });
 
     // Update live projectiles (all entity hitboxes are now fresh)
     if (typeof updateProjectiles === 'function') updateProjectiles(dt);
+    if (!state) return;
 
     // Update hitbox visualization after all positions are current
     if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
 
-    remotePlayer.update3DHealthBar(camera.position, state.arena.solids, { checkLOS: true });
+    forEachPlayer(function (p, id) {
+      if (id !== state.localId) p.update3DHealthBar(camera.position, state.arena.solids, { checkLOS: true });
+    });
 
+    if (state.replay) state.replay.sample(state.players);
     maybeSendSnapshot(now);
   }
 
+  // Relay ability activations so the remote side mirrors effects and cooldowns.
+  // yaw is the camera yaw the ability fired along (default: the player's own)
+  function emitAbilityEvents(playerId, p, fired, yaw) {
+    if (!fired || fired.length === 0 || !socket) return;
+    if (typeof yaw !== 'number') yaw = p.lookYaw();
+    for (var i = 0; i < fired.length; i++) {
+      socket.emit('ability', { playerId: playerId, id: fired[i], yaw: yaw });
+    }
+  }
+
+  // Emit and count the bytes for the dev console bandwidth readout. Nothing goes out while
+  // disconnected: Socket.IO would buffer it and flush stale packets on reconnect.
+  function emitCounted(eventName, payload) {
+    if (!socket || !socket.connected) return;
+    netStats.record('out', eventName, payloadSize(payload));
+    socket.emit(eventName, payload);
+  }
+
   var lastSnapshotMs = 0;
   function maybeSendSnapshot(nowMs) {
     if (!socket) return;
     if ((nowMs - lastSnapshotMs) < SNAPSHOT_RATE) return;
     lastSnapshotMs = nowMs;
-    socket.emit('snapshot', {
-      roomId: currentRoomId,
-      host: packPlayer(state.players.host),
-      client: packPlayer(state.players.client),
-      t: nowMs
+
+    // JSON debug mode: the original readable format, keyed by socket id
+    if (window.devNetJson) {
+      var packed = {};
+      forEachPlayer(function (p, id) { packed[id] = packPlayer(p, id); });
+      emitCounted('snapshot', { roomId: currentRoomId, players: packed, t: nowMs });
+      return;
+    }
+
+    var bySlot = {};
+    var acks = [];
+    forEachPlayer(function (p, id) {
+      var entry = rosterEntry(id);
+      if (entry) bySlot[entry.slot] = packPlayer(p, id);
+      var ri = state.remoteInputs[id];
+      if (id !== state.localId && !(ri && ri.dropped)) acks.push(ri ? ri.snapAck : null);  // dropped clients receive nothing
     });
+    emitCounted('snapshot', state.snapshotEncoder.encode(nowMs, bySlot, acks));
   }
 
-  function packPlayer(p) {
+  function packPlayer(p, id) {
+    var ri = state.remoteInputs[id];
     return {
       pos: [p.position.x, p.position.y, p.position.z],
       feetY: p.feetY,
       grounded: p.grounded,
+      vVel: p.verticalVelocity,
+      airJumps: p._airJumpsUsed || 0,
+      ack: ri ? ri.ackSeq : 0,
       health: p.health,
-      yaw: p._hitboxYaw,
+      alive: p.alive,
+      yaw: p.meshYaw(), // the host's own player holds camera yaw
       ammo: p.weapon.ammo,
       magSize: p.weapon.magSize,
       reloading: p.weapon.reloading,
@@ -675,223 +1067,470 @@
 
   // Client-side prediction state
   var _predictedPos = null;
+  var _predictedFrom = null;     // _predictedPos at the start of the last tick (the camera draws between them)
   var _predictedFeetY = GROUND_Y;
   var _predictedVVel = 0;
   var _predictedGrounded = true;
+  var _inputSeq = 0;             // last input sequence number sent
+  var _pendingInputs = [];       // predicted inputs the host hasn't acknowledged yet
+  var _correction = new THREE.Vector3(); // prediction error still being eased out of the camera
   var _lastSnapshotTime = 0;
+  var _hostClockOffset = null;   // estimated host performance.now() minus ours
+  var _viewTime = null;          // host time of the remote players currently on screen (sent as viewT)
   var _prevLocalReloading = false;
-  var LERP_RATE = 0.15; // how aggressively to snap toward server position per snapshot
 
-  // Remote player interpolation state (smooth opponent movement on client)
-  var _remoteFrom = null;  // {pos: THREE.Vector3, feetY: number, receiveTime: number}
-  var _remoteTo = null;    // same shape
+  // Alive flag comes from the host; mirror it onto mesh visibility
+  function applyAliveFromSnapshot(p, S) {
+    if (typeof S.alive !== 'boolean' || S.alive === p.alive) return;
+    p.alive = S.alive;
+    p._meshGroup.visible = S.alive && !p.cameraAttached;
+    if (!S.alive && p._healthBarGroup) p._healthBarGroup.visible = false;
+  }
+
+  // Track the host clock from snapshot stamps. Jump forward at once (that packet
+  // arrived fastest) but only drift back slowly, so one late packet doesn't pull
+  // the render time backwards.
+  function updateHostClock(snapT) {
+    if (typeof snapT !== 'number') return;
+    var sample = snapT - performance.now();
+    if (_hostClockOffset === null || sample > _hostClockOffset) _hostClockOffset = sample;
+    else _hostClockOffset += (sample - _hostClockOffset) * 0.02;
+  }
+
+  // Remote players buffer their snapshots (p._netBuffer) for interpolateRemotePlayers()
+  function applyRemoteSnapshot(p, S, snapT) {
+    var buf = p._netBuffer || (p._netBuffer = []);
+    buf.push({
+      t: (typeof snapT === 'number') ? snapT : performance.now() + (_hostClockOffset || 0),
+      pos: new THREE.Vector3(S.pos[0], S.pos[1], S.pos[2]),
+      feetY: (typeof S.feetY === 'number') ? S.feetY : GROUND_Y,
+      yaw: (typeof S.yaw === 'number') ? S.yaw : 0
+    });
+    if (buf.length > 30) buf.shift();
+
+    // Health, ammo and alive state apply immediately
+    p.health = S.health;
+    if (typeof S.ammo === 'number' && p.weapon) p.weapon.ammo = S.ammo;
+    if (p.weapon) p.weapon.reloading = !!S.reloading;
+    applyAliveFromSnapshot(p, S);
+    p.lastDamagedAt = (S.health < p.maxHealth) ? performance.now() : p.lastDamagedAt;
+
+    // If first snapshot, snap directly
+    if (buf.length === 1) {
+      p.position.copy(buf[0].pos);
+      p.feetY = buf[0].feetY;
+      p._hitboxYaw = buf[0].yaw;
+      p._meshGroup.rotation.set(0, buf[0].yaw, 0);
+      p._syncMeshPosition();
+    }
+  }
+
+  // Reconcile: restart from the host's state for our player and replay every
+  // input it hasn't applied yet. Anything left over is prediction error, which
+  // the camera eases out (see tick) unless it is big enough to be a teleport.
+  function applyLocalSnapshot(localP, C) {
+    var ack = (typeof C.ack === 'number') ? C.ack : 0;
+    while (_pendingInputs.length > 0 && _pendingInputs[0].seq <= ack) _pendingInputs.shift();
+
+    var shownPos = _predictedPos ? _predictedPos.clone().add(_correction) : null;
+    var oldPredicted = _predictedPos;
+
+    localP.position.set(C.pos[0], C.pos[1], C.pos[2]);
+    localP.feetY = (typeof C.feetY === 'number') ? C.feetY : GROUND_Y;
+    localP.verticalVelocity = (typeof C.vVel === 'number') ? C.vVel : 0;
+    localP.grounded = (typeof C.grounded === 'boolean') ? C.grounded : true;
+    localP._airJumpsUsed = C.airJumps || 0;
+
+    var liveDash = localP._dashVelocity;
+    for (var i = 0; i < _pendingInputs.length; i++) {
+      var cmd = _pendingInputs[i];
+      localP._dashVelocity = cmd.dash;
+      updateFullPhysics(
+        localP,
+        { worldMoveDir: cmd.moveDir, sprint: cmd.sprint, jump: cmd.jump },
+        { colliders: state.arena.colliders, solids: state.arena.solids },
+        cmd.dt
+      );
+    }
+    localP._dashVelocity = liveDash;
+
+    _predictedPos = localP.position.clone();
+    _predictedFeetY = localP.feetY;
+    _predictedVVel = localP.verticalVelocity;
+    _predictedGrounded = localP.grounded;
+    // Keep the tick being drawn the same length, so the frame only sees the correction
+    if (_predictedFrom && oldPredicted) _predictedFrom.add(_predictedPos).sub(oldPredicted);
+
+    _correction.set(0, 0, 0);
+    if (shownPos) {
+      var error = shownPos.sub(_predictedPos);
+      if (error.lengthSq() <= SNAP_THRESHOLD_SQ) _correction.copy(error);
+    }
+    camera.position.copy(_predictedPos).add(_correction);
+    localP._syncMeshPosition();
+
+    localP.health = C.health;
+    applyAliveFromSnapshot(localP, C);
+    localP.weapon.ammo = C.ammo;
+    var nowReloading = !!C.reloading;
+    // Detect reload transitions for audio
+    if (typeof playGameSound === 'function') {
+      if (!_prevLocalReloading && nowReloading) playGameSound('reload_start');
+      if (_prevLocalReloading && !nowReloading) playGameSound('reload_end');
+    }
+    _prevLocalReloading = nowReloading;
+    localP.weapon.reloading = nowReloading;
+    localP.weapon.reloadEnd = C.reloadEnd || 0;
+    sharedSetReloadingUI(localP.weapon.reloading, state.hud.reloadIndicator);
+    updateHUDForPlayer(localP);
+  }
 
-  function applySnapshotOnClient(snap) {
-    if (!snap || !state) return;
+  // Binary snapshots are keyed by roster slot; turn them back into socket ids
+  function decodeSnapshotPayload(payload) {
+    if (!isBinaryPayload(payload)) return payload;
+    var decoded = state.snapshotDecoder.decode(payload);
+    if (!decoded) return null; // baseline missing — wait for the next keyframe
+    var players = {};
+    for (var i = 0; i < state.roster.length; i++) {
+      var entry = state.roster[i];
+      if (decoded.players[entry.slot]) players[entry.id] = decoded.players[entry.slot];
+    }
+    return { players: players, t: decoded.t };
+  }
+
+  function applySnapshotOnClient(payload) {
+    if (!payload || !state) return;
+    netStats.record('in', 'snapshot', payloadSize(payload));
+    var snap = decodeSnapshotPayload(payload);
+    if (!snap || !snap.players) return;
     // Skip stale snapshots
     if (snap.t && _lastSnapshotTime && snap.t < _lastSnapshotTime) return;
     _lastSnapshotTime = snap.t || 0;
-
-    // Buffer remote player snapshots for smooth interpolation
-    var H = snap.host;
-    if (H && state.players.host) {
-      var newRemoteSnap = {
-        pos: new THREE.Vector3(H.pos[0], H.pos[1], H.pos[2]),
-        feetY: (typeof H.feetY === 'number') ? H.feetY : GROUND_Y,
-        yaw: (typeof H.yaw === 'number') ? H.yaw : 0,
-        receiveTime: performance.now()
-      };
-      _remoteFrom = _remoteTo;
-      _remoteTo = newRemoteSnap;
-
-      // Apply health and yaw immediately
-      state.players.host.health = H.health;
-      state.players.host._hitboxYaw = newRemoteSnap.yaw;
-      state.players.host._meshGroup.rotation.set(0, newRemoteSnap.yaw, 0);
-      state.players.host.lastDamagedAt = (H.health < state.players.host.maxHealth) ? performance.now() : state.players.host.lastDamagedAt;
-
-      // If first snapshot, snap directly
-      if (!_remoteFrom) {
-        state.players.host.position.copy(newRemoteSnap.pos);
-        state.players.host.feetY = newRemoteSnap.feetY;
-        state.players.host._syncMeshPosition();
-      }
+    updateHostClock(snap.t);
+
+    for (var id in snap.players) {
+      var p = state.players[id];
+      var S = snap.players[id];
+      if (!p || !S || !Array.isArray(S.pos)) continue; // not in our roster yet
+      if (id === state.localId) applyLocalSnapshot(p, S);
+      else applyRemoteSnapshot(p, S, snap.t);
     }
+  }
 
-    var C = snap.client;
-    if (C) {
-      // Reconcile: lerp predicted position toward authoritative server position
-      var serverPos = new THREE.Vector3(C.pos[0], C.pos[1], C.pos[2]);
-      var serverFeetY = (typeof C.feetY === 'number') ? C.feetY : GROUND_Y;
-      var serverGrounded = (typeof C.grounded === 'boolean') ? C.grounded : true;
-
-      if (_predictedPos) {
-        var diff = serverPos.clone().sub(_predictedPos);
-        if (diff.lengthSq() > SNAP_THRESHOLD_SQ) {
-          // Too far off — snap directly
-          _predictedPos.copy(serverPos);
-          _predictedFeetY = serverFeetY;
-          _predictedGrounded = serverGrounded;
-          _predictedVVel = 0;
-        } else {
-          // Smooth correction — lerp position toward server
-          _predictedPos.lerp(serverPos, LERP_RATE);
-          _predictedFeetY += (serverFeetY - _predictedFeetY) * LERP_RATE;
-          _predictedPos.y = _predictedFeetY + EYE_HEIGHT;
-          // Don't hard-set grounded/vVel from server snapshots here.
-          // Stale snapshots (sent before the host processes a jump input)
-          // would kill an in-progress predicted jump by zeroing vVel.
-          // Instead, let prediction physics derive grounded state from
-          // the lerped position — it self-corrects via ground detection.
-        }
-        camera.position.copy(_predictedPos);
-      } else {
-        _predictedPos = serverPos.clone();
-        _predictedFeetY = serverFeetY;
-        _predictedGrounded = serverGrounded;
-        _predictedVVel = 0;
-        camera.position.copy(serverPos);
-      }
+  // Shortest-arc yaw blend so a turn across ±PI doesn't spin the long way round
+  function lerpYaw(a, b, t) {
+    var d = b - a;
+    while (d > Math.PI) d -= Math.PI * 2;
+    while (d < -Math.PI) d += Math.PI * 2;
+    return a + d * t;
+  }
 
-      // Sync local player state
-      var localP = state.players.client;
-      if (localP) {
-        localP.position.copy(_predictedPos);
-        localP.feetY = _predictedFeetY;
-        localP.health = C.health;
-        localP.weapon.ammo = C.ammo;
-        var nowReloading = !!C.reloading;
-        // Detect reload transitions for audio
-        if (typeof playGameSound === 'function') {
-          if (!_prevLocalReloading && nowReloading) playGameSound('reload_start');
-          if (_prevLocalReloading && !nowReloading) playGameSound('reload_end');
-        }
-        _prevLocalReloading = nowReloading;
-        localP.weapon.reloading = nowReloading;
-        localP.weapon.reloadEnd = C.reloadEnd || 0;
-        sharedSetReloadingUI(localP.weapon.reloading, state.hud.reloadIndicator);
-        updateHUDForPlayer(localP);
-      }
-    }
+  // Draw every remote player at renderT = host clock - INTERP_DELAY_MS, between
+  // the two buffered snapshots around it (or holding the newest if none is newer)
+  function interpolateRemotePlayers() {
+    var renderT = performance.now() + (_hostClockOffset || 0) - INTERP_DELAY_MS;
+    _viewTime = null;
+    forEachPlayer(function (p, id) {
+      var buf = p._netBuffer;
+      if (id === state.localId || !buf || buf.length === 0) return;
+      while (buf.length > 2 && buf[1].t <= renderT) buf.shift();
+
+      var from = buf[0];
+      var to = buf.length > 1 ? buf[1] : buf[0];
+      var span = to.t - from.t;
+      var alpha = (span > 0) ? Math.max(0, Math.min(1, (renderT - from.t) / span)) : 1;
+      p.position.lerpVectors(from.pos, to.pos, alpha);
+      p.feetY = from.feetY + (to.feetY - from.feetY) * alpha;
+      p.position.y = p.feetY + EYE_HEIGHT;
+      p._hitboxYaw = lerpYaw(from.yaw, to.yaw, alpha);
+      p._meshGroup.rotation.set(0, p._hitboxYaw, 0);
+      p._syncMeshPosition();
+
+      // Every remote player comes from the same snapshots, so any one gives the view time
+      if (_viewTime === null) _viewTime = from.t + span * alpha;
+      p.update3DHealthBar(camera.position, state.arena ? state.arena.solids : [], { checkLOS: true });
+    });
   }
 
+  // Main loop: the simulation advances in fixed SIM_DT steps (simCore.js), the
+  // frame only draws between the last two steps
   function tick(ts) {
     if (!window.multiplayerActive || !state) return;
 
-    var dt = state.lastTs ? Math.min(MAX_DT, (ts - state.lastTs) / 1000) : 0;
+    var frameSec = state.lastTs ? (ts - state.lastTs) / 1000 : 0;
     state.lastTs = ts;
 
-    if (isHost) {
-      simulateHostTick(dt);
-    } else {
-      var input = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false };
-      var forward = new THREE.Vector3();
-      if (camera && camera.getWorldDirection) camera.getWorldDirection(forward);
-
-      // Client-side prediction: use same full physics as host for accurate prediction
-      var clientPrevGrounded = _predictedGrounded;
-      if (_predictedPos && state.inputEnabled) {
-        var localP = state.players.client;
-        if (localP) {
-          // Sync prediction state into player object
-          localP.position.copy(_predictedPos);
-          localP.feetY = _predictedFeetY;
-          localP.verticalVelocity = _predictedVVel;
-          localP.grounded = _predictedGrounded;
-
-          // Compute world-space movement direction from camera forward
-          var fwd = forward.clone();
-          fwd.y = 0;
-          if (fwd.lengthSq() < 1e-6) fwd.set(0, 0, -1);
-          fwd.normalize();
-          var right = new THREE.Vector3().crossVectors(fwd, new THREE.Vector3(0, 1, 0)).normalize();
-          var moveDir = new THREE.Vector3();
-          moveDir.addScaledVector(fwd, input.moveZ || 0);
-          moveDir.addScaledVector(right, input.moveX || 0);
-          if (moveDir.lengthSq() > 1e-6) moveDir.normalize(); else moveDir.set(0, 0, 0);
-
-          // Run the same full physics the host uses
-          updateFullPhysics(
-            localP,
-            { worldMoveDir: moveDir, sprint: input.sprint, jump: input.jump },
-            { colliders: state.arena.colliders, solids: state.arena.solids },
-            dt
-          );
-
-          // Read back prediction state
-          _predictedPos.copy(localP.position);
-          _predictedFeetY = localP.feetY;
-          _predictedVVel = localP.verticalVelocity;
-          _predictedGrounded = localP.grounded;
-
-          // Sync mesh and hitbox after prediction physics
-          localP._hitboxYaw = camera.rotation.y;
-          localP._syncMeshPosition();
-
-          camera.position.copy(_predictedPos);
-
-          // Client movement sounds
-          if (typeof playGameSound === 'function') {
-            if (clientPrevGrounded && !_predictedGrounded) playGameSound('jump');
-            if (!clientPrevGrounded && _predictedGrounded) playGameSound('land');
-            var clientMoving = (input.moveX !== 0 || input.moveZ !== 0);
-            if (clientMoving && _predictedGrounded && typeof playFootstepIfDue === 'function') {
-              playFootstepIfDue(!!input.sprint, null, performance.now());
-            }
-          }
-        }
-      }
+    var alpha = state.simLoop.advance(frameSec);
+    if (!state) return; // match ended during a step
+
+    var frameDt = Math.min(MAX_DT, frameSec);
+    if (isHost) drawHostFrame(alpha);
+    else if (isSpectator) drawSpectatorFrame(frameDt);
+    else drawClientFrame(alpha, frameDt);
+
+    // Update melee cooldown timer every frame (needs continuous animation)
+    var hudP = getLocalPlayer();
+    if (hudP && hudP.weapon && state.hud.meleeCooldown) {
+      sharedUpdateMeleeCooldown(state.hud.meleeCooldown, hudP.weapon, performance.now());
+    }
+    if (hudP) sharedUpdateAbilityHUD(state.hud.abilityHud, hudP.abilities);
+    state.loopHandle = requestAnimationFrame(tick);
+  }
+
+  // One simulation tick for our role; returns false once the match has stopped
+  function simStep(dt) {
+    if (isHost) simulateHostTick(dt);
+    else if (isSpectator) stepSpectator(dt);
+    else stepClient(dt);
+    return !!state;
+  }
+
+  // Host: draw every player alpha of the way through the last tick
+  function drawHostFrame(alpha) {
+    forEachPlayer(function (p, id) {
+      if (p.alive || id === state.localId) p.applyRenderInterpolation(alpha);
+    });
+  }
+
+  // Client: one tick of input, predicted here and sent to the host as one packet
+  function stepClient(dt) {
+    var input = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false };
+    var forward = new THREE.Vector3();
+    if (camera && camera.getWorldDirection) camera.getWorldDirection(forward);
+
+    // Ability mirrors: other players' activations come from the host's 'ability'
+    // events; tick their timers/effects here
+    forEachPlayer(function (p, id) {
+      if (p.abilities && id !== state.localId) p.abilities.update(dt, null);
+    });
+
+    // Our own abilities are predicted: the host runs this same update on this
+    // packet (keys and look direction), so a dash starts on the same input there
+    var localP = getLocalPlayer();
+    var sendAbilityKeys = state.inputEnabled ? (input.abilityKeys || []) : [];
+    if (localP && localP.abilities) {
+      var ownKeys = (localP.alive && sendAbilityKeys.length > 0) ? { abilityKeys: sendAbilityKeys } : null;
+      localP.abilities.update(dt, ownKeys, null, { direction: moveDirFromForward(forward, 1, 0) });
+    }
+
+    // Client-side prediction: use same full physics as host for accurate prediction.
+    // Each tick is one numbered input; predicted ones are kept until the host acks them.
+    var seq = ++_inputSeq;
+    _predictedFrom = _predictedPos ? _predictedPos.clone() : null;
+    var clientPrevGrounded = _predictedGrounded;
+    if (_predictedPos && state.inputEnabled && localP && localP.alive) {
+      // Sync prediction state into player object
+      localP.position.copy(_predictedPos);
+      localP.feetY = _predictedFeetY;
+      localP.verticalVelocity = _predictedVVel;
+      localP.grounded = _predictedGrounded;
+
+      // World-space movement direction from camera forward (host derives the same from our packet)
+      var moveDir = moveDirFromForward(forward, input.moveZ || 0, input.moveX || 0);
+      _pendingInputs.push({
+        seq: seq,
+        dt: dt,
+        moveDir: moveDir,
+        sprint: !!input.sprint,
+        jump: !!input.jump,
+        dash: localP._dashVelocity ? localP._dashVelocity.clone() : null
+      });
+      if (_pendingInputs.length > MAX_PENDING_INPUTS) _pendingInputs.shift();
+
+      // Run the same full physics the host uses
+      updateFullPhysics(
+        localP,
+        { worldMoveDir: moveDir, sprint: input.sprint, jump: input.jump },
+        { colliders: state.arena.colliders, solids: state.arena.solids },
+        dt
+      );
 
-      // Interpolate remote player (host) for smooth opponent movement
-      if (_remoteFrom && _remoteTo && state.players.host) {
-        var interpDuration = _remoteTo.receiveTime - _remoteFrom.receiveTime;
-        if (interpDuration > 0) {
-          var interpElapsed = performance.now() - _remoteFrom.receiveTime;
-          var interpT = Math.min(interpElapsed / interpDuration, 1.0);
-          var hostP = state.players.host;
-          hostP.position.lerpVectors(_remoteFrom.pos, _remoteTo.pos, interpT);
-          hostP.feetY = _remoteFrom.feetY + (_remoteTo.feetY - _remoteFrom.feetY) * interpT;
-          hostP.position.y = hostP.feetY + EYE_HEIGHT;
-          hostP._syncMeshPosition();
-          hostP.update3DHealthBar(camera.position, state.arena ? state.arena.solids : [], { checkLOS: true });
+      // Read back prediction state
+      _predictedPos.copy(localP.position);
+      _predictedFeetY = localP.feetY;
+      _predictedVVel = localP.verticalVelocity;
+      _predictedGrounded = localP.grounded;
+
+      // Sync mesh and hitbox after prediction physics
+      localP._hitboxYaw = camera.rotation.y;
+      localP._syncMeshPosition();
+
+      // Client movement sounds
+      if (typeof playGameSound === 'function') {
+        if (clientPrevGrounded && !_predictedGrounded) playGameSound('jump');
+        if (!clientPrevGrounded && _predictedGrounded) playGameSound('land');
+        var clientMoving = (input.moveX !== 0 || input.moveZ !== 0);
+        if (clientMoving && _predictedGrounded && typeof playFootstepIfDue === 'function') {
+          playFootstepIfDue(!!input.sprint, null, simNow());
         }
-      } else if (_remoteTo && state.players.host) {
-        state.players.host.update3DHealthBar(camera.position, state.arena ? state.arena.solids : [], { checkLOS: true });
       }
+    }
 
-      if (socket) {
-        socket.emit('input', {
-          roomId: currentRoomId,
-          moveX: input.moveX || 0,
-          moveZ: input.moveZ || 0,
-          sprint: !!input.sprint,
-          jump: !!input.jump,
-          fireDown: !!input.fireDown,
-          reloadPressed: !!input.reloadPressed,
-          meleeDown: !!input.meleePressed,
-          forward: [forward.x, forward.y, forward.z],
-          t: performance.now()
-        });
-      }
+    if (socket) {
+      emitCounted('input', {
+        roomId: currentRoomId,
+        moveX: input.moveX || 0,
+        moveZ: input.moveZ || 0,
+        sprint: !!input.sprint,
+        jump: !!input.jump,
+        fireDown: !!input.fireDown,
+        reloadPressed: !!input.reloadPressed,
+        meleeDown: !!input.meleePressed,
+        abilityKeys: sendAbilityKeys,
+        forward: [forward.x, forward.y, forward.z],
+        seq: seq,
+        dt: dt,
+        snapAck: state.snapshotDecoder.lastId,
+        viewT: _viewTime,
+        t: performance.now()
+      });
+    }
 
-      if (state.players.client && state.players.client.weapon) {
-        sharedSetCrosshairBySprint(!!input.sprint, state.players.client.weapon.spreadRad, state.players.client.weapon.sprintSpreadRad);
-      }
-      sharedSetSprintUI(!!input.sprint, state.hud.sprintIndicator);
+    if (localP && localP.weapon) {
+      sharedSetCrosshairBySprint(!!input.sprint, localP.weapon.spreadRad, localP.weapon.sprintSpreadRad);
+    }
+    sharedSetSprintUI(!!input.sprint, state.hud.sprintIndicator);
 
-      // Update visual projectiles on client
-      if (typeof updateProjectiles === 'function') updateProjectiles(dt);
+    // Update visual projectiles on client
+    if (typeof updateProjectiles === 'function') updateProjectiles(dt);
+  }
 
-      // Update hitbox visualization after all positions are current
-      if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+  // Client: draw our predicted position alpha of the way through the last tick,
+  // plus whatever reconciliation error is still being eased out
+  function drawClientFrame(alpha, frameDt) {
+    if (_predictedPos) {
+      _correction.multiplyScalar(Math.exp(-CORRECTION_DECAY * frameDt));
+      if (_correction.lengthSq() < 1e-6) _correction.set(0, 0, 0);
+      camera.position.lerpVectors(_predictedFrom || _predictedPos, _predictedPos, alpha).add(_correction);
     }
 
-    // Update melee cooldown timer every frame (needs continuous animation)
-    var localP = isHost ? state.players.host : state.players.client;
-    if (localP && localP.weapon && state.hud.meleeCooldown) {
-      sharedUpdateMeleeCooldown(state.hud.meleeCooldown, localP.weapon, performance.now());
+    // Interpolate remote players for smooth opponent movement
+    interpolateRemotePlayers();
+
+    // Update hitbox visualization after all positions are current
+    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+  }
+
+  // ── Spectator view ──
+  // Spectators receive every broadcast but own no player. The camera flies freely
+  // or follows a player in first or third person. Click or E: next player,
+  // Q: previous player, C: cycle camera mode.
+
+  function spectatorTargets() {
+    return state.roster.filter(function (e) { return !!state.players[e.id]; });
+  }
+
+  function cycleSpectatorTarget(step) {
+    var targets = spectatorTargets();
+    if (targets.length === 0) return;
+    var spec = state.spectator;
+    var idx = -1;
+    for (var i = 0; i < targets.length; i++) {
+      if (targets[i].id === spec.targetId) idx = i;
     }
-    state.loopHandle = requestAnimationFrame(tick);
+    idx = (idx === -1) ? 0 : (idx + step + targets.length) % targets.length;
+    spec.targetId = targets[idx].id;
+    if (spec.mode === 'free') spec.mode = 'first';
+  }
+
+  // First person hides the followed player's own mesh; put it back when leaving that view
+  function setSpectatorHiddenPlayer(p) {
+    var spec = state.spectator;
+    if (spec.hidden && spec.hidden !== p && spec.hidden._meshGroup) spec.hidden._meshGroup.visible = spec.hidden.alive;
+    spec.hidden = p;
+    if (p && p._meshGroup) p._meshGroup.visible = false;
+    if (p && p._healthBarGroup) p._healthBarGroup.visible = false;
+  }
+
+  function updateSpectatorCamera(dt) {
+    var spec = state.spectator;
+    var input = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, fireDown: false, abilityKeys: [] };
+    var keys = input.abilityKeys || [];
+    if (keys.indexOf('c') !== -1) {
+      spec.mode = SPECTATOR_CAMERA_MODES[(SPECTATOR_CAMERA_MODES.indexOf(spec.mode) + 1) % SPECTATOR_CAMERA_MODES.length];
+      if (spec.mode !== 'free' && !state.players[spec.targetId]) cycleSpectatorTarget(1);
+    }
+    if (keys.indexOf('e') !== -1 || (input.fireDown && !spec.fireWasDown)) cycleSpectatorTarget(1);
+    if (keys.indexOf('q') !== -1) cycleSpectatorTarget(-1);
+    spec.fireWasDown = !!input.fireDown;
+
+    var target = state.players[spec.targetId] || null;
+    if (!target) spec.mode = 'free';
+    setSpectatorHiddenPlayer(spec.mode === 'first' ? target : null);
+
+    if (spec.mode === 'free') {
+      var speed = SPECTATOR_FLY_SPEED * (input.sprint ? 2 : 1) * dt;
+      var fwd = new THREE.Vector3();
+      camera.getWorldDirection(fwd);
+      var right = new THREE.Vector3().crossVectors(fwd, camera.up).normalize();
+      camera.position.addScaledVector(fwd, (input.moveZ || 0) * speed);
+      camera.position.addScaledVector(right, (input.moveX || 0) * speed);
+    } else if (spec.mode === 'first') {
+      // Snapshots carry (mesh) yaw only, so the view stays level
+      camera.position.copy(target.position);
+      camera.rotation.set(0, target.lookYaw(), 0, 'YXZ');
+    } else {
+      // Mouse look orbits the target
+      var back = new THREE.Vector3();
+      camera.getWorldDirection(back);
+      camera.position.copy(target.position).addScaledVector(back, -SPECTATOR_FOLLOW_DISTANCE);
+    }
+  }
+
+  function spectatorModeLabel(mode) {
+    if (mode === 'first') return 'first person';
+    if (mode === 'third') return 'third person';
+    return 'free camera';
+  }
+
+  function updateSpectatorHud() {
+    var el = state.hud.spectatorHud;
+    var spec = state.spectator;
+    var now = performance.now();
+    if (!el || (now - spec.hudAt) < SPECTATOR_HUD_INTERVAL_MS) return;
+    spec.hudAt = now;
+    el.innerHTML = '';
+
+    var following = rosterEntry(spec.targetId);
+    var title = document.createElement('div');
+    title.className = 'spec-title';
+    title.textContent = (spec.mode === 'free' || !following)
+      ? 'Spectating - free camera'
+      : 'Following Player ' + following.slot + ' - ' + spectatorModeLabel(spec.mode);
+    el.appendChild(title);
+
+    spectatorTargets().forEach(function (entry) {
+      var p = state.players[entry.id];
+      var row = document.createElement('div');
+      row.className = 'spec-player';
+      if (entry.id === spec.targetId && spec.mode !== 'free') row.classList.add('followed');
+      if (!p.alive) row.classList.add('dead');
+      if (isTeamMode() && entry.team) row.style.borderLeftColor = '#' + ('000000' + (TEAM_COLORS[entry.team] || 0xffffff).toString(16)).slice(-6);
+      var w = p.weapon;
+      var ammo = !w ? '' : (w.reloading ? 'Reloading' : 'Ammo ' + w.ammo + '/' + w.magSize);
+      row.textContent = 'Player ' + entry.slot + '  HP ' + Math.max(0, Math.round(p.health)) + '/' + p.maxHealth + '  ' + (p.alive ? ammo : 'Eliminated');
+      el.appendChild(row);
+    });
+
+    var hint = document.createElement('div');
+    hint.className = 'spec-hint';
+    hint.textContent = 'Click/E next, Q previous, C camera';
+    el.appendChild(hint);
+  }
+
+  function stepSpectator(dt) {
+    // Ability mirrors still tick so effects play out on the players we watch
+    forEachPlayer(function (p) {
+      if (p.abilities) p.abilities.update(dt, null);
+    });
+    if (typeof updateProjectiles === 'function') updateProjectiles(dt);
+  }
+
+  function drawSpectatorFrame(dt) {
+    interpolateRemotePlayers();
+    updateSpectatorCamera(dt);
+    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+    updateSpectatorHud();
   }
 
   // Public starts
@@ -907,11 +1546,19 @@
 
     function doHost(mapData) {
       ensureSocket();
+      _pendingRoster = null;
+      _pendingWaiting = false;
+      _pendingMigration = null;
       socket.emit('createRoom', roomId, settings || {}, function (res) {
         if (!res || !res.ok) { alert(res && res.error ? res.error : 'Failed to create room'); return; }
-        isHost = true;
+        // Dedicated rooms are simulated by the server; the creator is just a client
+        isHost = !res.dedicated;
+        isSpectator = false;
         currentRoomId = roomId;
-        startMultiplayerSession(settings || {}, res.playerNumber || 1, mapData);
+        localPlayerId = res.playerId || socket.id;
+        _reconnectToken = res.reconnectToken || null;
+        // Server-sanitized settings (clamped maxPlayers/teamCount) win over the raw menu values
+        startMultiplayerSession(res.settings || settings || {}, res.playerNumber || 1, mapData);
       });
     }
 
@@ -922,16 +1569,29 @@
     }
   };
 
-  window.joinLanGame = function (roomId) {
+  // opts.spectate: watch the match without a player
+  window.joinLanGame = function (roomId, opts) {
     if (!roomId || typeof roomId !== 'string') { alert('Please enter a Room ID'); return; }
+    var spectate = !!(opts && opts.spectate);
     if (window.paintballActive) { try { stopPaintballInternal(); } catch (e) { console.warn('multiplayer: stopPaintballInternal failed:', e); } }
     if (window.multiplayerActive) { try { stopMultiplayerInternal(); } catch (e) { console.warn('multiplayer: stopMultiplayerInternal failed:', e); } }
 
     ensureSocket();
-    socket.emit('joinRoom', roomId, function (res) {
+    _pendingRoster = null;
+    _pendingWaiting = false;
+    _pendingMigration = null;
+    socket.emit('joinRoom', roomId, { spectate: spectate }, function (res) {
       if (!res || !res.ok) { alert(res && res.error ? res.error : 'Failed to join room'); return; }
       isHost = false;
+      isSpectator = res.role === 'spectator';
       currentRoomId = roomId;
+      localPlayerId = res.playerId || socket.id;
+      _reconnectToken = res.reconnectToken || null;
+      // Spectators may join mid-match: start from the match state the server has cached
+      if (isSpectator && res.match && Array.isArray(res.match.roster)) {
+        _pendingRoster = { players: res.match.roster, mode: res.match.mode, teamCount: res.match.teamCount, scores: res.match.scores };
+        _pendingHeroes = res.match.heroes || null;
+      }
       hostId = res.hostId || null;
       var settings = res.settings || {};
       var mn = settings.mapName;
@@ -948,6 +1608,331 @@
     });
   };
 
+  // Host: a client joined the room
+  function hostAddPlayer(clientId, slot) {
+    if (!state || rosterEntry(clientId)) return;
+    var entry = { id: clientId, slot: slot, team: isTeamMode() ? pickTeamForJoiner() : null };
+    state.roster.push(entry);
+    state.roster.sort(function (a, b) { return a.slot - b.slot; });
+    state.remoteInputs[clientId] = newRemoteInput();
+    if (isTeamMode()) {
+      if (!state.match.scores.hasOwnProperty(entry.team)) state.match.scores[entry.team] = 0;
+    } else {
+      state.match.scores[clientId] = 0;
+    }
+    syncPlayersToRoster();
+    broadcastRoster();
+    showRoundBanner('Player ' + slot + ' joined', ROUND_BANNER_MS);
+
+    if (state.waitingForPlayers && state.roster.length >= 2) {
+      // Enough players: start the match
+      state.waitingForPlayers = false;
+      resetEntitiesForRound();
+      // Start hero selection phase instead of immediate countdown
+      setTimeout(function () {
+        if (!state || state.waitingForPlayers) return;
+        startHeroSelectPhase();
+      }, ROUND_BANNER_MS);
+    } else if (!state.waitingForPlayers) {
+      // Match in progress: sit out until the next round resets everyone
+      var p = state.players[clientId];
+      p.alive = false;
+      p.setVisible(false);
+    }
+  }
+
+  // Host: a client left the room
+  function hostRemovePlayer(clientId) {
+    if (!state) return;
+    var entry = rosterEntry(clientId);
+    if (!entry) return;
+    state.roster.splice(state.roster.indexOf(entry), 1);
+    delete state.remoteInputs[clientId];
+    delete state.heroSelections[clientId];
+    if (!isTeamMode()) delete state.match.scores[clientId];
+    syncPlayersToRoster();
+    broadcastRoster();
+    showRoundBanner('Player ' + entry.slot + ' left', ROUND_BANNER_MS);
+
+    if (state.roster.length < 2) {
+      enterWaitingForPlayers();
+      return;
+    }
+    if (state.heroSelectIds) {
+      var idx = state.heroSelectIds.indexOf(clientId);
+      if (idx !== -1) state.heroSelectIds.splice(idx, 1);
+      checkAllHeroesPicked();
+    }
+    checkRoundEnd();
+  }
+
+  // ── Reconnects ──
+
+  // Host: a client's connection dropped. Its player stands still (no input, no snapshot
+  // acks) until it rejoins or the server's grace period runs out ('clientLeft').
+  function hostFreezePlayer(clientId) {
+    var entry = rosterEntry(clientId);
+    if (!entry) return;
+    var ri = newRemoteInput();
+    ri.dropped = true;
+    state.remoteInputs[clientId] = ri;
+    showRoundBanner('Player ' + entry.slot + ' lost connection', ROUND_BANNER_MS);
+  }
+
+  // Host: the client is back on a new socket. Its input sequence and snapshot baseline
+  // start over, and it gets everything snapshots don't carry.
+  function hostResyncPlayer(clientId) {
+    var entry = rosterEntry(clientId);
+    if (!entry) return;
+    state.remoteInputs[clientId] = newRemoteInput();
+    if (socket) socket.emit('resync', buildResync(clientId));
+    showRoundBanner('Player ' + entry.slot + ' reconnected', ROUND_BANNER_MS);
+  }
+
+  // Same shape as serverSim.js buildResync(): phase is waiting, heroSelect, countdown,
+  // round or roundOver; seconds is the time left in hero select or the countdown
+  function buildResync(clientId) {
+    var heroes = {};
+    forEachPlayer(function (p, id) { if (p._heroId) heroes[id] = p._heroId; });
+    var now = performance.now();
+    var phase = 'roundOver';
+    if (state.waitingForPlayers) phase = 'waiting';
+    else if (state.heroSelectIds) phase = 'heroSelect';
+    else if (state.match.roundActive) phase = 'round';
+    else if (state.phaseEndsAt > now) phase = 'countdown';
+    return {
+      clientId: clientId,
+      roster: state.roster,
+      mode: state.match.mode,
+      teamCount: state.match.teamCount,
+      scores: state.match.scores,
+      toWin: state.match.toWin,
+      heroes: heroes,
+      phase: phase,
+      seconds: (phase === 'heroSelect' || phase === 'countdown') ? Math.max(0, (state.phaseEndsAt - now) / 1000) : 0,
+      picked: !!state.heroSelections[clientId] || !!(state.heroSelectIds && state.heroSelectIds.indexOf(clientId) === -1)
+    };
+  }
+
+  // Client: full match state from the host (or dedicated server) after we rejoined
+  function applyResync(payload) {
+    if (!state || !payload || isHost) return;
+    applyRosterOnClient({ players: payload.roster, mode: payload.mode, teamCount: payload.teamCount, scores: payload.scores });
+    if (typeof payload.toWin === 'number') state.match.toWin = payload.toWin;
+    var heroes = payload.heroes || {};
+    for (var id in heroes) {
+      var p = state.players[id];
+      if (p && typeof heroes[id] === 'string' && p._heroId !== heroes[id]) applyHeroWeapon(p, heroes[id]);
+    }
+    updateHUDForPlayer(getLocalPlayer());
+    updateScoreboard();
+    showRoundBanner('Reconnected', ROUND_BANNER_MS);
+
+    var seconds = Math.max(1, Math.ceil(Number(payload.seconds) || 0));
+    if (payload.phase === 'waiting') {
+      enterWaitingForPlayers();
+      return;
+    }
+    state.waitingForPlayers = false;
+    if (payload.phase === 'heroSelect' && !payload.picked) {
+      if (!window._heroSelectOpen) clientStartHeroSelect({ seconds: seconds });
+      return;
+    }
+    if (typeof window.closePreRoundHeroSelect === 'function') window.closePreRoundHeroSelect();
+    if (payload.phase === 'countdown') {
+      startRoundCountdown(seconds);
+      return;
+    }
+    if (state.countdownTimerRef.id) {
+      clearInterval(state.countdownTimerRef.id);
+      state.countdownTimerRef.id = 0;
+    }
+    if (state.hud.countdownEl) state.hud.countdownEl.classList.add('hidden');
+    state.match.roundActive = payload.phase === 'round';
+    state.inputEnabled = state.match.roundActive;
+  }
+
+  // Socket.IO reconnected on a new socket: claim our player (or spectator seat) back
+  function rejoinAfterReconnect() {
+    if (!state || !currentRoomId) return;
+    function giveUp(error) {
+      if (!state) return;
+      alert('Connection lost: ' + (error || 'could not rejoin the room'));
+      window.stopMultiplayerInternal();
+      showOnlyMenu('mainMenu');
+      setHUDVisible(false);
+    }
+
+    if (isSpectator) {
+      socket.emit('joinRoom', currentRoomId, { spectate: true }, function (res) {
+        if (!res || !res.ok) return giveUp(res && res.error);
+        if (!state) return;
+        resetHostTimeline();
+        var match = res.match;
+        if (match && Array.isArray(match.roster)) {
+          applyRosterOnClient({ players: match.roster, mode: match.mode, teamCount: match.teamCount, scores: match.scores });
+          for (var hid in (match.heroes || {})) {
+            if (state.players[hid] && typeof match.heroes[hid] === 'string') applyHeroWeapon(state.players[hid], match.heroes[hid]);
+          }
+        }
+        showRoundBanner('Reconnected', ROUND_BANNER_MS);
+      });
+      return;
+    }
+
+    if (!_reconnectToken) return giveUp();
+    socket.emit('rejoinRoom', currentRoomId, _reconnectToken, function (res) {
+      if (!res || !res.ok) return giveUp(res && res.error);
+      if (!state) return;
+      var previousHostId = hostId;
+      hostId = res.hostId || null;
+      if (isHost) {
+        showRoundBanner('Reconnected', ROUND_BANNER_MS);
+        return;
+      }
+      resetHostTimeline();
+      if (res.role === 'host') {
+        // The host left while we were away and we were next in line
+        handleHostMigrated({ hostId: state.localId, previousHostId: previousHostId, match: res.match || {}, dropped: [] });
+        return;
+      }
+      showRoundBanner('Reconnected - syncing...', 999999); // 'resync' replaces this
+    });
+  }
+
+  // ── Host migration ──
+  // When the host leaves, the server promotes the lowest-slot client and sends
+  // 'hostMigrated' with the match state it cached from the old host's relays:
+  // { roster, mode, teamCount, scores, heroes, phase }.
+
+  // Each host stamps snapshots with its own clock, so everything timed by the old host starts over
+  function resetHostTimeline() {
+    state.snapshotDecoder = new SnapshotDecoder();
+    _lastSnapshotTime = 0;
+    _hostClockOffset = null;
+    _viewTime = null;
+    _pendingInputs = [];
+    _correction.set(0, 0, 0);
+    forEachPlayer(function (p) { p._netBuffer = []; });
+  }
+
+  function handleHostMigrated(payload) {
+    if (!payload || typeof payload.hostId !== 'string') return;
+    hostId = payload.hostId;
+    if (!state) {
+      if (payload.hostId === localPlayerId) _pendingMigration = payload;
+      return;
+    }
+    if (payload.hostId === state.localId) {
+      takeOverAsHost(payload.previousHostId, payload.match || {}, Array.isArray(payload.dropped) ? payload.dropped : []);
+      return;
+    }
+    // Still a client: drop the old host now; the new host rebroadcasts the roster
+    resetHostTimeline();
+    var oldEntry = rosterEntry(payload.previousHostId);
+    if (oldEntry) {
+      state.roster.splice(state.roster.indexOf(oldEntry), 1);
+      syncPlayersToRoster();
+    }
+    var newEntry = rosterEntry(payload.hostId);
+    showRoundBanner('Host left - Player ' + (newEntry ? newEntry.slot : '?') + ' is hosting', ROUND_BANNER_MS);
+  }
+
+  function takeOverAsHost(previousHostId, match, dropped) {
+    // Start the simulation from the newest authoritative positions we have:
+    // the last snapshot for remote players, the reconciled prediction for ourselves
+    forEachPlayer(function (p, id) {
+      var buf = p._netBuffer;
+      if (id === state.localId || !buf || buf.length === 0) return;
+      var last = buf[buf.length - 1];
+      p.position.copy(last.pos);
+      p.feetY = last.feetY;
+      p.verticalVelocity = 0;
+      p._hitboxYaw = last.yaw;
+      p._meshGroup.rotation.set(0, last.yaw, 0);
+      p._syncMeshPosition();
+    });
+    var localP = getLocalPlayer();
+    if (localP && _predictedPos) {
+      localP.position.copy(_predictedPos);
+      localP.feetY = _predictedFeetY;
+      localP.verticalVelocity = _predictedVVel;
+      localP.grounded = _predictedGrounded;
+    }
+    resetHostTimeline();
+    _predictedPos = null;
+    _predictedFrom = null;
+
+    isHost = true;
+    state.snapshotEncoder = new SnapshotEncoder();
+    if (Array.isArray(match.roster) && match.roster.length > 0) {
+      applyRosterOnClient({ players: match.roster, mode: match.mode, teamCount: match.teamCount, scores: match.scores });
+    }
+    var heroes = match.heroes || {};
+    for (var hid in heroes) {
+      var hp = state.players[hid];
+      if (hp && typeof heroes[hid] === 'string' && hp._heroId !== heroes[hid]) applyHeroWeapon(hp, heroes[hid]);
+    }
+    startReplay();
+    state.remoteInputs = {};
+    for (var i = 0; i < state.roster.length; i++) {
+      var rid = state.roster[i].id;
+      if (rid !== state.localId) {
+        state.remoteInputs[rid] = newRemoteInput();
+        if (dropped && dropped.indexOf(rid) !== -1) state.remoteInputs[rid].dropped = true;
+      }
+    }
+
+    // Removing the old host rebroadcasts the roster, pauses if we're alone,
+    // and ends the round if the old host's side was the last one standing
+    if (rosterEntry(previousHostId)) hostRemovePlayer(previousHostId);
+    else broadcastRoster();
+    if (!state) return;
+    if (state.waitingForPlayers) {
+      showRoundBanner('Host left - waiting for players...', 999999);
+      return;
+    }
+    showRoundBanner('Host left - you are now hosting', ROUND_BANNER_MS);
+    if (match.phase === 'round') return; // a live round carries on as is
+
+    // Hero select restarts at once; between rounds or before the first, the next round starts as usual
+    if (typeof window.closePreRoundHeroSelect === 'function') window.closePreRoundHeroSelect();
+    setTimeout(function () {
+      if (!state || !isHost || state.waitingForPlayers || state.heroSelectIds) return;
+      resetEntitiesForRound();
+      startHeroSelectPhase();
+    }, match.phase === 'heroSelect' ? 0 : ROUND_BANNER_MS);
+  }
+
+  // ── Replay recording (host only) ──
+
+  function addReplayPlayer(entry) {
+    state.replay.addPlayer(entry.id, {
+      name: 'Player ' + entry.slot,
+      color: entry.id === state.localId ? 0x66ffcc : 0x55aaff,
+      team: entry.team
+    });
+  }
+
+  function startReplay() {
+    if (!state || typeof ReplayRecorder !== 'function') return;
+    var mapData = state.mapData;
+    state.replay = new ReplayRecorder({ mode: 'lan', mapName: mapData && mapData.name, mapData: mapData });
+    for (var i = 0; i < state.roster.length; i++) addReplayPlayer(state.roster[i]);
+    for (var id in state.players) {
+      var p = state.players[id];
+      if (p && p._heroId) state.replay.hero(id, p._heroId);
+    }
+  }
+
+  function saveMatchReplay() {
+    if (!state || !state.replay) return;
+    var replay = state.replay.finish(state.players);
+    state.replay = null;
+    if (replay.duration < MIN_REPLAY_MS || typeof saveReplay !== 'function') return;
+    saveReplay(replay).catch(function (e) { console.warn('multiplayer: saveReplay failed:', e); });
+  }
+
   function ensureSocket() {
     if (socket) return;
     if (typeof io !== 'function') {
@@ -956,61 +1941,104 @@
     }
     socket = io();
 
+    socket.on('hostMigrated', function (payload) {
+      handleHostMigrated(payload);
+    });
+
+    // Socket.IO reconnects on its own; the first 'connect' happens before we are in a room
+    socket.on('disconnect', function () {
+      if (!state || !currentRoomId) return;
+      if (!isHost) state.inputEnabled = false;
+      showRoundBanner('Connection lost - reconnecting...', 999999);
+    });
+
+    socket.on('connect', function () {
+      rejoinAfterReconnect();
+    });
+
+    socket.on('clientDropped', function (payload) {
+      if (!isHost || !state || !payload || typeof payload.clientId !== 'string') return;
+      hostFreezePlayer(payload.clientId);
+    });
+
+    socket.on('clientRejoined', function (payload) {
+      if (!isHost || !state || !payload || typeof payload.clientId !== 'string') return;
+      hostResyncPlayer(payload.clientId);
+    });
+
+    socket.on('resync', function (payload) {
+      applyResync(payload);
+    });
+
+    // Only spectators can outlive every player in a room
     socket.on('roomClosed', function () {
-      alert('Host left. Room closed.');
+      if (!state) return;
+      alert('Room closed.');
       stopMultiplayerInternal();
       showOnlyMenu('mainMenu');
       setHUDVisible(false);
     });
 
-    socket.on('clientLeft', function () {
-      if (isHost) {
-        showRoundBanner('Player 2 left', ROUND_BANNER_MS);
-        if (state) state.inputEnabled = false;
-      }
+    socket.on('clientLeft', function (payload) {
+      if (!isHost || !payload || typeof payload.clientId !== 'string') return;
+      hostRemovePlayer(payload.clientId);
     });
 
-    socket.on('clientJoined', function () {
-      if (!isHost || !state) return;
-      showRoundBanner('Player 2 joined', ROUND_BANNER_MS);
-      resetEntitiesForRound();
-      updateHUDForPlayer(state.players.host);
-      // Start hero selection phase instead of immediate countdown
-      setTimeout(function () {
-        if (!state) return;
-        startHeroSelectPhase();
-      }, ROUND_BANNER_MS);
+    socket.on('clientJoined', function (payload) {
+      if (!isHost || !state || !payload || typeof payload.clientId !== 'string') return;
+      hostAddPlayer(payload.clientId, Number(payload.playerNumber) || (state.roster.length + 1));
+    });
+
+    // Only clients receive this (neither the relay nor a dedicated server echoes it to a host)
+    socket.on('roster', function (payload) {
+      applyRosterOnClient(payload);
+    });
+
+    socket.on('waitingForPlayers', function () {
+      if (isHost) return;
+      if (!state) { _pendingWaiting = true; return; }
+      enterWaitingForPlayers();
     });
 
     // Hero selection events
     socket.on('startHeroSelect', function (payload) {
-      if (isHost) return; // Only client handles this
+      if (isHost) return; // Only clients handle this
       clientStartHeroSelect(payload);
     });
 
     socket.on('heroSelect', function (payload) {
-      if (!isHost || !state) return; // Only host handles incoming heroSelect from client
-      if (payload && payload.heroId) {
-        state.heroSelections.client = payload.heroId;
-        checkBothHeroesPicked();
+      if (!isHost || !state) return; // Only host handles incoming heroSelect from clients
+      if (payload && payload.heroId && payload.clientId && state.heroSelectIds &&
+          state.heroSelectIds.indexOf(payload.clientId) !== -1) {
+        state.heroSelections[payload.clientId] = payload.heroId;
+        checkAllHeroesPicked();
       }
     });
 
     socket.on('heroesConfirmed', function (payload) {
-      if (isHost) return; // Only client handles this
+      if (isHost) return; // Only clients handle this
       clientHeroesConfirmed(payload);
     });
 
     socket.on('input', function (payload) {
       if (!isHost) return;
-      if (!state || !state.players || !state.players.client) return;
+      if (!state || !payload) return;
+      var ri = state.remoteInputs[payload.clientId];
+      if (!ri) return;
+      netStats.record('in', 'input', payloadSize(payload));
+      // Movement is replayed per packet (jump included) so prediction can match it
+      if (typeof payload.seq === 'number') {
+        ri.queue.push(payload);
+        if (ri.queue.length > MAX_QUEUED_INPUTS) ri.queue.shift();
+      }
       // Accumulate one-shot flags before overwrite — socket events can arrive
-      // faster than host ticks, so {jump:true} would be lost if the next
-      // event overwrites with {jump:false} before the tick reads it.
-      if (payload && payload.jump) state._remoteJumpPending = true;
-      if (payload && payload.reloadPressed) state._remoteReloadPending = true;
-      if (payload && payload.meleeDown) state._remoteMeleePending = true;
-      state.remoteInputLatest = payload || {};
+      // faster than host ticks, so {reloadPressed:true} would be lost if the next
+      // event overwrites with {reloadPressed:false} before the tick reads it.
+      // (Ability keys stay with their packet; see simulateRemotePlayer.)
+      if (payload.reloadPressed) ri.reloadPending = true;
+      if (payload.meleeDown) ri.meleePending = true;
+      if (typeof payload.snapAck === 'number') ri.snapAck = payload.snapAck;
+      ri.latest = payload;
     });
 
     socket.on('snapshot', function (payload) {
@@ -1033,16 +2061,19 @@
     });
 
     socket.on('roundResult', function (payload) {
-      var winner = payload && payload.winner;
-      if (!winner) return;
-      showRoundBanner(winner === 'p1' ? 'Player 1 wins the round!' : 'Player 2 wins the round!', ROUND_BANNER_MS);
+      if (!payload || !state) return;
+      if (payload.scores && typeof payload.scores === 'object') state.match.scores = payload.scores;
+      state.match.roundActive = false;
+      if (typeof clearAllProjectiles === 'function') clearAllProjectiles();
+      showRoundBanner(roundResultText(payload.winner), ROUND_BANNER_MS);
+      updateScoreboard();
     });
 
     socket.on('matchOver', function (payload) {
-      var p1 = (payload && payload.p1) || 0;
-      var p2 = (payload && payload.p2) || 0;
+      if (!state) return;
+      if (payload && payload.scores && typeof payload.scores === 'object') state.match.scores = payload.scores;
       var finalScoreEl = document.getElementById('finalScore');
-      if (finalScoreEl) finalScoreEl.textContent = 'Player 1 ' + p1 + ' - ' + p2 + ' Player 2';
+      if (finalScoreEl) finalScoreEl.textContent = formatFinalScore();
       window.stopMultiplayerInternal();
       showOnlyMenu('resultMenu');
       setHUDVisible(false);
@@ -1054,8 +2085,9 @@
       if (typeof playGameSound === 'function') playGameSound('melee_swing');
       var swingMs = payload.swingMs || 350;
       // Play TP swing animation on the attacker's player mesh
-      var attacker = (payload.playerId === 'host') ? state.players.host : state.players.client;
-      if (attacker && attacker.triggerMeleeSwing) attacker.triggerMeleeSwing(swingMs);
+      var attacker = state.players[payload.playerId];
+      if (!attacker) return;
+      if (attacker.triggerMeleeSwing) attacker.triggerMeleeSwing(swingMs);
       // If the attacker is local player, also play FP animation and sync cooldown
       if (isLocalPlayer(attacker)) {
         if (typeof window.triggerFPMeleeSwing === 'function') {
@@ -1067,8 +2099,21 @@
       }
     });
 
-    socket.on('shot', function (payload) {
+    socket.on('ability', function (payload) {
+      if (isHost) return;
+      if (!payload || !state || typeof payload.id !== 'string') return;
+      var user = state.players[payload.playerId];
+      if (!user || !user.abilities) return;
+      // Our own activation was already predicted on the input that carried the key
+      if (payload.playerId === state.localId && !user.abilities.isReady(payload.id)) return;
+      var yaw = Number(payload.yaw) || 0;
+      user.abilities.syncActivation(payload.id, { direction: new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw)) });
+    });
+
+    socket.on('shot', function (raw) {
       if (isHost) return;
+      netStats.record('in', 'shot', payloadSize(raw));
+      var payload = decodeShot(raw);
       if (!payload || !Array.isArray(payload.o)) return;
       if (typeof playGameSound === 'function') playGameSound('weapon_fire', { weaponModelType: payload.w });
       var o = new THREE.Vector3(payload.o[0], payload.o[1], payload.o[2]);
@@ -1103,21 +2148,40 @@
 
   function startMultiplayerSession(settings, playerNumber, mapData) {
     state = newState(settings);
+    state.mapData = mapData || (typeof getDefaultMapData === 'function' ? getDefaultMapData() : null);
     state.arena = (mapData && typeof buildArenaFromMap === 'function')
       ? buildArenaFromMap(mapData)
       : (typeof buildArenaFromMap === 'function' ? buildArenaFromMap(getDefaultMapData()) : buildPaintballArenaSymmetric());
     state.spawns = state.arena.spawns;
+    state.localId = localPlayerId || socket.id;
+    state.playerNumber = playerNumber || (isHost ? 1 : 2);
 
-    var posA = state.spawns.A.clone();
-    var posB = state.spawns.B.clone();
-
-    // Create Player instances: local gets cameraAttached, remote gets visible mesh
-    if (isHost) {
-      state.players.host = createPlayerInstance({ position: posA, color: 0x66ffcc, cameraAttached: true });
-      state.players.client = createPlayerInstance({ position: posB, color: 0x55aaff, cameraAttached: false });
+    // Local player gets cameraAttached; remote players are created from the roster
+    if (!isSpectator) state.players[state.localId] = createPlayerInstance({ color: 0x66ffcc, cameraAttached: true });
+    if (isSpectator) {
+      state.roster = [];
+      state.spectator = { mode: 'free', targetId: null, hidden: null, fireWasDown: false, hudAt: 0 };
+      if (_pendingRoster) {
+        applyRosterOnClient(_pendingRoster);
+        _pendingRoster = null;
+      }
+      for (var hid in (_pendingHeroes || {})) {
+        if (state.players[hid] && typeof _pendingHeroes[hid] === 'string') applyHeroWeapon(state.players[hid], _pendingHeroes[hid]);
+      }
+      _pendingHeroes = null;
+      state.waitingForPlayers = false;
+    } else if (isHost) {
+      state.roster = [{ id: state.localId, slot: state.playerNumber, team: isTeamMode() ? 'A' : null }];
+      state.match.scores[isTeamMode() ? 'A' : state.localId] = 0;
+      startReplay();
+      syncPlayersToRoster();
     } else {
-      state.players.host = createPlayerInstance({ position: posA, color: 0xffaa55, cameraAttached: false });
-      state.players.client = createPlayerInstance({ position: posB, color: 0x66ffcc, cameraAttached: true });
+      state.roster = [{ id: state.localId, slot: state.playerNumber, team: null }];
+      if (_pendingRoster) {
+        applyRosterOnClient(_pendingRoster);
+        _pendingRoster = null;
+      }
+      state.waitingForPlayers = false;
     }
 
     setHUDVisible(true);
@@ -1125,41 +2189,54 @@
     showMultiplayerHUD(true);
     setCrosshairDimmed(false);
     setCrosshairSpread(0);
-    updateHUDForPlayer(isHost ? state.players.host : state.players.client);
 
     if (renderer && renderer.domElement && renderer.domElement.requestPointerLock) {
       renderer.domElement.requestPointerLock();
     }
 
-    placePlayersAtSpawns();
-
-    // Initialize client-side prediction position
+    // Place players and initialize client-side prediction position
     _lastSnapshotTime = 0;
-    _remoteFrom = null;
-    _remoteTo = null;
-    if (!isHost) {
-      _predictedPos = state.spawns.B.clone();
-      _predictedPos.y = GROUND_Y + EYE_HEIGHT;
-      _predictedFeetY = GROUND_Y;
-      _predictedVVel = 0;
-      _predictedGrounded = true;
+    _hostClockOffset = null;
+    _viewTime = null;
+    _inputSeq = 0;
+    _predictedPos = null;
+    _predictedFrom = null;
+    netStats.reset();
+    resetEntitiesForRound();
+    updateScoreboard();
+
+    if (isSpectator) {
+      // Free camera starts above the middle of the arena, looking down at it
+      var center = computeSpawnCenter(state.arena);
+      camera.position.set(center.x, center.y + 8, center.z + 12);
+      camera.rotation.set(0, 0, 0, 'YXZ');
+      camera.lookAt(new THREE.Vector3(center.x, center.y, center.z));
+      showRoundBanner('Spectating', ROUND_BANNER_MS);
     } else {
-      _predictedPos = null;
+      showRoundBanner('You are Player ' + state.playerNumber, ROUND_BANNER_MS);
     }
 
-    state.playerNumber = playerNumber || (isHost ? 1 : 2);
-    showRoundBanner('You are Player ' + state.playerNumber, ROUND_BANNER_MS);
-
     if (isHost) {
-      showRoundBanner('Waiting for Player 2...', 999999);
+      showRoundBanner('Waiting for players...', 999999);
+    } else if (_pendingWaiting) {
+      _pendingWaiting = false;
+      enterWaitingForPlayers();
     }
 
     window.multiplayerActive = true;
     state.lastTs = 0;
+    state.simLoop = new FixedStepLoop({ onStep: simStep });
     state.loopHandle = requestAnimationFrame(tick);
+
+    if (_pendingMigration) {
+      var migration = _pendingMigration;
+      _pendingMigration = null;
+      handleHostMigrated(migration);
+    }
   }
 
   window.stopMultiplayerInternal = function () {
+    try { saveMatchReplay(); } catch (e) { console.warn('multiplayer: saveMatchReplay failed:', e); }
     try { if (socket && currentRoomId) socket.emit('leaveRoom'); } catch (e) { console.warn('multiplayer: leaveRoom emit failed:', e); }
     if (state && state.loopHandle) {
       try { cancelAnimationFrame(state.loopHandle); } catch (e) { console.warn('multiplayer: cancelAnimationFrame failed:', e); }
@@ -1181,8 +2258,10 @@
         state.heroSelectTimerRef.id = 0;
       }
       // Destroy Player instances
-      if (state.players.host) { try { state.players.host.destroy(); } catch (e) { console.warn('multiplayer: host.destroy failed:', e); } }
-      if (state.players.client) { try { state.players.client.destroy(); } catch (e) { console.warn('multiplayer: client.destroy failed:', e); } }
+      for (var id in state.players) {
+        if (!state.players[id]) continue;
+        try { state.players[id].destroy(); } catch (e) { console.warn('multiplayer: player.destroy failed:', e); }
+      }
       if (state.arena && state.arena.group && state.arena.group.parent) state.arena.group.parent.remove(state.arena.group);
       showMultiplayerHUD(false);
       if (typeof clearAllProjectiles === 'function') clearAllProjectiles();
@@ -1191,14 +2270,22 @@
       if (typeof clearFirstPersonWeapon === 'function') clearFirstPersonWeapon();
     }
     _predictedPos = null;
+    _predictedFrom = null;
     _predictedFeetY = GROUND_Y;
     _predictedVVel = 0;
     _predictedGrounded = true;
     _lastSnapshotTime = 0;
-    _remoteFrom = null;
-    _remoteTo = null;
-    _meleeSwingState.host.swinging = false;
-    _meleeSwingState.client.swinging = false;
+    _hostClockOffset = null;
+    _viewTime = null;
+    _inputSeq = 0;
+    _pendingInputs = [];
+    _correction.set(0, 0, 0);
+    _pendingRoster = null;
+    _pendingWaiting = false;
+    _pendingMigration = null;
+    _pendingHeroes = null;
+    _reconnectToken = null;
+    isSpectator = false;
     window.multiplayerActive = false;
     state = null;
   };
@@ -4,13 +4,25 @@
  * PURPOSE: Free-practice mode with static targets and patrol bots. No rounds or
  *          match flow — player trains indefinitely until ESC. Supports hero/weapon
  *          switching via the 'H' key overlay (heroSelectUI.js).
+ *          startTrainingRange({ drill }) runs a scored drill (trainingDrills.js)
+ *          instead: no free-practice targets, the drill's own dummies, a timer
+ *          and score on the HUD, and the result and leaderboard in the Training
+ *          menu when time is up. Switching hero restarts the drill, since each
+ *          hero has its own leaderboard.
+ *          startTrainingRange({ _mapData }) practices on a saved map instead, with
+ *          the training bots set up for it in the map editor (no static targets,
+ *          no drills). Bots set up to shoot back can eliminate the player, who
+ *          respawns at the map's spawn after a moment.
  * EXPORTS (window): trainingRangeActive, switchTrainingHero, startTrainingRange,
  *                   stopTrainingRangeInternal
  * DEPENDENCIES: THREE (r128), scene/camera/renderer globals (game.js),
  *               hud.js, crosshair.js, physics.js, projectiles.js, weapon.js,
  *               heroes.js, heroSelectUI.js, input.js, player.js (Player),
- *               arenaTraining.js, trainingBot.js,
- *               menuNavigation.js (showOnlyMenu, setHUDVisible)
+ *               arenaTraining.js, mapFormat.js (buildArenaFromMap), trainingBot.js,
+ *               roundFlow.js (sharedShowRoundBanner),
+ *               trainingDrills.js (TrainingDrill, getTrainingDrill, recordDrillResult),
+ *               menuNavigation.js (showOnlyMenu, setHUDVisible, showTrainingDrillResult),
+ *               simCore.js (FixedStepLoop, simNow)
  * NOTE: Mode flag is still window.trainingRangeActive (for backward compat, rename later)
  */
 
@@ -24,6 +36,7 @@
   var PLAYER_HEALTH = 100;
   var TARGET_RADIUS = 0.35;
   var TARGET_TILT_DURATION = 2000; // ms before target pops back up
+  var PLAYER_RESPAWN_MS = 2000;
 
   var state = null;
 
@@ -89,13 +102,13 @@
       onHit: function () {
         if (!this.active) return;
         this.active = false;
-        this.tiltTimer = performance.now() + TARGET_TILT_DURATION;
+        this.tiltTimer = simNow() + TARGET_TILT_DURATION;
         // Tilt back and gray out
         grp.rotation.x = -0.4;
         headMat.color.setHex(0x666666);
       },
       update: function () {
-        if (!this.active && performance.now() >= this.tiltTimer) {
+        if (!this.active && simNow() >= this.tiltTimer) {
           // Pop back up
           this.active = true;
           grp.rotation.x = 0;
@@ -128,11 +141,17 @@
       sprintIndicator: document.getElementById('sprintIndicator'),
       weaponNameDisplay: document.getElementById('weaponNameDisplay'),
       meleeCooldown: document.getElementById('meleeCooldown'),
+      abilityHud: document.getElementById('abilityHud'),
       trainingStats: document.getElementById('trainingStats'),
       tsShotCount: document.getElementById('tsShotCount'),
       tsHitCount: document.getElementById('tsHitCount'),
       tsKillCount: document.getElementById('tsKillCount'),
       tsAccuracy: document.getElementById('tsAccuracy'),
+      tsDrill: document.getElementById('tsDrill'),
+      tsDrillName: document.getElementById('tsDrillName'),
+      tsDrillTime: document.getElementById('tsDrillTime'),
+      tsDrillScore: document.getElementById('tsDrillScore'),
+      bannerEl: document.getElementById('roundBanner'),
     };
   }
 
@@ -142,6 +161,8 @@
     if (hud.healthContainer) hud.healthContainer.classList.toggle('hidden', !show);
     if (hud.weaponNameDisplay) hud.weaponNameDisplay.classList.toggle('hidden', !show);
     if (hud.trainingStats) hud.trainingStats.classList.toggle('hidden', !show);
+    if (hud.tsDrill) hud.tsDrill.classList.toggle('hidden', !show || !state.drill);
+    if (!show && hud.bannerEl) hud.bannerEl.classList.add('hidden');
     // Hide enemy health (not used in training)
     var enemyHC = document.getElementById('enemyHealthContainer');
     if (enemyHC) enemyHC.classList.add('hidden');
@@ -159,15 +180,90 @@
     sharedUpdateHealthBar(state.hud.healthFill, p.health, PLAYER_HEALTH);
     sharedUpdateAmmoDisplay(state.hud.ammoDisplay, p.weapon.ammo, p.weapon.magSize);
     sharedUpdateMeleeCooldown(state.hud.meleeCooldown, p.weapon, performance.now());
+    sharedUpdateAbilityHUD(state.hud.abilityHud, p.abilities);
 
-    // Stats
-    if (state.hud.tsShotCount) state.hud.tsShotCount.textContent = String(state.stats.shots);
-    if (state.hud.tsHitCount) state.hud.tsHitCount.textContent = String(state.stats.hits);
-    if (state.hud.tsKillCount) state.hud.tsKillCount.textContent = String(state.stats.kills);
+    // Stats (a drill's own while one runs: pellets, and only while it's live)
+    var stats = state.drill ? state.drill.stats : state.stats;
+    if (state.hud.tsShotCount) state.hud.tsShotCount.textContent = String(stats.shots);
+    if (state.hud.tsHitCount) state.hud.tsHitCount.textContent = String(stats.hits);
+    if (state.hud.tsKillCount) state.hud.tsKillCount.textContent = String(stats.kills);
     if (state.hud.tsAccuracy) {
-      var acc = state.stats.shots > 0 ? Math.round(state.stats.hits / state.stats.shots * 100) : 0;
+      var acc = stats.shots > 0 ? Math.round(stats.hits / stats.shots * 100) : 0;
       state.hud.tsAccuracy.textContent = acc + '%';
     }
+
+    var drill = state.drill;
+    if (drill && state.hud.tsDrill) {
+      if (state.hud.tsDrillName) state.hud.tsDrillName.textContent = drill.drill.name;
+      if (state.hud.tsDrillTime) {
+        state.hud.tsDrillTime.textContent = drill.phase === 'ready' ? 'get ready' : Math.max(0, Math.ceil(drill.timeLeft)) + 's';
+      }
+      if (state.hud.tsDrillScore) state.hud.tsDrillScore.textContent = String(drill.liveScore());
+    }
+  }
+
+  // ── Drills ──
+
+  // What a TrainingDrill (trainingDrills.js) spawns and moves things through
+  function createDrillHost() {
+    return {
+      arena: state.arena,
+      heroId: state.currentHeroId,
+      eyePos: function () { return state.player.getEyePos(); },
+      placePlayer: function (pos, lookAt) {
+        state.player.resetForRound(pos);
+        state.player.syncCameraFromPlayer();
+        camera.rotation.set(0, Math.atan2(pos.x - lookAt.x, pos.z - lookAt.z), 0);
+      },
+      spawnBot: function (pos, behavior, health) {
+        var bot = new TrainingBot({ behavior: behavior, spawn: pos, arena: state.arena, respawnDelay: 0, maxHealth: health });
+        bot.faceToward(camera.position);
+        state.bots.push(bot);
+        return bot;
+      },
+      removeBot: function (bot) {
+        var at = state.bots.indexOf(bot);
+        if (at !== -1) state.bots.splice(at, 1);
+        bot.alive = false; // paint already in flight passes through
+        bot.destroy();
+      },
+      showPrompt: function (text, ms) {
+        sharedShowRoundBanner(text, state.hud.bannerEl, state.bannerTimerRef, ms);
+      }
+    };
+  }
+
+  // Time's up: save the result, leave the range and show it in the Training menu
+  function finishDrill() {
+    var result = state.drill.result;
+    var rank = result ? recordDrillResult(result) : 0;
+    stopTrainingRangeInternal(false);
+    try { document.exitPointerLock(); } catch (e) {}
+    setHUDVisible(false);
+    showOnlyMenu('trainingMenu');
+    if (result && typeof showTrainingDrillResult === 'function') showTrainingDrillResult(result, rank);
+  }
+
+  // ── Bots shooting back ──
+
+  // What TrainingBot.update() gets: the player is the only one bots shoot at
+  function createBotContext(player) {
+    return {
+      enemies: [{ id: 'player', entity: player }],
+      onHit: function (victimId, dmg) { damagePlayer(dmg); }
+    };
+  }
+
+  function damagePlayer(dmg) {
+    var p = state.player;
+    if (!p.alive || window.devGodMode) return;
+    p.takeDamage(dmg);
+    if (typeof playGameSound === 'function') playGameSound('damage_taken');
+    if (!p.alive) {
+      state.respawnAt = simNow() + PLAYER_RESPAWN_MS;
+      sharedShowRoundBanner('Eliminated', state.hud.bannerEl, state.bannerTimerRef, PLAYER_RESPAWN_MS);
+    }
+    updateHUD();
   }
 
   // ── Hero switching ──
@@ -184,6 +280,11 @@
       state.player.weapon = new Weapon(hero.weapon);
     }
     updateWeaponNameDisplay();
+    if (state.drill) {
+      var drillId = state.drill.drill.id;
+      state.drill.destroy();
+      state.drill = new TrainingDrill(drillId, createDrillHost());
+    }
     updateHUD();
   };
 
@@ -232,11 +333,13 @@
         } else if (typeof target.takeDamage === 'function') {
           target.takeDamage(totalDamage);
         }
+        if (state.drill) state.drill.onHit(target.entity || target, false);
         state.stats.hits++;
       }
     });
 
     state.stats.shots++;
+    if (state.drill) state.drill.onShot(1);
     // Check bot kills
     for (var i = 0; i < state.bots.length; i++) {
       if (!state.bots[i].alive && !state.bots[i]._countedKill) {
@@ -259,7 +362,7 @@
     var w = state.player.weapon;
 
     if (input.reloadPressed) {
-      if (sharedStartReload(w, now)) {
+      if (sharedStartReload(w, now, state.player.abilities)) {
         sharedSetReloadingUI(true, state.hud.reloadIndicator);
       }
       return;
@@ -293,7 +396,7 @@
         targets: allTargets,
         projectileTargetEntities: allEntities,
         tracerColor: state.tracerColor,
-        onHit: function (target, point, dist, pelletIdx, damageMultiplier) {
+        onHit: function (target, point, dist, pelletIdx, damageMultiplier, segment) {
           // Hitscan path: target is wrapper with .type
           if (target.type === 'target') {
             target.entity.onHit();
@@ -304,12 +407,14 @@
           else if (typeof target.takeDamage === 'function') {
             target.takeDamage(w.damage * (damageMultiplier || 1.0));
           }
+          if (state.drill) state.drill.onHit(target.entity || target, isHeadSegment(segment));
           if (typeof playGameSound === 'function') playGameSound('hit_marker');
           state.stats.hits++;
         }
       });
 
       state.stats.shots++;
+      if (state.drill) state.drill.onShot(result.pelletsFired);
       // Check bot kills
       for (var i = 0; i < state.bots.length; i++) {
         if (!state.bots[i].alive && !state.bots[i]._countedKill) {
@@ -320,7 +425,7 @@
       updateHUD();
 
       if (result.magazineEmpty) {
-        if (sharedStartReload(w, now)) {
+        if (sharedStartReload(w, now, state.player.abilities)) {
           sharedSetReloadingUI(true, state.hud.reloadIndicator);
         }
       }
@@ -336,18 +441,41 @@
 
   // ── Main loop ──
 
+  // One animation frame: run the fixed simulation steps that are due, then draw
+  // the player camera and bots between the last two steps
   function tick(ts) {
     if (!window.trainingRangeActive || !state) return;
 
-    var dt = state.lastTs ? Math.min(0.05, (ts - state.lastTs) / 1000) : 0;
+    var frameSec = state.lastTs ? (ts - state.lastTs) / 1000 : 0;
     state.lastTs = ts;
 
     // Don't process game input while hero select is open
     if (window._heroSelectOpen) {
+      state.simLoop.reset();
       state.loopHandle = requestAnimationFrame(tick);
       return;
     }
 
+    var alpha = state.simLoop.advance(frameSec);
+    if (!state) return;
+
+    state.player.applyRenderInterpolation(alpha);
+    for (var i = 0; i < state.bots.length; i++) {
+      if (state.bots[i].alive) state.bots[i].player.applyRenderInterpolation(alpha);
+    }
+
+    sharedSetCrosshairBySprint(!!state.sprinting, state.player.weapon.spreadRad, state.player.weapon.sprintSpreadRad);
+    sharedSetSprintUI(!!state.sprinting, state.hud.sprintIndicator);
+
+    // Update hitbox visualization after all positions are current
+    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
+
+    updateHUD();
+    state.loopHandle = requestAnimationFrame(tick);
+  }
+
+  // One fixed simulation step (SIM_DT); false once a finished drill has closed the range
+  function simStep(dt) {
     var input = window.getInputState ? window.getInputState() : { moveX: 0, moveZ: 0, sprint: false, fireDown: false, reloadPressed: false };
 
     // Ignore initial stuck fire
@@ -355,9 +483,22 @@
       if (input.fireDown) { input.fireDown = false; }
       else { state.inputArmed = true; }
     }
+    // Down until the respawn: no moving or shooting
+    if (!state.player.alive) {
+      if (simNow() >= state.respawnAt) {
+        state.player.resetForRound(state.arena.spawns.A);
+        state.player.syncCameraFromPlayer();
+      } else {
+        input = { moveX: 0, moveZ: 0, sprint: false, fireDown: false, reloadPressed: false };
+      }
+    }
+    state.sprinting = !!input.sprint;
+
+    state.player.beginSimStep();
+    for (var b = 0; b < state.bots.length; b++) state.bots[b].player.beginSimStep();
 
-    sharedSetCrosshairBySprint(!!input.sprint, state.player.weapon.spreadRad, state.player.weapon.sprintSpreadRad);
-    sharedSetSprintUI(!!input.sprint, state.hud.sprintIndicator);
+    // Abilities: tick cooldowns/effects, activate on keybind (before physics so dash applies this step)
+    if (state.player.abilities) state.player.abilities.update(dt, input);
 
     // Player physics
     var prevGrounded = state.player.grounded;
@@ -377,13 +518,13 @@
       if (!prevGrounded && state.player.grounded) playGameSound('land');
       var moving = (input.moveX !== 0 || input.moveZ !== 0);
       if (moving && state.player.grounded && typeof playFootstepIfDue === 'function') {
-        playFootstepIfDue(!!input.sprint, state.currentHeroId, performance.now());
+        playFootstepIfDue(!!input.sprint, state.currentHeroId, simNow());
       }
     }
 
     // Update bots and targets BEFORE shooting/projectiles so hitboxes are fresh
     for (var i = 0; i < state.bots.length; i++) {
-      state.bots[i].update(dt, camera.position);
+      state.bots[i].update(dt, camera.position, state.botContext);
       // Reset kill-counted flag on respawn
       if (state.bots[i].alive) {
         state.bots[i]._countedKill = false;
@@ -392,21 +533,19 @@
     for (var t = 0; t < state.targets.length; t++) {
       state.targets[t].update();
     }
+    if (state.drill && state.drill.update(dt) === 'done') {
+      finishDrill();
+      return false;
+    }
 
     // Melee + Shooting
-    var now = performance.now();
+    var now = simNow();
     handleMelee(input, now);
     if (!_meleeSwinging) handlePlayerShooting(input, now);
     updateReload(now);
 
     // Update live projectiles (all entity hitboxes are now fresh)
     if (typeof updateProjectiles === 'function') updateProjectiles(dt);
-
-    // Update hitbox visualization after all positions are current
-    if (window.devShowHitboxes && window.updateHitboxVisuals) window.updateHitboxVisuals();
-
-    updateHUD();
-    state.loopHandle = requestAnimationFrame(tick);
   }
 
   // ── Start / Stop ──
@@ -421,23 +560,22 @@
     var tracerColor = hero ? hero.color : 0x66ffcc;
     var heroId = hero ? hero.id : 'marksman';
 
-    var arena = buildTrainingRangeArena();
+    // A saved map, or the range itself (the only arena with drills and static targets)
+    var mapData = opts && opts._mapData;
+    var arena = mapData ? buildArenaFromMap(mapData) : buildTrainingRangeArena();
+    var drillId = (!mapData && opts && opts.drill && typeof getTrainingDrill === 'function' && getTrainingDrill(opts.drill)) ? opts.drill : null;
 
-    // Create targets
+    // Create targets (free practice only: drills bring their own)
     var targets = [];
-    for (var i = 0; i < arena.targetPositions.length; i++) {
-      targets.push(createTarget(arena.targetPositions[i]));
+    var targetPositions = arena.targetPositions || [];
+    for (var i = 0; i < targetPositions.length && !drillId; i++) {
+      targets.push(createTarget(targetPositions[i]));
     }
 
     // Create bots
     var bots = [];
-    for (var b = 0; b < arena.botPatrolPaths.length; b++) {
-      bots.push(new TrainingBot({
-        patrolPath: arena.botPatrolPaths[b],
-        arena: arena,
-        maxHealth: 60,
-        color: 0xff5555
-      }));
+    for (var b = 0; b < arena.trainingBots.length && !drillId; b++) {
+      bots.push(new TrainingBot(Object.assign({ arena: arena }, arena.trainingBots[b])));
     }
 
     // Create player
@@ -470,11 +608,17 @@
       tracerColor: tracerColor,
       hud: getHudElements(),
       stats: { shots: 0, hits: 0, kills: 0 },
+      drill: null,
+      botContext: createBotContext(player),
+      respawnAt: 0,
+      bannerTimerRef: { id: 0 },
       inputArmed: false,
       lastTs: 0,
       loopHandle: 0
     };
 
+    if (drillId) state.drill = new TrainingDrill(drillId, createDrillHost());
+
     setHUDVisible(true);
     showOnlyMenu(null);
     showTrainingHUD(true);
@@ -489,6 +633,7 @@
 
     window.trainingRangeActive = true;
     state.lastTs = 0;
+    state.simLoop = new FixedStepLoop({ onStep: simStep });
     state.loopHandle = requestAnimationFrame(tick);
   };
 
@@ -505,6 +650,15 @@
       state.loopHandle = 0;
     }
 
+    // End a drill still running (its dummies are among the bots)
+    if (state && state.drill) {
+      try { state.drill.destroy(); } catch (e) {}
+    }
+    if (state && state.bannerTimerRef && state.bannerTimerRef.id) {
+      clearTimeout(state.bannerTimerRef.id);
+      state.bannerTimerRef.id = 0;
+    }
+
     // Destroy bots
     if (state && state.bots) {
       for (var i = 0; i < state.bots.length; i++) {
@@ -0,0 +1,567 @@
+/**
+ * navGrid.js — Navigation grid generated from arena geometry for AI pathfinding
+ *
+ * PURPOSE: AIOpponent used to path over the arena's sparse waypoints (a ~7-unit
+ * grid plus spawn points, linked by line of sight), which cut corners, missed
+ * narrow gaps and knew nothing about ramps or platforms on custom maps. This
+ * module samples the arena into a dense grid of standable spots and links
+ * neighbours the way physics.js would actually let a player walk, so any map
+ * from the editor or /api/maps gets working AI navigation.
+ *
+ * EXPORTS (window):
+ *   NavGrid                     — constructor (use buildNavGrid / getNavGrid)
+ *     .nodeCount                — number of standable spots
+ *     .nodePosition(i, out)     — THREE.Vector3 at node i (y = feet height)
+ *     .nearestNode(x, z, feetY) — node index near a point, or -1
+ *     .findPath(from, to)       — Array<THREE.Vector3> of feet positions (smoothed);
+ *                                 from/to are { x, y: feetY, z }; [] if no nodes
+ *     .isLineWalkable(a, b)     — straight walk from node a to node b stays on the grid
+ *     .reachableFrom(nodes)     — Uint8Array flag per node, walking from the given nodes
+ *     .forEachEdge(fn)          — fn(fromNode, toNode, isDrop) for every link
+ *   buildNavGrid(arena, opts)   — sample a new grid; opts: { cellSize, radius }
+ *   getNavGrid(arena, opts)     — cached buildNavGrid, keyed by navGridKey(arena.mapData)
+ *   navGridKey(mapData, opts)   — cache key: hash of the map's arena and objects
+ *   clearNavGridCache()
+ *
+ * DEPENDENCIES: Three.js, physics.js (GROUND_Y, EYE_HEIGHT, MAX_STEP_HEIGHT)
+ *
+ * DESIGN NOTES:
+ *   - Each cell is ray cast straight down once; every upward-facing surface found
+ *     (plus GROUND_Y, where getGroundHeight falls back to) is a candidate node. A
+ *     candidate is kept if a player of `radius` standing there would not be pushed
+ *     by any collider, using the same body-band rules as resolveCollisions2D. So
+ *     cells under an arch or a bridge can hold a node on the floor and one on top.
+ *   - Links copy updateFullPhysics: from a node, walk half a cell to the midpoint
+ *     and then on to the neighbour, taking the ground getGroundHeight would give
+ *     (surfaces up to MAX_STEP_HEIGHT + 0.1 above the feet). If the ground there
+ *     is lower than MAX_STEP_HEIGHT below, the player drops; those links are one
+ *     way. Ramps need nothing special: their surface rises in small steps.
+ *   - Diagonal links need both L-shaped routes around them to be level walks to
+ *     the same node, and the shared corner to be clear, so paths don't clip boxes.
+ *   - Stepping onto a node that lacks a level link in some direction (it's next to
+ *     cover or a ledge) costs extra, so paths keep a cell away from corners when
+ *     there's room. Bots turning a little early then don't catch the corner.
+ *   - findPath runs A* with a binary heap, then skips nodes while the straight
+ *     line stays walkable (checked against the colliders with a margin, not just
+ *     the cells). If the goal can't be reached, the path ends at the closest node
+ *     that can.
+ *   - Grids are cached by map content (arena size and objects), not by name, so
+ *     editing a map and saving it under the same name rebuilds it, and every
+ *     round on an unchanged map reuses the same grid. Grids hold only numbers
+ *     (no meshes), so one grid serves any arena built from the same map.
+ *
+ * TODO (future):
+ *   - Jump links (onto ledges higher than MAX_STEP_HEIGHT, across gaps)
+ *   - Per-hero radius (the grid is built for the default 0.5 body)
+ */
+
+(function () {
+  var DEFAULT_CELL_SIZE = 1;
+  var DEFAULT_RADIUS = 0.5;
+  var SURFACE_MERGE = 0.05; // surfaces closer than this are the same floor
+  var GRID_NUDGE = 0.01;    // see buildNavGrid
+  var DROP_PENALTY = 1;     // extra cost so paths prefer walking to jumping down
+  var EDGE_PENALTY = 0.75;  // extra cost to step onto a node beside cover or a ledge
+  var LINE_MARGIN = 0.25;   // smoothed lines keep this much more than radius from cover
+  var CACHE_LIMIT = 8;
+  var DIRS = [[1, 0], [0, 1], [-1, 0], [0, -1]]; // E, S, W, N
+
+  var _cache = {};
+  var _cacheOrder = [];
+
+  // Highest surface a grounded player at feetY would stand on (getGroundHeight)
+  function groundFrom(surfaces, feetY) {
+    var limit = feetY + MAX_STEP_HEIGHT + 0.1;
+    for (var i = 0; i < surfaces.length; i++) {
+      if (surfaces[i] <= limit) return Math.max(surfaces[i], GROUND_Y);
+    }
+    return GROUND_Y;
+  }
+
+  // resolveCollisions2D would leave a player at (x, z) with these feet alone.
+  // boxes is a flat array: minX, minY, minZ, maxX, maxY, maxZ per collider.
+  function bodyClear(boxes, x, z, feetY, radius) {
+    var bandMin = feetY + 0.2;
+    var bandMax = feetY + EYE_HEIGHT + 0.2;
+    for (var i = 0; i < boxes.length; i += 6) {
+      var minY = boxes[i + 1], maxY = boxes[i + 4];
+      if (feetY + 0.1 >= maxY) continue;
+      if (maxY < bandMin || minY > bandMax) continue;
+      if (x >= boxes[i] - radius && x <= boxes[i + 3] + radius &&
+          z >= boxes[i + 2] - radius && z <= boxes[i + 5] + radius) return false;
+    }
+    return true;
+  }
+
+  function hashString(s) {
+    var h = 0x811c9dc5;
+    for (var i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
+  function navGridKey(mapData, opts) {
+    if (!mapData) return null;
+    opts = opts || {};
+    var src = JSON.stringify({ arena: mapData.arena || {}, objects: mapData.objects || [] });
+    return hashString(src) + ':' + (opts.cellSize || DEFAULT_CELL_SIZE) + ':' + (opts.radius || DEFAULT_RADIUS);
+  }
+
+  function arenaBounds(arena) {
+    if (arena.bounds) return arena.bounds;
+    if (arena.mapData && arena.mapData.arena) {
+      return { halfW: (arena.mapData.arena.width || 60) / 2, halfL: (arena.mapData.arena.length || 90) / 2 };
+    }
+    // Older arenas (arenaCompetitive.js): the walls are the outermost colliders
+    var halfW = 0, halfL = 0;
+    (arena.colliders || []).forEach(function (b) {
+      halfW = Math.max(halfW, Math.abs(b.min.x), Math.abs(b.max.x));
+      halfL = Math.max(halfL, Math.abs(b.min.z), Math.abs(b.max.z));
+    });
+    return { halfW: halfW, halfL: halfL };
+  }
+
+  // Min-heap of node indices. Keys are stored with the entries, so a node pushed
+  // again with a better score simply leaves a stale entry behind.
+  function NodeHeap() {
+    this.nodes = [];
+    this.keys = [];
+  }
+
+  NodeHeap.prototype.push = function (node, key) {
+    var nodes = this.nodes, keys = this.keys;
+    var i = nodes.length;
+    while (i > 0) {
+      var p = (i - 1) >> 1;
+      if (keys[p] <= key) break;
+      nodes[i] = nodes[p];
+      keys[i] = keys[p];
+      i = p;
+    }
+    nodes[i] = node;
+    keys[i] = key;
+  };
+
+  NodeHeap.prototype.pop = function () {
+    var nodes = this.nodes, keys = this.keys;
+    var top = nodes[0];
+    var lastNode = nodes.pop(), lastKey = keys.pop();
+    var len = nodes.length;
+    if (len > 0) {
+      var i = 0;
+      while (true) {
+        var l = 2 * i + 1, r = l + 1, m = -1, mKey = lastKey;
+        if (l < len && keys[l] < mKey) { m = l; mKey = keys[l]; }
+        if (r < len && keys[r] < mKey) { m = r; }
+        if (m < 0) break;
+        nodes[i] = nodes[m];
+        keys[i] = keys[m];
+        i = m;
+      }
+      nodes[i] = lastNode;
+      keys[i] = lastKey;
+    }
+    return top;
+  };
+
+  function NavGrid(data) {
+    this.cellSize = data.cellSize;
+    this.radius = data.radius;
+    this.minX = data.minX;
+    this.minZ = data.minZ;
+    this.cols = data.cols;
+    this.rows = data.rows;
+    this.cellStart = data.cellStart; // nodes of cell c: cellStart[c] .. cellStart[c + 1] - 1
+    this.nodeX = data.nodeX;
+    this.nodeY = data.nodeY;
+    this.nodeZ = data.nodeZ;
+    this.edgeStart = data.edgeStart; // links of node n: edgeStart[n] .. edgeStart[n + 1] - 1
+    this.edgeTo = data.edgeTo;
+    this.edgeCost = data.edgeCost;
+    this.edgeDrop = data.edgeDrop;
+    this.boxes = data.boxes;
+    this.nodeCount = data.nodeY.length;
+  }
+
+  NavGrid.prototype.nodePosition = function (i, out) {
+    out = out || new THREE.Vector3();
+    return out.set(this.nodeX[i], this.nodeY[i], this.nodeZ[i]);
+  };
+
+  NavGrid.prototype._cellAt = function (x, z) {
+    var cx = Math.floor((x - this.minX) / this.cellSize);
+    var cz = Math.floor((z - this.minZ) / this.cellSize);
+    if (cx < 0 || cz < 0 || cx >= this.cols || cz >= this.rows) return -1;
+    return cz * this.cols + cx;
+  };
+
+  // Node a grounded player with these feet would be standing on in cell c, or -1
+  NavGrid.prototype._nodeUnderFeet = function (c, feetY) {
+    var limit = feetY + MAX_STEP_HEIGHT + 0.1;
+    for (var n = this.cellStart[c]; n < this.cellStart[c + 1]; n++) {
+      if (this.nodeY[n] <= limit) return n; // nodes are stored highest first
+    }
+    return -1;
+  };
+
+  NavGrid.prototype.nearestNode = function (x, z, feetY) {
+    if (this.nodeCount === 0) return -1;
+    var cs = this.cellSize;
+    var cx = Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / cs)));
+    var cz = Math.min(this.rows - 1, Math.max(0, Math.floor((z - this.minZ) / cs)));
+    var hasY = typeof feetY === 'number';
+    var best = -1, bestScore = Infinity;
+    var maxRing = Math.max(this.cols, this.rows);
+    for (var r = 0; r <= maxRing; r++) {
+      // Anything in this ring is at least (r - 1) cells away
+      var ringDist = Math.max(0, r - 1) * cs;
+      if (best >= 0 && ringDist * ringDist > bestScore) break;
+      for (var iz = cz - r; iz <= cz + r; iz++) {
+        if (iz < 0 || iz >= this.rows) continue;
+        for (var ix = cx - r; ix <= cx + r; ix++) {
+          if (ix < 0 || ix >= this.cols) continue;
+          if (Math.abs(ix - cx) !== r && Math.abs(iz - cz) !== r) continue;
+          var c = iz * this.cols + ix;
+          for (var n = this.cellStart[c]; n < this.cellStart[c + 1]; n++) {
+            var dx = this.nodeX[n] - x, dz = this.nodeZ[n] - z;
+            var score = dx * dx + dz * dz;
+            if (hasY) {
+              // Surfaces out of step reach count as far away
+              var dy = this.nodeY[n] - feetY;
+              if (dy > MAX_STEP_HEIGHT + 0.1 || dy < -MAX_STEP_HEIGHT) score += 4 * dy * dy + 1;
+            }
+            if (score < bestScore) { bestScore = score; best = n; }
+          }
+        }
+      }
+    }
+    return best;
+  };
+
+  // The four cells whose centers surround (x, z) have a node near feetY, unless cover
+  // fills them. Heights come from cell centers, so a sample next to a ledge or a
+  // ramp's side would otherwise borrow the height of the wrong side.
+  NavGrid.prototype._levelAround = function (x, z, feetY) {
+    var fx = Math.floor((x - this.minX) / this.cellSize - 0.5);
+    var fz = Math.floor((z - this.minZ) / this.cellSize - 0.5);
+    for (var iz = fz; iz <= fz + 1; iz++) {
+      for (var ix = fx; ix <= fx + 1; ix++) {
+        if (ix < 0 || iz < 0 || ix >= this.cols || iz >= this.rows) return false;
+        var c = iz * this.cols + ix, level = false;
+        if (this.cellStart[c] === this.cellStart[c + 1]) continue; // cover: bodyClear decides
+        for (var n = this.cellStart[c]; n < this.cellStart[c + 1]; n++) {
+          if (Math.abs(this.nodeY[n] - feetY) <= MAX_STEP_HEIGHT + 0.1) { level = true; break; }
+        }
+        if (!level) return false;
+      }
+    }
+    return true;
+  };
+
+  NavGrid.prototype.isLineWalkable = function (a, b) {
+    var ax = this.nodeX[a], az = this.nodeZ[a];
+    var dx = this.nodeX[b] - ax, dz = this.nodeZ[b] - az;
+    var len = Math.sqrt(dx * dx + dz * dz);
+    var samples = Math.ceil(len / (this.cellSize * 0.25));
+    var feetY = this.nodeY[a];
+    for (var i = 1; i <= samples; i++) {
+      var t = i / samples;
+      var x = ax + dx * t, z = az + dz * t;
+      var c = this._cellAt(x, z);
+      if (c < 0) return false;
+      var n = this._nodeUnderFeet(c, feetY);
+      // No standable spot at this level: blocked cell or a drop
+      if (n < 0 || this.nodeY[n] < feetY - MAX_STEP_HEIGHT) return false;
+      feetY = this.nodeY[n];
+      if (!this._levelAround(x, z, feetY)) return false;
+      if (!bodyClear(this.boxes, x, z, feetY, this.radius + LINE_MARGIN)) return false;
+    }
+    return Math.abs(feetY - this.nodeY[b]) <= SURFACE_MERGE;
+  };
+
+  NavGrid.prototype._astar = function (start, goal) {
+    var count = this.nodeCount;
+    var gScore = new Float64Array(count).fill(Infinity);
+    var fScore = new Float64Array(count).fill(Infinity);
+    var cameFrom = new Int32Array(count).fill(-1);
+    var closed = new Uint8Array(count);
+    var gx = this.nodeX[goal], gz = this.nodeZ[goal];
+    var nx = this.nodeX, nz = this.nodeZ;
+    function h(n) {
+      var dx = nx[n] - gx, dz = nz[n] - gz;
+      return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    var open = new NodeHeap();
+    gScore[start] = 0;
+    fScore[start] = h(start);
+    open.push(start, fScore[start]);
+    var closest = start, closestH = fScore[start];
+
+    while (open.nodes.length > 0) {
+      var current = open.pop();
+      if (closed[current]) continue; // stale heap entry
+      if (current === goal) { closest = goal; break; }
+      closed[current] = 1;
+      var hc = fScore[current] - gScore[current];
+      if (hc < closestH) { closestH = hc; closest = current; }
+
+      for (var e = this.edgeStart[current]; e < this.edgeStart[current + 1]; e++) {
+        var nb = this.edgeTo[e];
+        if (closed[nb]) continue;
+        var tentG = gScore[current] + this.edgeCost[e];
+        if (tentG < gScore[nb]) {
+          cameFrom[nb] = current;
+          gScore[nb] = tentG;
+          fScore[nb] = tentG + h(nb);
+          open.push(nb, fScore[nb]);
+        }
+      }
+    }
+
+    var path = [];
+    for (var node = closest; node !== -1; node = cameFrom[node]) path.push(node);
+    path.reverse();
+    return path;
+  };
+
+  NavGrid.prototype.findPath = function (from, to) {
+    var start = this.nearestNode(from.x, from.z, from.y);
+    var goal = this.nearestNode(to.x, to.z, to.y);
+    if (start < 0 || goal < 0) return [];
+    var nodes = this._astar(start, goal);
+
+    // Keep only the turns: from each kept node, jump to the furthest node still in
+    // a straight walkable line (doubling the reach, then bisecting the last gap)
+    var last = nodes.length - 1;
+    var kept = [nodes[0]];
+    var anchor = 0;
+    while (anchor < last) {
+      var good = anchor + 1, reach = 2;
+      var bad = last + 1;
+      while (anchor + reach <= last) {
+        if (!this.isLineWalkable(nodes[anchor], nodes[anchor + reach])) { bad = anchor + reach; break; }
+        good = anchor + reach;
+        reach *= 2;
+      }
+      if (bad > last && good < last && this.isLineWalkable(nodes[anchor], nodes[last])) good = last;
+      else if (bad > last) bad = last;
+      while (bad - good > 1) {
+        var mid = (good + bad) >> 1;
+        if (this.isLineWalkable(nodes[anchor], nodes[mid])) good = mid; else bad = mid;
+      }
+      kept.push(nodes[good]);
+      anchor = good;
+    }
+
+    var self = this;
+    // The first node is where the bot already stands
+    return kept.slice(1).map(function (n) { return self.nodePosition(n); });
+  };
+
+  NavGrid.prototype.reachableFrom = function (startNodes) {
+    var seen = new Uint8Array(this.nodeCount);
+    var queue = [];
+    for (var i = 0; i < startNodes.length; i++) {
+      var s = startNodes[i];
+      if (s >= 0 && !seen[s]) { seen[s] = 1; queue.push(s); }
+    }
+    for (var q = 0; q < queue.length; q++) {
+      var n = queue[q];
+      for (var e = this.edgeStart[n]; e < this.edgeStart[n + 1]; e++) {
+        var to = this.edgeTo[e];
+        if (!seen[to]) { seen[to] = 1; queue.push(to); }
+      }
+    }
+    return seen;
+  };
+
+  NavGrid.prototype.forEachEdge = function (fn) {
+    for (var n = 0; n < this.nodeCount; n++) {
+      for (var e = this.edgeStart[n]; e < this.edgeStart[n + 1]; e++) {
+        fn(n, this.edgeTo[e], this.edgeDrop[e] === 1);
+      }
+    }
+  };
+
+  function buildNavGrid(arena, opts) {
+    opts = opts || {};
+    var cs = opts.cellSize || DEFAULT_CELL_SIZE;
+    var radius = opts.radius || DEFAULT_RADIUS;
+    var solids = arena.solids || [];
+    var colliders = arena.colliders || [];
+    var bounds = arenaBounds(arena);
+
+    var cols = Math.max(1, Math.floor(bounds.halfW * 2 / cs));
+    var rows = Math.max(1, Math.floor(bounds.halfL * 2 / cs));
+    // Centered, then nudged off the half-unit lattice the editor snaps objects to,
+    // so no cell center sits exactly on an object's edge (where the ray may or may
+    // not hit it, and the node would end up with the wrong side's height)
+    var minX = -cols * cs / 2 + GRID_NUDGE;
+    var minZ = -rows * cs / 2 + GRID_NUDGE;
+
+    var boxes = new Float32Array(colliders.length * 6);
+    var topY = GROUND_Y;
+    colliders.forEach(function (b, i) {
+      boxes.set([b.min.x, b.min.y, b.min.z, b.max.x, b.max.y, b.max.z], i * 6);
+      topY = Math.max(topY, b.max.y);
+    });
+    topY += 1;
+
+    var rc = new THREE.Raycaster();
+    var origin = new THREE.Vector3();
+    var down = new THREE.Vector3(0, -1, 0);
+    // Surface heights at (x, z), highest first
+    function surfacesAt(x, z) {
+      rc.set(origin.set(x, topY, z), down);
+      rc.far = topY - GROUND_Y + 10;
+      var hits = rc.intersectObjects(solids, true);
+      var ys = [];
+      for (var i = 0; i < hits.length; i++) {
+        var y = hits[i].point.y;
+        if (y < GROUND_Y - 0.5) continue;
+        if (ys.length === 0 || ys[ys.length - 1] - y > SURFACE_MERGE) ys.push(y);
+      }
+      if (ys.length === 0 || ys[ys.length - 1] - GROUND_Y > SURFACE_MERGE) ys.push(GROUND_Y);
+      return ys;
+    }
+
+    // 1. Standable nodes per cell
+    var cellCount = cols * rows;
+    var cellStart = new Int32Array(cellCount + 1);
+    var nodeX = [], nodeY = [], nodeZ = [];
+    var cellSurfaces = new Array(cellCount);
+    for (var cz = 0; cz < rows; cz++) {
+      for (var cx = 0; cx < cols; cx++) {
+        var c = cz * cols + cx;
+        var x = minX + (cx + 0.5) * cs, z = minZ + (cz + 0.5) * cs;
+        var ys = surfacesAt(x, z);
+        cellSurfaces[c] = ys;
+        cellStart[c] = nodeY.length;
+        for (var s = 0; s < ys.length; s++) {
+          if (bodyClear(boxes, x, z, ys[s], radius)) {
+            nodeX.push(x); nodeY.push(ys[s]); nodeZ.push(z);
+          }
+        }
+      }
+    }
+    cellStart[cellCount] = nodeY.length;
+    var count = nodeY.length;
+
+    function nodeAt(c, y) {
+      for (var n = cellStart[c]; n < cellStart[c + 1]; n++) {
+        if (Math.abs(nodeY[n] - y) <= SURFACE_MERGE) return n;
+      }
+      return -1;
+    }
+
+    // 2. Straight links: walk to the midpoint, then on to the neighbour cell
+    var midE = new Array(cellCount), midS = new Array(cellCount);
+    for (var c2 = 0; c2 < cellCount; c2++) {
+      var mx = minX + ((c2 % cols) + 0.5) * cs, mz = minZ + (Math.floor(c2 / cols) + 0.5) * cs;
+      if ((c2 % cols) < cols - 1) midE[c2] = surfacesAt(mx + cs / 2, mz);
+      if (Math.floor(c2 / cols) < rows - 1) midS[c2] = surfacesAt(mx, mz + cs / 2);
+    }
+
+    var straight = new Int32Array(count * 4).fill(-1);
+    var straightDrop = new Uint8Array(count * 4);
+    for (var n = 0; n < count; n++) {
+      var ncx = Math.floor((nodeX[n] - minX) / cs), ncz = Math.floor((nodeZ[n] - minZ) / cs);
+      for (var d = 0; d < 4; d++) {
+        var tx = ncx + DIRS[d][0], tz = ncz + DIRS[d][1];
+        if (tx < 0 || tz < 0 || tx >= cols || tz >= rows) continue;
+        var mid = d === 0 ? midE[ncz * cols + ncx] : d === 1 ? midS[ncz * cols + ncx]
+          : d === 2 ? midE[ncz * cols + tx] : midS[tz * cols + ncx];
+        var midY = groundFrom(mid, nodeY[n]);
+        var tc = tz * cols + tx;
+        var target = nodeAt(tc, groundFrom(cellSurfaces[tc], midY));
+        if (target < 0) continue;
+        // Body clearance at the quarter points too, with feet interpolated between
+        // samples (exact on slopes: catches a ramp's back wall sticking up at the top).
+        // Stepping off a ledge, the body is still at the old height as it passes.
+        var y0 = nodeY[n], y2 = nodeY[target];
+        var y1 = (midY < y0 - MAX_STEP_HEIGHT) ? y0 : midY;
+        var q1 = (y1 === y0) ? y0 : (y0 + y1) / 2;
+        var q3 = (y2 < y1 - MAX_STEP_HEIGHT) ? y1 : (y1 + y2) / 2;
+        var stepX = DIRS[d][0] * cs / 4, stepZ = DIRS[d][1] * cs / 4;
+        if (!bodyClear(boxes, nodeX[n] + stepX, nodeZ[n] + stepZ, q1, radius) ||
+            !bodyClear(boxes, nodeX[n] + 2 * stepX, nodeZ[n] + 2 * stepZ, y1, radius) ||
+            !bodyClear(boxes, nodeX[n] + 3 * stepX, nodeZ[n] + 3 * stepZ, q3, radius)) continue;
+        straight[n * 4 + d] = target;
+        straightDrop[n * 4 + d] = (nodeY[target] < nodeY[n] - MAX_STEP_HEIGHT) ? 1 : 0;
+      }
+    }
+
+    // 3. Pack links, adding diagonals where both L-shaped routes agree
+    var edgeStart = new Int32Array(count + 1);
+    var edgeTo = [], edgeCost = [], edgeDrop = [];
+    var diagCost = cs * Math.SQRT2;
+    function levelStep(from, d) {
+      var to = straight[from * 4 + d];
+      return (to >= 0 && !straightDrop[from * 4 + d]) ? to : -1;
+    }
+    // Nodes with a level walk in every direction; the rest hug cover or a ledge
+    function penalty(to) {
+      for (var dd = 0; dd < 4; dd++) {
+        if (levelStep(to, dd) < 0) return EDGE_PENALTY * cs;
+      }
+      return 0;
+    }
+    for (var a = 0; a < count; a++) {
+      edgeStart[a] = edgeTo.length;
+      for (var d2 = 0; d2 < 4; d2++) {
+        var to = straight[a * 4 + d2];
+        if (to < 0) continue;
+        edgeTo.push(to);
+        edgeCost.push(cs + penalty(to) + (straightDrop[a * 4 + d2] ? DROP_PENALTY : 0));
+        edgeDrop.push(straightDrop[a * 4 + d2]);
+      }
+      for (var q = 0; q < 4; q++) {
+        var dA = q, dB = (q + 1) % 4; // E+S, S+W, W+N, N+E
+        var viaA = levelStep(a, dA), viaB = levelStep(a, dB);
+        if (viaA < 0 || viaB < 0) continue;
+        var end = levelStep(viaA, dB);
+        if (end < 0 || end !== levelStep(viaB, dA)) continue;
+        var cornerX = nodeX[a] + (DIRS[dA][0] + DIRS[dB][0]) * cs / 2;
+        var cornerZ = nodeZ[a] + (DIRS[dA][1] + DIRS[dB][1]) * cs / 2;
+        if (!bodyClear(boxes, cornerX, cornerZ, Math.max(nodeY[a], nodeY[end]), radius)) continue;
+        edgeTo.push(end);
+        edgeCost.push(diagCost + penalty(end));
+        edgeDrop.push(0);
+      }
+    }
+    edgeStart[count] = edgeTo.length;
+
+    return new NavGrid({
+      cellSize: cs, radius: radius, minX: minX, minZ: minZ, cols: cols, rows: rows,
+      cellStart: cellStart,
+      nodeX: new Float32Array(nodeX), nodeY: new Float32Array(nodeY), nodeZ: new Float32Array(nodeZ),
+      edgeStart: edgeStart, edgeTo: new Int32Array(edgeTo),
+      edgeCost: new Float32Array(edgeCost), edgeDrop: new Uint8Array(edgeDrop),
+      boxes: boxes
+    });
+  }
+
+  function getNavGrid(arena, opts) {
+    if (!arena) return null;
+    var key = navGridKey(arena.mapData, opts);
+    if (!key) return buildNavGrid(arena, opts); // arenas not built from map data
+    if (_cache[key]) return _cache[key];
+    var grid = buildNavGrid(arena, opts);
+    _cache[key] = grid;
+    _cacheOrder.push(key);
+    if (_cacheOrder.length > CACHE_LIMIT) delete _cache[_cacheOrder.shift()];
+    return grid;
+  }
+
+  window.NavGrid = NavGrid;
+  window.buildNavGrid = buildNavGrid;
+  window.getNavGrid = getNavGrid;
+  window.navGridKey = navGridKey;
+  window.clearNavGridCache = function () {
+    _cache = {};
+    _cacheOrder = [];
+  };
+})();
@@ -0,0 +1,398 @@
+/**
+ * netCodec.js — Binary LAN snapshot/shot encoding and bandwidth counters
+ *
+ * PURPOSE: Shrinks the two high-rate LAN messages. Snapshots become a binary
+ * packet with quantized fields, delta-compressed against a snapshot every client
+ * has acknowledged; 'shot' events become a fixed binary layout. Decoders also
+ * accept the old JSON objects, so a host in JSON debug mode still works with
+ * every client. Used by modeLAN.js (browser host + clients) and serverSim.js.
+ *
+ * EXPORTS (window):
+ *   NET_PROTOCOL_VERSION            — first byte of every binary packet
+ *   SnapshotEncoder                 — host side; encode(t, playersBySlot, clientAcks) → Uint8Array
+ *   SnapshotDecoder                 — client side; decode(payload) → {id, t, players: {slot: state}} | null
+ *   encodeShot(shot) / decodeShot(payload) — 'shot' event payloads ({o, d|e, c, s, g, w})
+ *   isBinaryPayload(payload)        — true for ArrayBuffer / typed array / Buffer payloads
+ *   payloadSize(payload)            — bytes on the wire (JSON length for plain objects)
+ *   netStats                        — rolling bandwidth counter: record(dir, channel, bytes), getRates()
+ *
+ * DEPENDENCIES: None (plain JS + DataView, so it also runs in serverSim's vm)
+ *
+ * DESIGN NOTES:
+ *   - Snapshot layout: u8 version, u8 type, u8 flags (1 = delta), u16 id,
+ *     u16 baseline id, f64 host time, u8 count, then per player: u8 slot,
+ *     u16 field mask, and the masked fields in FIELDS order. Players are keyed
+ *     by roster slot (1–8) instead of socket id; clients map slots back.
+ *   - Quantization: positions in cm (int16, ±327m), yaw in 1/65536 turns,
+ *     health in tenths, reloadEnd as ms relative to the snapshot time.
+ *   - Deltas only send fields whose quantized value differs from the baseline.
+ *     The baseline is the oldest snapshot still acknowledged by every client
+ *     (input packets carry snapAck); a client without an ack, or one too old
+ *     for the history, forces a keyframe. Keyframes also go out every
+ *     KEYFRAME_INTERVAL snapshots so a client can never stay stuck.
+ *
+ * TODO (future):
+ *   - Varint-encode the input seq ack
+ *   - Binary input packets (client → host)
+ */
+
+(function () {
+  var NET_PROTOCOL_VERSION = 1;
+  var MSG_SNAPSHOT = 1;
+  var MSG_SHOT = 2;
+  var FLAG_DELTA = 1;
+  var HISTORY_SIZE = 32;        // snapshots kept for delta baselines (~1s at 30Hz)
+  var KEYFRAME_INTERVAL = 30;   // force a full snapshot at least this often
+  var SEQ_MOD = 65536;
+
+  // Quantized player fields, in wire order. Each has a wire type and
+  // pack(state, t) / unpack(q, out, t) between snapshot state and integers.
+  var FIELDS = [
+    { type: 'i16', pack: function (s) { return cm(s.pos[0]); }, unpack: function (q, o) { o.pos[0] = q / 100; } },
+    { type: 'i16', pack: function (s) { return cm(s.pos[1]); }, unpack: function (q, o) { o.pos[1] = q / 100; } },
+    { type: 'i16', pack: function (s) { return cm(s.pos[2]); }, unpack: function (q, o) { o.pos[2] = q / 100; } },
+    { type: 'i16', pack: function (s) { return cm(s.feetY); }, unpack: function (q, o) { o.feetY = q / 100; } },
+    { type: 'i16', pack: function (s) { return cm(s.vVel); }, unpack: function (q, o) { o.vVel = q / 100; } },
+    { type: 'u16', pack: function (s) { return packAngle(s.yaw); }, unpack: function (q, o) { o.yaw = q / SEQ_MOD * Math.PI * 2; } },
+    { type: 'u16', pack: function (s) { return Math.round((s.health || 0) * 10); }, unpack: function (q, o) { o.health = q / 10; } },
+    {
+      type: 'u8',
+      pack: function (s) { return (s.grounded ? 1 : 0) | (s.alive ? 2 : 0) | (s.reloading ? 4 : 0); },
+      unpack: function (q, o) { o.grounded = !!(q & 1); o.alive = !!(q & 2); o.reloading = !!(q & 4); }
+    },
+    { type: 'u8', pack: function (s) { return s.airJumps || 0; }, unpack: function (q, o) { o.airJumps = q; } },
+    { type: 'u8', pack: function (s) { return s.ammo || 0; }, unpack: function (q, o) { o.ammo = q; } },
+    { type: 'u8', pack: function (s) { return s.magSize || 0; }, unpack: function (q, o) { o.magSize = q; } },
+    {
+      type: 'i32',
+      pack: function (s, t) { return s.reloadEnd ? Math.round(s.reloadEnd - t) : 0; },
+      unpack: function (q, o, t) { o.reloadEnd = q ? t + q : 0; }
+    },
+    { type: 'u32', pack: function (s) { return s.ack || 0; }, unpack: function (q, o) { o.ack = q; } }
+  ];
+  var TYPE_SIZE = { u8: 1, i16: 2, u16: 2, i32: 4, u32: 4, f32: 4, f64: 8 };
+  var TYPE_RANGE = {
+    u8: [0, 255], i16: [-32768, 32767], u16: [0, 65535],
+    i32: [-2147483648, 2147483647], u32: [0, 4294967295]
+  };
+
+  function cm(v) { return Math.round((Number(v) || 0) * 100); }
+
+  function packAngle(rad) {
+    var turns = (Number(rad) || 0) / (Math.PI * 2);
+    turns -= Math.floor(turns);
+    return Math.round(turns * SEQ_MOD) % SEQ_MOD;
+  }
+
+  function clampToType(type, v) {
+    var r = TYPE_RANGE[type];
+    return r ? Math.max(r[0], Math.min(r[1], v)) : v;
+  }
+
+  // --- Byte writer/reader over a growable buffer ---
+
+  function Writer(size) {
+    this.buf = new ArrayBuffer(size);
+    this.view = new DataView(this.buf);
+    this.pos = 0;
+  }
+
+  Writer.prototype.ensure = function (n) {
+    if (this.pos + n <= this.buf.byteLength) return;
+    var next = new ArrayBuffer(Math.max(this.buf.byteLength * 2, this.pos + n));
+    new Uint8Array(next).set(new Uint8Array(this.buf));
+    this.buf = next;
+    this.view = new DataView(next);
+  };
+
+  Writer.prototype.write = function (type, v) {
+    this.ensure(TYPE_SIZE[type]);
+    var dv = this.view;
+    var p = this.pos;
+    if (type === 'u8') dv.setUint8(p, v);
+    else if (type === 'i16') dv.setInt16(p, v);
+    else if (type === 'u16') dv.setUint16(p, v);
+    else if (type === 'i32') dv.setInt32(p, v);
+    else if (type === 'u32') dv.setUint32(p, v);
+    else if (type === 'f32') dv.setFloat32(p, v);
+    else if (type === 'f64') dv.setFloat64(p, v);
+    this.pos += TYPE_SIZE[type];
+  };
+
+  Writer.prototype.bytes = function () {
+    return new Uint8Array(this.buf, 0, this.pos);
+  };
+
+  function Reader(bytes) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  Reader.prototype.read = function (type) {
+    var dv = this.view;
+    var p = this.pos;
+    this.pos += TYPE_SIZE[type];
+    if (type === 'u8') return dv.getUint8(p);
+    if (type === 'i16') return dv.getInt16(p);
+    if (type === 'u16') return dv.getUint16(p);
+    if (type === 'i32') return dv.getInt32(p);
+    if (type === 'u32') return dv.getUint32(p);
+    if (type === 'f32') return dv.getFloat32(p);
+    return dv.getFloat64(p);
+  };
+
+  function isBinaryPayload(payload) {
+    return !!payload && (payload instanceof ArrayBuffer || ArrayBuffer.isView(payload) ||
+      Object.prototype.toString.call(payload) === '[object ArrayBuffer]');
+  }
+
+  function toBytes(payload) {
+    if (ArrayBuffer.isView(payload)) return new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+    return new Uint8Array(payload);
+  }
+
+  function payloadSize(payload) {
+    if (!payload) return 0;
+    if (isBinaryPayload(payload)) return payload.byteLength;
+    try { return JSON.stringify(payload).length; } catch (e) { return 0; }
+  }
+
+  // --- Snapshots ---
+
+  function quantizePlayer(state, t) {
+    var q = [];
+    for (var i = 0; i < FIELDS.length; i++) {
+      q.push(clampToType(FIELDS[i].type, FIELDS[i].pack(state, t)));
+    }
+    return q;
+  }
+
+  function SnapshotEncoder() {
+    this._nextId = 0;
+    this._history = [];   // [{id, players: {slot: quantized[]}}], oldest first
+    this._sinceKeyframe = KEYFRAME_INTERVAL;
+  }
+
+  // Baseline = oldest snapshot any client last acknowledged, if all of them
+  // acknowledged something still in history. Otherwise null (send a keyframe).
+  SnapshotEncoder.prototype._pickBaseline = function (clientAcks) {
+    if (this._sinceKeyframe >= KEYFRAME_INTERVAL || !clientAcks || clientAcks.length === 0) return null;
+    var baseline = null;
+    var oldestAge = -1;
+    for (var i = 0; i < clientAcks.length; i++) {
+      var ack = clientAcks[i];
+      if (typeof ack !== 'number') return null;
+      var entry = this._find(ack);
+      if (!entry) return null;
+      var age = (this._nextId - ack + SEQ_MOD) % SEQ_MOD;
+      if (age > oldestAge) {
+        oldestAge = age;
+        baseline = entry;
+      }
+    }
+    return baseline;
+  };
+
+  SnapshotEncoder.prototype._find = function (id) {
+    for (var i = this._history.length - 1; i >= 0; i--) {
+      if (this._history[i].id === id) return this._history[i];
+    }
+    return null;
+  };
+
+  // playersBySlot: {slot: packPlayer() state}; clientAcks: last snapshot id each client decoded
+  SnapshotEncoder.prototype.encode = function (t, playersBySlot, clientAcks) {
+    var id = this._nextId;
+    this._nextId = (this._nextId + 1) % SEQ_MOD;
+    var baseline = this._pickBaseline(clientAcks);
+    if (baseline) this._sinceKeyframe++;
+    else this._sinceKeyframe = 0;
+
+    var slots = Object.keys(playersBySlot);
+    var w = new Writer(16 + slots.length * 32);
+    w.write('u8', NET_PROTOCOL_VERSION);
+    w.write('u8', MSG_SNAPSHOT);
+    w.write('u8', baseline ? FLAG_DELTA : 0);
+    w.write('u16', id);
+    w.write('u16', baseline ? baseline.id : 0);
+    w.write('f64', t);
+    w.write('u8', slots.length);
+
+    var quantized = {};
+    for (var i = 0; i < slots.length; i++) {
+      var slot = parseInt(slots[i], 10);
+      var q = quantizePlayer(playersBySlot[slots[i]], t);
+      quantized[slot] = q;
+      var base = baseline ? baseline.players[slot] : null;
+      var mask = 0;
+      for (var f = 0; f < FIELDS.length; f++) {
+        if (!base || base[f] !== q[f]) mask |= (1 << f);
+      }
+      w.write('u8', slot);
+      w.write('u16', mask);
+      for (var g = 0; g < FIELDS.length; g++) {
+        if (mask & (1 << g)) w.write(FIELDS[g].type, q[g]);
+      }
+    }
+
+    this._history.push({ id: id, players: quantized });
+    if (this._history.length > HISTORY_SIZE) this._history.shift();
+    return w.bytes();
+  };
+
+  function SnapshotDecoder() {
+    this._history = [];   // [{id, players: {slot: quantized[]}}], oldest first
+    this.lastId = null;   // newest decoded id — sent back to the host as snapAck
+  }
+
+  SnapshotDecoder.prototype._find = SnapshotEncoder.prototype._find;
+
+  // Returns {id, t, players: {slot: state}}, or null when the packet can't be
+  // used (wrong version, or a delta whose baseline we never received)
+  SnapshotDecoder.prototype.decode = function (payload) {
+    var r = new Reader(toBytes(payload));
+    if (r.read('u8') !== NET_PROTOCOL_VERSION) return null;
+    if (r.read('u8') !== MSG_SNAPSHOT) return null;
+    var flags = r.read('u8');
+    var id = r.read('u16');
+    var baselineId = r.read('u16');
+    var t = r.read('f64');
+    var count = r.read('u8');
+
+    var baseline = null;
+    if (flags & FLAG_DELTA) {
+      baseline = this._find(baselineId);
+      if (!baseline) return null;
+    }
+
+    var quantized = {};
+    var players = {};
+    for (var i = 0; i < count; i++) {
+      var slot = r.read('u8');
+      var mask = r.read('u16');
+      var base = baseline ? baseline.players[slot] : null;
+      var q = [];
+      for (var f = 0; f < FIELDS.length; f++) {
+        if (mask & (1 << f)) q.push(r.read(FIELDS[f].type));
+        else if (base) q.push(base[f]);
+        else return null; // delta for a player the baseline didn't have
+      }
+      quantized[slot] = q;
+      var out = { pos: [0, 0, 0] };
+      for (var g = 0; g < FIELDS.length; g++) FIELDS[g].unpack(q[g], out, t);
+      players[slot] = out;
+    }
+
+    this._history.push({ id: id, players: quantized });
+    if (this._history.length > HISTORY_SIZE) this._history.shift();
+    this.lastId = id;
+    return { id: id, t: t, players: players };
+  };
+
+  // --- Shots ---
+  // u8 version, u8 type, u8 kind (0 hitscan, 1 projectile), f32×3 origin,
+  // f32×3 endpoint (hitscan) or direction (projectile), u8×3 color,
+  // [f32 speed, f32 gravity], u8 length + ASCII weapon model type.
+
+  function encodeShot(shot) {
+    var projectile = Array.isArray(shot.d);
+    var w = new Writer(48);
+    w.write('u8', NET_PROTOCOL_VERSION);
+    w.write('u8', MSG_SHOT);
+    w.write('u8', projectile ? 1 : 0);
+    var a = shot.o || [0, 0, 0];
+    var b = (projectile ? shot.d : shot.e) || [0, 0, 0];
+    for (var i = 0; i < 3; i++) w.write('f32', a[i] || 0);
+    for (var j = 0; j < 3; j++) w.write('f32', b[j] || 0);
+    var c = (typeof shot.c === 'number') ? shot.c : 0;
+    w.write('u8', (c >> 16) & 255);
+    w.write('u8', (c >> 8) & 255);
+    w.write('u8', c & 255);
+    if (projectile) {
+      w.write('f32', shot.s || 0);
+      w.write('f32', shot.g || 0);
+    }
+    var name = String(shot.w || '').substring(0, 32);
+    w.write('u8', name.length);
+    for (var k = 0; k < name.length; k++) w.write('u8', name.charCodeAt(k) & 127);
+    return w.bytes();
+  }
+
+  // Accepts the binary form or the JSON object; returns the JSON shape either way
+  function decodeShot(payload) {
+    if (!isBinaryPayload(payload)) return payload;
+    var r = new Reader(toBytes(payload));
+    if (r.read('u8') !== NET_PROTOCOL_VERSION || r.read('u8') !== MSG_SHOT) return null;
+    var projectile = r.read('u8') === 1;
+    var o = [r.read('f32'), r.read('f32'), r.read('f32')];
+    var b = [r.read('f32'), r.read('f32'), r.read('f32')];
+    var c = (r.read('u8') << 16) | (r.read('u8') << 8) | r.read('u8');
+    var shot = { o: o, c: c };
+    if (projectile) {
+      shot.d = b;
+      shot.s = r.read('f32');
+      shot.g = r.read('f32');
+    } else {
+      shot.e = b;
+    }
+    var len = r.read('u8');
+    var name = '';
+    for (var i = 0; i < len; i++) name += String.fromCharCode(r.read('u8'));
+    if (name) shot.w = name;
+    return shot;
+  }
+
+  // --- Bandwidth counter ---
+  // Bytes per direction ('in'/'out') and channel (event name), rolled into
+  // per-second rates once a second.
+
+  var netStats = {
+    _window: { in: {}, out: {} },
+    _windowStart: 0,
+    _rates: { in: {}, out: {}, inTotal: 0, outTotal: 0 },
+
+    record: function (dir, channel, bytes) {
+      var now = Date.now();
+      if (!this._windowStart) this._windowStart = now;
+      if (now - this._windowStart >= 1000) this._roll(now);
+      var bucket = this._window[dir === 'in' ? 'in' : 'out'];
+      bucket[channel] = (bucket[channel] || 0) + (bytes || 0);
+    },
+
+    _roll: function (now) {
+      var secs = Math.max(0.001, (now - this._windowStart) / 1000);
+      var rates = { in: {}, out: {}, inTotal: 0, outTotal: 0 };
+      ['in', 'out'].forEach(function (dir) {
+        var bucket = this._window[dir];
+        for (var ch in bucket) {
+          rates[dir][ch] = bucket[ch] / secs;
+          rates[dir + 'Total'] += rates[dir][ch];
+        }
+      }, this);
+      this._rates = rates;
+      this._window = { in: {}, out: {} };
+      this._windowStart = now;
+    },
+
+    // {in: {channel: bytes/s}, out: {...}, inTotal, outTotal}; stale windows read as zero
+    getRates: function () {
+      if (this._windowStart && Date.now() - this._windowStart >= 2000) this._roll(Date.now());
+      return this._rates;
+    },
+
+    reset: function () {
+      this._window = { in: {}, out: {} };
+      this._windowStart = 0;
+      this._rates = { in: {}, out: {}, inTotal: 0, outTotal: 0 };
+    }
+  };
+
+  window.NET_PROTOCOL_VERSION = NET_PROTOCOL_VERSION;
+  window.SnapshotEncoder = SnapshotEncoder;
+  window.SnapshotDecoder = SnapshotDecoder;
+  window.encodeShot = encodeShot;
+  window.decodeShot = decodeShot;
+  window.isBinaryPayload = isBinaryPayload;
+  window.payloadSize = payloadSize;
+  window.netStats = netStats;
+})();
@@ -9,6 +9,7 @@
  *   GROUND_Y, GRAVITY, JUMP_VELOCITY, EYE_HEIGHT, MAX_STEP_HEIGHT — physics constants
  *   getGroundHeight(pos, solids, feetY, grounded) — raycast ground detection
  *   resolveCollisions2D(position, radius, aabbs, feetY) — AABB collision push-out
+ *   moveDirFromForward(forward, moveZ, moveX) — XZ move direction relative to a look vector
  *   updateFullPhysics(state, input, arena, dt) — full physics update cycle
  *   hasBlockingBetween(origin, target, solids) — LOS test
  *
@@ -25,12 +26,17 @@
  *   - Ground detection uses downward raycasting against arena.solids (meshes).
  *     When grounded, only surfaces within MAX_STEP_HEIGHT are accepted (prevents
  *     teleporting to distant surfaces). When airborne, any surface below feet is valid.
+ *   - Air jumps: when state.abilities (AbilityManager) reports extra jumps
+ *     (doubleJump passive), a jump input while airborne resets vertical velocity.
+ *     state._airJumpsUsed counts them and resets on landing.
+ *   - Ability movement: abilities.js effects set state._dashVelocity (XZ, m/s) for
+ *     the effect's duration; updateFullPhysics adds it before collision resolution
+ *     so dashes still stop at walls.
  *
  * TODO (future):
  *   - Crouching: reduce EYE_HEIGHT, slow speed, smaller hitbox
  *   - Sliding: momentum-based crouch-sprint with friction
  *   - Wall running / wall jumping
- *   - Ability-driven movement (dash applies velocity impulse)
  */
 
 // Inputs are kept in input.js (WASD, Shift, Space). This file focuses on physics only.
@@ -51,6 +57,13 @@ function computeMoveDirXZ(moveZ, moveX) {
   } else {
     forward.set(0, 0, -1);
   }
+  return moveDirFromForward(forward, moveZ, moveX);
+}
+
+// Same as computeMoveDirXZ but relative to an explicit look vector. LAN hosts and
+// client prediction both use this so replayed inputs move the player identically.
+function moveDirFromForward(lookDir, moveZ, moveX) {
+  const forward = lookDir ? lookDir.clone() : new THREE.Vector3(0, 0, -1);
   // Flatten to XZ
   forward.y = 0;
   if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
@@ -182,14 +195,28 @@ function updateFullPhysics(state, input, arena, dt) {
     state.position.z += dir.z * speed * dt;
   }
 
+  // 2b. Ability movement impulse (dash) — set/cleared by abilities.js effects
+  if (state._dashVelocity) {
+    state.position.x += state._dashVelocity.x * dt;
+    state.position.z += state._dashVelocity.z * dt;
+  }
+
   // 3. Detect ground height at new XZ
   var solids = (arena && arena.solids) ? arena.solids : [];
   var groundH = getGroundHeight(state.position, solids, state.feetY, state.grounded);
 
-  // 4. Jump (use per-hero _jumpVelocity if available, else global JUMP_VELOCITY)
-  if (input.jump && state.grounded) {
-    state.verticalVelocity = (state._jumpVelocity != null) ? state._jumpVelocity : JUMP_VELOCITY;
-    state.grounded = false;
+  // 4. Jump (use per-hero _jumpVelocity if available, else global JUMP_VELOCITY).
+  //    Airborne jumps are allowed up to the doubleJump passive's extra jump count.
+  if (input.jump) {
+    var jumpVel = (state._jumpVelocity != null) ? state._jumpVelocity : JUMP_VELOCITY;
+    if (state.grounded) {
+      state.verticalVelocity = jumpVel;
+      state.grounded = false;
+      state._airJumpsUsed = 0;
+    } else if (state.abilities && (state._airJumpsUsed || 0) < state.abilities.getExtraJumps()) {
+      state.verticalVelocity = jumpVel;
+      state._airJumpsUsed = (state._airJumpsUsed || 0) + 1;
+    }
   }
 
   // 5. Apply gravity when not grounded
@@ -202,6 +229,7 @@ function updateFullPhysics(state, input, arena, dt) {
       state.feetY = groundH;
       state.verticalVelocity = 0;
       state.grounded = true;
+      state._airJumpsUsed = 0;
     }
   } else {
     // 6. Grounded: snap to ground, detect drops
@@ -260,5 +288,6 @@ window.EYE_HEIGHT = EYE_HEIGHT;
 window.MAX_STEP_HEIGHT = MAX_STEP_HEIGHT;
 window.getGroundHeight = getGroundHeight;
 window.resolveCollisions2D = resolveCollisions2D;
+window.moveDirFromForward = moveDirFromForward;
 window.updateFullPhysics = updateFullPhysics;
 window.hasBlockingBetween = hasBlockingBetween;
@@ -31,6 +31,18 @@
  *   capsule using LatheGeometry (Three.js r128 has no CapsuleGeometry). Exposed
  *   on window for use by devHeroEditor.js and devConsole.js.
  *
+ * RENDER INTERPOLATION:
+ *   Modes that step the simulation at a fixed rate (simCore.js FixedStepLoop) call
+ *   beginSimStep() before each step and applyRenderInterpolation(alpha) once per
+ *   frame, so the mesh/camera moves smoothly between ticks on any refresh rate.
+ *
+ * FACING:
+ *   _hitboxYaw has two conventions. For the player the local camera drives
+ *   (cameraAttached) modes copy camera.rotation.y into it: camera yaw, looking
+ *   along -Z at 0. Everyone else gets mesh yaw from faceToward() or from a
+ *   network forward vector, atan2(f.x, f.z): looking along +Z at 0, so camera
+ *   yaw + PI. meshYaw() and lookYaw() give either convention for any player.
+ *
  * WEAPON ATTACHMENT SYSTEM:
  *   The player mesh uses a swappable weapon attachment point (_weaponAttachPoint),
  *   a THREE.Group positioned where the gun is held. The active weapon model is a
@@ -85,6 +97,11 @@
     // --- Jump velocity (overridable by heroes.js) ---
     this._jumpVelocity = (typeof JUMP_VELOCITY !== 'undefined') ? JUMP_VELOCITY : 8.5;
 
+    // --- Abilities (AbilityManager, created by heroes.js applyHeroToPlayer) ---
+    this.abilities = null;
+    // Horizontal dash velocity set by the 'dash' ability effect, read by updateFullPhysics()
+    this._dashVelocity = null;
+
     // --- Camera attachment ---
     this.cameraAttached = !!opts.cameraAttached;
 
@@ -506,6 +523,31 @@
     }
   };
 
+  // --- Render interpolation (fixed-step modes, see simCore.js) ---
+
+  // Call before each simulation step: remembers where the step started
+  Player.prototype.beginSimStep = function () {
+    if (!this._renderPrev) this._renderPrev = { x: 0, feetY: 0, z: 0 };
+    this._renderPrev.x = this.position.x;
+    this._renderPrev.feetY = this.feetY;
+    this._renderPrev.z = this.position.z;
+  };
+
+  // Place the mesh (and the camera, if attached) alpha of the way from the last
+  // step's start to its end. Hitboxes stay at the simulated position.
+  Player.prototype.applyRenderInterpolation = function (alpha) {
+    var prev = this._renderPrev;
+    if (!prev) return;
+    var x = prev.x + (this.position.x - prev.x) * alpha;
+    var feetY = prev.feetY + (this.feetY - prev.feetY) * alpha;
+    var z = prev.z + (this.position.z - prev.z) * alpha;
+    if (this.cameraAttached) {
+      if (typeof camera !== 'undefined' && camera) camera.position.set(x, feetY + EYE_HEIGHT, z);
+    } else {
+      this._meshGroup.position.set(x, feetY + this._meshFeetOffset, z);
+    }
+  };
+
   // --- Hitbox ---
 
   Player.prototype.getHitCenter = function () {
@@ -637,10 +679,24 @@
     this._hitboxYaw = yaw;
   };
 
+  // Mesh yaw (looking along +Z at 0), whichever convention _hitboxYaw holds
+  Player.prototype.meshYaw = function () {
+    var yaw = this._hitboxYaw || 0;
+    return this.cameraAttached ? yaw + Math.PI : yaw;
+  };
+
+  // Camera yaw (looking along -Z at 0): what camera.rotation.y is for this player's view
+  Player.prototype.lookYaw = function () {
+    var yaw = this._hitboxYaw || 0;
+    return this.cameraAttached ? yaw : yaw + Math.PI;
+  };
+
   // --- Damage ---
 
   Player.prototype.takeDamage = function (amount) {
     if (!this.alive) return;
+    // Active ability effects (e.g. shield) can scale incoming damage
+    if (this.abilities) amount = this.abilities.modifyIncomingDamage(amount);
     this.health -= amount;
     this.lastDamagedAt = performance.now();
     if (this.health <= 0) {
@@ -666,6 +722,9 @@
     }
 
     this.weapon.reset();
+    if (this.abilities) this.abilities.reset();
+    this._dashVelocity = null;
+    this._renderPrev = null; // don't slide from the death spot to the spawn
 
     this._meshGroup.visible = !this.cameraAttached;
     this._syncMeshPosition();
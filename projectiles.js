@@ -14,7 +14,9 @@
  *   rayHitsCylinder(...)              — Y-axis cylinder intersection
  *   rayHitsCapsule(...)               — Y-axis capsule intersection (cylinder + hemispheres)
  *   rayHitsAABB(origin, dir, boxMin, boxMax, maxDist) — ray-AABB slab intersection
+ *   rayHitsOBB(origin, dir, center, halfW, halfH, halfD, yaw, maxDist) — Y-rotated box intersection
  *   testHitSegments(origin, dir, segments, maxDist)   — test ray against hitbox segments (dispatches by shape)
+ *   isHeadSegment(segment)            — true for a hitbox segment named 'head' (any case)
  *   spawnTracer(origin, end, ...)     — visual tracer from origin to endpoint
  *   fireHitscan(origin, dir, opts)    — single-ray hitscan (low-level)
  *   sharedFireWeapon(weapon, origin, dir, opts) — unified multi-pellet firing
@@ -22,7 +24,8 @@
  *   updateProjectiles(dt)             — per-frame update of all live projectiles
  *   clearAllProjectiles()             — remove all live projectiles
  *
- * DEPENDENCIES: Three.js (scene, THREE), weapon.js (Weapon instance for stats)
+ * DEPENDENCIES: Three.js (scene, THREE), weapon.js (Weapon instance for stats),
+ *   simCore.js (simRandom for spread, simNow for shot/melee timestamps)
  *
  * DESIGN NOTES:
  *   - sharedFireWeapon checks weapon.projectileSpeed. If null/0, it uses hitscan.
@@ -32,6 +35,11 @@
  *     or `position`+`radius` for legacy sphere hitboxes.
  *   - Projectiles move each frame, test collision against solids and target segments,
  *     and self-clean on hit, wall collision, or max range.
+ *   - onHit gets the hit segment as its 6th argument (null for sphere targets).
+ *     Headshots are read from it, not from damageMultiplier, which also carries
+ *     weapon boosts like chargedShot.
+ *   - A LAN host can pass projectileSegmentsFor so a client's projectiles test
+ *     targets where that client saw them (see lagCompensation.js).
  */
 
 (function () {
@@ -51,8 +59,8 @@
     var right = new THREE.Vector3().crossVectors(forward, up).normalize();
     var trueUp = new THREE.Vector3().crossVectors(right, forward).normalize();
 
-    var u = Math.random();
-    var v = Math.random();
+    var u = simRandom();
+    var v = simRandom();
     var theta = 2 * Math.PI * u;
     var r = spreadRad * Math.sqrt(v);
     var offset = right.clone().multiplyScalar(Math.cos(theta) * r)
@@ -355,6 +363,10 @@
     return closestResult;
   }
 
+  function isHeadSegment(segment) {
+    return !!segment && typeof segment.name === 'string' && segment.name.toLowerCase() === 'head';
+  }
+
   // Visual bullet: small sphere that travels from origin to hit point
   function spawnTracer(origin, end, color, lifetimeMs) {
     if (color === undefined) color = 0x00ff88;
@@ -458,11 +470,13 @@
   //                     segments: use testHitSegments (new segmented hitbox)
   //                     position+radius: use rayHitsSphere (legacy sphere)
   //   tracerColor     - hex color for tracers
-  //   onHit(target, point, dist, pelletIdx, damageMultiplier)
+  //   onHit(target, point, dist, pelletIdx, damageMultiplier, segment)
   //   onPelletFired(result, pelletIdx)
   //   skipAmmo        - boolean, skip ammo/lastShotTime management
   //   projectileTargetEntities - Array of Player/entity objects for projectile mode
   //                              (projectiles re-read segments each frame)
+  //   projectileSegmentsFor(entity) - optional; segments projectiles test instead of
+  //                              entity.getHitSegments() (LAN lag compensation)
   //
   // Returns { pelletsFired, hits, results[], magazineEmpty }
   function sharedFireWeapon(weapon, origin, baseDir, opts) {
@@ -478,6 +492,20 @@
     var onHit = opts.onHit || null;
     var onPelletFired = opts.onPelletFired || null;
 
+    // Weapon-ability damage boost (e.g. chargedShot) applies to every pellet of
+    // this trigger pull, then is consumed. Folded into the damageMultiplier arg so
+    // mode onHit callbacks need no changes.
+    var shotMult = (typeof weapon.shotDamageMult === 'number' && weapon.shotDamageMult > 0) ? weapon.shotDamageMult : 1;
+    if (shotMult !== 1) {
+      weapon.shotDamageMult = 1;
+      if (onHit) {
+        var baseOnHit = onHit;
+        onHit = function (target, point, dist, pelletIdx, damageMultiplier, segment) {
+          return baseOnHit(target, point, dist, pelletIdx, (damageMultiplier || 1.0) * shotMult, segment);
+        };
+      }
+    }
+
     // Projectile mode: spawn traveling projectiles instead of hitscan
     var projSpeed = weapon.projectileSpeed;
     if (projSpeed && projSpeed > 0) {
@@ -496,6 +524,7 @@
           maxRange: maxDist,
           solids: solids,
           targetEntities: projTargetEntities,
+          segmentsFor: opts.projectileSegmentsFor || null,
           onHit: onHit,
           tracerColor: tracerColor,
           origin: origin.clone()
@@ -513,7 +542,7 @@
       var projMagEmpty = false;
       if (!opts.skipAmmo) {
         weapon.ammo--;
-        weapon.lastShotTime = performance.now();
+        weapon.lastShotTime = simNow();
         if (weapon.ammo <= 0) projMagEmpty = true;
       }
 
@@ -550,6 +579,7 @@
       var closestTarget = null;
       var closestPoint = endPoint;
       var closestMultiplier = 1.0;
+      var closestSegment = null;
 
       for (var t = 0; t < targets.length; t++) {
         var tgt = targets[t];
@@ -563,6 +593,7 @@
             closestTarget = tgt;
             closestPoint = segResult.point;
             closestMultiplier = segResult.damageMultiplier;
+            closestSegment = segResult.segment;
           }
         }
         // Legacy sphere hitbox path
@@ -575,6 +606,7 @@
               closestTarget = tgt;
               closestPoint = origin.clone().add(dir.clone().multiplyScalar(d));
               closestMultiplier = 1.0;
+              closestSegment = null;
             }
           }
         }
@@ -597,7 +629,7 @@
       // Hit callback (now passes damageMultiplier as 5th arg)
       if (closestTarget && onHit) {
         hits++;
-        var cont = onHit(closestTarget, closestPoint, closestDist, p, closestMultiplier);
+        var cont = onHit(closestTarget, closestPoint, closestDist, p, closestMultiplier, closestSegment);
         if (cont === false) stopped = true;
       } else if (closestTarget) {
         hits++;
@@ -612,7 +644,7 @@
     var magazineEmpty = false;
     if (!opts.skipAmmo) {
       weapon.ammo--;
-      weapon.lastShotTime = performance.now();
+      weapon.lastShotTime = simNow();
       if (weapon.ammo <= 0) magazineEmpty = true;
     }
 
@@ -644,6 +676,7 @@
       mat: mat,
       solids: opts.solids || [],
       targetEntities: opts.targetEntities || [],
+      segmentsFor: opts.segmentsFor || null,
       onHit: opts.onHit || null,
       origin: opts.origin ? opts.origin.clone() : opts.position.clone()
     });
@@ -721,8 +754,10 @@
           var entity = proj.targetEntities[te];
           if (!entity || !entity.alive) continue;
 
-          var segments = (typeof entity.getHitSegments === 'function') ? entity.getHitSegments() : [];
-          if (segments.length === 0) continue;
+          var segments = proj.segmentsFor
+            ? proj.segmentsFor(entity)
+            : ((typeof entity.getHitSegments === 'function') ? entity.getHitSegments() : []);
+          if (!segments || segments.length === 0) continue;
 
           // Test ray from current position along delta against segments
           if (frameDistance > 0.001) {
@@ -731,7 +766,7 @@
             if (segResult.hit) {
               hitTarget = true;
               if (proj.onHit) {
-                proj.onHit(entity, segResult.point, segResult.distance, 0, segResult.damageMultiplier);
+                proj.onHit(entity, segResult.point, segResult.distance, 0, segResult.damageMultiplier, segResult.segment);
               }
               toRemove.push(i);
               break;
@@ -841,7 +876,7 @@
     // Melee hit sound
     if (closestTarget && typeof playGameSound === 'function') playGameSound('melee_hit');
 
-    weapon.lastMeleeTime = performance.now();
+    weapon.lastMeleeTime = simNow();
 
     return {
       hit: !!closestTarget,
@@ -859,7 +894,9 @@
   window.rayHitsCylinder = rayHitsCylinder;
   window.rayHitsCapsule = rayHitsCapsule;
   window.rayHitsAABB = rayHitsAABB;
+  window.rayHitsOBB = rayHitsOBB;
   window.testHitSegments = testHitSegments;
+  window.isHeadSegment = isHeadSegment;
   window.spawnTracer = spawnTracer;
   window.fireHitscan = fireHitscan;
   window.sharedFireWeapon = sharedFireWeapon;
@@ -0,0 +1,257 @@
+/**
+ * replay.js — Match recording and the replay file format
+ *
+ * PURPOSE: Game modes feed a ReplayRecorder as they run: player transforms are
+ * sampled a few times a second, and shots, hits, melee swings, hero picks and
+ * round results are logged as timestamped events. At the end of a match the
+ * recording is saved through /api/replays so the dev workbench can play it back
+ * (devReplayViewer.js).
+ *
+ * EXPORTS (window):
+ *   ReplayRecorder — constructor; new ReplayRecorder({ mode, mapName, mapData, seed })
+ *   saveReplay(replay, name)  — POST a finished replay; name defaults to replayName()
+ *   replayName(replay)        — "<mode>-<yyyymmdd-hhmmss>" file name for a replay
+ *   fetchReplayList()         — GET replay names from the server
+ *   fetchReplayData(name)     — GET a replay from the server
+ *   sampleReplayFrame(replay, t) — interpolated { id: {x, feetY, z, yaw, health, alive} } at t ms
+ *
+ * DEPENDENCIES: none at load time; sample() reads Player instances (player.js)
+ *
+ * REPLAY FORMAT (version 2):
+ *   { version, mode, createdAt, duration, sampleMs, seed,
+ *     map: { name, data },                   — data is the map JSON, so replays survive map edits
+ *                                             seed is the simRandom seed (simCore.js), or null
+ *     players: [{ id, name, color, team }],
+ *     frames: [{ t, p: { id: [x, feetY, z, yaw, health, alive] } }],
+ *     events: [[t, type, data]] }
+ *   yaw is mesh yaw (Player.meshYaw(): looking along +Z at 0) for every player, the
+ *   rotation the viewer gives the mesh. Version 1 wrote _hitboxYaw as-is, which is
+ *   camera yaw (half a turn off) for the recording side's own human player.
+ *   All times are ms since recording started. Event types:
+ *     hero  { p, hero }                       — a player's hero for the coming round
+ *     shot  { p, o, e } / { p, o, d, s, g }   — hitscan end point, or projectile dir/speed/gravity
+ *                                               (same fields as the LAN 'shot' message, plus c/w)
+ *     hit   { a, v, dmg, hp }                 — attacker, victim, damage, victim health after
+ *     melee { p, ms }                         — swing duration
+ *     round { winner, scores }                — winner is a score key (null = draw)
+ *
+ * DESIGN NOTES:
+ *   - Frames hold rounded numbers (cm / mrad) and only players that exist, which keeps
+ *     an 8-player match at a few KB per second of play.
+ *   - Recording never throws into the game loop: every entry point is guarded, and
+ *     a recorder that hit MAX_FRAMES just stops sampling.
+ *
+ * TODO (future):
+ *   - Record dedicated-server matches inside serverSim.js
+ *   - Ability activations and pitch, for a first-person replay camera
+ */
+
+(function () {
+  var REPLAY_VERSION = 2;
+  var SAMPLE_MS = 50;            // 20 transform samples per second
+  var MAX_FRAMES = 20 * 60 * 30; // 30 minutes
+
+  function round2(v) { return Math.round(v * 100) / 100; }
+  function round3(v) { return Math.round(v * 1000) / 1000; }
+
+  function vecArray(v) {
+    return [round2(v.x), round2(v.y), round2(v.z)];
+  }
+
+  function ReplayRecorder(opts) {
+    opts = opts || {};
+    this.mode = opts.mode || 'unknown';
+    this.mapName = opts.mapName || null;
+    this.mapData = opts.mapData || null;
+    this.seed = (typeof opts.seed === 'number') ? opts.seed : null;
+    this.players = [];
+    this.frames = [];
+    this.events = [];
+    this.startedAt = Date.now();
+    this._start = performance.now();
+    this._lastSampleT = -Infinity;
+    this._finished = null;
+  }
+
+  // ms since the recording started
+  ReplayRecorder.prototype.time = function () {
+    return Math.round(performance.now() - this._start);
+  };
+
+  // info: { name, color, team }; calling again for a known id updates it
+  ReplayRecorder.prototype.addPlayer = function (id, info) {
+    info = info || {};
+    var entry = null;
+    for (var i = 0; i < this.players.length; i++) {
+      if (this.players[i].id === id) { entry = this.players[i]; break; }
+    }
+    if (!entry) {
+      entry = { id: id };
+      this.players.push(entry);
+    }
+    entry.name = info.name || entry.name || String(id);
+    entry.color = (typeof info.color === 'number') ? info.color : (entry.color || 0xffffff);
+    entry.team = (info.team !== undefined) ? info.team : (entry.team !== undefined ? entry.team : null);
+  };
+
+  // entities: { id: Player }; sampled at most every SAMPLE_MS unless force is set
+  ReplayRecorder.prototype.sample = function (entities, force) {
+    if (this._finished || this.frames.length >= MAX_FRAMES) return;
+    var t = this.time();
+    if (!force && t - this._lastSampleT < SAMPLE_MS) return;
+    this._lastSampleT = t;
+    var p = {};
+    for (var id in entities) {
+      var e = entities[id];
+      if (!e || !e.position) continue;
+      p[id] = [
+        round2(e.position.x), round2(e.feetY), round2(e.position.z),
+        round3(e.meshYaw ? e.meshYaw() : (e._hitboxYaw || 0)),
+        Math.round(Math.max(0, e.health)), e.alive ? 1 : 0
+      ];
+    }
+    this.frames.push({ t: t, p: p });
+  };
+
+  ReplayRecorder.prototype.event = function (type, data) {
+    if (this._finished) return;
+    this.events.push([this.time(), type, data || {}]);
+  };
+
+  ReplayRecorder.prototype.hero = function (id, heroId) {
+    this.event('hero', { p: id, hero: heroId });
+  };
+
+  // One pellet from sharedFireWeapon's onPelletFired (hitscan result has .point,
+  // projectile result has .dir); weapon gives projectile speed/gravity and model
+  ReplayRecorder.prototype.shot = function (id, origin, pelletResult, weapon, color) {
+    if (!origin || !pelletResult) return;
+    var shot = { p: id, o: vecArray(origin), c: color, w: weapon && weapon.modelType };
+    if (weapon && weapon.projectileSpeed > 0) {
+      if (!pelletResult.dir) return;
+      shot.d = [round3(pelletResult.dir.x), round3(pelletResult.dir.y), round3(pelletResult.dir.z)];
+      shot.s = weapon.projectileSpeed;
+      shot.g = weapon.projectileGravity || 0;
+    } else if (pelletResult.point) {
+      shot.e = vecArray(pelletResult.point);
+    } else {
+      return;
+    }
+    this.event('shot', shot);
+  };
+
+  ReplayRecorder.prototype.hit = function (attackerId, victimId, amount, victimHealth) {
+    this.event('hit', { a: attackerId, v: victimId, dmg: round2(amount), hp: Math.round(Math.max(0, victimHealth)) });
+  };
+
+  ReplayRecorder.prototype.melee = function (id, swingMs) {
+    this.event('melee', { p: id, ms: swingMs });
+  };
+
+  ReplayRecorder.prototype.round = function (winner, scores) {
+    this.event('round', { winner: winner || null, scores: Object.assign({}, scores) });
+  };
+
+  // Stop recording and return the replay object (same object on repeat calls)
+  ReplayRecorder.prototype.finish = function (entities) {
+    if (this._finished) return this._finished;
+    if (entities) this.sample(entities, true);
+    this._finished = {
+      version: REPLAY_VERSION,
+      mode: this.mode,
+      createdAt: new Date(this.startedAt).toISOString(),
+      duration: this.time(),
+      sampleMs: SAMPLE_MS,
+      seed: this.seed,
+      map: { name: this.mapName, data: this.mapData },
+      players: this.players.slice(),
+      frames: this.frames,
+      events: this.events
+    };
+    return this._finished;
+  };
+
+  // ── Server API helpers ──
+
+  function pad2(n) { return (n < 10 ? '0' : '') + n; }
+
+  window.replayName = function (replay) {
+    var d = new Date(replay && replay.createdAt ? replay.createdAt : Date.now());
+    var stamp = d.getFullYear() + pad2(d.getMonth() + 1) + pad2(d.getDate()) + '-' +
+      pad2(d.getHours()) + pad2(d.getMinutes()) + pad2(d.getSeconds());
+    return ((replay && replay.mode) || 'match') + '-' + stamp;
+  };
+
+  window.saveReplay = function (replay, name) {
+    name = name || window.replayName(replay);
+    return fetch('/api/replays/' + encodeURIComponent(name), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(replay)
+    }).then(function (r) {
+      if (!r.ok) throw new Error('Failed to save replay');
+      return name;
+    });
+  };
+
+  window.fetchReplayList = function () {
+    return fetch('/api/replays').then(function (r) {
+      if (!r.ok) throw new Error('Failed to fetch replay list');
+      return r.json();
+    });
+  };
+
+  window.fetchReplayData = function (name) {
+    return fetch('/api/replays/' + encodeURIComponent(name)).then(function (r) {
+      if (!r.ok) throw new Error('Replay not found');
+      return r.json();
+    });
+  };
+
+  // ── Playback helper ──
+
+  function lerpAngle(a, b, f) {
+    var d = b - a;
+    while (d > Math.PI) d -= Math.PI * 2;
+    while (d < -Math.PI) d += Math.PI * 2;
+    return a + d * f;
+  }
+
+  // Index of the last frame at or before t (binary search)
+  function frameIndexAt(frames, t) {
+    var lo = 0, hi = frames.length - 1;
+    if (hi < 0 || t < frames[0].t) return -1;
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  window.sampleReplayFrame = function (replay, t) {
+    var frames = (replay && replay.frames) || [];
+    var out = {};
+    if (frames.length === 0) return out;
+    var i = Math.max(0, frameIndexAt(frames, t));
+    var a = frames[i];
+    var b = frames[Math.min(frames.length - 1, i + 1)];
+    var f = (b.t > a.t) ? Math.max(0, Math.min(1, (t - a.t) / (b.t - a.t))) : 0;
+    for (var id in a.p) {
+      var pa = a.p[id];
+      var pb = b.p[id];
+      // Don't slide across a respawn or a player leaving: hold the earlier sample
+      if (!pb || pa[5] !== pb[5]) pb = pa;
+      out[id] = {
+        x: pa[0] + (pb[0] - pa[0]) * f,
+        feetY: pa[1] + (pb[1] - pa[1]) * f,
+        z: pa[2] + (pb[2] - pa[2]) * f,
+        yaw: lerpAngle(pa[3], pb[3], f),
+        health: pa[4],
+        alive: pa[5] === 1
+      };
+    }
+    return out;
+  };
+
+  window.ReplayRecorder = ReplayRecorder;
+})();
@@ -1,33 +1,59 @@
 /**
- * Simple LAN relay server for Paintball Arena multiplayer (2 players per room).
+ * Simple LAN relay server for Paintball Arena multiplayer (2–8 players per room).
  * - Serves static files from this directory
  * - Socket.IO for signaling: create/join rooms, relay client inputs to host, host snapshots to clients
- * - Stores per-room settings (rounds to win)
+ * - Stores per-room settings (rounds to win, max players, ffa/teams mode)
+ * - Assigns each player a slot number (host = 1, joiners get the lowest free slot);
+ *   spectators (joinRoom with { spectate: true }) get broadcasts but no slot and send nothing
+ * - If a browser host leaves, the lowest-slot client becomes host ('hostMigrated') and
+ *   picks up the roster, scores, heroes and round phase the server cached from the old host
+ * - Dedicated rooms (settings.dedicated, or DEDICATED=1 for every room) run the match
+ *   here via serverSim.js; every browser is then a client and the room outlives its creator
+ * - Every player gets a reconnectToken; a client whose socket drops keeps its slot for
+ *   RECONNECT_GRACE_MS (host/simulation freezes it, 'clientDropped') and 'rejoinRoom' with
+ *   the token binds the new socket to the same player id ('clientRejoined', then 'resync')
+ * - Client input, heroSelect, snapshots and shots pass a per-socket guard (serverValidation.js):
+ *   schema checks, rate limits and clamping (dt budget, turn rate, fire presses vs cooldownMs);
+ *   violations are logged
+ * - Snapshots and shots are binary (netCodec.js) and relayed untouched; NET_JSON=1
+ *   makes dedicated rooms send the JSON debug format instead
+ * - REST API for maps, menus, sounds, heroes, AI difficulty profiles and match replays (/api/replays, written by
+ *   modeAI.js / modeLAN.js at match end, played back in the dev workbench)
+ * - GET /api/rooms lists open rooms for the in-game room browser; LAN_DISCOVERY=1
+ *   broadcasts a UDP beacon so servers on the same subnet show up in GET /api/servers
  *
  * Run:
  *   npm init -y
- *   npm install express socket.io
- *   node server.js
+ *   npm install express socket.io three
+ *   node server.js              (DEDICATED=1 node server.js to simulate every room)
+ *                               (NET_JSON=1 for readable JSON snapshots from dedicated rooms)
+ *                               (LAN_DISCOVERY=1 to announce and find servers over UDP broadcast)
+ *                               (RECONNECT_GRACE_MS=30000 to change how long a dropped player's slot is held; 0 = off)
  *
  * Then allow Windows Defender on Private networks if prompted.
  * Join from other device on LAN via: http://YOUR_LAN_IP:3000
  */
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createClientGuard } = require('./serverValidation');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: '*' } });
 
-// JSON body parsing for map API
+// JSON body parsing for map API (replays of long matches get a bigger limit; a body
+// parsed here is skipped by the general parser below)
+app.use('/api/replays', express.json({ limit: '32mb' }));
 app.use(express.json({ limit: '1mb' }));
 
 // Block dev workbench files from being served to LAN players
 var DEV_BLOCKED = ['/dev.html', '/devApp.js', '/devApp.css', '/devHeroEditor.js', '/devSplitScreen.js',
-  '/electron-main.js', '/electron-preload.js', '/electron-fetch-shim.js', '/mapEditor.js', '/menuBuilder.js'];
+  '/electron-main.js', '/electron-preload.js', '/electron-fetch-shim.js', '/mapEditor.js', '/menuBuilder.js',
+  '/devReplayViewer.js', '/devDifficultyEditor.js'];
 app.use(function (req, res, next) {
   if (DEV_BLOCKED.indexOf(req.path) !== -1) return res.status(404).end();
   next();
@@ -217,6 +243,127 @@ app.delete('/api/sounds/:name', function (req, res) {
   }
 });
 
+// ── Replay REST API (recorded by modeAI.js / modeLAN.js, played in the dev workbench) ──
+const REPLAYS_DIR = path.join(__dirname, 'replays');
+
+function ensureReplaysDir() {
+  if (!fs.existsSync(REPLAYS_DIR)) fs.mkdirSync(REPLAYS_DIR, { recursive: true });
+}
+
+app.get('/api/replays', function (req, res) {
+  ensureReplaysDir();
+  try {
+    var files = fs.readdirSync(REPLAYS_DIR).filter(function (f) { return f.endsWith('.json'); });
+    var names = files.map(function (f) { return f.replace(/\.json$/, ''); });
+    res.json(names);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list replays' });
+  }
+});
+
+app.get('/api/replays/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid replay name' });
+  var filePath = path.join(REPLAYS_DIR, name + '.json');
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Replay not found' });
+  try {
+    var data = fs.readFileSync(filePath, 'utf8');
+    res.type('json').send(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read replay' });
+  }
+});
+
+// Replays are written compact (no pretty-printing) — they are mostly frame arrays
+app.post('/api/replays/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid replay name' });
+  var body = req.body;
+  if (!body || typeof body !== 'object' || !Array.isArray(body.frames) || !Array.isArray(body.events)) {
+    return res.status(400).json({ error: 'Invalid replay' });
+  }
+  ensureReplaysDir();
+  try {
+    fs.writeFileSync(path.join(REPLAYS_DIR, name + '.json'), JSON.stringify(body), 'utf8');
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save replay' });
+  }
+});
+
+app.delete('/api/replays/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid replay name' });
+  var filePath = path.join(REPLAYS_DIR, name + '.json');
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Replay not found' });
+  try {
+    fs.unlinkSync(filePath);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete replay' });
+  }
+});
+
+// ── AI difficulty REST API (profiles edited in the dev workbench, read by aiDifficulty.js) ──
+const DIFFICULTIES_DIR = path.join(__dirname, 'difficulties');
+
+function ensureDifficultiesDir() {
+  if (!fs.existsSync(DIFFICULTIES_DIR)) fs.mkdirSync(DIFFICULTIES_DIR, { recursive: true });
+}
+
+app.get('/api/difficulties', function (req, res) {
+  ensureDifficultiesDir();
+  try {
+    var files = fs.readdirSync(DIFFICULTIES_DIR).filter(function (f) { return f.endsWith('.json'); });
+    var names = files.map(function (f) { return f.replace(/\.json$/, ''); });
+    res.json(names);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list difficulties' });
+  }
+});
+
+app.get('/api/difficulties/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid difficulty name' });
+  var filePath = path.join(DIFFICULTIES_DIR, name + '.json');
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Difficulty not found' });
+  try {
+    var data = fs.readFileSync(filePath, 'utf8');
+    res.type('json').send(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read difficulty' });
+  }
+});
+
+app.post('/api/difficulties/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid difficulty name' });
+  var body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ error: 'Invalid difficulty' });
+  }
+  ensureDifficultiesDir();
+  try {
+    fs.writeFileSync(path.join(DIFFICULTIES_DIR, name + '.json'), JSON.stringify(body, null, 2), 'utf8');
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save difficulty' });
+  }
+});
+
+app.delete('/api/difficulties/:name', function (req, res) {
+  var name = sanitizeMapName(req.params.name);
+  if (!name) return res.status(400).json({ error: 'Invalid difficulty name' });
+  var filePath = path.join(DIFFICULTIES_DIR, name + '.json');
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Difficulty not found' });
+  try {
+    fs.unlinkSync(filePath);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete difficulty' });
+  }
+});
+
 // ── Hero REST API (read-only — editing happens in the Electron dev workbench) ──
 const HEROES_DIR = path.join(__dirname, 'heroes');
 
@@ -246,7 +393,8 @@ function ensureHeroesDir() {
         { name: "head", shape: "sphere", radius: 0.25, offsetX: 0, offsetY: 1.6, offsetZ: 0, rotationX: 0, rotationY: 0, rotationZ: 0 },
         { name: "torso", shape: "cylinder", radius: 0.275, height: 0.9, offsetX: 0, offsetY: 1.1, offsetZ: 0, rotationX: 0, rotationY: 0, rotationZ: 0 }
       ],
-      passives: [], abilities: []
+      passives: [],
+      abilities: [{ id: 'dash', type: 'active', cooldownSec: 6, duration: 0.2, speed: 20, keybind: 'q', description: "Burst forward about 4m in the direction you're facing" }]
     },
     {
       id: 'brawler', name: 'Brawler', description: 'Devastating close-range shotgun. 8 pellets per blast.', color: 0xff8844,
@@ -262,7 +410,8 @@ function ensureHeroesDir() {
         { name: "head", shape: "sphere", radius: 0.275, offsetX: 0, offsetY: 1.6, offsetZ: 0, rotationX: 0, rotationY: 0, rotationZ: 0 },
         { name: "torso", shape: "cylinder", radius: 0.3, height: 0.9, offsetX: 0, offsetY: 1.1, offsetZ: 0, rotationX: 0, rotationY: 0, rotationZ: 0 }
       ],
-      passives: [], abilities: []
+      passives: [],
+      abilities: [{ id: 'shield', type: 'active', cooldownSec: 12, duration: 3, damageReduction: 0.5, keybind: 'q', description: 'Take half damage for 3 seconds' }]
     }
   ];
   builtins.forEach(function (hero) {
@@ -304,69 +453,366 @@ app.post('/api/heroes/:id', function (req, res) {
   ensureHeroesDir();
   try {
     fs.writeFileSync(path.join(HEROES_DIR, name + '.json'), JSON.stringify(req.body, null, 2), 'utf8');
+    heroWeapons = null;
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to save hero' });
   }
 });
 
-// roomId -> { hostId: string, players: Set<string>, settings: object }
+// roomId -> { hostId: string|null, players: Set<string>, slots: Map<playerId, number>, spectators: Set<string>,
+//            sockets: Map<playerId, socketId>, tokens: Map<token, playerId>, dropped: Map<playerId, timeout>,
+//            settings: object, inProgress: boolean, match: object|null, sim?: object }
+// Players are keyed by player id: the socket id they first joined with. A reconnect keeps the
+// player id and only rebinds room.sockets, so the host and simulation never re-key anyone.
+// Dedicated rooms have no host (hostId null) and a sim from serverSim.js.
+// match caches the match state relayed so far; it goes to the next host on migration
+// and to spectators who join mid-match.
+// Spectators sit in the socket.io room for every broadcast but have no slot and send nothing.
 const rooms = new Map();
 
+// Public summary of every open room, for the room browser.
+// CORS is open so a browser loaded from another LAN server can list these rooms too.
+function listRooms() {
+  return Array.from(rooms, ([id, room]) => ({
+    id,
+    mapName: room.settings.mapName || null,
+    settings: room.settings,
+    players: room.players.size,
+    maxPlayers: room.settings.maxPlayers || 2,
+    spectators: room.spectators.size,
+    dedicated: !!room.sim,
+    inProgress: !!room.inProgress
+  }));
+}
+
+app.get('/api/rooms', function (req, res) {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.json(listRooms());
+});
+
+// Follow match events on their way to clients: listRooms reports in-progress rooms,
+// and room.match keeps what a new host needs to carry on (roster, scores, heroes, phase)
+function trackRoomEvent(room, eventName, payload) {
+  if (!room) return;
+  if (eventName === 'startHeroSelect' || eventName === 'startRound') room.inProgress = true;
+  else if (eventName === 'matchOver' || eventName === 'waitingForPlayers') room.inProgress = false;
+
+  if (eventName === 'matchOver') {
+    room.match = null;
+    return;
+  }
+  const match = room.match || (room.match = { roster: [], mode: 'ffa', teamCount: 2, scores: {}, heroes: {}, phase: 'waiting' });
+  payload = payload || {};
+  if (eventName === 'roster' && Array.isArray(payload.players)) {
+    match.roster = payload.players;
+    match.mode = payload.mode;
+    match.teamCount = payload.teamCount;
+    if (payload.scores && typeof payload.scores === 'object') match.scores = payload.scores;
+  } else if (eventName === 'heroesConfirmed' && payload.heroes && typeof payload.heroes === 'object') {
+    Object.assign(match.heroes, payload.heroes);
+  } else if (eventName === 'startHeroSelect') {
+    match.phase = 'heroSelect';
+  } else if (eventName === 'startRound') {
+    match.phase = 'round';
+  } else if (eventName === 'roundResult') {
+    match.phase = 'roundOver';
+    if (payload.scores && typeof payload.scores === 'object') match.scores = payload.scores;
+  } else if (eventName === 'waitingForPlayers') {
+    match.phase = 'waiting';
+  }
+}
+
+// Next host after the host leaves: the connected player with the lowest slot
+function pickNewHost(room) {
+  let best = null;
+  room.slots.forEach((slot, id) => {
+    if (room.dropped.has(id)) return;
+    if (best === null || slot < room.slots.get(best)) best = id;
+  });
+  return best;
+}
+
+// Socket currently bound to a player id (differs from the id after a reconnect)
+function socketOf(room, playerId) {
+  return room.sockets.get(playerId) || playerId;
+}
+
+function issueReconnectToken(room, playerId) {
+  const token = crypto.randomBytes(16).toString('hex');
+  room.tokens.set(token, playerId);
+  return token;
+}
+
+const MAX_SPECTATORS = 8;
+const RECONNECT_GRACE_MS = clampInt(process.env.RECONNECT_GRACE_MS, 0, 300000, 30000);
+const DEDICATED_BY_DEFAULT = process.env.DEDICATED === '1';
+const NET_JSON = process.env.NET_JSON === '1';
+
+// Map and heroes for a dedicated room, read the same way the REST API serves them
+function loadRoomMap(mapName) {
+  var name = sanitizeMapName(mapName);
+  if (!name) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(MAPS_DIR, name + '.json'), 'utf8'));
+  } catch (err) {
+    console.warn('dedicated room: failed to load map ' + name + ', using default:', err.message);
+    return null;
+  }
+}
+
+function loadSavedHeroes() {
+  ensureHeroesDir();
+  try {
+    return fs.readdirSync(HEROES_DIR).filter(function (f) { return f.endsWith('.json'); }).map(function (f) {
+      try { return JSON.parse(fs.readFileSync(path.join(HEROES_DIR, f), 'utf8')); } catch (e) { return null; }
+    });
+  } catch (err) {
+    return [];
+  }
+}
+
+// hero id -> weapon config, for heroSelect checks and the input guard's fire rate.
+// Read from disk on first use and again after a hero is saved.
+let heroWeapons = null;
+function heroWeaponsById() {
+  if (!heroWeapons) {
+    heroWeapons = new Map();
+    loadSavedHeroes().forEach((h) => { if (h && typeof h.id === 'string') heroWeapons.set(h.id, h.weapon || {}); });
+  }
+  return heroWeapons;
+}
+
+// Weapon of the hero a player is using this round (marksman until heroes are confirmed)
+function playerWeapon(room, playerId) {
+  const heroId = room.match && room.match.heroes[playerId];
+  const weapons = heroWeaponsById();
+  return weapons.get(heroId) || weapons.get('marksman') || null;
+}
+
+// Required lazily so relay-only servers run without the three package installed
+function startRoomSimulation(roomId, settings) {
+  const { createRoomSimulation } = require('./serverSim');
+  return createRoomSimulation({
+    settings,
+    mapData: loadRoomMap(settings.mapName),
+    heroes: loadSavedHeroes(),
+    jsonSnapshots: NET_JSON,
+    emit: (eventName, payload) => {
+      trackRoomEvent(rooms.get(roomId), eventName, payload);
+      io.to(roomId).emit(eventName, payload);
+    },
+    emitTo: (playerId, eventName, payload) => {
+      const room = rooms.get(roomId);
+      const socketId = room && room.sockets.get(playerId);
+      if (socketId) io.to(socketId).emit(eventName, payload);
+    }
+  });
+}
+
+// Remove a player from a room. When a browser host leaves, the lowest-slot client
+// takes over hosting; a room closes once its last player leaves.
+function leaveRoomById(roomId, playerId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.spectators.delete(playerId)) return;
+  if (!room.players.has(playerId)) return;
+  room.players.delete(playerId);
+  room.slots.delete(playerId);
+  room.sockets.delete(playerId);
+  clearTimeout(room.dropped.get(playerId));
+  room.dropped.delete(playerId);
+  room.tokens.forEach((id, token) => { if (id === playerId) room.tokens.delete(token); });
+  if (room.players.size < 2) room.inProgress = false;
+
+  if (room.sim) {
+    room.sim.removePlayer(playerId);
+    if (room.players.size === 0) {
+      room.sim.stop();
+      closeRoom(roomId);
+    }
+  } else if (playerId === room.hostId) {
+    // Host left: promote a client and hand it the cached match state
+    const newHostId = pickNewHost(room);
+    if (!newHostId) {
+      closeRoom(roomId);
+      return;
+    }
+    room.hostId = newHostId;
+    io.to(roomId).emit('hostMigrated', {
+      hostId: newHostId, previousHostId: playerId, match: room.match || null, dropped: Array.from(room.dropped.keys())
+    });
+  } else {
+    // Client left: notify host
+    io.to(socketOf(room, room.hostId)).emit('clientLeft', { clientId: playerId });
+  }
+}
+
+// A client's socket dropped without leaving: hold its slot for the grace period while
+// whoever runs the match freezes the player, then remove it for good.
+// The browser host is never held — without it nothing runs, so it migrates at once.
+function dropPlayer(roomId, playerId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.players.has(playerId)) return;
+  if (RECONNECT_GRACE_MS <= 0 || playerId === room.hostId) {
+    leaveRoomById(roomId, playerId);
+    return;
+  }
+  room.sockets.delete(playerId);
+  room.dropped.set(playerId, setTimeout(() => {
+    room.dropped.delete(playerId);
+    leaveRoomById(roomId, playerId);
+  }, RECONNECT_GRACE_MS));
+  if (room.sim) room.sim.dropPlayer(playerId);
+  else io.to(socketOf(room, room.hostId)).emit('clientDropped', { clientId: playerId, graceMs: RECONNECT_GRACE_MS });
+}
+
+// Delete a room that has no players left; any spectators are told it closed
+function closeRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (room) room.dropped.forEach((timer) => clearTimeout(timer));
+  io.to(roomId).emit('roomClosed');
+  rooms.delete(roomId);
+}
+
 io.on('connection', (socket) => {
   let currentRoom = null;
+  let spectating = false;
+  let playerId = socket.id;   // stays the original id when this socket rejoins an earlier player
+  const guard = createClientGuard(() => 'socket ' + socket.id + (currentRoom ? ' in room ' + currentRoom : ''));
 
   // Create a room and mark this socket as host
   socket.on('createRoom', (roomId, settings, ack) => {
+    if (!guard.allow('join')) return typeof ack === 'function' && ack({ ok: false, error: 'Too many requests' });
     if (!roomId || typeof roomId !== 'string') {
       return typeof ack === 'function' && ack({ ok: false, error: 'Invalid roomId' });
     }
     if (rooms.has(roomId)) {
       return typeof ack === 'function' && ack({ ok: false, error: 'Room already exists' });
     }
-    rooms.set(roomId, { hostId: socket.id, players: new Set([socket.id]), settings: sanitizeSettings(settings) });
+    const clean = sanitizeSettings(settings);
+    const room = {
+      hostId: clean.dedicated ? null : socket.id, players: new Set([socket.id]), slots: new Map([[socket.id, 1]]), spectators: new Set(),
+      sockets: new Map([[socket.id, socket.id]]), tokens: new Map(), dropped: new Map(), settings: clean, inProgress: false, match: null
+    };
+    if (clean.dedicated) {
+      try {
+        room.sim = startRoomSimulation(roomId, clean);
+      } catch (err) {
+        console.warn('dedicated room: simulation failed to start:', err);
+        return typeof ack === 'function' && ack({ ok: false, error: 'Dedicated simulation unavailable on this server' });
+      }
+    }
+    rooms.set(roomId, room);
     socket.join(roomId);
     currentRoom = roomId;
-    typeof ack === 'function' && ack({ ok: true, role: 'host', playerNumber: 1 });
+    spectating = false;
+    playerId = socket.id;
+    const reconnectToken = issueReconnectToken(room, playerId);
+    typeof ack === 'function' && ack({
+      ok: true, role: room.sim ? 'client' : 'host', playerId, playerNumber: 1, dedicated: !!room.sim, settings: room.settings, reconnectToken
+    });
+    if (room.sim) room.sim.addPlayer(playerId, 1);
   });
 
-  // Join an existing room as a client (non-host)
-  socket.on('joinRoom', (roomId, ack) => {
+  // Join an existing room as a client (non-host), or as a spectator with opts.spectate
+  socket.on('joinRoom', (roomId, opts, ack) => {
+    if (typeof opts === 'function') { ack = opts; opts = null; }
+    if (!guard.allow('join')) return typeof ack === 'function' && ack({ ok: false, error: 'Too many requests' });
     const room = rooms.get(roomId);
     if (!room) return typeof ack === 'function' && ack({ ok: false, error: 'Room not found' });
-    if (room.players.size >= 2) return typeof ack === 'function' && ack({ ok: false, error: 'Room full' });
 
-    room.players.add(socket.id);
+    if (opts && opts.spectate === true) {
+      if (room.spectators.size >= MAX_SPECTATORS) return typeof ack === 'function' && ack({ ok: false, error: 'Spectator slots full' });
+      room.spectators.add(socket.id);
+      socket.join(roomId);
+      currentRoom = roomId;
+      spectating = true;
+      playerId = socket.id;
+      // No slot and no clientJoined: the match doesn't know spectators exist
+      return typeof ack === 'function' && ack({ ok: true, role: 'spectator', playerNumber: 0, hostId: room.hostId, dedicated: !!room.sim, settings: room.settings || {}, match: room.match || null });
+    }
+
+    const maxPlayers = (room.settings && room.settings.maxPlayers) || 2;
+    if (room.players.size >= maxPlayers) return typeof ack === 'function' && ack({ ok: false, error: 'Room full' });
+
+    const playerNumber = lowestFreeSlot(room);
+    playerId = socket.id;
+    room.players.add(playerId);
+    room.slots.set(playerId, playerNumber);
+    room.sockets.set(playerId, socket.id);
     socket.join(roomId);
     currentRoom = roomId;
-
-    // Notify host that client joined
-    io.to(room.hostId).emit('clientJoined', { clientId: socket.id });
+    spectating = false;
+    const reconnectToken = issueReconnectToken(room, playerId);
 
     // Tell joiner who the host is and the settings
-    typeof ack === 'function' && ack({ ok: true, role: 'client', playerNumber: 2, hostId: room.hostId, settings: room.settings || {} });
+    typeof ack === 'function' && ack({
+      ok: true, role: 'client', playerId, playerNumber, hostId: room.hostId, dedicated: !!room.sim, settings: room.settings || {}, reconnectToken
+    });
+
+    // Notify whoever runs the match that a client joined
+    if (room.sim) room.sim.addPlayer(playerId, playerNumber);
+    else io.to(socketOf(room, room.hostId)).emit('clientJoined', { clientId: playerId, playerNumber });
+  });
+
+  // Reconnect: bind this socket to the player the token was issued to. Works while the
+  // slot is held after a drop, and also before the server noticed the old socket died
+  // (the old socket is then disconnected and its disconnect ignored).
+  socket.on('rejoinRoom', (roomId, token, ack) => {
+    if (!guard.allow('join')) return typeof ack === 'function' && ack({ ok: false, error: 'Too many requests' });
+    const room = rooms.get(roomId);
+    const id = (room && typeof token === 'string') ? room.tokens.get(token) : null;
+    if (!id || !room.players.has(id)) return typeof ack === 'function' && ack({ ok: false, error: 'Reconnect window expired' });
+    if (currentRoom && currentRoom !== roomId) leaveRoomById(currentRoom, playerId);
+
+    const oldSocketId = room.sockets.get(id);
+    room.sockets.set(id, socket.id);
+    if (oldSocketId && oldSocketId !== socket.id) {
+      const oldSocket = io.sockets.sockets.get(oldSocketId);
+      if (oldSocket) oldSocket.disconnect(true);
+    }
+    const wasDropped = room.dropped.has(id);
+    clearTimeout(room.dropped.get(id));
+    room.dropped.delete(id);
+
+    playerId = id;
+    socket.join(roomId);
+    currentRoom = roomId;
+    spectating = false;
+    const isRoomHost = id === room.hostId;
+    typeof ack === 'function' && ack({
+      ok: true, role: isRoomHost ? 'host' : 'client', playerId: id, playerNumber: room.slots.get(id), hostId: room.hostId,
+      dedicated: !!room.sim, settings: room.settings || {}, reconnectToken: token, match: room.match || null
+    });
+
+    // Whoever runs the match unfreezes the player and sends it a full 'resync'
+    if (isRoomHost) return;
+    if (room.sim) room.sim.rejoinPlayer(id);
+    else io.to(socketOf(room, room.hostId)).emit('clientRejoined', { clientId: id, wasDropped });
   });
 
-  // Client input -> to host
+  // Client input -> to host (or the room's simulation), rebuilt from checked fields only
   socket.on('input', (payload) => {
     const room = rooms.get(currentRoom);
-    if (!room) return;
-    if (socket.id !== room.hostId) {
-      io.to(room.hostId).emit('input', { clientId: socket.id, ...payload });
-    }
+    if (!room || spectating || playerId === room.hostId) return;
+    const input = guard.input(payload, playerWeapon(room, playerId));
+    if (!input) return;
+    if (room.sim) room.sim.handleInput(playerId, input);
+    else io.to(socketOf(room, room.hostId)).emit('input', { ...input, clientId: playerId });
   });
 
   // Host snapshots -> to everyone else
   socket.on('snapshot', (payload) => {
     const room = rooms.get(currentRoom);
-    if (!room || socket.id !== room.hostId) return;
+    if (!room || playerId !== room.hostId || !guard.snapshot(payload)) return;
     socket.to(currentRoom).emit('snapshot', payload);
   });
 
   // Optional: host can update settings mid-room and notify client
   socket.on('updateSettings', (settings) => {
     const room = rooms.get(currentRoom);
-    if (!room || socket.id !== room.hostId) return;
+    if (!room || playerId !== room.hostId) return;
     room.settings = sanitizeSettings(settings);
     socket.to(currentRoom).emit('settings', room.settings);
   });
@@ -375,7 +821,8 @@ io.on('connection', (socket) => {
   function relayHostEvent(eventName) {
     socket.on(eventName, function (payload) {
       var room = rooms.get(currentRoom);
-      if (!room || socket.id !== room.hostId) return;
+      if (!room || playerId !== room.hostId) return;
+      trackRoomEvent(room, eventName, payload);
       socket.to(currentRoom).emit(eventName, payload);
     });
   }
@@ -385,20 +832,37 @@ io.on('connection', (socket) => {
   relayHostEvent('startHeroSelect');
   relayHostEvent('heroesConfirmed');
 
-  // heroSelect — bidirectional relay (either player to the other)
+  // Roster (player ids, slots, teams) from host to clients
+  relayHostEvent('roster');
+
+  // Full match state for one reconnected client, from the host to that client only
+  socket.on('resync', (payload) => {
+    const room = rooms.get(currentRoom);
+    if (!room || playerId !== room.hostId || !payload || typeof payload.clientId !== 'string') return;
+    const target = room.sockets.get(payload.clientId);
+    if (target) io.to(target).emit('resync', payload);
+  });
+
+  // heroSelect — client picks go to the host (or the simulation), tagged with the sender's id
   socket.on('heroSelect', function (payload) {
     var room = rooms.get(currentRoom);
-    if (!room) return;
-    socket.to(currentRoom).emit('heroSelect', payload);
+    if (!room || spectating || playerId === room.hostId) return;
+    const pick = guard.heroSelect(payload, (heroId) => heroWeaponsById().has(heroId));
+    if (!pick) return;
+    if (room.sim) room.sim.handleHeroSelect(playerId, pick.heroId);
+    else io.to(socketOf(room, room.hostId)).emit('heroSelect', { ...pick, clientId: playerId });
   });
 
   // Relay melee visual events from host to clients
   relayHostEvent('melee');
 
+  // Relay ability activations from host to clients (host decides; clients mirror effects/cooldowns)
+  relayHostEvent('ability');
+
   // Relay shot visual events from host to clients (for tracers)
   socket.on('shot', (payload) => {
     const room = rooms.get(currentRoom);
-    if (!room || socket.id !== room.hostId) return;
+    if (!room || playerId !== room.hostId || !guard.shot(payload)) return;
     // payload: { o:[x,y,z], e:[x,y,z], c:number }
     socket.to(currentRoom).emit('shot', payload);
   });
@@ -406,41 +870,19 @@ io.on('connection', (socket) => {
   // Explicit leave: if host calls this, close the room; if client, just leave
   socket.on('leaveRoom', () => {
     if (!currentRoom) return;
-    const room = rooms.get(currentRoom);
-    if (!room) {
-      currentRoom = null;
-      return;
-    }
-    if (socket.id === room.hostId) {
-      // Host leaving: close room and notify any clients
-      io.to(currentRoom).emit('roomClosed');
-      rooms.delete(currentRoom);
-      // Host implicitly leaves via disconnect or socket.leave
-      try { socket.leave(currentRoom); } catch (e) { console.warn('socket.leave failed:', e); }
-    } else {
-      // Client leaving: remove from room and notify host
-      room.players.delete(socket.id);
-      try { socket.leave(currentRoom); } catch (e) { console.warn('socket.leave failed:', e); }
-      io.to(room.hostId).emit('clientLeft', { clientId: socket.id });
-    }
+    try { socket.leave(currentRoom); } catch (e) { console.warn('socket.leave failed:', e); }
+    leaveRoomById(currentRoom, playerId);
     currentRoom = null;
+    spectating = false;
   });
 
+  // Dropped connection: players keep their slot for the grace period, spectators just leave
   socket.on('disconnect', () => {
     if (!currentRoom) return;
     const room = rooms.get(currentRoom);
-    if (!room) { currentRoom = null; return; }
-
-    room.players.delete(socket.id);
-
-    if (socket.id === room.hostId) {
-      // Host left: close room
-      io.to(currentRoom).emit('roomClosed');
-      rooms.delete(currentRoom);
-    } else {
-      // Client left
-      io.to(room.hostId).emit('clientLeft', { clientId: socket.id });
-    }
+    if (spectating || !room) leaveRoomById(currentRoom, playerId);
+    else if (room.sockets.get(playerId) === socket.id) dropPlayer(currentRoom, playerId);
+    // otherwise a rejoin already moved this player to a newer socket
     currentRoom = null;
   });
 });
@@ -449,11 +891,24 @@ function sanitizeSettings(s) {
   s = s || {};
   const out = {
     roundsToWin: clampInt(s.roundsToWin, 1, 10, 2),
+    maxPlayers: clampInt(s.maxPlayers, 2, 8, 2),
+    mode: s.mode === 'teams' ? 'teams' : 'ffa',
+    teamCount: clampInt(s.teamCount, 2, 4, 2),
+    maxRewindMs: clampInt(s.maxRewindMs, 0, 500, 200),
+    dedicated: s.dedicated === true || DEDICATED_BY_DEFAULT,
   };
   if (s.mapName && typeof s.mapName === 'string') out.mapName = s.mapName.substring(0, 100);
   return out;
 }
 
+// Lowest player number not taken in the room (slots free up when players leave)
+function lowestFreeSlot(room) {
+  const taken = new Set(room.slots.values());
+  let n = 1;
+  while (taken.has(n)) n++;
+  return n;
+}
+
 function clampInt(v, min, max, def) {
   const n = parseInt(v, 10);
   if (Number.isNaN(n)) return def;
@@ -467,6 +922,70 @@ function clampNumber(v, min, max, def) {
 
 const PORT = process.env.PORT || 3000;
 const HOST = '0.0.0.0';
+
+// ── LAN discovery (optional, LAN_DISCOVERY=1) ──
+// Browsers can't use UDP, so each server broadcasts a small beacon on the subnet and
+// remembers the beacons it hears; GET /api/servers hands that list to the room browser.
+const DISCOVERY_ENABLED = process.env.LAN_DISCOVERY === '1';
+const DISCOVERY_PORT = clampInt(process.env.DISCOVERY_PORT, 1024, 65535, 41234);
+const DISCOVERY_APP = 'paintball-arena';
+const DISCOVERY_INTERVAL_MS = 2000;
+const DISCOVERY_STALE_MS = 6000;   // forget a server after missing ~3 beacons
+const instanceId = Math.random().toString(36).slice(2, 10);
+// 'address:port' -> { address, port, name, rooms, players, lastSeen }
+const discoveredServers = new Map();
+
+function startDiscovery() {
+  const dgram = require('dgram');
+  const os = require('os');
+  const sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+  sock.on('error', (err) => {
+    console.warn('LAN discovery disabled:', err.message);
+    try { sock.close(); } catch (e) { /* already closed */ }
+  });
+
+  sock.on('message', (msg, rinfo) => {
+    let beacon;
+    try { beacon = JSON.parse(msg.toString('utf8')); } catch (e) { return; }
+    if (!beacon || beacon.app !== DISCOVERY_APP || beacon.id === instanceId) return;
+    const port = clampInt(beacon.port, 1, 65535, 0);
+    if (!port) return;
+    discoveredServers.set(rinfo.address + ':' + port, {
+      address: rinfo.address,
+      port,
+      name: typeof beacon.name === 'string' ? beacon.name.substring(0, 50) : rinfo.address,
+      rooms: clampInt(beacon.rooms, 0, 1000, 0),
+      players: clampInt(beacon.players, 0, 8000, 0),
+      lastSeen: Date.now()
+    });
+  });
+
+  sock.bind(DISCOVERY_PORT, () => {
+    sock.setBroadcast(true);
+    console.log(`LAN discovery on UDP ${DISCOVERY_PORT}`);
+    setInterval(() => {
+      let players = 0;
+      rooms.forEach((room) => { players += room.players.size; });
+      const beacon = Buffer.from(JSON.stringify({
+        app: DISCOVERY_APP, id: instanceId, port: Number(PORT), name: os.hostname(), rooms: rooms.size, players
+      }));
+      sock.send(beacon, DISCOVERY_PORT, '255.255.255.255', (err) => {
+        if (err) console.warn('LAN discovery: beacon failed:', err.message);
+      });
+      const cutoff = Date.now() - DISCOVERY_STALE_MS;
+      discoveredServers.forEach((entry, key) => { if (entry.lastSeen < cutoff) discoveredServers.delete(key); });
+    }, DISCOVERY_INTERVAL_MS).unref();
+  });
+}
+
+// Other servers heard on the subnet (always empty when discovery is off)
+app.get('/api/servers', function (req, res) {
+  res.json(Array.from(discoveredServers.values(), ({ lastSeen, ...entry }) => entry));
+});
+
+if (DISCOVERY_ENABLED) startDiscovery();
+
 server.listen(PORT, HOST, () => {
   console.log(`LAN server listening at http://${HOST}:${PORT}`);
 });
@@ -0,0 +1,637 @@
+/**
+ * serverSim.js — Headless authoritative LAN match simulation (Node)
+ *
+ * PURPOSE: Lets server.js run a room's match itself instead of trusting a
+ * browser host. Runs the same game code the browser uses — physics.js movement,
+ * projectiles.js hit tests, mapFormat.js arena colliders, player.js hitboxes,
+ * heroes.js/abilities.js — inside a Node vm context backed by the `three` npm
+ * package, with nothing rendered. Speaks the same Socket.IO protocol as the
+ * browser host in modeLAN.js, so every browser in a dedicated room is a client.
+ *
+ * EXPORTS (module.exports):
+ *   createRoomSimulation(opts) — start the simulation for one room
+ *     opts: { settings, mapData, heroes, jsonSnapshots, emit(eventName, payload),
+ *             emitTo(id, eventName, payload) }
+ *     returns { addPlayer(id, slot), removePlayer(id), dropPlayer(id), rejoinPlayer(id),
+ *               handleInput(id, payload), handleHeroSelect(id, heroId), stop() }
+ *   createGameContext(heroes) — a fresh vm context with the shared scripts loaded
+ *     (also used by the test suite in tests/)
+ *
+ * DEPENDENCIES: three (npm, r128 to match the client CDN build), Node vm/fs/perf_hooks.
+ *   Browser scripts run per room: config.js, simCore.js, physics.js, weapon.js, hud.js,
+ *   heroes.js, abilities.js, player.js, lagCompensation.js, arenaBuilder.js,
+ *   mapFormat.js, navGrid.js, projectiles.js, netCodec.js
+ *
+ * DESIGN NOTES:
+ *   - Each room gets its own vm context because projectiles.js keeps live
+ *     projectiles in module state; a shared context would mix rooms. Scripts
+ *     are compiled once and re-run in each context.
+ *   - Browser-only hooks (sounds, HUD, camera, weapon models) are simply absent
+ *     from the context; the shared scripts already guard them with typeof checks.
+ *   - Match flow mirrors the browser host in modeLAN.js (waiting → hero select →
+ *     countdown → round → result). Keep the two in sync when changing rules.
+ *   - Every player is "remote" here: movement and abilities come from their input
+ *     packets (one ability update and physics step per packet, acked by seq in the snapshot so clients can replay
+ *     the rest) and aim from the forward vector they send. Shots are lag compensated from the
+ *     viewT in those packets, exactly as the browser host does.
+ *   - A dropped player (server.js holds its slot during the reconnect grace period)
+ *     is frozen: no input, no snapshot acks. On rejoin it gets the same 'resync'
+ *     the browser host sends (roster, scores, heroes, phase and time left).
+ *   - Snapshots and shots use netCodec.js binary encoding like the browser host
+ *     (opts.jsonSnapshots keeps the JSON debug format). Encoded bytes come out
+ *     of the vm as typed arrays and are wrapped in a Buffer for Socket.IO.
+ *   - The room advances in fixed SIM_DT steps through simCore.js FixedStepLoop (the
+ *     interval only feeds it elapsed time), so weapon timers and
+ *     projectiles don't depend on timer jitter. `now` inside a step is ctx.simNow().
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const TICK_MS = 1000 / 60;         // how often the interval drives the simulation loop
+const SNAPSHOT_MS = 33;            // ms between snapshots (~30Hz), same as modeLAN.js
+const MAX_DT = 0.05;               // max dt of one client input packet (seconds)
+const ROUND_BANNER_MS = 1200;      // pause after a round result
+const COUNTDOWN_SECONDS = 3;       // pre-round countdown
+const HERO_SELECT_SECONDS = 15;
+const SHOT_DELAY_AFTER_COUNTDOWN = 300;
+const MAX_QUEUED_INPUTS = 30;      // per-player input backlog before old packets are dropped
+const TEAM_LETTERS = ['A', 'B', 'C', 'D'];
+const TRACER_COLOR = 0x66aaff;
+
+const SHARED_SCRIPTS = [
+  'config.js', 'simCore.js', 'physics.js', 'weapon.js', 'hud.js', 'heroes.js', 'abilities.js',
+  'player.js', 'lagCompensation.js', 'arenaBuilder.js', 'mapFormat.js', 'navGrid.js',
+  'projectiles.js', 'netCodec.js'
+];
+
+let compiledScripts = null;
+
+function compileScripts() {
+  if (compiledScripts) return compiledScripts;
+  compiledScripts = SHARED_SCRIPTS.map((file) => {
+    const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return new vm.Script(code, { filename: file });
+  });
+  return compiledScripts;
+}
+
+// Fresh browser-like global for one room: window === global, a scene nobody renders
+function createGameContext(heroes) {
+  const THREE = require('three');
+  const ctx = {
+    THREE,
+    console,
+    performance,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    // Tracer/melee animations in the shared scripts use rAF; run them at ~60Hz
+    requestAnimationFrame: (fn) => setTimeout(() => fn(performance.now()), 16),
+    cancelAnimationFrame: (id) => clearTimeout(id),
+  };
+  ctx.window = ctx;
+  ctx.scene = new THREE.Scene();
+  vm.createContext(ctx);
+  compileScripts().forEach((script) => script.runInContext(ctx));
+  // Same rule as loadHeroesFromServer(): saved heroes replace the built-ins
+  const valid = (heroes || []).filter((h) => h && h.id);
+  if (valid.length) ctx.HEROES = valid;
+  return ctx;
+}
+
+function createRoomSimulation(opts) {
+  const settings = opts.settings || {};
+  const emit = opts.emit;
+  const emitTo = opts.emitTo || (() => {});
+  const ctx = createGameContext(opts.heroes);
+  const THREE = ctx.THREE;
+  const arena = ctx.buildArenaFromMap(opts.mapData || ctx.getDefaultMapData());
+
+  const teamMode = settings.mode === 'teams';
+  const teamCount = Math.max(2, Math.min(4, settings.teamCount || 2));
+  const maxRewindMs = (typeof settings.maxRewindMs === 'number') ? settings.maxRewindMs : ctx.LAG_COMP_DEFAULT_REWIND_MS;
+  const match = { scores: {}, toWin: settings.roundsToWin || 2, roundActive: false };
+  const roster = [];               // [{id, slot, team}] sorted by slot
+  const entities = new Map();      // id -> { player, latest, queue, ackSeq, snapAck, reloadPending, meleePending, melee, dropped }
+  const snapshotEncoder = new ctx.SnapshotEncoder();
+  const timers = new Set();
+  let waitingForPlayers = true;
+  let heroSelections = {};
+  let heroSelectIds = null;
+  let phaseEndsAt = 0;             // when hero select or the countdown runs out, for resyncs
+  let lastIntervalMs = performance.now();
+  let lastSnapshotMs = 0;
+  let stopped = false;
+
+  function later(fn, ms) {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      if (!stopped) fn();
+    }, ms);
+    timers.add(id);
+    return id;
+  }
+
+  function clearTimers() {
+    timers.forEach((id) => clearTimeout(id));
+    timers.clear();
+  }
+
+  // ── Roster ──
+
+  function rosterEntry(id) {
+    return roster.find((e) => e.id === id) || null;
+  }
+
+  function scoreKeyFor(entry) {
+    return teamMode ? entry.team : entry.id;
+  }
+
+  function areEnemies(a, b) {
+    if (!a || !b || a === b) return false;
+    if (teamMode && a.team && a.team === b.team) return false;
+    return true;
+  }
+
+  function pickTeamForJoiner() {
+    const teams = TEAM_LETTERS.slice(0, teamCount);
+    const counts = {};
+    teams.forEach((t) => { counts[t] = 0; });
+    roster.forEach((e) => { if (counts.hasOwnProperty(e.team)) counts[e.team]++; });
+    return teams.reduce((best, t) => (counts[t] < counts[best] ? t : best), teams[0]);
+  }
+
+  function broadcastRoster() {
+    emit('roster', { players: roster, mode: teamMode ? 'teams' : 'ffa', teamCount, scores: match.scores });
+  }
+
+  function createPlayer() {
+    const hero = ctx.getHeroById('marksman') || ctx.HEROES[0];
+    const p = new ctx.Player({
+      position: new THREE.Vector3(),
+      feetY: ctx.GROUND_Y,
+      walkSpeed: 4.5,
+      sprintSpeed: 8.5,
+      radius: 0.5,
+      maxHealth: 100,
+      cameraAttached: false,
+      weapon: new ctx.Weapon(hero.weapon)
+    });
+    p.input = { moveX: 0, moveZ: 0, sprint: false, jump: false, fireDown: false, reloadPressed: false, meleeDown: false, forward: new THREE.Vector3(0, 0, -1) };
+    return p;
+  }
+
+  function addPlayer(id, slot) {
+    if (rosterEntry(id)) return;
+    const entry = { id, slot, team: teamMode ? pickTeamForJoiner() : null };
+    roster.push(entry);
+    roster.sort((a, b) => a.slot - b.slot);
+    const player = createPlayer();
+    player.team = entry.team;
+    entities.set(id, {
+      player, latest: {}, queue: [], ackSeq: 0, snapAck: null, reloadPending: false, meleePending: false,
+      melee: { swinging: false, swingEnd: 0 }, dropped: false
+    });
+    const key = scoreKeyFor(entry);
+    if (!match.scores.hasOwnProperty(key)) match.scores[key] = 0;
+    broadcastRoster();
+
+    if (waitingForPlayers && roster.length >= 2) {
+      waitingForPlayers = false;
+      later(() => {
+        if (waitingForPlayers) return;
+        placePlayersAtSpawns();
+        startHeroSelectPhase();
+      }, ROUND_BANNER_MS);
+    } else if (waitingForPlayers) {
+      emit('waitingForPlayers', {});
+    } else {
+      // Match in progress: sit out until the next round resets everyone
+      player.alive = false;
+      player.setVisible(false);
+    }
+  }
+
+  function removePlayer(id) {
+    const entry = rosterEntry(id);
+    if (!entry) return;
+    roster.splice(roster.indexOf(entry), 1);
+    const ent = entities.get(id);
+    if (ent) {
+      try { ent.player.destroy(); } catch (e) { console.warn('serverSim: player.destroy failed:', e); }
+    }
+    entities.delete(id);
+    delete heroSelections[id];
+    if (!teamMode) delete match.scores[id];
+    broadcastRoster();
+
+    if (roster.length < 2) {
+      enterWaitingForPlayers();
+      return;
+    }
+    if (heroSelectIds) {
+      heroSelectIds = heroSelectIds.filter((hid) => hid !== id);
+      checkAllHeroesPicked();
+    }
+    checkRoundEnd();
+  }
+
+  // Connection lost: stand still until the player rejoins or server.js removes it
+  function dropPlayer(id) {
+    const ent = entities.get(id);
+    if (!ent) return;
+    ent.dropped = true;
+    ent.latest = {};
+    ent.queue = [];
+    ent.reloadPending = false;
+    ent.meleePending = false;
+  }
+
+  function rejoinPlayer(id) {
+    const ent = entities.get(id);
+    if (!ent) return;
+    ent.dropped = false;
+    ent.ackSeq = 0;
+    ent.snapAck = null;  // next snapshot is a keyframe for everyone
+    emitTo(id, 'resync', buildResync(id));
+  }
+
+  // Everything a reconnected client needs that snapshots don't carry
+  function buildResync(id) {
+    const heroes = {};
+    entities.forEach((ent, eid) => { if (ent.player._heroId) heroes[eid] = ent.player._heroId; });
+    const now = performance.now();
+    let phase = 'roundOver';
+    if (waitingForPlayers) phase = 'waiting';
+    else if (heroSelectIds) phase = 'heroSelect';
+    else if (match.roundActive) phase = 'round';
+    else if (phaseEndsAt > now) phase = 'countdown';
+    return {
+      clientId: id, roster, mode: teamMode ? 'teams' : 'ffa', teamCount, scores: match.scores, toWin: match.toWin, heroes, phase,
+      seconds: (phase === 'heroSelect' || phase === 'countdown') ? Math.max(0, (phaseEndsAt - now) / 1000) : 0,
+      picked: !!heroSelections[id] || !!(heroSelectIds && heroSelectIds.indexOf(id) === -1)
+    };
+  }
+
+  function enterWaitingForPlayers() {
+    waitingForPlayers = true;
+    match.roundActive = false;
+    heroSelectIds = null;
+    clearTimers();
+    ctx.clearAllProjectiles();
+    emit('waitingForPlayers', {});
+  }
+
+  // ── Round flow ──
+
+  function placePlayersAtSpawns() {
+    const spawns = ctx.assignSpawnPositions(arena, roster, teamMode);
+    roster.forEach((entry) => {
+      const ent = entities.get(entry.id);
+      ent.player.resetForRound(spawns[entry.id] || arena.spawns.A);
+      ctx.clearHitboxHistory(ent.player);
+      ent.melee = { swinging: false, swingEnd: 0 };
+    });
+  }
+
+  function startHeroSelectPhase() {
+    heroSelections = {};
+    heroSelectIds = roster.map((e) => e.id);
+    phaseEndsAt = performance.now() + HERO_SELECT_SECONDS * 1000;
+    emit('startHeroSelect', { seconds: HERO_SELECT_SECONDS });
+    // Fallback: force-finish one second after the client timers run out
+    later(finishHeroSelect, (HERO_SELECT_SECONDS + 1) * 1000);
+  }
+
+  function handleHeroSelect(id, heroId) {
+    if (!heroSelectIds || heroSelectIds.indexOf(id) === -1) return;
+    if (typeof heroId !== 'string' || !ctx.getHeroById(heroId)) return;
+    heroSelections[id] = heroId;
+    checkAllHeroesPicked();
+  }
+
+  function checkAllHeroesPicked() {
+    if (!heroSelectIds) return;
+    if (heroSelectIds.every((id) => heroSelections[id])) finishHeroSelect();
+  }
+
+  function finishHeroSelect() {
+    if (!heroSelectIds) return;
+    clearTimers();
+    const heroes = {};
+    heroSelectIds.forEach((id) => {
+      const ent = entities.get(id);
+      if (!ent) return;
+      heroes[id] = heroSelections[id] || 'marksman';
+      ctx.applyHeroToPlayer(ent.player, heroes[id]);
+      ent.player.weapon.reset();
+    });
+    heroSelectIds = null;
+    emit('heroesConfirmed', { heroes });
+    emit('startRound', { seconds: COUNTDOWN_SECONDS });
+
+    const now = performance.now();
+    phaseEndsAt = now + COUNTDOWN_SECONDS * 1000;
+    entities.forEach((ent) => { ent.player.weapon.lastShotTime = now + SHOT_DELAY_AFTER_COUNTDOWN; });
+    later(() => { match.roundActive = true; }, COUNTDOWN_SECONDS * 1000);
+  }
+
+  function checkRoundEnd() {
+    if (!match.roundActive) return false;
+    const aliveKeys = [];
+    roster.forEach((entry) => {
+      const ent = entities.get(entry.id);
+      if (!ent || !ent.player.alive) return;
+      const key = scoreKeyFor(entry);
+      if (aliveKeys.indexOf(key) === -1) aliveKeys.push(key);
+    });
+    if (aliveKeys.length > 1) return false;
+    endRound(aliveKeys.length === 1 ? aliveKeys[0] : null);
+    return true;
+  }
+
+  function endRound(winnerKey) {
+    match.roundActive = false;
+    ctx.clearAllProjectiles();
+    if (winnerKey) match.scores[winnerKey] = (match.scores[winnerKey] || 0) + 1;
+    emit('roundResult', { winner: winnerKey, scores: match.scores });
+
+    if (winnerKey && match.scores[winnerKey] >= match.toWin) {
+      emit('matchOver', { scores: match.scores });
+      // Clients leave on matchOver; the room closes once it is empty
+      waitingForPlayers = true;
+      return;
+    }
+    later(() => {
+      if (waitingForPlayers) return;
+      placePlayersAtSpawns();
+      startHeroSelectPhase();
+    }, ROUND_BANNER_MS);
+  }
+
+  // ── Input ──
+
+  function handleInput(id, payload) {
+    const ent = entities.get(id);
+    if (!ent || ent.dropped || !payload) return;
+    // Movement (jump included) is applied per packet; see simulatePlayer
+    if (Number.isFinite(payload.seq)) {
+      ent.queue.push(payload);
+      if (ent.queue.length > MAX_QUEUED_INPUTS) ent.queue.shift();
+    }
+    if (Number.isFinite(payload.snapAck)) ent.snapAck = payload.snapAck;
+    // Accumulate one-shot flags so they survive several packets per tick
+    if (payload.reloadPressed) ent.reloadPending = true;
+    if (payload.meleeDown) ent.meleePending = true;
+    ent.latest = payload;
+  }
+
+  // ── Combat ──
+
+  function aimDirection(p) {
+    const f = p.input.forward;
+    if (f && f.isVector3 && f.lengthSq() > 1e-6) return f.clone().normalize();
+    return new THREE.Vector3(0, 0, -1);
+  }
+
+  function aliveEnemiesOf(p) {
+    const out = [];
+    entities.forEach((ent) => {
+      if (ent.player.alive && areEnemies(p, ent.player)) out.push(ent.player);
+    });
+    return out;
+  }
+
+  function applyHit(victim, amount) {
+    if (!victim || !victim.alive) return false;
+    victim.takeDamage(amount);
+    if (!victim.alive) return checkRoundEnd();
+    return false;
+  }
+
+  function handleMelee(id, ent, now) {
+    const p = ent.player;
+    const w = p.weapon;
+    if (ent.melee.swinging) {
+      if (now >= ent.melee.swingEnd) ent.melee.swinging = false;
+      return false;
+    }
+    if (!p.input.meleeDown) return true;
+    if (w.reloading) return true;
+    if ((now - w.lastMeleeTime) < w.meleeCooldownMs) return true;
+
+    const targets = aliveEnemiesOf(p).map((e) => ({ segments: e.getHitSegments(), entity: e }));
+    ctx.sharedMeleeAttack(w, p.position.clone(), aimDirection(p), {
+      solids: arena.solids,
+      targets,
+      onHit: (target, point, dist, totalDamage) => { applyHit(target && target.entity, totalDamage); }
+    });
+    ent.melee.swinging = true;
+    ent.melee.swingEnd = now + w.meleeSwingMs;
+    emit('melee', { playerId: id, swingMs: w.meleeSwingMs });
+    p.input.meleeDown = false;
+    return false;
+  }
+
+  function handleShooting(ent, now) {
+    const p = ent.player;
+    const w = p.weapon;
+    const inp = p.input;
+    if (inp.reloadPressed) {
+      ctx.sharedStartReload(w, now, p.abilities);
+      inp.reloadPressed = false;
+      return;
+    }
+    if (w.reloading || !inp.fireDown) return;
+    if ((now - w.lastShotTime) < w.cooldownMs) return;
+    if (w.ammo <= 0) {
+      ctx.sharedStartReload(w, now, p.abilities);
+      return;
+    }
+
+    const dir = aimDirection(p);
+    const origin = p.position.clone().add(dir.clone().multiplyScalar(0.2)).add(new THREE.Vector3(0, -0.05, 0));
+    // Test against targets where this client saw them (see lagCompensation.js)
+    const rewindT = ctx.resolveRewindTime((ent.latest || {}).viewT, now, maxRewindMs);
+    const rewindMs = now - rewindT;
+    const hitEntities = aliveEnemiesOf(p);
+    const result = ctx.sharedFireWeapon(w, origin, dir, {
+      sprinting: !!inp.sprint,
+      solids: arena.solids,
+      targets: hitEntities.map((e) => ({ segments: ctx.rewoundHitSegments(e, rewindT), entity: e })),
+      projectileTargetEntities: hitEntities,
+      projectileSegmentsFor: rewindMs > 0 ? (e) => ctx.rewoundHitSegments(e, ctx.simNow() - rewindMs) : null,
+      tracerColor: TRACER_COLOR,
+      onHit: (target, point, dist, pelletIdx, damageMultiplier) => {
+        // Hitscan passes the target record, projectiles pass the entity itself
+        const victim = (target && target.entity) || target;
+        if (applyHit(victim, w.damage * (damageMultiplier || 1.0))) return false;
+      },
+      onPelletFired: (pelletResult) => {
+        if (w.projectileSpeed && w.projectileSpeed > 0) {
+          const d = pelletResult.dir || new THREE.Vector3(0, 0, -1);
+          emitShot({ o: [origin.x, origin.y, origin.z], d: [d.x, d.y, d.z], c: TRACER_COLOR, s: w.projectileSpeed, g: w.projectileGravity || 0, w: w.modelType });
+        } else if (pelletResult && pelletResult.point) {
+          const e = pelletResult.point;
+          emitShot({ o: [origin.x, origin.y, origin.z], e: [e.x, e.y, e.z], c: TRACER_COLOR, w: w.modelType });
+        }
+      }
+    });
+    if (result.magazineEmpty) ctx.sharedStartReload(w, now, p.abilities);
+  }
+
+  // ── Simulation ──
+
+  // Lowercased ability keys of one input packet, or null when it carries none
+  function packetAbilityKeys(cmd) {
+    if (!Array.isArray(cmd.abilityKeys) || cmd.abilityKeys.length === 0) return null;
+    const keys = [];
+    cmd.abilityKeys.slice(0, 8).forEach((k) => {
+      const keyName = String(k).toLowerCase();
+      if (keys.indexOf(keyName) === -1) keys.push(keyName);
+    });
+    return keys;
+  }
+
+  function simulatePlayer(id, ent, dt, activeRound) {
+    const p = ent.player;
+    const inp = p.input;
+    const latest = ent.latest || {};
+    inp.sprint = activeRound && !!latest.sprint;
+    inp.fireDown = activeRound && !!latest.fireDown;
+    if (activeRound && (latest.meleeDown || ent.meleePending)) inp.meleeDown = true;
+    if (activeRound && (latest.reloadPressed || ent.reloadPending)) inp.reloadPressed = true;
+    const f = latest.forward;
+    if (Array.isArray(f) && f.length === 3 && f.every(Number.isFinite)) {
+      inp.forward = new THREE.Vector3(f[0], f[1], f[2]);
+      p._hitboxYaw = Math.atan2(f[0], f[2]);
+    }
+
+    // One ability update and one physics step per packet with the client's dt,
+    // matching its prediction (a dash starts on the packet that carried the key)
+    const queue = ent.queue;
+    ent.queue = [];
+    queue.forEach((cmd) => {
+      const cmdDt = Math.max(0, Math.min(MAX_DT, Number(cmd.dt) || 0));
+      const cf = cmd.forward;
+      const cmdFwd = (Array.isArray(cf) && cf.length === 3 && cf.every(Number.isFinite))
+        ? new THREE.Vector3(cf[0], cf[1], cf[2]) : inp.forward;
+      if (p.abilities) {
+        const keys = activeRound ? packetAbilityKeys(cmd) : null;
+        const lookDir = ctx.moveDirFromForward(cmdFwd, 1, 0);
+        const fired = p.abilities.update(cmdDt, keys ? { abilityKeys: keys } : null, null, { direction: lookDir });
+        const yaw = Math.atan2(-lookDir.x, -lookDir.z); // camera yaw, as syncActivation expects
+        (fired || []).forEach((abilityId) => emit('ability', { playerId: id, id: abilityId, yaw }));
+      }
+      if (p.alive) {
+        const moveDir = activeRound
+          ? ctx.moveDirFromForward(cmdFwd, Number(cmd.moveZ) || 0, Number(cmd.moveX) || 0)
+          : new THREE.Vector3();
+        ctx.updateFullPhysics(p, { worldMoveDir: moveDir, sprint: activeRound && !!cmd.sprint, jump: activeRound && !!cmd.jump },
+          { colliders: arena.colliders, solids: arena.solids }, cmdDt);
+      }
+      ent.ackSeq = cmd.seq;
+    });
+    p._meshGroup.rotation.set(0, p._hitboxYaw, 0);
+    p._syncMeshPosition();
+  }
+
+  // Typed arrays from the vm context → Buffer, which Socket.IO sends as binary
+  function toBuffer(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  function emitShot(shot) {
+    emit('shot', opts.jsonSnapshots ? shot : toBuffer(ctx.encodeShot(shot)));
+  }
+
+  function packPlayer(ent) {
+    const p = ent.player;
+    return {
+      pos: [p.position.x, p.position.y, p.position.z],
+      feetY: p.feetY,
+      grounded: p.grounded,
+      vVel: p.verticalVelocity,
+      airJumps: p._airJumpsUsed || 0,
+      ack: ent.ackSeq,
+      health: p.health,
+      alive: p.alive,
+      yaw: p._hitboxYaw,
+      ammo: p.weapon.ammo,
+      magSize: p.weapon.magSize,
+      reloading: p.weapon.reloading,
+      reloadEnd: p.weapon.reloadEnd,
+    };
+  }
+
+  // One fixed simulation step (ctx.SIM_DT)
+  function step(dt) {
+    if (stopped) return false;
+    const now = ctx.simNow();
+    const activeRound = match.roundActive;
+
+    entities.forEach((ent, id) => simulatePlayer(id, ent, dt, activeRound));
+    entities.forEach((ent) => {
+      if (ent.player.alive) ctx.recordHitboxHistory(ent.player, now, maxRewindMs);
+    });
+    entities.forEach((ent, id) => {
+      if (!ent.player.alive) return;
+      const canShoot = handleMelee(id, ent, now);
+      if (canShoot && !ent.melee.swinging) handleShooting(ent, now);
+    });
+    entities.forEach((ent) => {
+      ctx.sharedHandleReload(ent.player.weapon, now);
+      ent.reloadPending = false;
+      ent.meleePending = false;
+    });
+    ctx.updateProjectiles(dt);
+
+    if (now - lastSnapshotMs >= SNAPSHOT_MS) {
+      lastSnapshotMs = now;
+      if (opts.jsonSnapshots) {
+        const players = {};
+        entities.forEach((ent, id) => { players[id] = packPlayer(ent); });
+        emit('snapshot', { players, t: now });
+      } else {
+        const bySlot = {};
+        const acks = [];
+        roster.forEach((entry) => {
+          const ent = entities.get(entry.id);
+          bySlot[entry.slot] = packPlayer(ent);
+          if (!ent.dropped) acks.push(ent.snapAck);  // a dropped player receives nothing
+        });
+        emit('snapshot', toBuffer(snapshotEncoder.encode(now, bySlot, acks)));
+      }
+    }
+  }
+
+  const simLoop = new ctx.FixedStepLoop({ onStep: step });
+
+  function tick() {
+    if (stopped) return;
+    const nowMs = performance.now();
+    simLoop.advance((nowMs - lastIntervalMs) / 1000);
+    lastIntervalMs = nowMs;
+  }
+
+  const loop = setInterval(tick, TICK_MS);
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(loop);
+    clearTimers();
+    try { ctx.clearAllProjectiles(); } catch (e) { console.warn('serverSim: clearAllProjectiles failed:', e); }
+    entities.forEach((ent) => {
+      try { ent.player.destroy(); } catch (e) { console.warn('serverSim: player.destroy failed:', e); }
+    });
+    entities.clear();
+  }
+
+  return { addPlayer, removePlayer, dropPlayer, rejoinPlayer, handleInput, handleHeroSelect, stop };
+}
+
+module.exports = { createRoomSimulation, createGameContext };
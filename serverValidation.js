@@ -0,0 +1,292 @@
+/**
+ * serverValidation.js — Schema checks and rate limits for LAN traffic (Node)
+ *
+ * PURPOSE: server.js used to forward whatever a socket sent. A modified client could
+ * then speed-hack with oversized dt, snap its aim around instantly, or flood the room.
+ * Each socket gets a guard that rebuilds its packets from known fields only, clamps
+ * impossible values, throttles each event type and logs what it had to fix.
+ *
+ * EXPORTS (module.exports):
+ *   createClientGuard(label) — per-socket guard; label() names the socket in logs
+ *     returns { allow(eventName), input(payload, weapon), heroSelect(payload, isKnownHero),
+ *               snapshot(payload), shot(payload) }
+ *     input() returns a clean copy of the packet or null to drop it; weapon is
+ *     { cooldownMs, meleeCooldownMs } for the sender's current hero.
+ *
+ * DEPENDENCIES: none (server.js passes hero data in)
+ *
+ * DESIGN NOTES:
+ *   - Rate limits are token buckets per event. Over-limit packets are dropped, not
+ *     queued, so a flood costs the room nothing beyond the check.
+ *   - Speed: a client's dt is the frame time it simulated, and the host runs one
+ *     physics step per packet with it. Each guard keeps a dt budget that refills
+ *     with real time (plus DT_BURST_SEC of slack for bunched packets), so the sum of
+ *     dt can't outrun the clock however many packets are sent.
+ *   - Aim: yaw may turn at most MAX_TURN_RATE rad/s of simulated time; pitch stays
+ *     short of straight up/down. Forward vectors are renormalized. A clamped turn is
+ *     only logged while firing, since respawns legitimately swing the camera at once.
+ *   - Fire: the host already fires no faster than cooldownMs while fireDown is held.
+ *     The guard also drops fire and melee presses that outrun the weapon's cooldown.
+ *     Presses are timed by arrival, and jitter can bunch an honest client's packets.
+ *     So each press type is a token bucket that refills one press per cooldown and
+ *     holds PRESS_BURST: a single early press passes, a sustained faster rate doesn't.
+ *   - Violations are counted per kind and logged at most once per LOG_INTERVAL_MS
+ *     per socket, so a cheating client can't flood the server log either.
+ *
+ * TODO (future):
+ *   - Kick sockets that keep violating instead of only logging them
+ */
+
+const MAX_DT = 0.05;               // same clamp as modeLAN.js and serverSim.js
+const DT_BURST_SEC = 0.25;         // dt budget slack for packets that arrive bunched
+const MAX_TURN_RATE = 30;          // rad/s of yaw a packet may turn (~1700°/s)
+const MAX_PITCH = Math.PI / 2 - 0.01;
+const MAX_ABILITY_KEYS = 8;
+const MAX_SNAPSHOT_BYTES = 1024;   // 8 players of full binary state fit in ~400
+const MAX_SHOT_BYTES = 256;
+const MAX_JSON_PLAYERS = 8;
+const LOG_INTERVAL_MS = 5000;
+const PRESS_BURST = 2;             // fire/melee presses banked: one spare for bunched packets
+
+// eventName -> [tokens per second, burst]
+const RATE_LIMITS = {
+  input: [250, 60],           // one per client frame; high refresh rate monitors send more
+  heroSelect: [5, 5],
+  snapshot: [60, 20],         // hosts send ~30/s
+  shot: [400, 100],           // host relays every pellet of every player
+  join: [5, 5]                // createRoom / joinRoom / rejoinRoom
+};
+
+// netCodec.js binary header: u8 version, u8 message type, ...
+const NET_PROTOCOL_VERSION = 1;
+const MSG_SNAPSHOT = 1;
+const MSG_SHOT = 2;
+
+function createRateLimiter(ratePerSec, burst) {
+  let tokens = burst;
+  let last = Date.now();
+  return function allow() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - last) / 1000 * ratePerSec);
+    last = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+}
+
+// Like createRateLimiter, but refilled once per cooldownMs of the current weapon
+function createPressLimiter() {
+  let tokens = PRESS_BURST;
+  let last = Date.now();
+  return function allow(cooldownMs) {
+    const now = Date.now();
+    if (!(cooldownMs > 0)) {
+      last = now;
+      return true;
+    }
+    tokens = Math.min(PRESS_BURST, tokens + (now - last) / cooldownMs);
+    last = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function wrapAngle(a) {
+  while (a > Math.PI) a -= Math.PI * 2;
+  while (a < -Math.PI) a += Math.PI * 2;
+  return a;
+}
+
+function isBinary(payload) {
+  return Buffer.isBuffer(payload) || payload instanceof ArrayBuffer || ArrayBuffer.isView(payload);
+}
+
+function binaryHeader(payload) {
+  const bytes = Buffer.isBuffer(payload) ? payload
+    : (payload instanceof ArrayBuffer ? Buffer.from(payload) : Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength));
+  return { length: bytes.length, version: bytes[0], type: bytes[1] };
+}
+
+function createClientGuard(label) {
+  const limiters = {};
+  Object.keys(RATE_LIMITS).forEach((name) => { limiters[name] = createRateLimiter(RATE_LIMITS[name][0], RATE_LIMITS[name][1]); });
+
+  const counts = {};
+  let lastLogMs = 0;
+  let lastSeq = -1;
+  let dtBudget = DT_BURST_SEC;
+  let dtBudgetAt = Date.now();
+  let yaw = null;
+  let fireWasDown = false;
+  const allowFirePress = createPressLimiter();
+  const allowMeleePress = createPressLimiter();
+
+  function violation(kind) {
+    counts[kind] = (counts[kind] || 0) + 1;
+    const now = Date.now();
+    if (now - lastLogMs < LOG_INTERVAL_MS) return;
+    lastLogMs = now;
+    const summary = Object.keys(counts).map((k) => k + ' x' + counts[k]).join(', ');
+    Object.keys(counts).forEach((k) => { delete counts[k]; });
+    console.warn('input guard: ' + label() + ': ' + summary);
+  }
+
+  function allow(eventName) {
+    const limiter = limiters[eventName];
+    if (!limiter || limiter()) return true;
+    violation(eventName + ' flood');
+    return false;
+  }
+
+  // Simulated time can't run ahead of real time (speed hacks)
+  function budgetDt(dt) {
+    const now = Date.now();
+    dtBudget = Math.min(DT_BURST_SEC, dtBudget + (now - dtBudgetAt) / 1000);
+    dtBudgetAt = now;
+    if (dt > dtBudget + 1e-4) {
+      violation('speed');
+      dt = Math.max(0, dtBudget);
+    }
+    dtBudget -= dt;
+    return dt;
+  }
+
+  // Renormalize, keep pitch off the poles and limit how far yaw turned since the last packet
+  function cleanForward(f, dt, firing) {
+    if (!Array.isArray(f) || f.length !== 3 || !f.every(isFiniteNumber)) return null;
+    const len = Math.hypot(f[0], f[1], f[2]);
+    if (len < 1e-6) return null;
+    let pitch = Math.asin(clamp(f[1] / len, -1, 1));
+    let newYaw = Math.atan2(f[0], f[2]);
+    if (Math.abs(pitch) > MAX_PITCH) {
+      violation('pitch');
+      pitch = clamp(pitch, -MAX_PITCH, MAX_PITCH);
+    }
+    if (yaw !== null) {
+      const maxTurn = MAX_TURN_RATE * Math.max(dt, 1 / 60);
+      const delta = wrapAngle(newYaw - yaw);
+      if (Math.abs(delta) > maxTurn) {
+        if (firing) violation('turn');
+        newYaw = wrapAngle(yaw + clamp(delta, -maxTurn, maxTurn));
+      }
+    }
+    yaw = newYaw;
+    const cp = Math.cos(pitch);
+    return [Math.sin(newYaw) * cp, Math.sin(pitch), Math.cos(newYaw) * cp];
+  }
+
+  // Rebuild an input packet from the fields modeLAN.js sends; null drops it
+  function input(payload, weapon) {
+    if (!allow('input')) return null;
+    if (!payload || typeof payload !== 'object') {
+      violation('malformed input');
+      return null;
+    }
+    const seq = payload.seq;
+    if (!Number.isInteger(seq) || seq < 0) {
+      violation('malformed input');
+      return null;
+    }
+    if (seq <= lastSeq) {
+      violation('replayed seq');
+      return null;
+    }
+    lastSeq = seq;
+
+    let dt = isFiniteNumber(payload.dt) ? payload.dt : 0;
+    if (dt < 0 || dt > MAX_DT) {
+      violation('dt');
+      dt = clamp(dt, 0, MAX_DT);
+    }
+    dt = budgetDt(dt);
+
+    // A held trigger stays down; only a new press that came too soon is dropped
+    let fireDown = payload.fireDown === true;
+    const firePressed = fireDown && !fireWasDown;
+    fireWasDown = fireDown;
+    const cooldownMs = (weapon && isFiniteNumber(weapon.cooldownMs)) ? weapon.cooldownMs : 0;
+    if (firePressed && !allowFirePress(cooldownMs)) {
+      violation('fire rate');
+      fireDown = false;
+    }
+    let meleeDown = payload.meleeDown === true;
+    const meleeCooldownMs = (weapon && isFiniteNumber(weapon.meleeCooldownMs)) ? weapon.meleeCooldownMs : 0;
+    if (meleeDown && !allowMeleePress(meleeCooldownMs)) {
+      violation('melee rate');
+      meleeDown = false;
+    }
+
+    const abilityKeys = Array.isArray(payload.abilityKeys)
+      ? payload.abilityKeys.slice(0, MAX_ABILITY_KEYS).filter((k) => typeof k === 'string' && k.length > 0 && k.length <= 16)
+      : [];
+    const forward = cleanForward(payload.forward, dt, fireDown);
+
+    const out = {
+      moveX: isFiniteNumber(payload.moveX) ? clamp(payload.moveX, -1, 1) : 0,
+      moveZ: isFiniteNumber(payload.moveZ) ? clamp(payload.moveZ, -1, 1) : 0,
+      sprint: payload.sprint === true,
+      jump: payload.jump === true,
+      fireDown,
+      reloadPressed: payload.reloadPressed === true,
+      meleeDown,
+      abilityKeys,
+      seq,
+      dt,
+      t: isFiniteNumber(payload.t) ? payload.t : 0
+    };
+    if (forward) out.forward = forward;
+    if (Number.isInteger(payload.snapAck) && payload.snapAck >= 0 && payload.snapAck <= 65535) out.snapAck = payload.snapAck;
+    if (isFiniteNumber(payload.viewT)) out.viewT = payload.viewT;
+    return out;
+  }
+
+  function heroSelect(payload, isKnownHero) {
+    if (!allow('heroSelect')) return null;
+    const heroId = payload && payload.heroId;
+    if (typeof heroId !== 'string' || heroId.length > 50 || !/^[a-zA-Z0-9_-]+$/.test(heroId) || !isKnownHero(heroId)) {
+      violation('unknown hero');
+      return null;
+    }
+    return { heroId };
+  }
+
+  // Host snapshots: a netCodec.js snapshot packet, or the JSON debug form
+  function snapshot(payload) {
+    if (!allow('snapshot')) return false;
+    if (isBinary(payload)) {
+      const h = binaryHeader(payload);
+      if (h.length >= 16 && h.length <= MAX_SNAPSHOT_BYTES && h.version === NET_PROTOCOL_VERSION && h.type === MSG_SNAPSHOT) return true;
+    } else if (payload && typeof payload === 'object' && payload.players && typeof payload.players === 'object' &&
+        Object.keys(payload.players).length <= MAX_JSON_PLAYERS && isFiniteNumber(payload.t)) {
+      return true;
+    }
+    violation('malformed snapshot');
+    return false;
+  }
+
+  function shot(payload) {
+    if (!allow('shot')) return false;
+    if (isBinary(payload)) {
+      const h = binaryHeader(payload);
+      if (h.length <= MAX_SHOT_BYTES && h.version === NET_PROTOCOL_VERSION && h.type === MSG_SHOT) return true;
+    } else if (payload && typeof payload === 'object' && Array.isArray(payload.o)) {
+      return true;
+    }
+    violation('malformed shot');
+    return false;
+  }
+
+  return { allow, input, heroSelect, snapshot, shot };
+}
+
+module.exports = { createClientGuard };
@@ -0,0 +1,134 @@
+/**
+ * simCore.js — Fixed-timestep loop, simulation clock and seedable RNG
+ *
+ * PURPOSE: Game simulation (physics, AI, weapons, projectiles) used to step once
+ * per requestAnimationFrame with whatever dt the frame had, so outcomes depended
+ * on frame rate and nothing could be reproduced. Modes now advance the simulation
+ * in fixed SIM_DT ticks through a FixedStepLoop and draw between the last two
+ * ticks. Randomness comes from a seedable generator.
+ *
+ * EXPORTS (window):
+ *   SIM_TICK_HZ, SIM_DT            — 60 ticks per second, 1/60 s
+ *   createRng(seed)                — independent generator: rng() -> [0, 1), rng.seed
+ *   simRandom()                    — shared simulation stream (applySpread, AIOpponent)
+ *   seedSimRandom(seed)            — restart the shared stream; no seed picks one; returns it
+ *   getSimSeed()                   — seed the shared stream was last started with
+ *   simNow()                       — simulation clock in ms (see DESIGN NOTES)
+ *   FixedStepLoop                  — constructor; new FixedStepLoop({ onStep, stepSec, maxSteps, startMs })
+ *     .advance(frameSec) -> alpha  — run the ticks that fit, return how far (0..1) the
+ *                                    frame is between the previous and the current tick
+ *     .reset(startMs)              — drop leftover time, restart the clock
+ *     .time / .tick                — clock (ms) and tick count of the next step
+ *
+ * DEPENDENCIES: none (performance.now)
+ *
+ * DESIGN NOTES:
+ *   - simNow() is the loop's tick time while a FixedStepLoop step is running, and
+ *     performance.now() otherwise. The loop clock starts at performance.now() and
+ *     only trails it by the unspent accumulator, so code that still compares against
+ *     performance.now() (HUD cooldown bars, countdown timers) keeps working. Inside a
+ *     step, weapon cooldowns, reloads and AI reaction times all see tick time.
+ *   - Same seed + same start clock + same input per tick gives the same physics,
+ *     projectile and AI results, whatever the frame rate.
+ *   - Input that arrives between ticks stays queued in input.js until the next tick
+ *     reads it, so presses are neither lost nor applied twice.
+ *   - LAN clients send one input packet per tick (dt = SIM_DT); the host replays
+ *     each packet as one physics step, so prediction and host agree step for step.
+ *   - After a stall the loop runs at most maxSteps ticks and skips the rest (the clock
+ *     jumps ahead), instead of spiralling trying to catch up.
+ *   - The generator is mulberry32: 32-bit state, fast, and plenty for spread and AI
+ *     decisions (not for anything security-related).
+ */
+
+(function () {
+  var SIM_TICK_HZ = 60;
+  var SIM_DT = 1 / SIM_TICK_HZ;
+  var DEFAULT_MAX_STEPS = 5; // ~83ms of catch-up per frame
+
+  function randomSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+  }
+
+  function createRng(seed) {
+    seed = (typeof seed === 'number' ? seed : randomSeed()) >>> 0;
+    var state = seed;
+    function rng() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      var t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    rng.seed = seed;
+    return rng;
+  }
+
+  var _simSeed = randomSeed();
+  var _simRng = createRng(_simSeed);
+  var _simClock = null; // ms while a FixedStepLoop step runs
+
+  function seedSimRandom(seed) {
+    _simSeed = (typeof seed === 'number') ? (seed >>> 0) : randomSeed();
+    _simRng = createRng(_simSeed);
+    return _simSeed;
+  }
+
+  function simRandom() {
+    return _simRng();
+  }
+
+  function simNow() {
+    return _simClock !== null ? _simClock : performance.now();
+  }
+
+  function FixedStepLoop(opts) {
+    opts = opts || {};
+    this.onStep = opts.onStep || function () {};
+    this.stepSec = opts.stepSec || SIM_DT;
+    this.maxSteps = opts.maxSteps || DEFAULT_MAX_STEPS;
+    this.reset(opts.startMs);
+  }
+
+  FixedStepLoop.prototype.reset = function (startMs) {
+    this.time = (typeof startMs === 'number') ? startMs : performance.now();
+    this.tick = 0;
+    this._acc = 0;
+  };
+
+  FixedStepLoop.prototype.advance = function (frameSec) {
+    this._acc += Math.max(0, frameSec || 0);
+    var stepMs = this.stepSec * 1000;
+    var steps = 0;
+    while (this._acc >= this.stepSec && steps < this.maxSteps) {
+      _simClock = this.time;
+      try {
+        if (this.onStep(this.stepSec, this.tick) === false) {
+          this._acc = 0; // the step ended the simulation (e.g. match over)
+          return 0;
+        }
+      } finally {
+        _simClock = null;
+      }
+      this.time += stepMs;
+      this.tick++;
+      this._acc -= this.stepSec;
+      steps++;
+    }
+    if (steps === this.maxSteps && this._acc >= this.stepSec) {
+      // Skip the backlog but keep the clock in step with real time
+      var dropped = this._acc - (this._acc % this.stepSec);
+      this.time += dropped * 1000;
+      this._acc -= dropped;
+    }
+    return this._acc / this.stepSec;
+  };
+
+  window.SIM_TICK_HZ = SIM_TICK_HZ;
+  window.SIM_DT = SIM_DT;
+  window.createRng = createRng;
+  window.simRandom = simRandom;
+  window.seedSimRandom = seedSimRandom;
+  window.getSimSeed = function () { return _simSeed; };
+  window.simNow = simNow;
+  window.FixedStepLoop = FixedStepLoop;
+})();
@@ -0,0 +1,146 @@
+// Ability tests for abilities.js: the shipped heroes' abilities, activated through AbilityManager,
+// and the built-in passives
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createGameContext } = require('../serverSim');
+const { vec, floorPlane } = require('./helpers/gameContext');
+
+// The heroes a server loads from heroes/, as dedicated rooms get them
+const HEROES_DIR = path.join(__dirname, '..', 'heroes');
+const heroes = fs.readdirSync(HEROES_DIR).filter((f) => f.endsWith('.json'))
+  .map((f) => JSON.parse(fs.readFileSync(path.join(HEROES_DIR, f), 'utf8')));
+const game = createGameContext(heroes);
+const DT = 1 / 60;
+
+function near(actual, expected, msg, tol) {
+  assert.ok(Math.abs(actual - expected) < (tol || 1e-4), `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+function hero(heroId) {
+  const player = new game.Player({ position: vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 0), feetY: game.GROUND_Y, radius: 0.5 });
+  game.applyHeroToPlayer(player, heroId);
+  return player;
+}
+
+test('every shipped hero has an ability, and every ability has an effect', () => {
+  for (const h of heroes) {
+    const actives = [].concat(h.abilities || [], (h.weapon && h.weapon.abilities) || []);
+    assert.ok(actives.length > 0, `${h.id} has an active ability`);
+    actives.forEach((a) => {
+      assert.ok(game.getAbilityEffect(a.id), `${h.id}: ${a.id} is registered`);
+      assert.equal(typeof a.keybind, 'string', `${h.id}: ${a.id} has a key`);
+    });
+  }
+  // The built-ins (used without a server) match the shipped files
+  const builtin = createGameContext();
+  ['marksman', 'brawler'].forEach((id) => {
+    const shipped = heroes.find((h) => h.id === id);
+    assert.deepEqual(JSON.parse(JSON.stringify(builtin.getHeroById(id).abilities)), shipped.abilities, id);
+  });
+});
+
+test('Marksman: Q dashes about 4m forward, then goes on cooldown', () => {
+  const player = hero('marksman');
+  const arena = { solids: [floorPlane(game, 40)], colliders: [] };
+  player._hitboxYaw = 0; // facing -Z
+  const fired = player.abilities.update(DT, { abilityKeys: ['q'] });
+  assert.deepEqual(Array.from(fired), ['dash']);
+  assert.equal(player.abilities.isActive('dash'), true);
+
+  for (let i = 0; i < 30; i++) {
+    game.updateFullPhysics(player, { moveX: 0, moveZ: 0 }, arena, DT);
+    player.abilities.update(DT, null);
+  }
+  near(player.position.z, -4, 'dashed 20 m/s for 0.2s', 0.4);
+  near(player.position.x, 0, 'straight ahead');
+  assert.equal(player._dashVelocity, null, 'the dash ended');
+  assert.equal(player.abilities.isReady('dash'), false);
+  assert.equal(player.abilities.update(DT, { abilityKeys: ['q'] }).length, 0, 'not again during the cooldown');
+});
+
+test('Marksman: a dash given a look direction goes that way, whatever the mesh yaw', () => {
+  // LAN hosts and predicting clients pass the input packet's look, so both start the same dash
+  const player = hero('marksman');
+  const arena = { solids: [floorPlane(game, 40)], colliders: [] };
+  player._hitboxYaw = Math.PI; // a remote player's mesh yaw; its camera looks -Z
+  const look = game.moveDirFromForward(vec(game, 0, 0, -1), 1, 0);
+  player.abilities.update(DT, { abilityKeys: ['q'] }, null, { direction: look });
+  for (let i = 0; i < 30; i++) {
+    game.updateFullPhysics(player, { moveX: 0, moveZ: 0 }, arena, DT);
+    player.abilities.update(DT, null);
+  }
+  near(player.position.z, -4, 'dashed along the look', 0.4);
+});
+
+test('Brawler: Q shields for 3 seconds, halving damage', () => {
+  const player = hero('brawler');
+  player.abilities.update(DT, { abilityKeys: ['q'] });
+  player.takeDamage(40);
+  assert.equal(player.health, player.maxHealth - 20);
+
+  for (let i = 0; i < 3 / DT + 1; i++) player.abilities.update(DT, null);
+  assert.equal(player.abilities.isActive('shield'), false);
+  player.takeDamage(40);
+  assert.equal(player.health, player.maxHealth - 60, 'full damage once it ran out');
+});
+
+test('Sniper: E charges the next shot to double damage', () => {
+  const player = hero('sniper');
+  const target = hero('marksman');
+  target.position.set(0, game.GROUND_Y + game.EYE_HEIGHT, -20);
+  target._syncMeshPosition();
+  const weapon = player.weapon;
+  const damage = [];
+  const shoot = () => {
+    const torso = Array.from(target.getHitSegments()).find((s) => s.name === 'torso');
+    game.sharedFireWeapon(weapon, player.position.clone(), torso.center.clone().sub(player.position).normalize(), {
+      skipAmmo: true,
+      spreadOverride: 0,
+      targets: [{ segments: target.getHitSegments() }],
+      onHit: (t, point, dist, pelletIdx, damageMultiplier) => { damage.push(weapon.damage * damageMultiplier); }
+    });
+  };
+
+  assert.deepEqual(Array.from(player.abilities.update(DT, { abilityKeys: ['e'] })), ['chargedShot']);
+  assert.equal(weapon.shotDamageMult, 2);
+  weapon.projectileSpeed = 0; // hitscan, so the hit lands on the trigger pull
+  shoot();
+  shoot();
+  assert.deepEqual(damage, [weapon.damage * 2, weapon.damage], 'only the next trigger pull');
+  game.clearAllProjectiles();
+});
+
+function withPassive(heroId, passive) {
+  const player = hero(heroId);
+  player.abilities = new game.AbilityManager([Object.assign({ type: 'passive' }, passive)], [], [], player);
+  return player;
+}
+
+test('damageResistance: damage taken is reduced, before active effects like the shield', () => {
+  const player = withPassive('marksman', { id: 'damageResistance', reduction: 0.25 });
+  assert.equal(player.abilities.hasPassive('damageResistance'), true);
+  player.takeDamage(40);
+  assert.equal(player.health, player.maxHealth - 30);
+
+  const brawler = hero('brawler');
+  brawler.abilities = new game.AbilityManager([{ id: 'damageResistance', type: 'passive' }],
+    game.getHeroById('brawler').abilities, [], brawler);
+  brawler.abilities.update(DT, { abilityKeys: ['q'] });
+  brawler.takeDamage(40);
+  assert.equal(brawler.health, brawler.maxHealth - 15, 'default 25% off, then the shield halves the rest');
+});
+
+test('quickReload: sharedStartReload takes the shortened reload time', () => {
+  const player = withPassive('marksman', { id: 'quickReload', reloadMultiplier: 0.5 });
+  const weapon = player.weapon;
+  weapon.ammo = 0;
+  assert.equal(game.sharedStartReload(weapon, 1000, player.abilities), true);
+  near(weapon.reloadEnd, 1000 + weapon.reloadTimeSec * 500, 'half the reload');
+
+  const plain = hero('marksman').weapon;
+  plain.ammo = 0;
+  game.sharedStartReload(plain, 1000, hero('marksman').abilities);
+  near(plain.reloadEnd, 1000 + plain.reloadTimeSec * 1000, 'full reload without the passive');
+});
@@ -0,0 +1,93 @@
+// AI difficulty tests for aiDifficulty.js: profile lookup, adaptive tuning, and profiles applied by AIOpponent
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, loadScript, vec } = require('./helpers/gameContext');
+
+const game = loadScript(loadGame(), 'aiDifficulty.js', 'behaviorTree.js', 'botEntity.js', 'aiPerception.js', 'aiOpponent.js');
+
+test('getAIDifficulty: by id or name in any case, partial profiles filled in', () => {
+  assert.deepEqual(Array.from(game.AI_DIFFICULTIES, (p) => p.id), ['easy', 'medium', 'hard']);
+  for (const key of ['medium', 'Medium', 'MEDIUM']) {
+    const medium = game.getAIDifficulty(key);
+    assert.equal(medium.name, 'Medium');
+    assert.equal(medium.aimErrorRad, 0.035);
+    assert.equal(medium.perception.memorySec, 7);
+  }
+  assert.equal(game.getAIDifficulty('nope').id, 'easy', 'unknown falls back to the first');
+  assert.equal(game.getAIDifficulty().id, 'easy');
+
+  const custom = game.getAIDifficulty({ id: 'sharp', aimErrorRad: 0.002, perception: { fovDeg: 200 }, weapon: { damageMult: 'lots' } });
+  assert.equal(custom.name, 'sharp', 'name defaults to the id');
+  assert.equal(custom.aimErrorRad, 0.002);
+  assert.equal(custom.perception.fovDeg, 200);
+  assert.equal(custom.perception.noticeSec, 0.8, 'missing fields from the first built-in');
+  assert.equal(custom.weapon.damageMult, 1, 'bad numbers too');
+
+  // Lookups are copies: the built-ins can't be changed through them
+  game.getAIDifficulty('hard').perception.fovDeg = 1;
+  assert.equal(game.getAIDifficulty('hard').perception.fovDeg, 120);
+  assert.ok(Object.isFrozen(game.GAME_CONFIG.AI_DIFFICULTY_PRESETS[2].perception));
+});
+
+test('AdaptiveDifficulty: harder after convincing wins, easier after losses, within bounds', () => {
+  const adaptive = new game.AdaptiveDifficulty('Medium');
+  const base = adaptive.base;
+  assert.deepEqual(adaptive.profile, base, 'level 0 is the base profile');
+
+  const easyWin = adaptive.recordRound({ won: true, margin: 0.9, accuracy: 0.6 });
+  assert.ok(easyWin > 0.2, `a clear win moves it up (${easyWin})`);
+  assert.ok(adaptive.profile.aimErrorRad < base.aimErrorRad);
+  assert.ok(adaptive.profile.reactionDelayMin < base.reactionDelayMin);
+  assert.ok(adaptive.profile.perception.noticeSec < base.perception.noticeSec);
+  assert.ok(adaptive.profile.coverThresholdAdd < base.coverThresholdAdd);
+  assert.deepEqual(adaptive.profile.weapon, base.weapon, 'weapon stats are left alone');
+
+  const scrape = new game.AdaptiveDifficulty('Medium').recordRound({ won: true, margin: 0.05, accuracy: 0.2 });
+  assert.ok(scrape > 0 && scrape < easyWin, `a narrow win moves it less (${scrape})`);
+
+  adaptive.recordRound({ won: false, margin: 0.8, accuracy: 0.1 });
+  adaptive.recordRound({ won: false, margin: 0.8, accuracy: 0.1 });
+  assert.ok(adaptive.level < 0, 'two heavy losses outweigh the win');
+  assert.ok(adaptive.profile.aimErrorRad > base.aimErrorRad);
+
+  for (let i = 0; i < 20; i++) adaptive.recordRound({ won: false, margin: 1, accuracy: 0 });
+  assert.equal(adaptive.level, -1);
+  assert.ok(Math.abs(adaptive.profile.aimErrorRad - base.aimErrorRad * 1.5) < 1e-9);
+
+  const draw = new game.AdaptiveDifficulty('Medium');
+  assert.equal(draw.recordRound({ won: null, margin: 0, accuracy: null }), 0, 'a draw without shots changes nothing');
+});
+
+test('AIOpponent: takes its aim, perception and weapon multipliers from the profile', () => {
+  const arena = game.buildArenaFromMap({
+    name: 'difficulty-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }, { id: 's2', position: [0, 0, 12], team: 'B' }],
+    objects: []
+  });
+  game.scene.remove(arena.group);
+  const hero = game.getHeroById('marksman');
+  const profile = {
+    id: 'glass-cannon', name: 'Glass Cannon', aimErrorRad: 0.001,
+    perception: { fovDeg: 60 },
+    weapon: { damageMult: 2, cooldownMult: 0.5, reloadMult: 1.5 }
+  };
+
+  const ai = new game.AIOpponent({ id: 'a1', difficulty: profile, arena, spawn: vec(game, 0, 0, -12), heroId: 'marksman' });
+  assert.equal(ai.difficulty, 'Glass Cannon');
+  assert.equal(ai._aimErrorRad, 0.001);
+  assert.equal(ai._perception.fovDeg, 60);
+  assert.equal(ai.weapon.damage, hero.weapon.damage * 2);
+  assert.equal(ai.weapon.cooldownMs, hero.weapon.cooldownMs * 0.5);
+  assert.equal(ai.weapon.reloadTimeSec, hero.weapon.reloadTimeSec * 1.5);
+
+  // Re-applying a hero starts from its own weapon again
+  ai.applyHero('marksman');
+  assert.equal(ai.weapon.damage, hero.weapon.damage * 2);
+  ai.destroy();
+
+  const plain = new game.AIOpponent({ id: 'a2', difficulty: 'hard', arena, spawn: vec(game, 0, 0, 12), heroId: 'marksman' });
+  assert.equal(plain.difficulty, 'Hard');
+  assert.equal(plain.weapon.damage, hero.weapon.damage);
+  plain.destroy();
+});
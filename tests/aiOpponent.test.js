@@ -0,0 +1,321 @@
+// AI opponent tests for aiOpponent.js: target choice, line of fire, squads and team matches
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, loadScript, vec } = require('./helpers/gameContext');
+
+const game = loadScript(loadGame(), 'aiDifficulty.js', 'behaviorTree.js', 'botEntity.js', 'aiPerception.js', 'aiOpponent.js');
+const DT = 1 / 60;
+
+function buildArena(mapData) {
+  const arena = game.buildArenaFromMap(mapData);
+  game.scene.remove(arena.group);
+  return arena;
+}
+
+function openArena() {
+  return buildArena({
+    name: 'ai-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }, { id: 's2', position: [0, 0, 12], team: 'B' }],
+    objects: []
+  });
+}
+
+// A standing Player used as a fighter entity
+function body(x, z) {
+  return new game.Player({ position: vec(game, x, game.GROUND_Y + game.EYE_HEIGHT, z), feetY: game.GROUND_Y, radius: 0.5 });
+}
+
+test('scoreTarget: sight first, then attackers and stickiness over a little distance', () => {
+  const base = { dist: 10, visible: false, healthFrac: 1, attackedMe: false, calledOut: false, current: false };
+  const score = (t) => game.AIOpponent.scoreTarget(Object.assign({}, base, t));
+  assert.ok(score({ visible: true, dist: 30 }) > score({ dist: 5 }), 'a visible enemy beats a closer hidden one');
+  assert.ok(score({ dist: 5 }) > score({ dist: 15 }), 'closer is better');
+  assert.ok(score({ attackedMe: true, dist: 15 }) > score({ dist: 5 }), 'whoever shot us');
+  assert.ok(score({ current: true, dist: 12 }) > score({ dist: 8 }), 'no flip-flopping over a few metres');
+  assert.ok(score({ healthFrac: 0.2 }) > score({}), 'wounded enemies');
+  assert.ok(score({ calledOut: true }) > score({}), 'called-out enemies');
+});
+
+test('allyInLineOfFire: only allies between the shooter and the target', () => {
+  const origin = vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 0);
+  const target = vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 20);
+  const ally = (x, z) => ({ id: 'ally', entity: body(x, z) });
+
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, target, [ally(0.3, 8)]).id, 'ally', 'in the way');
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, target, [ally(2, 8)]), null, 'off to the side');
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, target, [ally(0, 25)]), null, 'behind the target');
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, target, [ally(0, -3)]), null, 'behind the shooter');
+
+  const dead = ally(0, 8);
+  dead.entity.alive = false;
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, target, [dead]), null, 'dead allies don\'t block');
+
+  // A lob far above the ally's head
+  const high = vec(game, 0, game.GROUND_Y + 12, 20);
+  assert.equal(game.AIOpponent.allyInLineOfFire(origin, high, [ally(0, 15)]), null, 'shooting over');
+});
+
+test('AISquad: cover claims keep teammates apart, sightings become callouts once', () => {
+  const squad = new game.AISquad();
+  squad.claimCover('a1', vec(game, 5, 0, 5));
+  assert.equal(squad.isCoverTaken(vec(game, 6, 0, 5), 'a2'), true, 'next to a teammate\'s spot');
+  assert.equal(squad.isCoverTaken(vec(game, 6, 0, 5), 'a1'), false, 'its own spot');
+  assert.equal(squad.isCoverTaken(vec(game, 15, 0, 5), 'a2'), false, 'far enough away');
+  squad.releaseCover('a1');
+  assert.equal(squad.isCoverTaken(vec(game, 5, 0, 5), 'a2'), false, 'released');
+
+  assert.equal(squad.reportSighting('player', vec(game, 1, 2, 3), 'a1'), true, 'first sighting is news');
+  assert.equal(squad.reportSighting('player', vec(game, 2, 2, 3), 'a2'), false, 'repeat within the window');
+  const seen = squad.lastSighting('player', 1000);
+  assert.equal(seen.by, 'a2');
+  assert.equal(seen.pos.x, 2, 'keeps the latest position');
+  assert.equal(squad.lastSighting('other', 1000), null);
+});
+
+test('update: fights the enemy it can see and never damages its allies', () => {
+  game.seedSimRandom(7);
+  const arena = openArena();
+  const squad = new game.AISquad();
+  const ai = new game.AIOpponent({ id: 'a1', team: 'A', squad, difficulty: 'Hard', arena, spawn: vec(game, 0, 0, -12) });
+  const teammate = { id: 'player', entity: body(6, -12) };
+  const near = { id: 'b1', entity: body(0, 4) };
+  const far = { id: 'b2', entity: body(0, 18) };
+  const damage = {};
+  const callouts = [];
+
+  const loop = new game.FixedStepLoop({
+    onStep: () => {
+      ai.update(DT, {
+        enemies: [near, far],
+        allies: [teammate],
+        onHit: (id, dmg) => {
+          damage[id] = (damage[id] || 0) + dmg;
+          const victim = id === 'b1' ? near : far;
+          victim.entity.takeDamage(dmg);
+        },
+        onCallout: (id) => callouts.push(id)
+      });
+      game.updateProjectiles(DT);
+    }
+  });
+  for (let i = 0; i < 60 * 6 && near.entity.alive; i++) loop.advance(DT + 1e-9);
+  game.clearAllProjectiles();
+
+  assert.equal(near.entity.alive, false, `took down the nearer enemy (damage ${JSON.stringify(damage)})`);
+  assert.deepEqual(Object.keys(damage).filter((id) => id !== 'b1' && id !== 'b2'), [], 'only enemies were hit');
+  assert.ok(callouts.includes('b1'), 'called out what it saw');
+  assert.ok(squad.lastSighting('b1', 10000), 'the squad knows where b1 was');
+
+  // With its enemies gone it slows to a stop and stays there
+  far.entity.alive = false;
+  const idle = { enemies: [near, far], allies: [teammate] };
+  for (let i = 0; i < 60; i++) ai.update(DT, idle);
+  const before = ai.position.clone();
+  ai.update(DT, idle);
+  assert.ok(ai.position.distanceTo(before) < 1e-6, 'idle without a target');
+  ai.destroy();
+});
+
+test('heroTactics: the weapon sets the range, the playstyle picks within it', () => {
+  const tactics = (id, bias) => game.AIOpponent.heroTactics(game.getHeroById(id), bias);
+  const sniper = { weapon: { damage: 80, cooldownMs: 750, maxRange: 500, pellets: 1, scope: { type: 'scope', spreadMultiplier: 0.15 } } };
+
+  const brawler = tactics('brawler', 0.4);
+  assert.equal(brawler.rangeClass, 'close');
+  assert.equal(brawler.closeToMelee, true);
+  assert.equal(brawler.usesScope, false, 'iron sights are not a scope');
+  assert.ok(brawler.engageDistMax <= game.AIOpponent.ENGAGE_RANGES.close[1] + 1);
+
+  const long = game.AIOpponent.heroTactics(sniper, 0.4);
+  assert.equal(long.rangeClass, 'long');
+  assert.equal(long.holdSightline, true);
+  assert.equal(long.usesScope, true);
+  assert.ok(long.engageDistMin > brawler.engageDistMax, 'a sniper fights further out than a shotgun');
+
+  const aggressive = tactics('marksman', 0.1), defensive = tactics('marksman', 0.85);
+  assert.ok(aggressive.engageDistMax < defensive.engageDistMin, 'aggressive closer than defensive');
+  assert.ok(aggressive.engageDistMin < aggressive.engageDistMax);
+});
+
+test('chooseHero: range classes, counter-picks by difficulty, greedy picks on Hard', () => {
+  const sniper = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'heroes', 'sniper.json'), 'utf8'));
+  const heroes = game.HEROES.concat([sniper]);
+  const rangeOf = (hero) => game.AIOpponent.heroRangeClass(hero);
+  assert.deepEqual(Array.from(game.HEROES, (h) => [h.id, rangeOf(h)]), [['marksman', 'mid'], ['brawler', 'close']]);
+  assert.equal(rangeOf(sniper), 'long');
+
+  // Seeded weighted draws: how often each hero comes up
+  const counts = (opts) => {
+    game.seedSimRandom(1234);
+    const tally = { marksman: 0, brawler: 0, sniper: 0 };
+    for (let i = 0; i < 600; i++) tally[game.AIOpponent.chooseHero(Object.assign({ heroes, style: 'balanced' }, opts))]++;
+    return tally;
+  };
+  try {
+    // Against a brawler (close) the counter is long range: the sniper
+    const none = counts({ difficulty: 'medium' });
+    const countered = counts({ difficulty: 'medium', playerHeroId: 'brawler' });
+    assert.ok(countered.sniper > none.sniper * 1.4, `counter-pick favours the sniper: ${none.sniper} -> ${countered.sniper}`);
+    assert.ok(countered.marksman > 0 && countered.brawler > 0, 'still a weighted draw, not a fixed pick');
+    assert.deepEqual(counts({ difficulty: 'easy', playerHeroId: 'brawler' }), counts({ difficulty: 'easy' }), 'Easy ignores the player\'s hero');
+
+    // Hard takes the top scorer every time: the style's hero, or the counter once it outweighs it
+    const greedy = (playerHeroId) => counts({ difficulty: 'hard', playerHeroId });
+    assert.deepEqual(greedy(undefined), { marksman: 600, brawler: 0, sniper: 0 });
+    assert.deepEqual(greedy('brawler'), { marksman: 0, brawler: 0, sniper: 600 });
+    assert.deepEqual(greedy('marksman'), { marksman: 0, brawler: 600, sniper: 0 });
+  } finally {
+    game.seedSimRandom(); // later tests draw from an unseeded stream again
+  }
+});
+
+test('abilities: used when the situation calls for them and shown in the behavior label', () => {
+  game.seedSimRandom(3);
+  const ai = new game.AIOpponent({ id: 'a1', difficulty: 'Hard', arena: openArena(), spawn: vec(game, 0, 0, -12), heroId: 'brawler' });
+  const dash = { id: 'dash', type: 'active', cooldownSec: 6, duration: 0.3 };
+  const charged = { id: 'chargedShot', type: 'active', cooldownSec: 5 };
+  ai.player.abilities = new game.AbilityManager([], [dash], [charged], ai.player);
+  ai.weapon.lastMeleeTime = -Infinity; // the test process is younger than the melee cooldown
+  const tactics = game.AIOpponent.ABILITY_TACTICS;
+  const toward = vec(game, 0, 0, 1);
+  const seen = (dist) => ({ dist, dir: toward, hasLOS: true, healthFrac: 1, hurtRecently: false });
+
+  assert.ok(tactics.dash(ai, seen(7), dash).direction.z > 0.99, 'dashes into melee range');
+  assert.equal(tactics.dash(ai, seen(2), dash), null, 'already in melee range');
+  assert.equal(tactics.dash(ai, seen(30), dash), null, 'too far to reach');
+  assert.equal(tactics.dash(ai, Object.assign(seen(7), { hasLOS: false }), dash), null, 'not at a target it can\'t see');
+
+  assert.ok(tactics.chargedShot(ai, seen(5)), 'charges a shot in range');
+  ai.weapon.reloading = true;
+  assert.equal(tactics.chargedShot(ai, seen(5)), null, 'not while reloading');
+  ai.weapon.reloading = false;
+
+  // Facing an enemy 10m away: the dash fires as soon as the AI notices them and shows up
+  const enemy = { id: 'b1', entity: body(0, -2) };
+  let steps = 0;
+  for (; steps < 60 && ai.player.abilities.isReady('dash'); steps++) ai.update(DT, { enemies: [enemy] });
+  assert.equal(ai.player.abilities.isReady('dash'), false, 'dash used');
+  assert.ok(steps > 5, `not before noticing the enemy (step ${steps})`);
+  assert.ok(ai.player._dashVelocity.z > 0, 'toward the enemy');
+  assert.match(ai.getCurrentBehavior(), /\+(dash|chargedShot)$/);
+  ai.destroy();
+});
+
+// Runs steps through FixedStepLoop so simNow() (memory, reactions) advances; stops when onStep returns true
+function run(seconds, onStep) {
+  let done = false;
+  const loop = new game.FixedStepLoop({ onStep: () => { done = done || !!onStep(); } });
+  for (let i = 0; i < Math.round(seconds * 60) && !done; i++) loop.advance(DT + 1e-9);
+}
+
+// A wall at x -6..-2, z 5.5..6.5 (in front of the origin, to the left)
+function walledArena() {
+  return buildArena({
+    name: 'perception-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }, { id: 's2', position: [0, 0, 12], team: 'B' }],
+    objects: [{ id: 'wall', type: 'box', position: [-4, 0, 6], size: [4, 3.5, 1], rotation: 0 }]
+  });
+}
+
+test('AIPerception: notices enemies ahead over time, slower at the edge, never behind it or a wall', () => {
+  const arena = walledArena();
+  const perception = new game.AIPerception(game.getAIDifficulty('Hard').perception);
+  const eye = vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 0);
+  const ahead = { id: 'ahead', entity: body(2, 10) };
+  const edge = { id: 'edge', entity: body(-10, 2) };    // ~79° off the facing, in peripheral vision
+  const behind = { id: 'behind', entity: body(0, -6) };
+  const walled = { id: 'walled', entity: body(-6, 12) }; // ahead, but the wall is in the way
+  const s = { eye, facing: vec(game, 0, 0, 1), enemies: [ahead, edge, behind, walled], solids: arena.solids };
+
+  const noticedAt = {};
+  for (let i = 1; i <= 180; i++) {
+    perception.update(DT, s);
+    s.enemies.forEach((e) => { if (perception.sees(e.id) && !noticedAt[e.id]) noticedAt[e.id] = i; });
+  }
+  assert.ok(noticedAt.ahead > 5, `not at first glance (step ${noticedAt.ahead})`);
+  assert.ok(noticedAt.edge > noticedAt.ahead, `the edge of vision is slower (${noticedAt.edge} vs ${noticedAt.ahead})`);
+  assert.equal(noticedAt.behind, undefined, 'nothing behind it');
+  assert.equal(noticedAt.walled, undefined, 'nothing through a wall');
+  assert.equal(perception.lastKnown('walled'), null);
+  assert.ok(perception.lastKnown('ahead').pos.distanceTo(ahead.entity.getEyePos()) < 1e-6);
+
+  // Right behind it counts as seen at once
+  behind.entity.position.z = -2;
+  perception.update(DT, s);
+  assert.equal(perception.sees('behind'), true);
+});
+
+test('AIPerception: hears enemies roughly, forgets them after a while', () => {
+  game.seedSimRandom(2);
+  const arena = walledArena();
+  const perception = new game.AIPerception(game.getAIDifficulty('Medium').perception);
+  const eye = vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 0);
+  const walled = { id: 'walled', entity: body(-6, 12) };
+  const far = { id: 'far', entity: body(0, -18) };
+  const noise = (type, fighter, sprinting) => ({ type, sourceId: fighter.id, pos: fighter.entity.getEyePos(), sprinting });
+  const s = { eye, facing: vec(game, 0, 0, -1), enemies: [walled, far], solids: arena.solids };
+
+  perception.update(DT, Object.assign({}, s, { noises: [
+    noise('weapon_fire', walled),
+    noise('footstep', far, false),
+    { type: 'weapon_fire', sourceId: 'ally', pos: eye.clone() }
+  ] }));
+  const heard = perception.lastKnown('walled');
+  assert.equal(heard.source, 'sound', 'a shot through the wall is heard');
+  const truePos = walled.entity.getEyePos();
+  assert.ok(heard.pos.distanceTo(truePos) <= eye.distanceTo(truePos) * perception.soundFuzz + 1e-6, 'roughly where it was');
+  assert.equal(perception.sees('walled'), false, 'heard, not seen');
+  assert.equal(perception.lastKnown('far'), null, 'a walking footstep 18m away is too quiet');
+  assert.equal(perception.lastKnown('ally'), null, 'only enemies are tracked');
+
+  perception.update(DT, Object.assign({}, s, { noises: [noise('footstep', far, true)] }));
+  assert.equal(perception.lastKnown('far'), null, 'sprinting is louder, still too far');
+
+  run(perception.memorySec + 0.5, () => perception.update(DT, s));
+  assert.equal(perception.lastKnown('walled'), null, 'forgotten');
+});
+
+test('update: an unseen enemy is found by its noise, then searched for where it was last seen', () => {
+  game.seedSimRandom(5);
+  const arena = buildArena({
+    name: 'search-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }, { id: 's2', position: [0, 0, 12], team: 'B' }],
+    objects: [{ id: 'wall', type: 'box', position: [8, 0, 0], size: [2, 3.5, 12], rotation: 0 }]
+  });
+  const ai = new game.AIOpponent({ id: 'a1', difficulty: 'Hard', arena, spawn: vec(game, 0, 0, -12), heroId: 'marksman' });
+  const enemy = { id: 'b1', entity: body(0, -18) };
+  const damage = [];
+  let noises = [];
+  const ctx = () => ({ enemies: [enemy], onHit: (id, dmg) => damage.push(dmg), noises });
+
+  // Standing behind the AI in plain line of sight: it has no idea
+  run(1, () => { ai.update(DT, ctx()); });
+  assert.equal(ai._perception.lastKnown('b1'), null, 'not known');
+  assert.equal(damage.length, 0);
+
+  // A shot gives it away: the AI turns, spots the enemy and fires back
+  noises = [{ type: 'weapon_fire', sourceId: 'b1', pos: enemy.entity.getEyePos() }];
+  run(0.05, () => { ai.update(DT, ctx()); noises = []; });
+  run(4, () => { ai.update(DT, ctx()); game.updateProjectiles(DT); return damage.length > 0; });
+  assert.ok(damage.length > 0, 'hit back');
+
+  // The enemy slips behind the wall: the AI goes looking where it was, then gives up
+  const lastSeen = enemy.entity.getEyePos();
+  enemy.entity.position.set(10, enemy.entity.position.y, 0);
+  const seen = new Set();
+  run(20, () => {
+    ai.update(DT, ctx());
+    game.updateProjectiles(DT);
+    seen.add(ai.getCurrentBehavior().split(' ')[0]);
+    return seen.has('ROAMING');
+  });
+  game.clearAllProjectiles();
+  assert.ok(seen.has('SEARCHING') && seen.has('LOOKING_AROUND') && seen.has('ROAMING'), [...seen].join(', '));
+  assert.ok(Math.hypot(ai.position.x - lastSeen.x, ai.position.z - lastSeen.z) < 4, 'searched where it was last seen');
+  ai.destroy();
+});
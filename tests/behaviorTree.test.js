@@ -0,0 +1,186 @@
+// Bot tests for behaviorTree.js and botEntity.js: tree semantics, patrol bots and a defender
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, loadScript, vec } = require('./helpers/gameContext');
+
+const game = loadScript(loadGame(), 'behaviorTree.js', 'botEntity.js', 'trainingBot.js');
+const DT = 1 / 60;
+
+function openArena() {
+  const arena = game.buildArenaFromMap({
+    name: 'bot-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }, { id: 's2', position: [0, 0, 12], team: 'B' }],
+    objects: []
+  });
+  game.scene.remove(arena.group);
+  return arena;
+}
+
+function eyeLevel(x, z) {
+  return vec(game, x, game.GROUND_Y + game.EYE_HEIGHT, z);
+}
+
+// Runs steps through FixedStepLoop so simNow() (cooldowns, reactions) advances
+function run(seconds, onStep) {
+  const loop = new game.FixedStepLoop({ onStep });
+  for (let i = 0; i < Math.round(seconds * 60); i++) loop.advance(DT + 1e-9);
+}
+
+test('BehaviorTree: selectors, sequences and inverts', () => {
+  const log = [];
+  game.registerBotCondition('test.flag', (bot, bb, node) => !!bb[node.key]);
+  game.registerBotAction('test.log', (bot, bb, node) => { log.push(node.name); return node.result; });
+  const tree = new game.BehaviorTree({
+    type: 'selector',
+    children: [
+      { type: 'sequence', children: [
+        { type: 'condition', check: 'test.flag', key: 'a' },
+        { type: 'action', do: 'test.log', name: 'a' }
+      ] },
+      { type: 'sequence', children: [
+        { type: 'invert', child: { type: 'condition', check: 'test.flag', key: 'b' } },
+        { type: 'action', do: 'test.log', name: 'not b', result: 'running' }
+      ] },
+      { type: 'action', do: 'test.log', name: 'fallback', result: 'failure' }
+    ]
+  });
+
+  assert.equal(tree.tick(null, { a: true }, DT), 'success');
+  assert.equal(tree.tick(null, {}, DT), 'running');
+  assert.equal(tree.tick(null, { b: true }, DT), 'failure');
+  assert.deepEqual(log, ['a', 'not b', 'fallback']);
+});
+
+test('BehaviorTree: bad definitions fail when the tree is built', () => {
+  assert.throws(() => new game.BehaviorTree({ type: 'action', do: 'nope' }), /unknown action "nope" at root/);
+  assert.throws(() => new game.BehaviorTree({ type: 'selector', children: [{ type: 'condition', check: 'nope' }] }),
+    /unknown condition "nope" at root\.children\[0\]/);
+  assert.throws(() => new game.BehaviorTree({ type: 'loop' }), /unknown node type "loop"/);
+  assert.throws(() => new game.BehaviorTree({ type: 'sequence', children: [] }), /needs children/);
+  Object.keys(game.BOT_BEHAVIORS).forEach((name) => new game.BehaviorTree(game.BOT_BEHAVIORS[name]));
+});
+
+test('TrainingBot: patrols back and forth, respawns at the start of its path', () => {
+  const arena = openArena();
+  const bot = new game.TrainingBot({ patrolPath: [eyeLevel(-8, 0), eyeLevel(8, 0)], arena });
+  assert.equal(bot.heroId, 'marksman');
+
+  let maxX = -Infinity;
+  run(8, () => { bot.update(DT, null); maxX = Math.max(maxX, bot.position.x); });
+  assert.ok(maxX > 7, `reached the far end (max x ${maxX})`);
+  assert.ok(bot.position.x < maxX - 1, 'and turned back');
+  assert.ok(Math.abs(bot.position.z) < 0.01, 'stays on its line');
+
+  bot.takeDamage(9999);
+  assert.equal(bot.alive, false);
+  assert.equal(bot.getHitTarget(), null, 'dead bots can\'t be hit');
+  run(2.9, () => bot.update(DT, null));
+  assert.equal(bot.alive, false, 'still down before 3s');
+  run(0.2, () => bot.update(DT, null));
+  assert.equal(bot.alive, true, 'back after 3s');
+  assert.equal(bot.health, bot.maxHealth);
+  assert.ok(bot.position.distanceTo(eyeLevel(-8, 0)) < 0.5, 'at the start of its path');
+  bot.destroy();
+});
+
+test('patrol routes: loop goes round to the start, random never stays put', () => {
+  const arena = openArena();
+  const path = [eyeLevel(-6, -6), eyeLevel(6, -6), eyeLevel(0, 6)];
+  const visits = (route) => {
+    const bot = new game.TrainingBot({ patrolPath: path, patrolRoute: route, arena });
+    const order = [];
+    run(30, () => {
+      bot.update(DT, null);
+      const at = bot.blackboard.pathIndex;
+      if (order[order.length - 1] !== at) order.push(at);
+    });
+    bot.destroy();
+    return order;
+  };
+
+  assert.deepEqual(visits('loop').slice(0, 6), [1, 2, 0, 1, 2, 0], 'from the first waypoint on');
+  assert.deepEqual(visits('pingpong').slice(0, 6), [1, 2, 1, 0, 1, 2], 'the default, back and forth');
+  game.seedSimRandom(4);
+  const random = visits('random');
+  assert.ok(random.length > 6, `kept walking (${random})`);
+  assert.ok(new Set(random).size === 3, 'went everywhere');
+});
+
+test('TrainingBot: its speed and health stay over the hero through respawns', () => {
+  const arena = openArena();
+  const brawler = game.getHeroById('brawler');
+  const bot = new game.TrainingBot({ patrolPath: [eyeLevel(-8, 0), eyeLevel(8, 0)], arena, heroId: 'brawler', speed: 1.5, maxHealth: 40 });
+  assert.equal(bot.heroId, 'brawler');
+  assert.equal(bot.weapon.damage, brawler.weapon.damage);
+  assert.equal(bot.walkSpeed, 1.5);
+  assert.equal(bot.maxHealth, 40);
+  assert.equal(bot.health, 40);
+
+  const x0 = bot.position.x;
+  run(2, () => bot.update(DT, null));
+  assert.ok(Math.abs(bot.position.x - x0 - 3) < 0.2, `walked 1.5 m/s (${bot.position.x - x0}m in 2s)`);
+
+  bot.takeDamage(100);
+  run(3.1, () => bot.update(DT, null));
+  assert.equal(bot.alive, true);
+  assert.equal(bot.maxHealth, 40, 'still after a respawn');
+  assert.equal(bot.sprintSpeed, 1.5);
+  bot.destroy();
+
+  const plain = new game.TrainingBot({ patrolPath: [eyeLevel(-8, 0), eyeLevel(8, 0)], arena, speed: 'fast', maxHealth: -5 });
+  assert.equal(plain.maxHealth, game.getHeroById('marksman').maxHealth, 'bad values leave the hero\'s');
+  assert.equal(plain.aggression, 0);
+  assert.equal(plain.accuracy, 0.3);
+  plain.destroy();
+});
+
+test('TrainingBot: aggressive bots shoot back within their range, then patrol on', () => {
+  game.seedSimRandom(5);
+  const arena = openArena();
+  const player = new game.Player({ position: eyeLevel(0, 10), feetY: game.GROUND_Y, radius: 0.5 });
+  const enemies = [{ id: 'player', entity: player }];
+  const shootOut = (opts) => {
+    const bot = new game.TrainingBot(Object.assign({ patrolPath: [eyeLevel(-4, -6), eyeLevel(4, -6)], arena }, opts));
+    const damage = [];
+    run(4, () => { bot.update(DT, null, { enemies, onHit: (id, dmg) => damage.push(dmg) }); game.updateProjectiles(DT); });
+    game.clearAllProjectiles();
+    return { bot, damage };
+  };
+
+  assert.equal(shootOut({}).damage.length, 0, 'aggression 0 never shoots');
+  assert.equal(shootOut({ aggression: 0.1, accuracy: 1 }).damage.length, 0, '16m is out of a timid bot\'s range');
+  const { bot, damage } = shootOut({ aggression: 1, accuracy: 1 });
+  assert.ok(damage.length > 0, 'an aggressive one hits');
+
+  // With the player gone it walks its path again
+  player.alive = false;
+  const x0 = bot.position.x;
+  run(1, () => bot.update(DT, null, { enemies }));
+  assert.ok(Math.abs(bot.position.x - x0) > 1, 'back on patrol');
+  bot.destroy();
+  player.destroy();
+});
+
+test('defender: shoots an enemy it can see, then goes back to its post', () => {
+  game.seedSimRandom(11);
+  const arena = openArena();
+  const bot = new game.BehaviorBot({ behavior: 'defender', arena, spawn: vec(game, 0, 0, -10), heroId: 'marksman' });
+  const enemy = { id: 'player', entity: new game.Player({ position: eyeLevel(0, 5), feetY: game.GROUND_Y, radius: 0.5 }) };
+  const damage = [];
+  const ctx = { enemies: [enemy], onHit: (id, dmg) => damage.push([id, dmg]) };
+
+  run(0.3, () => bot.update(DT, ctx));
+  assert.equal(damage.length, 0, 'no shots inside the reaction time');
+  run(2, () => { bot.update(DT, ctx); game.updateProjectiles(DT); });
+  assert.ok(damage.length > 0, 'hit the enemy');
+  assert.ok(damage.every(([id]) => id === 'player'));
+
+  // Pushed off its post with nobody in range: walks back
+  enemy.entity.alive = false;
+  bot.player.position.set(4, bot.player.position.y, -6);
+  run(3, () => bot.update(DT, ctx));
+  assert.ok(Math.hypot(bot.position.x, bot.position.z + 10) <= 1.05, 'back at its post');
+  game.clearAllProjectiles();
+  bot.destroy();
+});
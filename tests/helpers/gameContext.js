@@ -0,0 +1,53 @@
+/**
+ * gameContext.js — Test helpers: the shared browser scripts loaded in Node
+ *
+ * The browser files are plain scripts that publish on window. serverSim.js
+ * already runs them headless for dedicated rooms (a vm context whose THREE is
+ * the `three` npm package and whose scene is never rendered), so the tests load
+ * them exactly the same way instead of keeping a second loader in sync.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createGameContext } = require('../../serverSim');
+
+// A fresh context per test file: projectiles.js and simCore.js keep module state
+function loadGame() {
+  return createGameContext();
+}
+
+// Runs browser scripts the server doesn't load (e.g. aiOpponent.js) in the context,
+// in the order given. Scripts that touch the render camera get an unrendered one.
+function loadScript(game, ...files) {
+  if (!game.camera) game.camera = new game.THREE.PerspectiveCamera();
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8'), game, { filename: file });
+  });
+  return game;
+}
+
+function vec(game, x, y, z) {
+  return new game.THREE.Vector3(x, y, z);
+}
+
+// A solid box standing on the ground at (x, z), like buildArenaFromMap's objects.
+// Returns { mesh, collider } for use as arena.solids / arena.colliders entries.
+function groundBox(game, x, z, sx, sy, sz) {
+  const THREE = game.THREE;
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(sx, sy, sz));
+  mesh.position.set(x, game.GROUND_Y + sy / 2, z);
+  mesh.updateMatrixWorld(true);
+  return { mesh, collider: new THREE.Box3().setFromObject(mesh) };
+}
+
+// The invisible floor plane buildArenaFromMap adds for ground raycasts
+function floorPlane(game, size) {
+  const THREE = game.THREE;
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size));
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.position.y = game.GROUND_Y;
+  mesh.updateMatrixWorld(true);
+  return mesh;
+}
+
+module.exports = { loadGame, loadScript, vec, groundBox, floorPlane };
@@ -0,0 +1,136 @@
+// Ray vs hitbox shape tests for projectiles.js (rayHits*, testHitSegments)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, vec } = require('./helpers/gameContext');
+
+const game = loadGame();
+const EPS = 1e-6;
+
+function near(actual, expected, msg) {
+  assert.ok(Math.abs(actual - expected) < 1e-4, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+test('rayHitsSphere: hit, miss, behind the origin and past maxDist', () => {
+  const c = vec(game, 0, 0, -10);
+  assert.equal(game.rayHitsSphere(vec(game, 0, 0, 0), vec(game, 0, 0, -1), c, 1, 100), true);
+  assert.equal(game.rayHitsSphere(vec(game, 1.01, 0, 0), vec(game, 0, 0, -1), c, 1, 100), false);
+  assert.equal(game.rayHitsSphere(vec(game, 0, 0, 0), vec(game, 0, 0, 1), c, 1, 100), false);
+  assert.equal(game.rayHitsSphere(vec(game, 0, 0, 0), vec(game, 0, 0, -1), c, 1, 5), false);
+  // Direction doesn't have to be normalized
+  assert.equal(game.rayHitsSphere(vec(game, 0, 0, 0), vec(game, 0, 0, -3), c, 1, 100), true);
+});
+
+test('rayHitsSphereDetailed: entry distance, and the exit when starting inside', () => {
+  const c = vec(game, 0, 0, -10);
+  const hit = game.rayHitsSphereDetailed(vec(game, 0, 0, 0), vec(game, 0, 0, -1), c, 1, 100);
+  assert.equal(hit.hit, true);
+  near(hit.distance, 9, 'entry distance');
+  near(hit.point.z, -9, 'entry point');
+
+  const inside = game.rayHitsSphereDetailed(vec(game, 0, 0, -10), vec(game, 0, 0, -1), c, 1, 100);
+  near(inside.distance, 1, 'exit distance');
+
+  assert.equal(game.rayHitsSphereDetailed(vec(game, 0, 2, 0), vec(game, 0, 0, -1), c, 1, 100).hit, false);
+});
+
+test('rayHitsCapsule: body and caps', () => {
+  const c = vec(game, 0, 0, -10);
+  // Horizontal ray through the cylinder body
+  const body = game.rayHitsCapsule(vec(game, 0, 0.4, 0), vec(game, 0, 0, -1), c, 0.5, 1.0, 100);
+  assert.equal(body.hit, true);
+  near(body.distance, 9.5, 'body distance');
+
+  // Straight down onto the top cap: hemisphere peak at halfHeight
+  const top = game.rayHitsCapsule(vec(game, 0, 5, -10), vec(game, 0, -1, 0), c, 0.5, 1.0, 100);
+  near(top.distance, 4, 'top cap distance');
+
+  // Straight up into the bottom cap
+  const bottom = game.rayHitsCapsule(vec(game, 0, -5, -10), vec(game, 0, 1, 0), c, 0.5, 1.0, 100);
+  near(bottom.distance, 4, 'bottom cap distance');
+});
+
+test('rayHitsCapsule: the rounded corner misses where a cylinder would hit', () => {
+  const c = vec(game, 0, 0, -10);
+  const origin = vec(game, 0.4, 0.95, 0);
+  const dir = vec(game, 0, 0, -1);
+  assert.equal(game.rayHitsCylinder(origin, dir, c, 0.5, 1.0, 100).hit, true);
+  assert.equal(game.rayHitsCapsule(origin, dir, c, 0.5, 1.0, 100).hit, false);
+});
+
+test('rayHitsCapsule: degenerate body behaves as a sphere', () => {
+  const c = vec(game, 0, 0, -10);
+  const origin = vec(game, 0, 0.3, 0);
+  const dir = vec(game, 0, 0, -1);
+  const capsule = game.rayHitsCapsule(origin, dir, c, 0.5, 0.4, 100);
+  const sphere = game.rayHitsSphereDetailed(origin, dir, c, 0.5, 100);
+  assert.equal(capsule.hit, true);
+  near(capsule.distance, sphere.distance, 'distance');
+});
+
+test('rayHitsOBB: unrotated box matches the slab test', () => {
+  const c = vec(game, 0, 0, -10);
+  const obb = game.rayHitsOBB(vec(game, 0, 0, 0), vec(game, 0, 0, -1), c, 1, 1, 1, 0, 100);
+  const aabb = game.rayHitsAABB(vec(game, 0, 0, 0), vec(game, 0, 0, -1), vec(game, -1, -1, -11), vec(game, 1, 1, -9), 100);
+  assert.equal(obb.hit, true);
+  near(obb.distance, 9, 'distance');
+  near(obb.distance, aabb.distance, 'OBB vs AABB');
+});
+
+test('rayHitsOBB: yaw turns the box', () => {
+  const c = vec(game, 0, 0, -10);
+  const origin = vec(game, 1.3, 0, 0);
+  const dir = vec(game, 0, 0, -1);
+  // Outside the unrotated 2x2 footprint, inside it once turned 45° (corner at √2)
+  assert.equal(game.rayHitsOBB(origin, dir, c, 1, 1, 1, 0, 100).hit, false);
+  const turned = game.rayHitsOBB(origin, dir, c, 1, 1, 1, Math.PI / 4, 100);
+  assert.equal(turned.hit, true);
+  // The face of a 45° box at x = 1.3 is (√2 - 1.3) in front of the center
+  near(turned.distance, 10 - (Math.SQRT2 - 1.3), 'distance');
+  // A quarter turn of a long thin box swaps its width and depth
+  assert.equal(game.rayHitsOBB(vec(game, 1.5, 0, 0), dir, c, 2, 1, 0.2, 0, 100).hit, true);
+  assert.equal(game.rayHitsOBB(vec(game, 1.5, 0, 0), dir, c, 2, 1, 0.2, Math.PI / 2, 100).hit, false);
+});
+
+test('rayHitsOBB: origin inside, parallel rays and maxDist', () => {
+  const c = vec(game, 0, 0, -10);
+  const inside = game.rayHitsOBB(vec(game, 0, 0, -10), vec(game, 0, 0, -1), c, 1, 1, 1, 0.3, 100);
+  assert.equal(inside.hit, true);
+  near(inside.distance, 0, 'distance from inside');
+  // Parallel to the Y slab and above it
+  assert.equal(game.rayHitsOBB(vec(game, 0, 1 + EPS * 10, 0), vec(game, 0, 0, -1), c, 1, 1, 1, 0, 100).hit, false);
+  assert.equal(game.rayHitsOBB(vec(game, 0, 0, 0), vec(game, 0, 0, -1), c, 1, 1, 1, 0, 8.9).hit, false);
+});
+
+test('testHitSegments: closest segment wins and carries its multiplier', () => {
+  const segments = [
+    { name: 'legs', center: vec(game, 0, 0, -12), halfW: 0.5, halfH: 0.5, halfD: 0.5, yaw: 0, damageMultiplier: 0.75 },
+    { name: 'head', shape: 'sphere', center: vec(game, 0, 0, -8), radius: 0.25, damageMultiplier: 2 },
+    { name: 'torso', shape: 'capsule', center: vec(game, 0, 0, -10), radius: 0.3, halfHeight: 0.6 }
+  ];
+  const result = game.testHitSegments(vec(game, 0, 0, 0), vec(game, 0, 0, -1), segments, 100);
+  assert.equal(result.hit, true);
+  assert.equal(result.segment.name, 'head');
+  assert.equal(result.damageMultiplier, 2);
+  near(result.distance, 7.75, 'distance');
+
+  // Missing multiplier defaults to 1
+  const torso = game.testHitSegments(vec(game, 0, 0, 0), vec(game, 0, 0, -1), segments.slice(2), 100);
+  assert.equal(torso.damageMultiplier, 1);
+
+  assert.equal(game.testHitSegments(vec(game, 5, 0, 0), vec(game, 0, 0, -1), segments, 100).hit, false);
+  assert.equal(game.testHitSegments(vec(game, 0, 0, 0), vec(game, 0, 0, -1), segments, 5).hit, false);
+});
+
+test('player hitboxes: a shot at the head of a default Player scores the head', () => {
+  const p = new game.Player({});
+  p.position.set(0, game.GROUND_Y + game.EYE_HEIGHT, -10);
+  p.feetY = game.GROUND_Y;
+  p._hitboxYaw = 0.7;
+  p._syncMeshPosition();
+  const head = p.getHitSegments().find((s) => s.name === 'head');
+  const origin = vec(game, 0, head.center.y, 0);
+  const result = game.testHitSegments(origin, vec(game, 0, 0, -1), p.getHitSegments(), 100);
+  assert.equal(result.hit, true);
+  assert.equal(result.segment.name, 'head');
+  p.destroy();
+});
@@ -0,0 +1,214 @@
+// Map loading tests for mapFormat.js: spawns, colliders and every map in maps/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, vec } = require('./helpers/gameContext');
+
+const game = loadGame();
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const PLAYER_RADIUS = 0.5;
+
+function near(actual, expected, msg, tol) {
+  assert.ok(Math.abs(actual - expected) < (tol || 1e-4), `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+function buildArena(mapData) {
+  const arena = game.buildArenaFromMap(mapData);
+  game.scene.remove(arena.group);
+  return arena;
+}
+
+// Arena with a single object; returns that object's mesh
+function objectMesh(obj) {
+  const arena = buildArena({
+    name: 'object-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [],
+    objects: [Object.assign({ id: 'o', position: [0, 0, 0], rotation: 0 }, obj)]
+  });
+  return arena.solids.find((m) => m.userData.mapObj);
+}
+
+function boxContains(outer, inner, tol) {
+  const t = tol || 1e-3;
+  return inner.min.x >= outer.min.x - t && inner.min.y >= outer.min.y - t && inner.min.z >= outer.min.z - t &&
+    inner.max.x <= outer.max.x + t && inner.max.y <= outer.max.y + t && inner.max.z <= outer.max.z + t;
+}
+
+test('normalizeSpawns: array maps pass through, {A, B} maps are converted', () => {
+  const list = [{ id: 's1', position: [1, 0, 2], team: null }];
+  assert.equal(game.normalizeSpawns(list), list);
+
+  const old = game.normalizeSpawns({ A: [0, 0, -10], B: [0, 0, 10], C: [5, 0, 0] });
+  // Arrays made inside the vm have their own prototype, hence Array.from
+  assert.deepEqual(Array.from(old, (s) => s.team), ['A', 'B', 'C']);
+  assert.deepEqual(Array.from(old, (s) => s.id), ['spawn_1', 'spawn_2', 'spawn_3']);
+  assert.deepEqual(Array.from(old[1].position), [0, 0, 10]);
+
+  // Positions are copied, not shared with the map data
+  const src = { A: [1, 2, 3] };
+  game.normalizeSpawns(src)[0].position[0] = 99;
+  assert.equal(src.A[0], 1);
+
+  assert.deepEqual(Array.from(game.normalizeSpawns(null)), []);
+  assert.deepEqual(Array.from(game.normalizeSpawns({})), []);
+});
+
+test('computeColliderForMesh: plain meshes and boxes get one bounding box', () => {
+  const THREE = game.THREE;
+  const plain = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 3));
+  plain.position.set(4, 0, 0);
+  plain.updateMatrixWorld(true);
+  const boxes = game.computeColliderForMesh(plain);
+  assert.equal(boxes.length, 1);
+  near(boxes[0].min.x, 3, 'min.x');
+  near(boxes[0].max.z, 1.5, 'max.z');
+
+  // A box turned 45° gets the AABB around its corners
+  const turned = objectMesh({ type: 'box', size: [2, 1, 2], rotation: 45 });
+  const tb = game.computeColliderForMesh(turned);
+  assert.equal(tb.length, 1);
+  near(tb[0].max.x, Math.SQRT2, 'turned max.x');
+  near(tb[0].min.y, game.GROUND_Y, 'sits on the ground');
+  near(tb[0].max.y, game.GROUND_Y + 1, 'height');
+});
+
+test('computeColliderForMesh: ramps get a staircase and a back wall', () => {
+  const mesh = objectMesh({ type: 'ramp', size: [4, 2, 6] });
+  const boxes = game.computeColliderForMesh(mesh);
+  // 5 steps with the last one (height 0) dropped, plus the wall at the tall end
+  assert.equal(boxes.length, 5);
+  const tops = boxes.slice(0, 4).map((b) => b.max.y - game.GROUND_Y);
+  [1.6, 1.2, 0.8, 0.4].forEach((h, i) => near(tops[i], h, `step ${i} height`));
+  const wall = boxes[4];
+  near(wall.max.y - game.GROUND_Y, 2, 'wall height');
+  near((wall.min.x + wall.max.x) / 2, -3, 'wall at the tall end');
+
+  // Every collider stays inside the ramp's own bounds
+  const bounds = new game.THREE.Box3().setFromObject(mesh);
+  boxes.forEach((b, i) => assert.ok(boxContains(bounds, b, 0.2), `collider ${i} inside the ramp`));
+});
+
+test('computeColliderForMesh: rotated and mirrored ramps turn their colliders too', () => {
+  const turned = game.computeColliderForMesh(objectMesh({ type: 'ramp', size: [4, 2, 6], rotation: 90 }));
+  // rotation.y = 90°: the tall end moves from -x to +z
+  near((turned[4].min.z + turned[4].max.z) / 2, 3, 'turned wall z');
+
+  const flipped = game.computeColliderForMesh(objectMesh({ type: 'ramp', size: [4, 2, 6], mirrorFlip: true, mirrorAxis: 'x' }));
+  near((flipped[4].min.x + flipped[4].max.x) / 2, 3, 'mirrored wall x');
+});
+
+test('computeColliderForMesh: L-shapes get two legs, arches two pillars and a lintel', () => {
+  const l = game.computeColliderForMesh(objectMesh({ type: 'lshape', size: [6, 2, 4], thickness: 1 }));
+  assert.equal(l.length, 2);
+  l.forEach((b) => near(b.max.y - game.GROUND_Y, 2, 'leg height'));
+
+  const arch = game.computeColliderForMesh(objectMesh({ type: 'arch', size: [5, 4, 1] }));
+  assert.equal(arch.length, 3);
+  const [left, right, lintel] = arch;
+  near(left.max.x, -1.5, 'opening starts at -60%/2');
+  near(right.min.x, 1.5, 'opening ends at +60%/2');
+  near(lintel.min.y - game.GROUND_Y, 4 * 0.65, 'lintel above the opening');
+
+  // The opening itself is walkable: a player in the middle isn't pushed
+  const p = vec(game, 0, 0, 0);
+  game.resolveCollisions2D(p, 0.4, arch, game.GROUND_Y);
+  near(p.x, 0, 'through the arch x');
+  near(p.z, 0, 'through the arch z');
+});
+
+function checkArena(name, mapData) {
+  const arena = buildArena(mapData);
+  const halfW = (mapData.arena.width || 60) / 2;
+  const halfL = (mapData.arena.length || 90) / 2;
+  const objects = mapData.objects || [];
+
+  // Floor + 4 walls + one mesh per object; each object has at least one collider
+  assert.equal(arena.solids.length, 5 + objects.length, `${name}: every object built`);
+  assert.ok(arena.colliders.length >= 4 + objects.length, `${name}: colliders`);
+  arena.colliders.forEach((b, i) => {
+    ['x', 'y', 'z'].forEach((k) => {
+      assert.ok(Number.isFinite(b.min[k]) && Number.isFinite(b.max[k]), `${name}: collider ${i} is finite`);
+      assert.ok(b.min[k] <= b.max[k], `${name}: collider ${i} is not empty`);
+    });
+  });
+
+  const spawns = game.normalizeSpawns(mapData.spawns);
+  assert.deepEqual(Array.from(spawns), Array.from(arena.spawnsList), `${name}: spawnsList`);
+  assert.ok(spawns.length >= 2, `${name}: at least two spawns`);
+  spawns.forEach((sp) => {
+    const x = sp.position[0], z = sp.position[2];
+    assert.ok(Math.abs(x) < halfW - PLAYER_RADIUS && Math.abs(z) < halfL - PLAYER_RADIUS, `${name}: spawn ${sp.id} inside the walls`);
+    const feetY = game.getGroundHeight(vec(game, x, 0, z), arena.solids, game.GROUND_Y, true);
+    assert.ok(feetY >= game.GROUND_Y, `${name}: spawn ${sp.id} has ground`);
+    const p = vec(game, x, 0, z);
+    game.resolveCollisions2D(p, PLAYER_RADIUS, arena.colliders, feetY);
+    assert.ok(p.x === x && p.z === z, `${name}: spawn ${sp.id} is not inside cover`);
+  });
+
+  assert.ok(arena.waypoints.length > 0, `${name}: has AI waypoints`);
+  arena.waypoints.forEach((wp) => {
+    assert.ok(Math.abs(wp.x) < halfW && Math.abs(wp.z) < halfL, `${name}: waypoint inside the walls`);
+    assert.ok(wp.y >= game.GROUND_Y - 0.5, `${name}: waypoint has ground`);
+  });
+
+  // A player dropped at each spawn settles on the ground and stays put
+  spawns.forEach((sp) => {
+    const state = {
+      position: vec(game, sp.position[0], game.GROUND_Y + 3 + game.EYE_HEIGHT, sp.position[2]),
+      feetY: game.GROUND_Y + 3, verticalVelocity: 0, grounded: false, walkSpeed: 4.5, radius: PLAYER_RADIUS
+    };
+    for (let i = 0; i < 120; i++) game.updateFullPhysics(state, { worldMoveDir: vec(game, 0, 0, 0) }, arena, 1 / 60);
+    assert.equal(state.grounded, true, `${name}: landed at spawn ${sp.id}`);
+    near(state.position.x, sp.position[0], `${name}: spawn ${sp.id} x`);
+    near(state.position.z, sp.position[2], `${name}: spawn ${sp.id} z`);
+  });
+}
+
+test('trainingBotsFromMap: waypoint chains and settings become TrainingBot options', () => {
+  const arena = buildArena({
+    name: 'bots-test', version: 1,
+    arena: { width: 40, length: 40, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [0, 0, -12], team: 'A' }],
+    objects: [],
+    trainingBots: [
+      { id: 'bot_1', path: [[-5, 0, 4], [5, 1.5, 4]], route: 'loop', hero: 'brawler', speed: 2, health: 50, aggression: 0.5, accuracy: 0.2 },
+      { id: 'bot_2', path: [] },
+      { id: 'bot_3', path: [[0, 0, 8]] }
+    ]
+  });
+  assert.equal(arena.trainingBots.length, 2, 'a bot without waypoints is dropped');
+  const [bot] = arena.trainingBots;
+  assert.equal(bot.patrolPath.length, 2);
+  near(bot.patrolPath[0].y, game.GROUND_Y + game.EYE_HEIGHT, 'eye height');
+  near(bot.patrolPath[1].y, game.GROUND_Y + 1.5 + game.EYE_HEIGHT, 'lifted waypoint');
+  near(bot.patrolPath[1].x, 5, 'x');
+  assert.equal(bot.patrolRoute, 'loop');
+  assert.equal(bot.heroId, 'brawler');
+  assert.equal(bot.speed, 2);
+  assert.equal(bot.maxHealth, 50);
+  assert.equal(bot.aggression, 0.5);
+  assert.equal(bot.accuracy, 0.2);
+  assert.equal(arena.trainingBots[1].heroId, undefined, 'left to TrainingBot');
+
+  assert.equal(game.trainingBotsFromMap(game.getDefaultMapData()).length, 0, 'none on maps without them');
+});
+
+test('the built-in default map loads', () => {
+  checkArena('default', game.getDefaultMapData());
+});
+
+const mapFiles = fs.readdirSync(MAPS_DIR).filter((f) => f.endsWith('.json')).sort();
+
+test('maps/ is not empty', () => {
+  assert.ok(mapFiles.length > 0);
+});
+
+mapFiles.forEach((file) => {
+  test(`maps/${file} loads`, () => {
+    const mapData = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8'));
+    assert.ok(mapData.arena, 'has an arena block');
+    checkArena(file, mapData);
+  });
+});
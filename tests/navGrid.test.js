@@ -0,0 +1,179 @@
+// Navigation grid tests for navGrid.js: standable spots, links, paths and caching
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, vec } = require('./helpers/gameContext');
+
+const game = loadGame();
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const DT = 1 / 60;
+
+function buildArena(mapData) {
+  const arena = game.buildArenaFromMap(mapData);
+  game.scene.remove(arena.group);
+  return arena;
+}
+
+function testMap(objects, size) {
+  return {
+    name: 'nav-test', version: 1,
+    arena: { width: size || 30, length: size || 30, wallHeight: 3.5 },
+    spawns: [{ id: 's1', position: [-10, 0, -10], team: 'A' }, { id: 's2', position: [10, 0, 10], team: 'B' }],
+    objects: objects.map((o, i) => Object.assign({ id: 'o' + i, position: [0, 0, 0], rotation: 0 }, o))
+  };
+}
+
+function feet(x, z, y) {
+  return { x, y: (typeof y === 'number') ? y : game.GROUND_Y, z };
+}
+
+// Walk a body along the path with the real physics; returns where it ended up
+function walkPath(arena, start, points, maxSeconds) {
+  const s = {
+    position: vec(game, start.x, start.y + game.EYE_HEIGHT, start.z),
+    feetY: start.y, verticalVelocity: 0, grounded: true, walkSpeed: 4.5, radius: 0.5
+  };
+  let i = 0;
+  for (let t = 0; i < points.length && t < maxSeconds; t += DT) {
+    const to = points[i].clone().sub(s.position);
+    to.y = 0;
+    if (to.length() < 0.3) { i++; continue; }
+    game.updateFullPhysics(s, { worldMoveDir: to.normalize() }, arena, DT);
+  }
+  return { reached: i >= points.length, x: s.position.x, z: s.position.z, feetY: s.feetY };
+}
+
+test('buildNavGrid: open floor is covered, cover keeps a body-radius margin', () => {
+  const arena = buildArena(testMap([{ type: 'box', size: [5, 2, 5] }]));
+  const grid = game.buildNavGrid(arena);
+  assert.equal(grid.cols, 30);
+  assert.equal(grid.rows, 30);
+
+  const at = (x, z) => {
+    const n = grid.nearestNode(x, z, game.GROUND_Y);
+    return Math.hypot(grid.nodeX[n] - x, grid.nodeZ[n] - z) < 0.05 ? n : -1;
+  };
+  assert.ok(at(-10.5, 5.5) >= 0, 'open floor');
+  assert.equal(at(0.5, 0.5), -1, 'inside the box');
+  assert.equal(at(2.5, 0.5), -1, 'within 0.5 of the box face');
+  assert.ok(at(3.5, 0.5) >= 0, 'clear of the box');
+  assert.equal(at(14.5, 0.5), -1, 'against the perimeter wall');
+
+  // Every node is somewhere a player can stand
+  for (let n = 0; n < grid.nodeCount; n += 7) {
+    const p = vec(game, grid.nodeX[n], 0, grid.nodeZ[n]);
+    game.resolveCollisions2D(p, 0.5, arena.colliders, grid.nodeY[n]);
+    assert.ok(p.x === grid.nodeX[n] && p.z === grid.nodeZ[n], `node ${n} is not pushed`);
+  }
+});
+
+test('findPath: goes around cover and the path is walkable', () => {
+  const arena = buildArena(testMap([{ type: 'box', size: [12, 3, 2] }]));
+  const grid = game.buildNavGrid(arena);
+  const from = feet(0.5, -6.5), to = feet(0.5, 6.5);
+  const points = grid.findPath(from, to);
+  assert.ok(points.length >= 2, 'turns around the wall');
+  assert.ok(points.some((p) => Math.abs(p.x) > 6), 'passes an end of the wall');
+  const end = points[points.length - 1];
+  assert.ok(Math.abs(end.x - 0.5) < 0.05 && Math.abs(end.z - 6.5) < 0.05, 'ends at the goal');
+
+  const walked = walkPath(arena, from, points, 20);
+  assert.ok(walked.reached, `walked the path (stopped at ${walked.x}, ${walked.z})`);
+
+  // Nothing in the way: a single straight leg
+  assert.equal(grid.findPath(feet(-10.5, -10.5), feet(-10.5, 10.5)).length, 1);
+});
+
+test('findPath: ramps lead onto platforms, ledges are one-way drops', () => {
+  // A 1.6m platform (x -6.75..-1) with a ramp up to its east side
+  const arena = buildArena(testMap([
+    { type: 'box', position: [-3.875, 0, 0], size: [5.75, 1.6, 6] },
+    { type: 'ramp', position: [3, 0, 0], size: [4, 1.6, 8] }
+  ]));
+  const grid = game.buildNavGrid(arena);
+  const top = game.GROUND_Y + 1.6;
+  const onTop = grid.nearestNode(-4.5, 0.5, top);
+  assert.ok(Math.abs(grid.nodeY[onTop] - top) < 0.01, 'a node on the platform');
+
+  const up = grid.findPath(feet(10.5, 0.5), feet(-4.5, 0.5, top));
+  const upEnd = up[up.length - 1];
+  assert.ok(Math.abs(upEnd.y - top) < 0.01, 'path ends on the platform');
+  const walked = walkPath(arena, feet(10.5, 0.5), up, 20);
+  assert.ok(walked.reached, `climbed the ramp (stopped at ${walked.x}, ${walked.z})`);
+  assert.ok(Math.abs(walked.feetY - top) < 0.05, `standing on the platform (feetY ${walked.feetY})`);
+
+  let drops = 0, climbs = 0;
+  grid.forEachEdge((a, b, isDrop) => {
+    if (isDrop) {
+      drops++;
+      assert.ok(grid.nodeY[b] < grid.nodeY[a] - game.MAX_STEP_HEIGHT, 'drops go down');
+    } else if (grid.nodeY[b] - grid.nodeY[a] > game.MAX_STEP_HEIGHT + 0.1 + 1e-4) {
+      climbs++;
+    }
+  });
+  assert.ok(drops > 0, 'the platform edge has drops');
+  assert.equal(climbs, 0, 'no link climbs more than a step');
+
+  // Off the far edge rather than back down the ramp
+  const down = grid.findPath(feet(-4.5, 0.5, top), feet(-10.5, 0.5));
+  assert.ok(down.every((p) => p.x < -3), 'takes the short way down');
+  const fell = walkPath(arena, feet(-4.5, 0.5, top), down, 10);
+  assert.ok(fell.reached, `dropped off the platform (stopped at ${fell.x}, ${fell.z})`);
+  assert.ok(Math.abs(fell.feetY - game.GROUND_Y) < 0.01, 'landed on the floor');
+});
+
+test('buildNavGrid: the floor under an arch stays walkable', () => {
+  const arena = buildArena(testMap([{ type: 'arch', size: [5, 4, 1] }]));
+  const grid = game.buildNavGrid(arena);
+  const n = grid.nearestNode(0.5, 0.5, game.GROUND_Y);
+  assert.ok(Math.abs(grid.nodeX[n] - 0.5) < 0.05 && Math.abs(grid.nodeZ[n] - 0.5) < 0.05, 'a node in the opening');
+  assert.ok(Math.abs(grid.nodeY[n] - game.GROUND_Y) < 0.01, 'on the floor');
+  const path = grid.findPath(feet(0.5, -5.5), feet(0.5, 5.5));
+  assert.equal(path.length, 1, 'straight through the opening');
+});
+
+test('getNavGrid: cached per map content', () => {
+  game.clearNavGridCache();
+  const mapData = testMap([{ type: 'box', size: [2, 2, 2] }]);
+  const first = game.getNavGrid(buildArena(mapData));
+  assert.equal(game.getNavGrid(buildArena(JSON.parse(JSON.stringify(mapData)))), first, 'same content, same grid');
+
+  const renamed = Object.assign({}, mapData, { name: 'other-name' });
+  assert.equal(game.navGridKey(renamed), game.navGridKey(mapData), 'the name is not part of the key');
+
+  const moved = JSON.parse(JSON.stringify(mapData));
+  moved.objects[0].position = [5, 0, 0];
+  assert.notEqual(game.navGridKey(moved), game.navGridKey(mapData));
+  assert.notEqual(game.getNavGrid(buildArena(moved)), first, 'an edited map gets a new grid');
+});
+
+function checkMapNav(name, mapData) {
+  const arena = buildArena(mapData);
+  const grid = game.getNavGrid(arena);
+  assert.ok(grid.nodeCount > 0, `${name}: has nodes`);
+
+  const spawns = game.normalizeSpawns(mapData.spawns);
+  const starts = spawns.map((sp) => grid.nearestNode(sp.position[0], sp.position[2], game.GROUND_Y));
+  const fromFirst = grid.reachableFrom([starts[0]]);
+  starts.forEach((n, i) => assert.ok(fromFirst[n], `${name}: spawn ${spawns[i].id} reachable from ${spawns[0].id}`));
+
+  // Walk from the first spawn to the one furthest away
+  let far = 0;
+  spawns.forEach((sp, i) => {
+    const d = Math.hypot(sp.position[0] - spawns[0].position[0], sp.position[2] - spawns[0].position[2]);
+    const best = Math.hypot(spawns[far].position[0] - spawns[0].position[0], spawns[far].position[2] - spawns[0].position[2]);
+    if (d > best) far = i;
+  });
+  const start = grid.nodePosition(starts[0]);
+  const points = grid.findPath(start, grid.nodePosition(starts[far]));
+  const walked = walkPath(arena, start, points, 60);
+  assert.ok(walked.reached, `${name}: walked spawn to spawn (stopped at ${walked.x}, ${walked.z})`);
+}
+
+test('every map in maps/ and the default map can be navigated spawn to spawn', () => {
+  checkMapNav('default', game.getDefaultMapData());
+  fs.readdirSync(MAPS_DIR).filter((f) => f.endsWith('.json')).sort().forEach((file) => {
+    checkMapNav(file, JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8')));
+  });
+});
@@ -0,0 +1,206 @@
+// Movement and collision tests for physics.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, vec, groundBox, floorPlane } = require('./helpers/gameContext');
+
+const game = loadGame();
+const DT = 1 / 60;
+
+function near(actual, expected, msg, tol) {
+  assert.ok(Math.abs(actual - expected) < (tol || 1e-4), `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+// Physics state with the same shape Player uses, standing at (x, z)
+function body(x, z, feetY) {
+  const f = (typeof feetY === 'number') ? feetY : game.GROUND_Y;
+  return {
+    position: vec(game, x, f + game.EYE_HEIGHT, z),
+    feetY: f,
+    verticalVelocity: 0,
+    grounded: true,
+    walkSpeed: 4.5,
+    radius: 0.5
+  };
+}
+
+function walk(state, dir, arena, seconds, jump) {
+  const steps = Math.round(seconds / DT);
+  const trace = [];
+  for (let i = 0; i < steps; i++) {
+    game.updateFullPhysics(state, { worldMoveDir: dir, jump: jump && i === 0 }, arena, DT);
+    trace.push({ x: state.position.x, z: state.position.z, feetY: state.feetY, grounded: state.grounded });
+  }
+  return trace;
+}
+
+test('resolveCollisions2D: pushes out along the shallowest axis', () => {
+  const { collider } = groundBox(game, 0, 0, 2, 2, 2);
+  const p = vec(game, 0.9, 0, 0);
+  game.resolveCollisions2D(p, 0.5, [collider], game.GROUND_Y);
+  near(p.x, 1.5, 'x', 1e-5);
+  near(p.z, 0, 'z');
+
+  // Near a face along Z: slides out in Z, keeps X
+  const q = vec(game, 0.2, 0, -1.4);
+  game.resolveCollisions2D(q, 0.5, [collider], game.GROUND_Y);
+  near(q.x, 0.2, 'x');
+  near(q.z, -1.5, 'z', 1e-5);
+
+  const outside = vec(game, 1.6, 0, 0);
+  game.resolveCollisions2D(outside, 0.5, [collider], game.GROUND_Y);
+  near(outside.x, 1.6, 'untouched x');
+});
+
+test('resolveCollisions2D: colliders underfoot and overhead are skipped', () => {
+  const { collider } = groundBox(game, 0, 0, 2, 2, 2); // top at GROUND_Y + 2
+
+  // Standing on top (feet within 0.1 of the top)
+  const onTop = vec(game, 0.9, 0, 0);
+  game.resolveCollisions2D(onTop, 0.5, [collider], collider.max.y - 0.05);
+  near(onTop.x, 0.9, 'on top');
+
+  // The body band starts 0.2 above the feet: a top lower than that is stepped over,
+  // a top inside the band blocks
+  const stepOver = vec(game, 0.9, 0, 0);
+  game.resolveCollisions2D(stepOver, 0.5, [collider], collider.max.y - 0.15);
+  near(stepOver.x, 0.9, 'under the body band');
+  const inBand = vec(game, 0.9, 0, 0);
+  game.resolveCollisions2D(inBand, 0.5, [collider], collider.max.y - 0.25);
+  near(inBand.x, 1.5, 'inside the body band', 1e-5);
+
+  // A beam above the head
+  const beam = new game.THREE.Box3(vec(game, -1, game.GROUND_Y + game.EYE_HEIGHT + 0.5, -1), vec(game, 1, 5, 1));
+  const under = vec(game, 0, 0, 0);
+  game.resolveCollisions2D(under, 0.5, [beam], game.GROUND_Y);
+  near(under.x, 0, 'under the beam x');
+  near(under.z, 0, 'under the beam z');
+});
+
+test('getGroundHeight: step tolerance when grounded, anything below when airborne', () => {
+  const floor = floorPlane(game, 40);
+  const low = groundBox(game, 0, 0, 2, 0.25, 2).mesh;    // top 0.25 above the floor
+  const high = groundBox(game, 10, 0, 2, 0.5, 2).mesh;   // top 0.5 above the floor
+  const solids = [floor, low, high];
+  const G = game.GROUND_Y;
+
+  assert.equal(game.getGroundHeight(vec(game, 0, 0, 0), [], G, true), G);
+  near(game.getGroundHeight(vec(game, 5, 0, 0), solids, G, true), G, 'open floor');
+  near(game.getGroundHeight(vec(game, 0, 0, 0), solids, G, true), G + 0.25, 'within step height');
+  near(game.getGroundHeight(vec(game, 10, 0, 0), solids, G, true), G, 'too high to step onto');
+  near(game.getGroundHeight(vec(game, 10, 0, 0), solids, G + 2, false), G + 0.5, 'falling onto it');
+  near(game.getGroundHeight(vec(game, 10, 0, 0), solids, G + 0.4, false), G, 'already below its top');
+});
+
+test('updateFullPhysics: low ledges are stepped onto, walls stop the player', () => {
+  const floor = floorPlane(game, 40);
+  const ledge = groundBox(game, 3, 0, 4, 0.15, 4);   // x 1..5
+  const wall = groundBox(game, 3, 10, 4, 2, 4);      // x 1..5, z 8..12
+  const arena = { solids: [floor, ledge.mesh, wall.mesh], colliders: [ledge.collider, wall.collider] };
+
+  const s = body(-1, 0);
+  walk(s, vec(game, 1, 0, 0), arena, 1);
+  assert.ok(s.position.x > 3, `walked onto the ledge (x=${s.position.x})`);
+  near(s.feetY, game.GROUND_Y + 0.15, 'feet on the ledge');
+  assert.equal(s.grounded, true);
+  near(s.position.y, s.feetY + game.EYE_HEIGHT, 'eye height');
+
+  const w = body(-1, 10);
+  walk(w, vec(game, 1, 0, 0), arena, 1);
+  near(w.position.x, 0.5, 'stopped at the wall', 1e-3);
+  near(w.feetY, game.GROUND_Y, 'still on the floor');
+});
+
+test('updateFullPhysics: walking off a ledge falls and lands', () => {
+  const floor = floorPlane(game, 40);
+  const block = groundBox(game, 0, 0, 4, 1, 4); // top at GROUND_Y + 1
+  const arena = { solids: [floor, block.mesh], colliders: [block.collider] };
+
+  const s = body(0, 0, game.GROUND_Y + 1);
+  const trace = walk(s, vec(game, 1, 0, 0), arena, 1.5);
+  assert.ok(trace.some((f) => !f.grounded), 'was airborne');
+  assert.equal(s.grounded, true);
+  near(s.feetY, game.GROUND_Y, 'landed on the floor');
+  assert.ok(s.position.x > 2, 'moved past the edge');
+});
+
+test('updateFullPhysics: a jump peaks at v²/2g and lands where it started', () => {
+  const arena = { solids: [floorPlane(game, 40)], colliders: [] };
+  const s = body(0, 0);
+  const trace = walk(s, vec(game, 0, 0, 0), arena, 1.5, true);
+  const peak = Math.max.apply(null, trace.map((f) => f.feetY)) - game.GROUND_Y;
+  const expected = game.JUMP_VELOCITY * game.JUMP_VELOCITY / (2 * -game.GRAVITY);
+  near(peak, expected, 'peak height', 0.1);
+  assert.equal(s.grounded, true);
+  near(s.feetY, game.GROUND_Y, 'landed');
+  near(s.position.x, 0, 'no drift');
+});
+
+test('updateFullPhysics: doubleJump allows one air jump, given back on landing', () => {
+  const arena = { solids: [floorPlane(game, 40)], colliders: [] };
+  const still = vec(game, 0, 0, 0);
+  const s = body(0, 0);
+  s.abilities = new game.AbilityManager([{ id: 'doubleJump', type: 'passive', extraJumps: 1 }], [], [], s);
+  const step = (jump) => game.updateFullPhysics(s, { worldMoveDir: still, jump }, arena, DT);
+
+  step(true);
+  for (let i = 0; i < 10; i++) step(false);
+  assert.equal(s.grounded, false);
+  step(true);
+  assert.equal(s._airJumpsUsed, 1, 'the air jump was used');
+  near(s.verticalVelocity, game.JUMP_VELOCITY + game.GRAVITY * DT, 'launched again from mid-air');
+  const vAfterAirJump = s.verticalVelocity;
+  step(true);
+  assert.ok(s.verticalVelocity < vAfterAirJump, 'no third jump');
+
+  for (let i = 0; i < 180 && !s.grounded; i++) step(false);
+  assert.equal(s.grounded, true);
+  assert.equal(s._airJumpsUsed, 0, 'reset on landing');
+
+  // Without the passive an air jump does nothing
+  const plain = body(0, 0);
+  plain.abilities = new game.AbilityManager([], [], [], plain);
+  game.updateFullPhysics(plain, { worldMoveDir: still, jump: true }, arena, DT);
+  for (let i = 0; i < 10; i++) game.updateFullPhysics(plain, { worldMoveDir: still }, arena, DT);
+  const v = plain.verticalVelocity;
+  game.updateFullPhysics(plain, { worldMoveDir: still, jump: true }, arena, DT);
+  assert.ok(plain.verticalVelocity < v, 'still falling');
+});
+
+test('updateFullPhysics: ramps are walkable, their tall end blocks', () => {
+  const arena = game.buildArenaFromMap({
+    name: 'ramp-test', version: 1,
+    arena: { width: 30, length: 30, wallHeight: 3.5 },
+    spawns: [],
+    objects: [{ id: 'r', type: 'ramp', position: [0, 0, 0], rotation: 0, size: [4, 2, 6] }]
+  });
+
+  // Up the slope from the low (+x) end
+  const up = body(4, 0);
+  const trace = walk(up, vec(game, -1, 0, 0), arena, 1.3);
+  const onSlope = trace.filter((f) => f.x < 2.5 && f.x > -2.5);
+  assert.ok(onSlope.length > 10, 'crossed the ramp');
+  for (let i = 1; i < onSlope.length; i++) {
+    assert.ok(onSlope[i].feetY >= onSlope[i - 1].feetY - 1e-6, 'never drops while climbing');
+  }
+  assert.ok(Math.max.apply(null, trace.map((f) => f.feetY)) > game.GROUND_Y + 1.5, 'reached near the top');
+
+  // Into the tall end from behind
+  const back = body(-6, 0);
+  walk(back, vec(game, 1, 0, 0), arena, 1);
+  assert.ok(back.position.x < -3, `blocked by the tall end (x=${back.position.x})`);
+  near(back.feetY, game.GROUND_Y, 'still on the floor');
+
+  game.scene.remove(arena.group);
+});
+
+test('moveDirFromForward: flattens the look vector and strafes to the right', () => {
+  const fwd = game.moveDirFromForward(vec(game, 0, -0.9, -0.1), 1, 0);
+  near(fwd.x, 0, 'x');
+  near(fwd.y, 0, 'y');
+  near(fwd.z, -1, 'z');
+  const right = game.moveDirFromForward(vec(game, 0, 0, -1), 0, 1);
+  near(right.x, 1, 'strafe x');
+  const diag = game.moveDirFromForward(vec(game, 0, 0, -1), 1, 1);
+  near(diag.length(), 1, 'diagonal is normalized');
+  assert.equal(game.moveDirFromForward(vec(game, 0, 0, -1), 0, 0).lengthSq(), 0);
+});
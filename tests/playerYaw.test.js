@@ -0,0 +1,87 @@
+// Yaw convention tests for player.js (meshYaw/lookYaw), as LAN spectators, snapshots and replays use them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomSimulation } = require('../serverSim');
+const { loadGame, loadScript, vec } = require('./helpers/gameContext');
+
+const game = loadScript(loadGame(), 'replay.js');
+
+function near(actual, expected, msg) {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+function player(cameraAttached) {
+  return new game.Player({ position: vec(game, 0, game.GROUND_Y + game.EYE_HEIGHT, 0), feetY: game.GROUND_Y, radius: 0.5, cameraAttached });
+}
+
+// What the spectator's 'first' camera does with the player it follows
+function firstPersonForward(target) {
+  game.camera.rotation.set(0, target.lookYaw(), 0, 'YXZ');
+  game.camera.updateMatrixWorld(true);
+  const forward = vec(game, 0, 0, 0);
+  game.camera.getWorldDirection(forward);
+  return forward;
+}
+
+// Waits for the room's first JSON snapshot entry for id that passes accept
+function nextSnapshotEntry(snapshots, id, accept) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      const snap = snapshots.find((s) => s.players[id] && accept(s.players[id]));
+      if (snap) { clearInterval(poll); resolve(snap.players[id]); }
+      else if (Date.now() - started > 2000) { clearInterval(poll); reject(new Error('no snapshot')); }
+    }, 10);
+  });
+}
+
+test('spectating a remote player: the first-person camera looks where that player looks', async () => {
+  const snapshots = [];
+  const room = createRoomSimulation({
+    jsonSnapshots: true,
+    emit: (eventName, payload) => { if (eventName === 'snapshot') snapshots.push(payload); }
+  });
+  try {
+    room.addPlayer('p1', 1);
+    room.addPlayer('p2', 2);
+    const look = vec(game, 0.6, 0, -0.8); // ahead and to the right
+    room.handleInput('p1', { seq: 1, dt: 1 / 60, moveX: 0, moveZ: 0, forward: [look.x, look.y, look.z] });
+    const entry = await nextSnapshotEntry(snapshots, 'p1', (S) => S.yaw !== 0);
+
+    // The spectator's copy of p1, as applyRemoteSnapshot fills it
+    const target = player(false);
+    target._hitboxYaw = entry.yaw;
+    const forward = firstPersonForward(target);
+    near(forward.x, look.x, 'x');
+    near(forward.z, look.z, 'z');
+  } finally {
+    room.stop();
+  }
+});
+
+test('the listen host sends mesh yaw for itself, which spectators turn back into its view', () => {
+  const host = player(true);
+  host._hitboxYaw = 0.4; // camera.rotation.y on the host
+  const camForward = vec(game, -Math.sin(0.4), 0, -Math.cos(0.4));
+
+  const target = player(false);
+  target._hitboxYaw = host.meshYaw(); // packPlayer's yaw
+  const forward = firstPersonForward(target);
+  near(forward.x, camForward.x, 'x');
+  near(forward.z, camForward.z, 'z');
+  near(host.lookYaw(), 0.4, 'a camera-driven player already holds camera yaw');
+});
+
+test('replays store mesh yaw for everyone, so the recording human and an AI facing the same way match', () => {
+  const human = player(true);
+  human._hitboxYaw = Math.PI / 2; // camera looking along -X
+  const ai = player(false);
+  ai.faceToward(vec(game, -10, 0, 0)); // also looking along -X
+
+  const recorder = new game.ReplayRecorder({ mode: 'ai' });
+  recorder.sample({ player: human, ai1: ai }, true);
+  const frame = recorder.frames[0].p;
+  near(frame.ai1[3], ai._meshGroup.rotation.y, 'the AI is stored as its mesh rotation');
+  near(Math.cos(frame.player[3]), Math.cos(frame.ai1[3]), 'same facing (cos)');
+  near(Math.sin(frame.player[3]), Math.sin(frame.ai1[3]), 'same facing (sin)');
+});
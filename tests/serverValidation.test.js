@@ -0,0 +1,123 @@
+// Input guard tests for serverValidation.js: rate limits, the dt budget, aim clamps,
+// press bursts and binary snapshot checks, on a clock the tests move by hand
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createClientGuard } = require('../serverValidation');
+
+const WEAPON = { cooldownMs: 500, meleeCooldownMs: 800 };
+
+function near(actual, expected, msg) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+// A guard whose Date.now() only moves through clock.advance(ms); violation logs are kept
+function setup(t) {
+  const clock = { ms: 1000000, advance(ms) { this.ms += ms; } };
+  t.mock.method(Date, 'now', () => clock.ms);
+  const logs = [];
+  t.mock.method(console, 'warn', (msg) => { logs.push(msg); });
+  let seq = 0;
+  const guard = createClientGuard(() => 'test socket');
+  // Sends one input packet with the next seq; fields override the defaults
+  const send = (fields) => guard.input(Object.assign({ seq: ++seq, dt: 1 / 60, forward: [0, 0, -1] }, fields), WEAPON);
+  return { clock, logs, guard, send };
+}
+
+function yawOf(forward) {
+  return Math.atan2(forward[0], forward[2]);
+}
+
+test('token buckets pass the burst, drop packets past it and refill with time', (t) => {
+  const { clock, guard, send } = setup(t);
+  for (let i = 0; i < 20; i++) assert.equal(guard.allow('snapshot'), true, `snapshot ${i + 1} of the burst`);
+  assert.equal(guard.allow('snapshot'), false, 'past the burst of 20');
+  clock.advance(100); // 60/s: 6 more
+  for (let i = 0; i < 6; i++) assert.equal(guard.allow('snapshot'), true, `refilled snapshot ${i + 1}`);
+  assert.equal(guard.allow('snapshot'), false, 'refill used up');
+
+  // input() drops what its bucket (burst 60) doesn't allow
+  for (let i = 0; i < 60; i++) assert.notEqual(send({ dt: 0 }), null, `input ${i + 1}`);
+  assert.equal(send({ dt: 0 }), null, 'input 61 is dropped');
+  assert.equal(guard.allow('no such event'), true, 'events without a limit always pass');
+});
+
+test('the dt budget caps accumulated dt at real time plus the burst', (t) => {
+  const { clock, logs, send } = setup(t);
+  let total = 0;
+  for (let i = 0; i < 10; i++) total += send({ dt: 0.05 }).dt;
+  near(total, 0.25, 'only DT_BURST_SEC of dt with no time passing');
+  assert.equal(send({ dt: 0.05 }).dt, 0, 'an empty budget gives no dt');
+  assert.match(logs[0], /speed/);
+
+  clock.advance(100);
+  total = 0;
+  for (let i = 0; i < 5; i++) total += send({ dt: 0.05 }).dt;
+  near(total, 0.1, 'refilled by the 100ms that passed');
+
+  // An out-of-range dt is clamped to MAX_DT before the budget sees it
+  clock.advance(1000);
+  near(send({ dt: 5 }).dt, 0.05, 'clamped to MAX_DT');
+});
+
+test('yaw turns at most MAX_TURN_RATE per second of dt', (t) => {
+  const { send } = setup(t);
+  near(yawOf(send({ forward: [0, 0, 1] }).forward), 0, 'the first packet sets the yaw');
+
+  // A small turn passes as sent
+  near(yawOf(send({ forward: [Math.sin(0.1), 0, Math.cos(0.1)] }).forward), 0.1, 'small turn');
+
+  // A quarter turn in one 1/60s packet is held to 30 rad/s * 1/60s = 0.5 rad
+  const quarter = send({ forward: [-1, 0, 0] });
+  near(yawOf(quarter.forward), 0.1 - 0.5, 'turn clamped to 0.5 rad, towards the requested side');
+  near(Math.hypot(quarter.forward[0], quarter.forward[1], quarter.forward[2]), 1, 'forward stays unit length');
+});
+
+test('fire and melee presses get a burst of 2, then one per cooldown', (t) => {
+  const { clock, logs, send } = setup(t);
+  const press = () => {
+    const out = send({ fireDown: true });
+    send({ fireDown: false });
+    return out.fireDown;
+  };
+  assert.equal(press(), true, 'first press');
+  assert.equal(press(), true, 'a second, early press (bunched packets)');
+  assert.equal(press(), false, 'a third one inside the cooldown is dropped');
+  clock.advance(500);
+  assert.equal(press(), true, 'one press refilled after cooldownMs');
+  assert.equal(press(), false, 'but only one');
+  assert.ok(logs.some((l) => /fire rate/.test(l)));
+
+  // Holding the trigger down is not a new press
+  clock.advance(1000);
+  assert.equal(send({ fireDown: true }).fireDown, true);
+  for (let i = 0; i < 5; i++) assert.equal(send({ fireDown: true }).fireDown, true, 'held trigger');
+
+  // Melee presses use their own bucket and cooldown
+  assert.equal(send({ meleeDown: true }).meleeDown, true);
+  assert.equal(send({ meleeDown: true }).meleeDown, true);
+  assert.equal(send({ meleeDown: true }).meleeDown, false, 'third melee inside meleeCooldownMs');
+  clock.advance(800);
+  assert.equal(send({ meleeDown: true }).meleeDown, true);
+});
+
+test('binary snapshots are checked for length, protocol version and message type', (t) => {
+  const { clock, guard } = setup(t);
+  const packet = (length, version, type) => {
+    const bytes = Buffer.alloc(length);
+    bytes[0] = version;
+    bytes[1] = type;
+    return bytes;
+  };
+  const check = (payload) => {
+    clock.advance(1000); // keep the snapshot rate limit out of it
+    return guard.snapshot(payload);
+  };
+  assert.equal(check(packet(16, 1, 1)), true, 'minimal snapshot');
+  assert.equal(check(new Uint8Array(packet(400, 1, 1))), true, 'typed arrays too');
+  assert.equal(check(packet(15, 1, 1)), false, 'too short');
+  assert.equal(check(packet(1025, 1, 1)), false, 'too long');
+  assert.equal(check(packet(16, 2, 1)), false, 'wrong protocol version');
+  assert.equal(check(packet(16, 1, 2)), false, 'a shot packet is not a snapshot');
+  assert.equal(check({ players: {}, t: 5 }), true, 'JSON debug snapshot');
+  assert.equal(check({ players: {} }), false, 'JSON without a time');
+});
@@ -0,0 +1,234 @@
+// Training drill tests for trainingDrills.js: drill runs on the training range, scoring and the leaderboard
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, loadScript, vec } = require('./helpers/gameContext');
+
+const game = loadScript(loadGame(), 'behaviorTree.js', 'botEntity.js', 'trainingBot.js', 'arenaTraining.js', 'trainingDrills.js');
+const DT = 1 / 60;
+
+const arena = game.buildTrainingRangeArena();
+game.scene.remove(arena.group);
+
+// What modeTraining.js gives a run, minus the player: eye is moved by hand
+function makeHost(heroId) {
+  const host = {
+    arena,
+    heroId: heroId || 'marksman',
+    eye: arena.spawns.A.clone(),
+    bots: [],
+    prompts: [],
+    eyePos: () => host.eye.clone(),
+    placePlayer: (pos) => host.eye.copy(pos),
+    spawnBot: (pos, behavior, health) => {
+      const bot = new game.TrainingBot({ behavior, spawn: pos, arena, respawnDelay: 0, maxHealth: health });
+      host.bots.push(bot);
+      return bot;
+    },
+    removeBot: (bot) => {
+      host.bots.splice(host.bots.indexOf(bot), 1);
+      bot.alive = false;
+      bot.destroy();
+    },
+    showPrompt: (text) => host.prompts.push(text)
+  };
+  return host;
+}
+
+// Steps the run (and its dummies) through one FixedStepLoop per host so
+// simNow() keeps advancing from call to call
+function run(drill, host, seconds, onStep) {
+  if (!host.loop) host.loop = new game.FixedStepLoop({ onStep: () => host.onStep() });
+  host.onStep = () => {
+    host.bots.slice().forEach((b) => b.update(DT, host.eye));
+    drill.update(DT);
+    if (onStep) onStep();
+  };
+  for (let i = 0; i < Math.round(seconds * 60) && drill.phase !== 'done'; i++) host.loop.advance(DT + 1e-9);
+}
+
+// Shots and hits land inside a simulation step, as in the mode
+function step(drill, host, fn) {
+  let done = false;
+  run(drill, host, DT, () => {
+    if (!done) fn();
+    done = true;
+  });
+}
+
+function hit(drill, bot, damage, headshot) {
+  bot.takeDamage(damage * (headshot ? 2 : 1));
+  drill.onHit(bot, headshot);
+}
+
+test('flick: one pop-up target at a time, kills and misses scored, ends on time', () => {
+  game.seedSimRandom(7);
+  const host = makeHost();
+  const drill = new game.TrainingDrill('flick', host);
+  assert.equal(drill.phase, 'ready');
+  run(drill, host, game.TrainingDrill.READY_SEC + 0.05);
+  assert.equal(drill.phase, 'live');
+  assert.equal(host.bots.length, 1, 'one target up');
+
+  const lanes = arena.drillLayout.lanes;
+  const first = host.bots[0];
+  assert.ok(first.position.x >= lanes.minX && first.position.x <= lanes.maxX);
+  assert.ok(first.position.z >= lanes.minZ && first.position.z <= lanes.maxZ);
+  assert.ok(!game.hasBlockingBetween(host.eye, first.eyePos, arena.solids), 'in sight from the spawn');
+
+  // A shot that misses, then a headshot that kills
+  run(drill, host, 0.5);
+  step(drill, host, () => {
+    drill.onShot(1);
+    drill.onShot(1);
+    hit(drill, first, 15, true);
+  });
+  assert.equal(drill.stats.kills, 1);
+  assert.equal(drill.stats.headshots, 1);
+  assert.ok(Math.abs(drill.stats.ttkMs[0] - 500) < 50, `time-to-kill from when it appeared (${drill.stats.ttkMs[0]})`);
+
+  // The next one appears shortly; left alone it drops and counts as missed
+  run(drill, host, 0.4);
+  assert.equal(host.bots.length, 1);
+  assert.notEqual(host.bots[0], first);
+  run(drill, host, 2.6);
+  assert.equal(drill.stats.missed, 1);
+
+  run(drill, host, 30);
+  assert.equal(drill.phase, 'done');
+  assert.equal(host.bots.length, 0, 'targets cleared at the end');
+  const result = drill.result;
+  assert.equal(result.drillId, 'flick');
+  assert.equal(result.heroId, 'marksman');
+  assert.equal(result.kills, 1);
+  assert.equal(result.accuracy, 0.5);
+  assert.equal(result.headshotRate, 1);
+  assert.ok(result.score > 0);
+});
+
+test('headshots come from the head segment, not the damage multiplier', () => {
+  game.seedSimRandom(7);
+  const host = makeHost();
+  const drill = new game.TrainingDrill('flick', host);
+  run(drill, host, game.TrainingDrill.READY_SEC + 0.05);
+  const weapon = { pellets: 1, spreadRad: 0, maxRange: 200, damage: 20 };
+
+  // Fired the way modeTraining.js does, at the named segment of the current dummy
+  const shootAt = (name) => {
+    const bot = host.bots[0];
+    const seg = Array.from(bot.player.getHitSegments()).find((s) => s.name === name);
+    const dir = seg.center.clone().sub(host.eye).normalize();
+    step(drill, host, () => {
+      game.sharedFireWeapon(weapon, host.eye.clone(), dir, {
+        skipAmmo: true,
+        solids: arena.solids,
+        targets: [{ segments: bot.player.getHitSegments(), entity: bot, type: 'bot' }],
+        onHit: (target, point, dist, pelletIdx, damageMultiplier, segment) => {
+          target.entity.takeDamage(weapon.damage * damageMultiplier);
+          drill.onHit(target.entity, game.isHeadSegment(segment));
+        }
+      });
+    });
+    return bot;
+  };
+
+  weapon.shotDamageMult = 2; // a chargedShot
+  const charged = shootAt('torso');
+  assert.equal(charged.alive, false, 'the boost doubled the damage');
+  assert.equal(drill.stats.hits, 1);
+  assert.equal(drill.stats.headshots, 0, 'a charged body shot is not a headshot');
+
+  run(drill, host, 0.4);
+  shootAt('head');
+  assert.equal(drill.stats.hits, 2);
+  assert.equal(drill.stats.headshots, 1);
+  drill.destroy();
+});
+
+test('reaction: shooting before the target appears is a false start', () => {
+  game.seedSimRandom(3);
+  const host = makeHost();
+  const drill = new game.TrainingDrill('reaction', host);
+  run(drill, host, game.TrainingDrill.READY_SEC + 0.05);
+  assert.equal(host.bots.length, 0, 'nothing to shoot while waiting');
+  step(drill, host, () => drill.onShot(1));
+  assert.equal(drill.stats.falseStarts, 1);
+  assert.ok(host.prompts.includes('Too early!'));
+
+  run(drill, host, 4, () => {
+    const target = host.bots[0];
+    if (target && target.alive && drill.stats.kills === 0) {
+      drill.onShot(1);
+      hit(drill, target, 15, false);
+    }
+  });
+  assert.equal(drill.stats.kills, 1);
+  assert.equal(drill.stats.reactionMs.length, 1);
+  assert.ok(drill.stats.reactionMs[0] < 50, 'hit on the step it appeared');
+
+  drill.destroy();
+  assert.equal(drill.phase, 'done');
+  assert.equal(drill.result, null, 'left without a result');
+});
+
+test('course: checkpoints in order, targets ahead, time left and standing shots in the bonus', () => {
+  game.seedSimRandom(11);
+  const host = makeHost();
+  const course = arena.drillLayout.course;
+  const drill = new game.TrainingDrill('course', host);
+  assert.ok(host.eye.distanceTo(course[0]) < 1e-6, 'starts at the start');
+  run(drill, host, game.TrainingDrill.READY_SEC + 0.05);
+  assert.equal(host.bots.length, 2, 'two targets toward the first checkpoint');
+
+  step(drill, host, () => drill.onShot(1)); // standing still
+  assert.equal(drill.stats.standingShots, 1);
+
+  // Skipping ahead doesn't count: checkpoints go in order
+  host.eye.copy(course[2]);
+  run(drill, host, 0.1);
+  assert.equal(drill.stats.checkpoints, 0);
+
+  for (let i = 1; i < course.length; i++) {
+    host.eye.copy(course[i]);
+    run(drill, host, 0.1);
+  }
+  assert.equal(drill.phase, 'done');
+  assert.equal(drill.stats.checkpoints, course.length - 1);
+  assert.ok(drill.result.completedSec > 0.5 && drill.result.completedSec < 1, `${drill.result.completedSec}`);
+  assert.ok(drill.stats.bonus > 0, 'finishing early earns time points');
+
+  // Every checkpoint sits clear of the cover
+  course.forEach((cp) => {
+    assert.ok(!arena.colliders.some((box) => box.containsPoint(vec(game, cp.x, box.min.y + 0.1, cp.z))));
+  });
+});
+
+test('scoring and the per-hero leaderboard', () => {
+  const base = { shots: 10, hits: 5, headshots: 1, kills: 2, ttkMs: [0, 3000] };
+  const scored = game.scoreTrainingDrill('flick', base);
+  // (100·2 kills + 100 + 0 speed + 10 headshot) × (0.5 + 0.5 × 0.5)
+  assert.equal(scored.score, Math.round(310 * 0.75));
+  assert.equal(scored.avgTtkMs, 1500);
+  assert.equal(scored.headshotRate, 0.2);
+  assert.equal(game.scoreTrainingDrill('flick', Object.assign({}, base, { bonus: -1000 })).score, 0, 'never below zero');
+
+  const saved = {};
+  game.localStorage = {
+    getItem: (k) => (k in saved ? saved[k] : null),
+    setItem: (k, v) => { saved[k] = String(v); }
+  };
+  const result = (score, heroId) => ({ drillId: 'flick', heroId, score });
+  assert.equal(game.recordDrillResult(result(500, 'marksman')), 1);
+  assert.equal(game.recordDrillResult(result(900, 'marksman')), 1);
+  assert.equal(game.recordDrillResult(result(700, 'marksman')), 2);
+  assert.equal(game.recordDrillResult(result(100, 'sniper')), 1, 'each hero has its own board');
+  assert.deepEqual(Array.from(game.getDrillLeaderboard('flick', 'marksman'), (r) => r.score), [900, 700, 500]);
+  assert.equal(game.getDrillLeaderboard('tracking', 'marksman').length, 0);
+
+  for (let i = 0; i < 10; i++) game.recordDrillResult(result(1000 + i, 'marksman'));
+  assert.equal(game.getDrillLeaderboard('flick', 'marksman').length, 10);
+  assert.equal(game.recordDrillResult(result(1, 'marksman')), 0, 'off the board');
+  assert.equal(game.recordDrillResult(result(1005, 'marksman')), 6, 'ties stay behind older results');
+
+  saved.trainingLeaderboard = 'not json';
+  assert.equal(game.getDrillLeaderboard('flick', 'marksman').length, 0, 'a broken save reads as empty');
+});
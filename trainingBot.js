@@ -1,158 +1,125 @@
 /**
- * trainingBot.js — Simple patrol bot for training range
+ * trainingBot.js — Patrol bot for training range
  *
- * PURPOSE: Non-combatant bot that patrols predefined paths for target practice.
- * Does not shoot. Uses Player class via composition for mesh, health, hitbox,
- * and physics. Respawns 3 seconds after death at the first patrol waypoint.
+ * PURPOSE: Target-practice bot that walks a patrol path and, if set up to,
+ * shoots back with poor aim. A BehaviorBot (botEntity.js) running the built-in
+ * 'patrol' behavior (behaviorTree.js), or a shoot-then-patrol tree built from
+ * its aggression and accuracy, so the Player, physics, hit targets and respawn
+ * all come from BotEntity. Respawns 3 seconds after death at the first patrol
+ * waypoint. Training drills (trainingDrills.js) use it with another behavior
+ * ('dummy', 'strafer'), a spawn instead of a path and no respawn; maps set
+ * their bots up in the map editor (mapFormat.js trainingBotsFromMap).
  *
  * EXPORTS (window):
  *   TrainingBot — constructor function
  *
- * DEPENDENCIES: player.js (Player), weapon.js (Weapon), physics.js (updateFullPhysics)
+ * DEPENDENCIES: botEntity.js (BehaviorBot), behaviorTree.js (BOT_BEHAVIORS)
  *
- * DESIGN NOTES:
- *   - Ping-pong patrol: walks forward along path, reverses at endpoints.
- *   - Moves at walking speed (3.0 m/s), no sprinting or jumping.
- *   - Health is configurable (default 60), lower than player for quick kills.
- *   - Weapon exists on the Player instance but is never fired.
+ * OPTIONS (new TrainingBot(opts)):
+ *   patrolPath, patrolRoute, arena, color — as BehaviorBot
+ *   heroId       — hero worn (default 'marksman'); gives the model, hitbox and weapon
+ *   speed        — walk and sprint speed in m/s (default: the hero's)
+ *   maxHealth    — health (default: the hero's)
+ *   aggression   — 0..1 (default 0): 0 never shoots; higher shoots the player
+ *                  from further away and reacts sooner
+ *   accuracy     — 0..1 (default 0.3): how little its aim wanders
+ *   behavior     — BOT_BEHAVIORS name or definition; replaces the patrol (and
+ *                  aggression) behavior
+ *   spawn        — Vector3; defaults to the first patrol waypoint
+ *   respawnDelay — seconds (default 3); 0 = stays dead
  *
- * TODO (future):
- *   - Extract base BotEntity class shared with aiOpponent.js
- *   - Configurable patrol speed
- *   - Bot difficulty variants (some bots shoot back with poor aim)
- *   - Bot visual variants (different colors, sizes)
- *   - Non-linear patrol paths (random waypoint selection instead of ping-pong)
+ * DESIGN NOTES:
+ *   - speed and maxHealth are applied over the hero on creation and on every
+ *     respawn (see applyHero), so they stick when the hero would reset them.
+ *   - An aggressive bot stops walking while it has the player in sight and
+ *     range, and picks its path up again when it loses them.
+ *   - update(dt, cameraPos, ctx): ctx is BehaviorBot's ({ enemies, onHit, ... });
+ *     a bot that never shoots needs only the camera position.
  */
 
 (function () {
 
-  function TrainingBot(opts) {
-    opts = opts || {};
+  var DEFAULT_ACCURACY = 0.3;
+  var ENGAGE_RANGE_MIN = 10;  // m, at the lowest aggression above 0
+  var ENGAGE_RANGE_MAX = 40;  // m, at aggression 1
+  var REACTION_SLOW_SEC = 1.2;
+  var REACTION_FAST_SEC = 0.3;
+  var AIM_ERROR_WORST = 0.25; // rad, at accuracy 0
+  var AIM_ERROR_BEST = 0.01;  // rad, at accuracy 1
 
-    this.patrolPath = opts.patrolPath || [];
-    this._pathIndex = 0;
-    this._pathDirection = 1; // 1 = forward, -1 = backward (ping-pong)
+  function clamp01(value, fallback) {
+    return (typeof value === 'number' && isFinite(value)) ? Math.max(0, Math.min(1, value)) : fallback;
+  }
 
-    this.arena = opts.arena || null;
-    this.alive = true;
-    this._respawnTimer = 0;
-    this._respawnDelay = 3.0; // seconds
+  function positive(value) {
+    return (typeof value === 'number' && value > 0) ? value : null;
+  }
+
+  // Shoots the player when it's in sight and range, otherwise patrols
+  function shootBackBehavior(aggression, accuracy) {
+    return {
+      type: 'selector',
+      children: [
+        {
+          type: 'sequence',
+          children: [
+            { type: 'condition', check: 'enemyVisible', maxDist: ENGAGE_RANGE_MIN + (ENGAGE_RANGE_MAX - ENGAGE_RANGE_MIN) * aggression },
+            { type: 'action', do: 'faceTarget' },
+            {
+              type: 'action', do: 'shoot',
+              aimError: AIM_ERROR_BEST + (AIM_ERROR_WORST - AIM_ERROR_BEST) * (1 - accuracy),
+              reactionSec: REACTION_SLOW_SEC - (REACTION_SLOW_SEC - REACTION_FAST_SEC) * aggression
+            }
+          ]
+        },
+        { type: 'action', do: 'patrol' }
+      ]
+    };
+  }
 
-    // Create Player instance
-    var spawnPos = this.patrolPath.length > 0 ? this.patrolPath[0] : new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, 0);
-    this.player = new Player({
-      position: spawnPos.clone(),
-      feetY: GROUND_Y,
+  function TrainingBot(opts) {
+    opts = opts || {};
+    this.aggression = clamp01(opts.aggression, 0);
+    this.accuracy = clamp01(opts.accuracy, DEFAULT_ACCURACY);
+    // Set before BehaviorBot applies the hero: applyHero reads them
+    this._speed = positive(opts.speed);
+    this._maxHealth = positive(opts.maxHealth);
+
+    var behavior = opts.behavior || (this.aggression > 0 ? shootBackBehavior(this.aggression, this.accuracy) : 'patrol');
+    BehaviorBot.call(this, {
+      behavior: behavior,
+      patrolPath: opts.patrolPath || [],
+      patrolRoute: opts.patrolRoute,
+      spawn: opts.spawn || null,
+      arena: opts.arena || null,
       walkSpeed: 3.0,
       sprintSpeed: 3.0,
-      radius: 0.5,
-      maxHealth: opts.maxHealth || 60,
+      maxHealth: 60,
       color: opts.color || 0xff5555,
-      cameraAttached: false,
-      weapon: new Weapon()
+      heroId: opts.heroId || 'marksman',
+      respawnDelay: (typeof opts.respawnDelay === 'number') ? opts.respawnDelay : 3.0 // seconds
     });
-
-    // Apply Marksman hero for proper model, hitbox, health, and weapon
-    if (typeof window.applyHeroToPlayer === 'function') {
-      window.applyHeroToPlayer(this.player, 'marksman');
-    }
   }
 
-  TrainingBot.prototype.update = function (dt, cameraPos) {
-    if (!this.alive) {
-      this._respawnTimer -= dt;
-      if (this._respawnTimer <= 0) {
-        this.respawn();
-      }
-      return;
-    }
-
-    if (this.patrolPath.length < 2) return;
-
-    // Move toward current target waypoint
-    var target = this.patrolPath[this._pathIndex];
-    var pos = this.player.position;
-    var dx = target.x - pos.x;
-    var dz = target.z - pos.z;
-    var dist = Math.sqrt(dx * dx + dz * dz);
+  TrainingBot.prototype = Object.create(BehaviorBot.prototype);
+  TrainingBot.prototype.constructor = TrainingBot;
 
-    if (dist < 1.0) {
-      // Reached waypoint, advance
-      this._pathIndex += this._pathDirection;
-      if (this._pathIndex >= this.patrolPath.length) {
-        this._pathDirection = -1;
-        this._pathIndex = this.patrolPath.length - 2;
-      } else if (this._pathIndex < 0) {
-        this._pathDirection = 1;
-        this._pathIndex = 1;
-      }
+  // The hero, then this bot's own speed and health on top
+  TrainingBot.prototype.applyHero = function (heroId) {
+    var hero = BehaviorBot.prototype.applyHero.call(this, heroId);
+    if (this._speed) {
+      this.player.walkSpeed = this._speed;
+      this.player.sprintSpeed = this._speed;
     }
-
-    // Compute world move direction toward target
-    var moveDir = new THREE.Vector3(dx, 0, dz);
-    if (moveDir.lengthSq() > 1e-6) moveDir.normalize();
-
-    // Use physics for movement
-    if (this.arena) {
-      updateFullPhysics(
-        this.player,
-        { worldMoveDir: moveDir, sprint: false, jump: false },
-        { colliders: this.arena.colliders, solids: this.arena.solids },
-        dt
-      );
-    }
-
-    // Face movement direction
-    if (moveDir.lengthSq() > 1e-6) {
-      var lookTarget = pos.clone().add(moveDir);
-      this.player.faceToward(lookTarget);
-    }
-
-    // Sync mesh
-    this.player._syncMeshPosition();
-
-    // Update 3D health bar
-    if (cameraPos) {
-      this.player.update3DHealthBar(cameraPos, this.arena ? this.arena.solids : []);
-    }
-  };
-
-  TrainingBot.prototype.takeDamage = function (amount) {
-    if (!this.alive) return;
-    this.player.takeDamage(amount);
-    if (!this.player.alive) {
-      this.alive = false;
-      this._respawnTimer = this._respawnDelay;
+    if (this._maxHealth) {
+      this.player.maxHealth = this._maxHealth;
+      this.player.health = this._maxHealth;
     }
+    return hero;
   };
 
-  TrainingBot.prototype.respawn = function () {
-    var spawnPos = this.patrolPath.length > 0 ? this.patrolPath[0] : new THREE.Vector3(0, GROUND_Y + EYE_HEIGHT, 0);
-    this.player.resetForRound(spawnPos);
-    if (typeof window.applyHeroToPlayer === 'function') {
-      window.applyHeroToPlayer(this.player, 'marksman');
-    }
-    this.player.setVisible(true);
-    this.alive = true;
-    this._pathIndex = 0;
-    this._pathDirection = 1;
-  };
-
-  TrainingBot.prototype.getHitTarget = function () {
-    if (!this.alive) return null;
-    return this.player.getHitTarget();
-  };
-
-  TrainingBot.prototype.getHitSegments = function () {
-    if (!this.alive || !this.player) return [];
-    return this.player.getHitSegments();
-  };
-
-  TrainingBot.prototype.destroy = function () {
-    if (this.player) {
-      this.player.destroy();
-      this.player = null;
-    }
+  TrainingBot.prototype.update = function (dt, cameraPos, ctx) {
+    BehaviorBot.prototype.update.call(this, dt, Object.assign({}, ctx, { cameraPos: cameraPos }));
   };
 
   window.TrainingBot = TrainingBot;
@@ -0,0 +1,520 @@
+/**
+ * trainingDrills.js — Scored drills for the training range
+ *
+ * PURPOSE: Gives the training range timed drills with a score on top of free
+ * practice: flick, tracking, reaction time, a long-range sniper lane and a
+ * course to run while shooting. A TrainingDrill is one run of a drill: it
+ * spawns its targets (TrainingBot dummies) through the host modeTraining.js
+ * hands it, keeps the run's stats and scores them when the time is up.
+ * Finished runs go on a local leaderboard per drill and hero.
+ *
+ * EXPORTS (window):
+ *   TRAINING_DRILLS                      — drill definitions in menu order
+ *   getTrainingDrill(id)                 — a definition by id, or null
+ *   TrainingDrill                        — constructor: new TrainingDrill(drillId, host)
+ *   scoreTrainingDrill(drillId, stats)   — result summary (score, accuracy, ...) of a run's stats
+ *   getDrillLeaderboard(drillId, heroId) — saved results, best first
+ *   recordDrillResult(result)            — saves a result; returns its rank (1-based), or 0
+ *                                          when it didn't make the board
+ *
+ * DEPENDENCIES: simCore.js (simNow, simRandom), physics.js (hasBlockingBetween,
+ *   GROUND_Y, EYE_HEIGHT), arenaTraining.js (drillLayout), behaviorTree.js (the
+ *   'dummy' and 'strafer' behaviors), scene global (checkpoint markers)
+ *
+ * HOST (given by modeTraining.js):
+ *   arena                           — the training range (solids, colliders, spawns, drillLayout)
+ *   heroId                          — hero the run is scored for
+ *   eyePos()                        — the player's eye position
+ *   placePlayer(pos, lookAt)        — moves the player (pos at eye height), facing lookAt
+ *   spawnBot(pos, behavior, health) — a TrainingBot that stays dead; null health = the hero's
+ *   removeBot(bot)
+ *   showPrompt(text, ms)            — short message in the middle of the screen
+ *
+ * RUN:
+ *   'ready' for READY_SEC (the player is placed, no targets yet), then 'live'
+ *   for the drill's durationSec or until the drill ends itself, then 'done'
+ *   with this.result. The mode reports every trigger pull (onShot) and every
+ *   hit (onHit, with whether it struck a head segment: the damage multiplier
+ *   also carries weapon boosts); only hits on the run's own dummies count. A
+ *   dummy's time-to-kill runs from when it appears until it dies; one whose
+ *   lifetime runs out counts as missed.
+ *
+ * SCORING (scoreTrainingDrill):
+ *   100 per kill, up to 100 more per kill for speed (nothing at the drill's
+ *   ttkParMs or slower), 10 per headshot, plus the drill's bonus; the total is
+ *   then scaled by 0.5 + 0.5 × accuracy.
+ *
+ * LEADERBOARD: localStorage 'trainingLeaderboard' holds
+ *   { '<drillId>/<heroId>': [result, ...] } with the LEADERBOARD_SIZE best each.
+ */
+
+(function () {
+
+  var READY_SEC = 3;
+  var MOVING_SPEED = 1.5;       // m/s; a shot fired slower than this is a standing shot
+  var CHECKPOINT_RADIUS = 2.5;  // m
+  var SPOT_CLEARANCE = 1.0;     // m kept between a dummy and any collider
+  var SPOT_SPACING = 2.5;       // m kept between dummies
+  var REACTION_TRIALS = 10;
+  var LEADERBOARD_KEY = 'trainingLeaderboard';
+  var LEADERBOARD_SIZE = 10;
+
+  var MARKER_COLORS = { ahead: 0x777777, next: 0xffcc33, passed: 0x44dd66 };
+
+  // --- Drill helpers ---
+
+  // Flick, tracking and reaction start at the range spawn looking down the lanes
+  function placeAtLanes(run) {
+    var lanes = run.layout.lanes;
+    run.host.placePlayer(run.host.arena.spawns.A, new THREE.Vector3(0, 0, (lanes.minZ + lanes.maxZ) / 2));
+  }
+
+  // Spawns a dummy at a random spot, or tries again shortly if none is free
+  function spawnAtRandom(run, area, minDist, maxDist, opts, retry) {
+    var pos = run.randomSpot(area, minDist, maxDist);
+    if (pos) return run.spawnDummy(pos, opts);
+    run.after(0.25, retry);
+    return null;
+  }
+
+  function spawnFlickTarget(run) {
+    spawnAtRandom(run, run.layout.lanes, 8, 30, { health: 30, lifetimeSec: 2.5 }, spawnFlickTarget);
+  }
+
+  function spawnTrackingTarget(run) {
+    spawnAtRandom(run, run.layout.lanes, 10, 25, { behavior: 'strafer' }, spawnTrackingTarget);
+  }
+
+  function spawnSniperTarget(run) {
+    spawnAtRandom(run, run.layout.sniper.area, 55, 100, { lifetimeSec: 6 }, spawnSniperTarget);
+  }
+
+  function startReactionTrial(run, prompt) {
+    run.mem.waiting = true;
+    run.host.showPrompt(prompt || 'Wait...', 900);
+    run.mem.timer = run.after(1 + simRandom() * 2.5, showReactionTarget);
+  }
+
+  // Retries go through run.mem.timer too, so a false start cancels them
+  function showReactionTarget(run) {
+    var pos = run.randomSpot(run.layout.lanes, 12, 20);
+    if (!pos) {
+      run.mem.timer = run.after(0.25, showReactionTarget);
+      return;
+    }
+    run.mem.waiting = false;
+    run.spawnDummy(pos, { health: 1, lifetimeSec: 2 });
+  }
+
+  function nextReactionTrial(run) {
+    run.mem.trials = (run.mem.trials || 0) + 1;
+    if (run.mem.trials >= REACTION_TRIALS) run.end();
+    else startReactionTrial(run);
+  }
+
+  function createCheckpointMarker(pos) {
+    var mat = new THREE.MeshBasicMaterial({ color: MARKER_COLORS.ahead, side: THREE.DoubleSide });
+    var ring = new THREE.Mesh(new THREE.RingGeometry(CHECKPOINT_RADIUS - 0.3, CHECKPOINT_RADIUS, 32), mat);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(pos.x, GROUND_Y + 0.05, pos.z);
+    scene.add(ring);
+    return {
+      setState: function (s) { mat.color.setHex(MARKER_COLORS[s]); },
+      destroy: function () {
+        if (ring.parent) ring.parent.remove(ring);
+        ring.geometry.dispose();
+        mat.dispose();
+      }
+    };
+  }
+
+  // Two dodging dummies around the checkpoint the player is heading for
+  function spawnCourseTargets(run) {
+    var cp = run.layout.course[run.mem.next + 1];
+    var area = { minX: cp.x - 10, maxX: cp.x + 10, minZ: Math.max(6, cp.z - 10), maxZ: Math.min(47, cp.z + 10) };
+    var retry = function (r) { spawnAtRandom(r, area, 6, 30, { behavior: 'strafer', health: 45, lifetimeSec: 10 }, retry); };
+    retry(run);
+    retry(run);
+  }
+
+  // --- Drills ---
+
+  // Hooks (all optional) take the run: setup (during 'ready'; default: the
+  // lanes spawn), begin (when it goes live), update(run, dt), onShot,
+  // onKill(run, dummy, ttkMs), onExpire(run, dummy), bonus → points, cleanup
+  var TRAINING_DRILLS = [
+    {
+      id: 'flick',
+      name: 'Flick',
+      description: 'Targets pop up one at a time across the lanes. Drop each before it disappears.',
+      durationSec: 30,
+      ttkParMs: 1500,
+      begin: spawnFlickTarget,
+      onKill: function (run) { run.after(0.25, spawnFlickTarget); },
+      onExpire: function (run) { run.after(0.25, spawnFlickTarget); }
+    },
+    {
+      id: 'tracking',
+      name: 'Tracking',
+      description: 'Two full-health bots strafe side to side. Stay on them.',
+      durationSec: 30,
+      ttkParMs: 4000,
+      begin: function (run) {
+        spawnTrackingTarget(run);
+        spawnTrackingTarget(run);
+      },
+      onKill: function (run) { run.after(0.5, spawnTrackingTarget); }
+    },
+    {
+      id: 'reaction',
+      name: 'Reaction Time',
+      description: REACTION_TRIALS + ' trials: wait for the target, then hit it as fast as you can. Shooting early costs points.',
+      durationSec: 60,
+      ttkParMs: 700,
+      begin: function (run) { startReactionTrial(run); },
+      onShot: function (run) {
+        if (!run.mem.waiting) return;
+        run.stats.falseStarts++;
+        run.cancel(run.mem.timer);
+        startReactionTrial(run, 'Too early!');
+      },
+      onKill: function (run, dummy, ttkMs) {
+        run.stats.reactionMs.push(ttkMs);
+        nextReactionTrial(run);
+      },
+      onExpire: nextReactionTrial,
+      bonus: function (run) { return -50 * run.stats.falseStarts; }
+    },
+    {
+      id: 'sniper',
+      name: 'Sniper Lane',
+      description: 'From the back of the field, hit targets 55-100m down the right lane.',
+      durationSec: 45,
+      ttkParMs: 2500,
+      setup: function (run) {
+        var sniper = run.layout.sniper;
+        run.host.placePlayer(sniper.from, new THREE.Vector3((sniper.area.minX + sniper.area.maxX) / 2, 0, (sniper.area.minZ + sniper.area.maxZ) / 2));
+      },
+      begin: spawnSniperTarget,
+      onKill: function (run) { run.after(0.5, spawnSniperTarget); },
+      onExpire: function (run) { run.after(0.5, spawnSniperTarget); }
+    },
+    {
+      id: 'course',
+      name: 'Run and Gun',
+      description: 'Run the checkpoints through the field and shoot the bots on the way. Standing shots and time left count.',
+      durationSec: 60,
+      ttkParMs: 1500,
+      setup: function (run) {
+        var course = run.layout.course;
+        run.host.placePlayer(course[0], course[1]);
+        run.mem.next = 0;
+        run.mem.markers = course.slice(1).map(createCheckpointMarker);
+        run.mem.markers[0].setState('next');
+      },
+      begin: spawnCourseTargets,
+      update: function (run) {
+        var markers = run.mem.markers;
+        var cp = run.layout.course[run.mem.next + 1];
+        var eye = run.host.eyePos();
+        if (Math.hypot(eye.x - cp.x, eye.z - cp.z) > CHECKPOINT_RADIUS) return;
+        markers[run.mem.next].setState('passed');
+        run.stats.checkpoints++;
+        run.mem.next++;
+        if (run.mem.next >= markers.length) {
+          run.stats.completedSec = (simNow() - run.startedAt) / 1000;
+          run.end();
+          return;
+        }
+        markers[run.mem.next].setState('next');
+        spawnCourseTargets(run);
+      },
+      bonus: function (run) {
+        var finished = run.mem.next >= run.mem.markers.length;
+        return (finished ? Math.max(0, run.timeLeft) * 20 : 0) - 25 * run.stats.standingShots;
+      },
+      cleanup: function (run) {
+        (run.mem.markers || []).forEach(function (m) { m.destroy(); });
+        run.mem.markers = [];
+      }
+    }
+  ];
+
+  function getTrainingDrill(id) {
+    for (var i = 0; i < TRAINING_DRILLS.length; i++) {
+      if (TRAINING_DRILLS[i].id === id) return TRAINING_DRILLS[i];
+    }
+    return null;
+  }
+
+  // --- One run ---
+
+  function TrainingDrill(drillId, host) {
+    var drill = getTrainingDrill(drillId);
+    if (!drill) throw new Error('trainingDrills: unknown drill "' + drillId + '"');
+    this.drill = drill;
+    this.host = host;
+    this.layout = host.arena.drillLayout;
+    this.phase = 'ready';
+    this.timeLeft = READY_SEC;
+    this.startedAt = 0;
+    this.playerSpeed = 0;
+    this.result = null;
+    this.stats = {
+      shots: 0, hits: 0, headshots: 0, kills: 0, missed: 0, ttkMs: [],
+      reactionMs: [], falseStarts: 0, standingShots: 0, checkpoints: 0, completedSec: null, bonus: 0
+    };
+    this.mem = {};       // the drill's own state
+    this.dummies = [];   // [{ bot, spawnedAt, expiresAt, counted }]
+    this._timers = [];   // [{ at (simNow ms), fn(run) }]
+    this._lastEye = null;
+
+    if (drill.setup) drill.setup(this); else placeAtLanes(this);
+    host.showPrompt(drill.name + ' — get ready', READY_SEC * 1000);
+  }
+
+  TrainingDrill.READY_SEC = READY_SEC;
+  TrainingDrill.MOVING_SPEED = MOVING_SPEED;
+
+  // One simulation step; returns the phase
+  TrainingDrill.prototype.update = function (dt) {
+    if (this.phase === 'done') return this.phase;
+    var eye = this.host.eyePos();
+    if (this._lastEye && dt > 0) this.playerSpeed = Math.hypot(eye.x - this._lastEye.x, eye.z - this._lastEye.z) / dt;
+    this._lastEye = eye.clone();
+    this.timeLeft -= dt;
+
+    if (this.phase === 'ready') {
+      if (this.timeLeft > 0) return this.phase;
+      this.phase = 'live';
+      this.timeLeft = this.drill.durationSec;
+      this.startedAt = simNow();
+      this.host.showPrompt('Go!', 800);
+      if (this.drill.begin) this.drill.begin(this);
+      return this.phase;
+    }
+
+    var now = simNow();
+    var due = this._timers.filter(function (t) { return t.at <= now; });
+    this._timers = this._timers.filter(function (t) { return t.at > now; });
+    for (var i = 0; i < due.length && this.phase === 'live'; i++) due[i].fn(this);
+
+    var self = this;
+    this.dummies.slice().forEach(function (d) {
+      if (self.phase !== 'live') return;
+      if (!d.bot.alive) {
+        if (!d.counted) self._kill(d);
+        self.removeDummy(d);
+      } else if (d.expiresAt && now >= d.expiresAt) {
+        self.stats.missed++;
+        self.removeDummy(d);
+        if (self.drill.onExpire) self.drill.onExpire(self, d);
+      }
+    });
+
+    if (this.phase === 'live' && this.drill.update) this.drill.update(this, dt);
+    if (this.phase === 'live' && this.timeLeft <= 0) this.end();
+    return this.phase;
+  };
+
+  // A trigger pull (or melee swing) that sent pellets pellets
+  TrainingDrill.prototype.onShot = function (pellets) {
+    if (this.phase !== 'live') return;
+    this.stats.shots += pellets || 1;
+    if (this.playerSpeed < MOVING_SPEED) this.stats.standingShots++;
+    if (this.drill.onShot) this.drill.onShot(this);
+  };
+
+  // A hit on entity (after its damage was applied); headshot when it struck the head
+  TrainingDrill.prototype.onHit = function (entity, headshot) {
+    if (this.phase !== 'live') return;
+    var d = this._dummyFor(entity);
+    if (!d || d.counted) return;
+    this.stats.hits++;
+    if (headshot) this.stats.headshots++;
+    if (!entity.alive) this._kill(d);
+  };
+
+  TrainingDrill.prototype._dummyFor = function (entity) {
+    for (var i = 0; i < this.dummies.length; i++) {
+      if (this.dummies[i].bot === entity) return this.dummies[i];
+    }
+    return null;
+  };
+
+  TrainingDrill.prototype._kill = function (d) {
+    d.counted = true;
+    var ttkMs = simNow() - d.spawnedAt;
+    this.stats.kills++;
+    this.stats.ttkMs.push(ttkMs);
+    if (this.drill.onKill) this.drill.onKill(this, d, ttkMs);
+  };
+
+  // opts: behavior (default 'dummy'), health (default the hero's), lifetimeSec (0 = until killed)
+  TrainingDrill.prototype.spawnDummy = function (pos, opts) {
+    opts = opts || {};
+    var now = simNow();
+    var d = {
+      bot: this.host.spawnBot(pos, opts.behavior || 'dummy', (typeof opts.health === 'number') ? opts.health : null),
+      spawnedAt: now,
+      expiresAt: opts.lifetimeSec ? now + opts.lifetimeSec * 1000 : 0,
+      counted: false
+    };
+    this.dummies.push(d);
+    return d;
+  };
+
+  TrainingDrill.prototype.removeDummy = function (d) {
+    var at = this.dummies.indexOf(d);
+    if (at !== -1) this.dummies.splice(at, 1);
+    this.host.removeBot(d.bot);
+  };
+
+  // A free spot in area between minDist and maxDist (flat) from the player,
+  // clear of colliders and other dummies and in the player's line of sight
+  // (eye height Vector3), or null
+  TrainingDrill.prototype.randomSpot = function (area, minDist, maxDist) {
+    var eye = this.host.eyePos();
+    var arena = this.host.arena;
+    for (var tries = 0; tries < 30; tries++) {
+      var x = area.minX + simRandom() * (area.maxX - area.minX);
+      var z = area.minZ + simRandom() * (area.maxZ - area.minZ);
+      var dist = Math.hypot(x - eye.x, z - eye.z);
+      if (dist < minDist || dist > maxDist) continue;
+      if (this._blocked(arena, x, z)) continue;
+      if (hasBlockingBetween(eye, new THREE.Vector3(x, GROUND_Y + 2, z), arena.solids)) continue;
+      return new THREE.Vector3(x, GROUND_Y + EYE_HEIGHT, z);
+    }
+    return null;
+  };
+
+  TrainingDrill.prototype._blocked = function (arena, x, z) {
+    var c = SPOT_CLEARANCE;
+    var inCollider = (arena.colliders || []).some(function (box) {
+      return x > box.min.x - c && x < box.max.x + c && z > box.min.z - c && z < box.max.z + c;
+    });
+    if (inCollider) return true;
+    return this.dummies.some(function (d) {
+      return Math.hypot(d.bot.position.x - x, d.bot.position.z - z) < SPOT_SPACING;
+    });
+  };
+
+  // Runs fn(run) sec seconds of simulation time from now (while live)
+  TrainingDrill.prototype.after = function (sec, fn) {
+    var timer = { at: simNow() + sec * 1000, fn: fn };
+    this._timers.push(timer);
+    return timer;
+  };
+
+  TrainingDrill.prototype.cancel = function (timer) {
+    var at = this._timers.indexOf(timer);
+    if (at !== -1) this._timers.splice(at, 1);
+  };
+
+  // Score so far, for the HUD
+  TrainingDrill.prototype.liveScore = function () {
+    return scoreTrainingDrill(this.drill.id, this.stats).score;
+  };
+
+  // Stops the run and scores it (this.result)
+  TrainingDrill.prototype.end = function () {
+    if (this.phase === 'done') return;
+    this.stats.bonus = this.drill.bonus ? this.drill.bonus(this) : 0;
+    this._stop();
+    this.result = scoreTrainingDrill(this.drill.id, this.stats);
+    this.result.heroId = this.host.heroId;
+    this.result.date = new Date().toISOString();
+  };
+
+  // Stops the run without a result (leaving the range, restarting)
+  TrainingDrill.prototype.destroy = function () {
+    if (this.phase !== 'done') this._stop();
+  };
+
+  TrainingDrill.prototype._stop = function () {
+    this.phase = 'done';
+    this._timers = [];
+    while (this.dummies.length) this.removeDummy(this.dummies[0]);
+    if (this.drill.cleanup) this.drill.cleanup(this);
+  };
+
+  // --- Scoring ---
+
+  function average(list) {
+    if (!list || !list.length) return null;
+    var sum = 0;
+    for (var i = 0; i < list.length; i++) sum += list[i];
+    return Math.round(sum / list.length);
+  }
+
+  function scoreTrainingDrill(drillId, stats) {
+    var drill = getTrainingDrill(drillId) || {};
+    var par = drill.ttkParMs || 1500;
+    var ttk = stats.ttkMs || [];
+    var accuracy = stats.shots > 0 ? Math.min(1, stats.hits / stats.shots) : 0;
+    var speedPoints = 0;
+    for (var i = 0; i < ttk.length; i++) speedPoints += 100 * Math.max(0, 1 - ttk[i] / par);
+    var points = 100 * stats.kills + speedPoints + 10 * stats.headshots + (stats.bonus || 0);
+    return {
+      drillId: drillId,
+      score: Math.round(Math.max(0, points) * (0.5 + 0.5 * accuracy)),
+      accuracy: accuracy,
+      headshotRate: stats.hits > 0 ? stats.headshots / stats.hits : 0,
+      avgTtkMs: average(ttk),
+      kills: stats.kills,
+      shots: stats.shots,
+      hits: stats.hits,
+      headshots: stats.headshots,
+      missed: stats.missed || 0,
+      avgReactionMs: average(stats.reactionMs),
+      falseStarts: stats.falseStarts || 0,
+      checkpoints: stats.checkpoints || 0,
+      standingShots: stats.standingShots || 0,
+      completedSec: (typeof stats.completedSec === 'number') ? stats.completedSec : null
+    };
+  }
+
+  // --- Leaderboard ---
+
+  function readLeaderboards() {
+    try {
+      var raw = window.localStorage ? localStorage.getItem(LEADERBOARD_KEY) : null;
+      var boards = raw ? JSON.parse(raw) : {};
+      return (boards && typeof boards === 'object') ? boards : {};
+    } catch (e) {
+      console.warn('trainingDrills: failed to read the leaderboard from localStorage', e);
+      return {};
+    }
+  }
+
+  function getDrillLeaderboard(drillId, heroId) {
+    var list = readLeaderboards()[drillId + '/' + heroId];
+    return Array.isArray(list) ? list : [];
+  }
+
+  function recordDrillResult(result) {
+    var boards = readLeaderboards();
+    var key = result.drillId + '/' + result.heroId;
+    var list = Array.isArray(boards[key]) ? boards[key] : [];
+    list.push(result);
+    // Stable sort: an equal score doesn't push an older result down
+    list.sort(function (a, b) { return b.score - a.score; });
+    var rank = list.indexOf(result) + 1;
+    boards[key] = list.slice(0, LEADERBOARD_SIZE);
+    try {
+      localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(boards));
+    } catch (e) {
+      console.warn('trainingDrills: failed to save the leaderboard to localStorage', e);
+      return 0;
+    }
+    return rank <= LEADERBOARD_SIZE ? rank : 0;
+  }
+
+  window.TRAINING_DRILLS = TRAINING_DRILLS;
+  window.getTrainingDrill = getTrainingDrill;
+  window.TrainingDrill = TrainingDrill;
+  window.scoreTrainingDrill = scoreTrainingDrill;
+  window.getDrillLeaderboard = getDrillLeaderboard;
+  window.recordDrillResult = recordDrillResult;
+
+})();
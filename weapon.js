@@ -33,7 +33,6 @@
  *   - Projectile weapon firing path in projectiles.js (spawn moving entity, per-frame update)
  *   - Splash damage calculation on impact
  *   - ADS (aim-down-sights) implementation: FOV transition, overlay rendering, spread reduction
- *   - Weapon ability activation and cooldown tracking
  *   - Headshot damage multiplier per weapon
  *   - Damage falloff over distance
  */
@@ -98,6 +97,8 @@
     this.reloadEnd    = 0;
     this.lastShotTime = 0;
     this.lastMeleeTime = 0;
+    // Damage multiplier for the next trigger pull (set by chargedShot, consumed by sharedFireWeapon)
+    this.shotDamageMult = 1;
   }
 
   /**
@@ -110,6 +111,7 @@
     this.reloadEnd    = 0;
     this.lastShotTime = 0;
     this.lastMeleeTime = 0;
+    this.shotDamageMult = 1;
   };
 
   window.Weapon = Weapon;